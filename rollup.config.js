@@ -21,6 +21,9 @@ export default [{
         'path',
         './connectors/json-connector',
         './connectors/csv-connector',
+        './connectors/sqlite-connector',
+        './connectors/ndjson-connector',
+        './connectors/bigquery-connector',
         './helpers/node-helper',
         '@google-cloud/bigquery',
         '../../test/fakedata/psi-response.json', //FIXME: use exclude.
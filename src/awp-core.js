@@ -17,16 +17,36 @@
 'use strict';
 
 const Status = require('./common/status');
-const {Frequency, FrequencyInMinutes} = require('./common/frequency');
+const {AwpEvent} = require('./common/events');
 const assert = require('./utils/assert');
+const EventEmitter = require('./utils/event-emitter');
+const limitConcurrency = require('./utils/limit-concurrency');
+const parseGathererNames = require('./utils/parse-gatherer-names');
+const {LogLevels, createLogger} = require('./utils/logger');
+const {isRetryable, retry} = require('./utils/retry');
+const {getMonthlyDayOfMonth, getNextTriggerTimestamp, hasSchedule,
+    validateSchedule} =
+    require('./utils/schedule');
+const {PluginRegistry, PluginType} = require('./utils/plugin-registry');
+const {createResultId, getResultFingerprint, getTestFingerprint} =
+    require('./utils/fingerprint');
+const {formatValidationErrors, getUnknownAwpConfigKeys, validateAwpConfig} =
+    require('./utils/schema-validator');
 const {TestType} = require('./common/types');
 const MultiConnector = require('./connectors/multi-connector');
 const ApiHandler = require('./helpers/api-handler');
+const {DryRunApiHandler, getSecrets} = require('./helpers/dry-run-helper');
+
+// Plugins registered with AutoWebPerf.register*(), shared by all instances.
+const globalPluginRegistry = new PluginRegistry();
 
 /**
  * AutoWebPerf (AWP) main class.
  * Please check README.md for more details of the usage AWP instance.
  *
+ * An AWP instance is an event emitter that publishes the progress of runs and
+ * retrieves. See `src/common/events.js` for all events and their payloads.
+ *
  * Exmaples of creating a new instance of AWP:
  *   let awp = new AutoWebPerf({
  *     connector: 'JSON',
@@ -41,7 +61,7 @@ const ApiHandler = require('./helpers/api-handler');
  *     debug: debug,
  *   });
  */
-class AutoWebPerf {
+class AutoWebPerf extends EventEmitter {
   /**
    * @param {object} awpConfig The overall config object, including sub-configs
    *     for connetor, helpers, gatherers, and extension modules.
@@ -55,6 +75,14 @@ class AutoWebPerf {
    *     e.g. {'connector': 'json', 'path': '/path/to/results.json'}
    * - awpConfig.helper {string} Helper name. E.g. 'node'.
    *
+   * Optional properties:
+   * - awpConfig.logger {object} Logger with `debug`, `info`, `warn` and
+   *     `error` methods for all output. Missing methods are no-op, e.g. `{}`
+   *     silences all output. Uses console by default.
+   * - awpConfig.plugins {object} Third-party modules by type and name. Each
+   *     module is a package name or a path relative to the working directory.
+   *     e.g. {'gatherers': {'mygatherer': '@acme/awp-gatherer'}}
+   *
    * Sub-configs:
    * - Connector config. E.g. `awpConfig.appscript` is the config object for
    *     GoogleSheets connector and extension module.
@@ -62,18 +90,52 @@ class AutoWebPerf {
    *     extension module.
    */
   constructor(awpConfig) {
-    this.debug = awpConfig.debug || false;
-    this.verbose = awpConfig.verbose || false;
-    this.config = {};
-
+    super();
     assert(awpConfig, 'awpConfig is missing');
     assert(awpConfig.tests, 'awpConfig.tests is missing.');
     assert(awpConfig.results, 'awpConfig.results is missing.');
 
+    this.logger = createLogger(awpConfig.logger);
+    this.debug = awpConfig.debug || false;
+
+    // Helpers, connectors, extensions and gatherers log with moduleLogger,
+    // which forwards to the current logger, so that setLogger() also applies
+    // to modules created in the constructor.
+    this.moduleLogger = {};
+    LogLevels.forEach(level => {
+      this.moduleLogger[level] = (...args) => this.logger[level](...args);
+    });
+    this.verbose = awpConfig.verbose || false;
+    this.config = {};
+
     this.awpConfig = awpConfig;
     awpConfig.envVars = awpConfig.envVars || {};
     this.overallGathererNames = ['webpagetest', 'psi', 'cruxapi', 'cruxbigquery'];
 
+    // Register plugins from awpConfig on top of the global plugins.
+    this.pluginRegistry = new PluginRegistry(globalPluginRegistry);
+    this.pluginRegistry.registerAll(awpConfig.plugins);
+    this.pluginRegistry.getNames(PluginType.GATHERER).forEach(name => {
+      if (!this.overallGathererNames.includes(name)) {
+        this.overallGathererNames.push(name);
+      }
+    });
+
+    // Validate awpConfig with all problems reported at once, e.g. typos in
+    // property names that would be silently ignored otherwise. Unknown
+    // top-level keys may be the embedder's own, so they are only warned.
+    let configErrors = validateAwpConfig(awpConfig, this.getModuleNames());
+    if (configErrors.length > 0) {
+      throw new Error('Invalid awpConfig:\n' +
+          formatValidationErrors(configErrors));
+    }
+    let unknownKeys = getUnknownAwpConfigKeys(awpConfig,
+        this.getModuleNames());
+    if (unknownKeys.length > 0) {
+      this.logger.warn('Unknown properties in awpConfig:\n' +
+          formatValidationErrors(unknownKeys));
+    }
+
     // Load environment varaibles with awpConfig.envVars.
     this.log(`Use envVars:`);
     this.envVars = {};
@@ -87,18 +149,20 @@ class AutoWebPerf {
     switch (awpConfig.helper.toLowerCase()) {
       case 'node':
         let {NodeApiHandler} = require('./helpers/node-helper');
-        this.apiHandler = new NodeApiHandler();
+        this.apiHandler = new NodeApiHandler({logger: this.moduleLogger});
         break;
 
       case 'appscript':
         let {AppScriptApiHandler} = require('./helpers/appscript-helper');
-        this.apiHandler = new AppScriptApiHandler();
+        this.apiHandler = new AppScriptApiHandler({
+          logger: this.moduleLogger,
+        });
         break;
 
       case 'fake':
         // Use a dummy ApiHandler for test purpose.
         let ApiHandler = require('./helpers/api-handler');
-        this.apiHandler = new ApiHandler();
+        this.apiHandler = new ApiHandler({logger: this.moduleLogger});
         break;
 
       default:
@@ -141,27 +205,31 @@ class AutoWebPerf {
     this.extensions = {};
     if (awpConfig.extensions) {
       awpConfig.extensions.forEach(extension => {
-        let ExtensionClass;
+        let ExtensionClass = this.pluginRegistry.get(PluginType.EXTENSION,
+            extension);
         let extConfig = awpConfig[extension] || {};
 
         // Adding mandatory properties.
         extConfig.connector = this.connector;
         extConfig.apiHandler = this.apiHandler;
         extConfig.debug = this.debug;
-
-        switch (extension) {
-          case 'budgets':
-            ExtensionClass = require('./extensions/budgets-extension');
-            break;
-
-          case 'appscript':
-            ExtensionClass = require('./extensions/appscript-extension');
-            break;
-
-          default:
-            throw new Error(
-                `Extension ${extension} is not supported.`);
-            break;
+        extConfig.logger = this.moduleLogger;
+
+        if (!ExtensionClass) {
+          switch (extension) {
+            case 'budgets':
+              ExtensionClass = require('./extensions/budgets-extension');
+              break;
+
+            case 'appscript':
+              ExtensionClass = require('./extensions/appscript-extension');
+              break;
+
+            default:
+              throw new Error(
+                  `Extension ${extension} is not supported.`);
+              break;
+          }
         }
         this.extensions[extension] = new ExtensionClass(extConfig,
             this.envVars);
@@ -176,6 +244,69 @@ class AutoWebPerf {
     // update the data by calling connector.updateTestList or updateResultList.
     // When batchUpdateBuffer is 0, it will write back after all iteration.
     this.batchUpdateBuffer = awpConfig.batchUpdateBuffer || 0;
+
+    // The max number of Tests or Results to process at the same time. E.g.
+    // concurrency = 5 means up to 5 Tests run through gatherers in parallel.
+    // Each gatherer can set its own limit of concurrent calls with the
+    // `concurrency` property in its config, e.g. awpConfig.psi.concurrency.
+    this.concurrency = awpConfig.concurrency || 1;
+    this.gathererLimiters = {};
+
+    // The retry policy for transient gatherer failures like 429 or 5xx. E.g.
+    // retry = {maxAttempts: 3} retries a failed call twice with exponential
+    // backoff. See DefaultRetryPolicy in `src/utils/retry.js` for all
+    // properties. Each gatherer can override it with the `retry` property in
+    // its config, e.g. awpConfig.webpagetest.retry.
+    this.retryPolicy = awpConfig.retry || {};
+
+    // The time window in seconds to detect duplicate runs. E.g.
+    // duplicateWindow = 600 marks a new Result as Duplicate if the same Test
+    // with the same gatherers and settings already ran in the last 10 mins.
+    // When duplicateWindow is 0, de-duplication is disabled.
+    this.duplicateWindow = awpConfig.duplicateWindow || 0;
+  }
+
+  /**
+   * Register a third-party gatherer for all AutoWebPerf instances.
+   *
+   * Example:
+   *   AutoWebPerf.registerGatherer('mygatherer', MyGatherer);
+   *   AutoWebPerf.registerGatherer('mygatherer', '@acme/awp-gatherer');
+   *
+   * @param {string} name Gatherer name, used in `Test.gatherer`.
+   * @param {function|string} plugin Gatherer class, or a package name or
+   *     module path that exports the class.
+   */
+  static registerGatherer(name, plugin) {
+    globalPluginRegistry.register(PluginType.GATHERER, name, plugin);
+  }
+
+  /**
+   * Register a third-party connector for all AutoWebPerf instances.
+   * @param {string} name Connector name, used in `awpConfig.tests.connector`
+   *     and `awpConfig.results.connector`.
+   * @param {function|string} plugin Connector class, or a package name or
+   *     module path that exports the class.
+   */
+  static registerConnector(name, plugin) {
+    globalPluginRegistry.register(PluginType.CONNECTOR, name, plugin);
+  }
+
+  /**
+   * Register a third-party extension for all AutoWebPerf instances.
+   * @param {string} name Extension name, used in `awpConfig.extensions`.
+   * @param {function|string} plugin Extension class, or a package name or
+   *     module path that exports the class.
+   */
+  static registerExtension(name, plugin) {
+    globalPluginRegistry.register(PluginType.EXTENSION, name, plugin);
+  }
+
+  /**
+   * Remove all plugins registered with AutoWebPerf.register*().
+   */
+  static clearRegisteredPlugins() {
+    globalPluginRegistry.clear();
   }
 
   /**
@@ -184,43 +315,59 @@ class AutoWebPerf {
    * @return {object} Connector instance.
    */
   getConnector(name) {
-    let ConnectorClass = null, connectorName = name.toLowerCase();
+    let ConnectorClass = this.pluginRegistry.get(PluginType.CONNECTOR, name);
+    let connectorName = name.toLowerCase();
     let connectorConfig = this.awpConfig[connectorName] || {};
 
     connectorConfig.testsPath = this.awpConfig.tests.path;
     connectorConfig.resultsPath = this.awpConfig.results.path;
     connectorConfig.verbose = this.awpConfig.verbose;
     connectorConfig.debug = this.awpConfig.debug;
+    connectorConfig.logger = this.moduleLogger;
 
-    switch (connectorName) {
-      case 'json':
-        ConnectorClass = require('./connectors/json-connector');
-        break;
+    if (!ConnectorClass) {
+      switch (connectorName) {
+        case 'json':
+          ConnectorClass = require('./connectors/json-connector');
+          break;
 
-      case 'csv':
-        ConnectorClass = require('./connectors/csv-connector');
-        break;
+        case 'csv':
+          ConnectorClass = require('./connectors/csv-connector');
+          break;
 
-      case 'appscript':
-        ConnectorClass = require('./connectors/appscript-connector');
-        break;
+        case 'appscript':
+          ConnectorClass = require('./connectors/appscript-connector');
+          break;
 
-      case 'sheets':
-        ConnectorClass = require ('./connectors/sheets-connector.js');
-        break;
+        case 'sheets':
+          ConnectorClass = require ('./connectors/sheets-connector.js');
+          break;
 
-      case 'fake':
-        // Load dummy connector for testing purpose.
-        ConnectorClass = require('./connectors/connector');
-        break;
+        case 'sqlite':
+          ConnectorClass = require('./connectors/sqlite-connector');
+          break;
 
-      default:
-        try {
-          ConnectorClass = require(`./connectors/${name}-connector`);
-        } catch (e) {
-          throw new Error(`Unable to load connector: ./connectors/${name}-connector`);
-        }
-        break;
+        case 'ndjson':
+          ConnectorClass = require('./connectors/ndjson-connector');
+          break;
+
+        case 'bigquery':
+          ConnectorClass = require('./connectors/bigquery-connector');
+          break;
+
+        case 'fake':
+          // Load dummy connector for testing purpose.
+          ConnectorClass = require('./connectors/connector');
+          break;
+
+        default:
+          try {
+            ConnectorClass = require(`./connectors/${name}-connector`);
+          } catch (e) {
+            throw new Error(`Unable to load connector: ./connectors/${name}-connector`);
+          }
+          break;
+      }
     }
 
     return new ConnectorClass(connectorConfig, this.apiHandler, this.envVars);
@@ -232,16 +379,29 @@ class AutoWebPerf {
    * @return {object} Gatherer instance.
    */
   getGatherer(name) {
+    if (!name) return null;
+    if (!this.gatherers[name]) {
+      this.gatherers[name] = this.createGatherer(name, this.apiHandler);
+    }
+    return this.gatherers[name];
+  }
+
+  /**
+   * Create a new gatherer instance with given name and ApiHandler.
+   * @param {string} name Gatherer name. E.g. 'webpagetest'.
+   * @param {object} apiHandler ApiHandler instance.
+   * @return {object} Gatherer instance.
+   */
+  createGatherer(name, apiHandler) {
     let options = {
       verbose: this.verbose,
       debug: this.debug,
+      logger: this.moduleLogger,
     };
+    let GathererClass = this.pluginRegistry.get(PluginType.GATHERER, name);
+    let gathererConfig = this.awpConfig[name] || {};
 
-    if (!name) return null;
-    if (!this.gatherers[name]) {
-      let GathererClass = null;
-      let gathererConfig = this.awpConfig[name] || {};
-
+    if (!GathererClass) {
       switch (name) {
         case 'webpagetest':
           GathererClass = require('./gatherers/webpagetest');
@@ -268,15 +428,38 @@ class AutoWebPerf {
           try {
             GathererClass = require('./gatherers/' + name);
           } catch (e) {
-            console.error(e);
+            this.logger.error(e);
             throw new Error(`Unable to load gatherer: ./gatherers/${name}`);
           }
           break;
       }
-      this.gatherers[name] = new GathererClass(gathererConfig, this.envVars,
-          this.apiHandler, options);
     }
-    return this.gatherers[name];
+    return new GathererClass(gathererConfig, this.envVars, apiHandler,
+        options);
+  }
+
+  /**
+   * Return the names of all available gatherers, connectors and extensions,
+   * including built-in modules and plugins. Used for validating the module
+   * properties in awpConfig and Test objects.
+   * @return {object} Module names with `gatherers`, `connectors` and
+   *     `extensions` properties.
+   */
+  getModuleNames() {
+    let unique = (names) => [...new Set(names.filter(name => name))];
+    return {
+      gatherers: unique(this.overallGathererNames.concat(
+          Object.keys(this.gatherers || {}))),
+      connectors: unique(
+          ['json', 'csv', 'appscript', 'sheets', 'sqlite', 'ndjson',
+          'bigquery', 'url', 'fake'].concat(
+          this.pluginRegistry.getNames(PluginType.CONNECTOR),
+          [this.awpConfig.tests.connector, this.awpConfig.results.connector])
+          .map(name => name && name.toLowerCase())),
+      extensions: unique(['budgets', 'appscript'].concat(
+          this.pluginRegistry.getNames(PluginType.EXTENSION),
+          this.awpConfig.extensions || [])),
+    };
   }
 
   /**
@@ -286,13 +469,116 @@ class AutoWebPerf {
    * @return {Array<string>} Array of gatherer names. 
    */
   parseGathererNames(gathererName) {
-    if (!gathererName) return [];
+    return parseGathererNames(gathererName);
+  }
 
-    if (Array.isArray(gathererName)) {
-      return gathererName;
-    } else {
-      return gathererName.split(',');
+  /**
+   * Return the max number of Tests or Results to process at the same time.
+   * @param {object} options
+   * @return {number} Concurrency limit.
+   */
+  getConcurrency(options) {
+    options = options || {};
+    return parseInt(options.concurrency || this.concurrency) || 1;
+  }
+
+  /**
+   * Return the concurrency limiter for a specific gatherer. The limit is
+   * defined by the `concurrency` property in the gatherer's config. There's no
+   * limit by default besides the overall concurrency.
+   * @param {string} gathererName Gatherer name. E.g. 'webpagetest'.
+   * @return {function} Limiter function created by limitConcurrency.
+   */
+  getGathererLimiter(gathererName) {
+    if (!this.gathererLimiters[gathererName]) {
+      let gathererConfig = this.awpConfig[gathererName] || {};
+      this.gathererLimiters[gathererName] =
+          limitConcurrency(gathererConfig.concurrency);
     }
+    return this.gathererLimiters[gathererName];
+  }
+
+  /**
+   * Return the time window in seconds to detect duplicate runs.
+   * @param {object} options
+   * @return {number} Duplicate window in seconds. 0 means disabled.
+   */
+  getDuplicateWindow(options) {
+    options = options || {};
+    let duplicateWindow = options.duplicateWindow !== undefined ?
+        options.duplicateWindow : this.duplicateWindow;
+    return parseFloat(duplicateWindow) || 0;
+  }
+
+  /**
+   * Return the retry policy for a specific gatherer, which is the overall
+   * retry policy merged with the `retry` property in the gatherer's config.
+   * @param {string} gathererName Gatherer name. E.g. 'webpagetest'.
+   * @return {object} Retry policy.
+   */
+  getRetryPolicy(gathererName) {
+    let gathererConfig = this.awpConfig[gathererName] || {};
+    return Object.assign({}, this.retryPolicy, gathererConfig.retry);
+  }
+
+  /**
+   * Run a gatherer call with the gatherer's retry policy.
+   * @param {string} gathererName Gatherer name. E.g. 'webpagetest'.
+   * @param {function} task Function that returns a gatherer response.
+   * @return {object} Response of the last attempt.
+   */
+  async runWithRetry(gathererName, task) {
+    return await retry(task, this.getRetryPolicy(gathererName), {
+      sleep: (ms) => this.apiHandler.sleep(ms),
+      onRetry: (response, attempt, delay) => {
+        this.log(`Retry: ${gathererName} attempt ${attempt} failed with ` +
+            `status code ${response.statusCode}` +
+            (response.errorCode ? ` (${response.errorCode})` : '') +
+            `, retrying in ${delay} ms.`);
+      },
+    });
+  }
+
+  /**
+   * Validate all Tests against the Test schema, including the settings of
+   * gatherers and extensions. Note that awpConfig is validated when creating
+   * the AutoWebPerf instance.
+   * @param {object} options
+   * @return {object} Tests and the list of errors with `path` and `message`.
+   */
+  async validate(options) {
+    options = options || {};
+    let tests = await this.connector.getTestList(options);
+    let errors = await this.validateTests(tests, options);
+    return {
+      tests: tests,
+      errors: errors,
+    };
+  }
+
+  /**
+   * Validate Tests via the connector, which knows how the values are stored.
+   * @param {Array<object>} tests List of Test objects.
+   * @param {object} options
+   * @return {Array<object>} List of errors with `path` and `message`.
+   */
+  async validateTests(tests, options) {
+    // Plugin connectors are not required to implement validateTestList.
+    if (!this.connector.validateTestList) return [];
+    return (await this.connector.validateTestList(tests, Object.assign({
+      moduleNames: this.getModuleNames(),
+    }, options))) || [];
+  }
+
+  /**
+   * Print problems found in Tests. Problems don't stop running Tests, but
+   * usually mean some settings are ignored.
+   * @param {Array<object>} errors List of errors with `path` and `message`.
+   */
+  logValidationErrors(errors) {
+    if (errors.length === 0) return;
+    this.logger.warn(`Found ${errors.length} problem(s) in Tests:`);
+    this.logger.warn(formatValidationErrors(errors));
   }
 
   /**
@@ -304,6 +590,12 @@ class AutoWebPerf {
    * - filters {Array<string>}: Use `options.filters` to filter
    *     tests that match conditions. See `src/utils/pattern-filter.js` for
    *     more details.
+   * - tests {Array<object>}: Run the given ad-hoc Tests instead of the Tests
+   *     from the connector. Filters don't apply to them.
+   * - dryRun {boolean}: Plan the API requests of gatherers without sending
+   *     them, and skip writing to connectors. See `dryRunGatherer`.
+   * - duplicateWindow {number}: Seconds to detect duplicate runs. Overrides
+   *     `awpConfig.duplicateWindow`.
    * - verbose {boolean}: Whether to show verbose messages in terminal.
    * - debug {boolean}: Whether to show debug messages in terminal.
    */
@@ -312,11 +604,14 @@ class AutoWebPerf {
     let extensions = options.extensions || Object.keys(this.extensions);
     let extResponse, overallErrors = [];
 
-    let tests = await this.connector.getTestList(options);
-    console.log(`Run with ${tests.length} test(s)`);
+    let tests = options.tests || await this.connector.getTestList(options);
+    this.logger.info(`Run with ${tests.length} test(s)`);
+    this.logValidationErrors(await this.validateTests(tests, options));
+    this.emit(AwpEvent.RUN_STARTED, {tests: tests, recurring: false});
 
     // Before all runs.
-    extResponse = this.runExtensions(extensions, 'beforeAllRuns', {tests: tests}, options);
+    extResponse = await this.runExtensions(extensions, 'beforeAllRuns',
+        {tests: tests}, options);
     overallErrors = overallErrors.concat(extResponse.errors);
 
     // Run tests.
@@ -330,18 +625,24 @@ class AutoWebPerf {
     });
 
     // After all runs.
-    extResponse = this.runExtensions(extensions, 'afterAllRuns', {
+    extResponse = await this.runExtensions(extensions, 'afterAllRuns', {
       tests: tests,
       results: newResults,
     }, options);
     overallErrors = overallErrors.concat(extResponse.errors);
 
     if (overallErrors.length > 0) {
-      console.log(`Run completed for ${tests.length} tests with errors:`);
-      console.log(overallErrors);
+      this.logger.info(`Run completed for ${tests.length} tests with errors:`);
+      this.logger.info(overallErrors);
     } else {
-      console.log(`Run completed for ${tests.length} tests.`);
+      this.logger.info(`Run completed for ${tests.length} tests.`);
     }
+    this.emit(AwpEvent.RUN_FINISHED, {
+      tests: tests,
+      results: newResults,
+      errors: overallErrors,
+      recurring: false,
+    });
 
     return {
       tests: tests,
@@ -361,6 +662,8 @@ class AutoWebPerf {
    *     more details.
    * - activateOnly {boolean}: When true, only update the nextTriggerTimestamp
    *     to a Test object without running actual audit.
+   * - dryRun {boolean}: Plan the API requests of gatherers without sending
+   *     them, and skip writing to connectors.
    * - verbose {boolean}: Whether to show verbose messages in terminal.
    * - debug {boolean}: Whether to show debug messages in terminal.
    */
@@ -374,38 +677,50 @@ class AutoWebPerf {
     let newResults = [];
     let nowtime = Date.now();
 
-    // Get recurring Tests that passed nextTriggerTimestamp only.
+    // Get recurring Tests with valid schedules only.
     let tests = await this.connector.getTestList(options);
+    this.logValidationErrors(await this.validateTests(tests, options));
     tests = tests.filter(test => {
-      let recurring = test.recurring;
-      return recurring && recurring.frequency &&
-          Frequency[recurring.frequency.toUpperCase()];
+      if (!hasSchedule(test.recurring)) return false;
+      try {
+        validateSchedule(test.recurring);
+        return true;
+      } catch (e) {
+        overallErrors.push(this.getScheduleError(test, e));
+        return false;
+      }
     });
 
     // Before all runs.
-    extResponse = this.runExtensions(extensions, 'beforeAllRuns', {tests: tests}, options);
+    extResponse = await this.runExtensions(extensions, 'beforeAllRuns',
+        {tests: tests}, options);
     overallErrors = overallErrors.concat(extResponse.errors);
 
     if (options.activateOnly) {
-      console.log(`Run recurring with ${tests.length} test(s), activate only.`);
+      this.logger.info(
+          `Run recurring with ${tests.length} test(s), activate only.`);
 
       // Update next trigger timestamp only.
-      tests.forEach(test => {
+      for (const test of tests) {
         // Before each run.
-        this.runExtensions(extensions, 'beforeRun', {
+        await this.runExtensions(extensions, 'beforeRun', {
           test: test,
           result: null,
         }, options);
 
         this.logDebug('AutoWebPerf::recurring with activateOnly.');
-        this.updateNextTriggerTimestamp(test);
+        try {
+          this.updateNextTriggerTimestamp(test, {reschedule: true});
+        } catch (e) {
+          overallErrors.push(this.getScheduleError(test, e));
+        }
 
         // After each run with empty result.
-        this.runExtensions(extensions, 'afterRun', {
+        await this.runExtensions(extensions, 'afterRun', {
           test: test,
           result: null,
         }, options);
-      });
+      }
 
     } else {
       // Filter Tests that have passed nextTriggerTimestamp or haven't set with
@@ -416,28 +731,42 @@ class AutoWebPerf {
             (!recurring.nextTriggerTimestamp ||
             recurring.nextTriggerTimestamp <= nowtime);
       });
-      console.log(`Run recurring with ${tests.length} test(s).`);
+      this.logger.info(`Run recurring with ${tests.length} test(s).`);
+      this.emit(AwpEvent.RUN_STARTED, {tests: tests, recurring: true});
 
       // Run tests and updates next trigger timestamp.
       newResults = await this.runTests(tests, options);
 
-      // Update next trigger timestamp.
+      // Update next trigger timestamp. An error of one Test doesn't stop
+      // updating the others, as their Results are already appended.
       tests.forEach(test => {
-        this.updateNextTriggerTimestamp(test);
+        try {
+          this.updateNextTriggerTimestamp(test);
+        } catch (e) {
+          overallErrors.push(this.getScheduleError(test, e));
+        }
       });
     }
 
     // Before all runs.
-    extResponse = this.runExtensions(extensions, 'afterAllRuns', {
+    extResponse = await this.runExtensions(extensions, 'afterAllRuns', {
       tests: tests,
       results: newResults,
     }, options);
     overallErrors = overallErrors.concat(extResponse.errors);
 
     // Update Tests.
-    await this.connector.updateTestList(tests, options);
-
-    console.log(`Recurring completed with ${tests.length} ` + `tests`);
+    if (!options.dryRun) await this.connector.updateTestList(tests, options);
+
+    this.logger.info(`Recurring completed with ${tests.length} ` + `tests`);
+    if (!options.activateOnly) {
+      this.emit(AwpEvent.RUN_FINISHED, {
+        tests: tests,
+        results: newResults,
+        errors: overallErrors,
+        recurring: true,
+      });
+    }
 
     return {
       tests: tests,
@@ -448,48 +777,164 @@ class AutoWebPerf {
 
   /**
    * Continuously run AWP for recurring tests and retrieve pending results.
+   * Each cycle runs recurring Tests and then retrieves pending Results. The
+   * next cycle starts after the timer interval since the previous cycle
+   * finished, so cycles never overlap. Call `stop()` to stop after the
+   * current cycle.
    * @param {object} options
-   * @return {object} Procssed Tests and Results.
+   * @return {object} The final status of the continuous run.
    *
    * Available options:
    * - filters {Array<string>}: Use `options.filters` to filter
    *     tests that match conditions. See `src/utils/pattern-filter.js` for
    *     more details.
+   * - timerInterval {number}: Seconds between cycles. Default: 600.
+   * - heartbeatInterval {number}: Seconds between heartbeats. Default: 60.
+   * - onStatus {function}: Called with the status object at the start, on
+   *     each heartbeat, after each cycle and when stopped, e.g. for persisting
+   *     the status to monitor the continuous run.
    * - verbose {boolean}: Whether to show verbose messages in terminal.
    * - debug {boolean}: Whether to show debug messages in terminal.
    */
   async continue(options) {
     options = options || {};
     options.recurring = true;
-    let self = this;
-    let isRunning = false;
 
     // Set timer interval as every 10 mins by default.
-    let timerInterval = options.timerInterval ? 
-        parseInt(options.timerInterval) : 60 * 10;
+    let timerInterval = options.timerInterval ?
+        parseFloat(options.timerInterval) : 60 * 10;
+    let heartbeatInterval = options.heartbeatInterval ?
+        parseFloat(options.heartbeatInterval) : 60;
+    this.log(`Timer interval sets as ${timerInterval} seconds.`);
+
+    this.stopRequested = false;
+    this.continueStatus = {
+      state: 'Running',
+      startedTimestamp: Date.now(),
+      heartbeatTimestamp: Date.now(),
+      timerInterval: timerInterval,
+      cycles: 0,
+      nextCycleTimestamp: null,
+      lastCycle: null,
+    };
+    this.reportContinueStatus(options);
 
-    if (options.verbose) {
-      this.log(`Timer interval sets as ${timerInterval} seconds.`);
+    // Keep reporting heartbeats during cycles and waits.
+    let heartbeat = setInterval(() => {
+      this.reportContinueStatus(options);
+    }, heartbeatInterval * 1000);
+
+    try {
+      while (!this.stopRequested) {
+        await this.runCycle(options);
+        if (this.stopRequested) break;
+
+        this.continueStatus.state = 'Waiting';
+        this.continueStatus.nextCycleTimestamp =
+            Date.now() + timerInterval * 1000;
+        this.reportContinueStatus(options);
+        this.log('Waiting for next timer triggered...');
+
+        await this.waitForNextCycle(timerInterval * 1000);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      this.continueStatus.state = 'Stopped';
+      this.continueStatus.nextCycleTimestamp = null;
+      this.reportContinueStatus(options);
     }
+    return this.continueStatus;
+  }
 
-    await self.recurring(options);
+  /**
+   * Run a single cycle of `continue`, and record the outcome as the last
+   * cycle in the status. Errors are recorded instead of thrown, so that a
+   * failed cycle doesn't stop the continuous run.
+   * @param {object} options
+   */
+  async runCycle(options) {
+    let status = this.continueStatus;
+    let cycle = {
+      startedTimestamp: Date.now(),
+      status: Status.SUBMITTED,
+      testsCount: 0,
+      resultsCount: 0,
+      errors: [],
+    };
+    status.state = 'Running';
+    status.cycles++;
+    this.reportContinueStatus(options);
+    this.emit(AwpEvent.CYCLE_STARTED, {cycle: cycle, status: status});
 
-    // Run contiuously.
-    return await new Promise(resolve => {
-      const interval = setInterval(async () => {
-        if (isRunning) return;
+    try {
+      let recurringResponse = await this.recurring(options);
+      cycle.testsCount = recurringResponse.tests.length;
+      cycle.errors = cycle.errors.concat(recurringResponse.errors);
+
+      // Pending Results will be retrieved in the next run after stopped.
+      if (!this.stopRequested) {
+        let retrieveResponse = await this.retrieve(options);
+        cycle.resultsCount = retrieveResponse.results.length;
+        cycle.errors = cycle.errors.concat(retrieveResponse.errors);
+      }
+    } catch (error) {
+      this.logger.error(error);
+      cycle.errors.push(error);
+    }
 
-        await self.recurring(options);
-        await self.retrieve(options);
-        isRunning = false;
+    cycle.finishedTimestamp = Date.now();
+    cycle.status = cycle.errors.length > 0 ? Status.ERROR : Status.RETRIEVED;
+    cycle.errors = cycle.errors.map(error => {
+      return error && error.message ? error.message : String(error);
+    });
+    status.lastCycle = cycle;
+    this.reportContinueStatus(options);
+    this.emit(AwpEvent.CYCLE_FINISHED, {cycle: cycle, status: status});
+  }
 
-        if (options.verbose) {
-          self.log('Waiting for next timer triggered...');
-        }
-      }, timerInterval * 1000);
+  /**
+   * Wait for the given milliseconds, or until `stop()` is called.
+   * @param {number} ms
+   */
+  waitForNextCycle(ms) {
+    return new Promise(resolve => {
+      if (this.stopRequested) return resolve();
+      let timer = setTimeout(() => this.wakeUp(), ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        this.wakeUp = null;
+        resolve();
+      };
     });
   }
 
+  /**
+   * Stop the continuous run after the current cycle. The pending writes of
+   * the current cycle are finished before `continue()` returns.
+   */
+  stop() {
+    this.stopRequested = true;
+    if (this.continueStatus && this.continueStatus.state !== 'Stopped') {
+      this.continueStatus.state = 'Stopping';
+    }
+    if (this.wakeUp) this.wakeUp();
+  }
+
+  /**
+   * Update the heartbeat of the continuous run, and pass the status to the
+   * `onStatus` callback.
+   * @param {object} options
+   */
+  reportContinueStatus(options) {
+    this.continueStatus.heartbeatTimestamp = Date.now();
+    if (!options.onStatus) return;
+    try {
+      options.onStatus(this.continueStatus);
+    } catch (error) {
+      this.logger.error(error);
+    }
+  }
+
   /**
    * Retrieve test result for all filtered Results.
    * @param  {object} options
@@ -499,6 +944,8 @@ class AutoWebPerf {
    * - filters {Array<string>}: Use `options.filters` to filter
    *     tests that match conditions. See `src/utils/pattern-filter.js` for
    *     more details.
+   * - dryRun {boolean}: Plan the API requests of gatherers without sending
+   *     them, and skip writing to connectors.
    * - verbose {boolean}: Whether to show verbose messages in terminal.
    * - debug {boolean}: Whether to show debug messages in terminal.
    */
@@ -514,8 +961,8 @@ class AutoWebPerf {
       result.errors = [];
     });
 
-    extResponse = this.runExtensions(extensions, 'beforeAllRetrieves', [] /* tests */,
-        results, options);
+    extResponse = await this.runExtensions(extensions, 'beforeAllRetrieves',
+        {results: results}, options);
     overallErrors = overallErrors.concat(extResponse.errors);
 
     // Default filter for penging results only.
@@ -524,49 +971,72 @@ class AutoWebPerf {
         return result.status === Status.SUBMITTED;
       });
     }
-    console.log(`Retrieving ${results.length} result(s).`);
+    this.logger.info(`Retrieving ${results.length} result(s).`);
+    this.emit(AwpEvent.RETRIEVE_STARTED, {results: results});
 
-    // FIXME: Add batch gathering support.
-
-    let count = 0;
-    for (let i=0; i<results.length; i++) {
-      let result = results[i];
-      this.log(`Retrieve: id=${result.id}`);
-      this.logDebug('AutoWebPerf::retrieve, result=\n', result);
+    // Before retriving each result.
+    for (const result of results) {
       result.errors = result.errors || [];
-
-      // Before retriving the result.
-      extResponse = this.runExtensions(extensions, 'beforeRetrieve',
+      extResponse = await this.runExtensions(extensions, 'beforeRetrieve',
           {result: result}, options);
       result.errors = result.errors.concat(extResponse.errors);
+    }
+
+    // Retrieve pending Results in batch with gatherers that support it.
+    let batchResponses = await this.retrieveInBatch(results, options);
+
+    // Retrieve Results concurrently up to the concurrency limit. Batch updates
+    // to the connector are chained to keep them in order.
+    let limit = limitConcurrency(this.getConcurrency(options));
+    let updateQueue = Promise.resolve();
+
+    await Promise.all(results.map(result => limit(async () => {
+      let extResponse;
+      this.log(`Retrieve: id=${result.id}`);
+      this.logDebug('AutoWebPerf::retrieve, result=\n', result);
 
       let statuses = [];
       let newResult = result;
       newResult.modifiedTimestamp = Date.now();
 
-      // Interate through all gatherers.
-      let gathererNames = this.overallGathererNames.concat(
-          this.parseGathererNames(result.gatherer));
-      [...new Set(gathererNames)].forEach(gathererName => {
-        if (!result[gathererName]) return;
-        if (result[gathererName].status === Status.RETRIEVED) return;
-
-        let response = this.getGatherer(gathererName).retrieve(
-            result, {debug: true});
+      // Interate through all gatherers, using the batch responses if any.
+      let gathererNames = this.getPendingGathererNames(result);
+      await Promise.all(gathererNames.map(async gathererName => {
+        let response = batchResponses[gathererName] ?
+            batchResponses[gathererName].get(result) : null;
+
+        // Retrieve individually without batch responses, or to retry the
+        // transient failures in batch with the retry policy.
+        let retryPolicy = this.getRetryPolicy(gathererName);
+        if (!response || (retryPolicy.maxAttempts > 1 &&
+            isRetryable(response, retryPolicy))) {
+          response = await this.retrieveGatherer(result, gathererName,
+              options);
+        }
         statuses.push(response.status);
         newResult[gathererName] = response;
+        this.emit(AwpEvent.GATHERER_RESPONSE, {
+          action: 'retrieve',
+          gathererName: gathererName,
+          result: newResult,
+          response: response,
+        });
 
         this.log(`Retrieve: ${gathererName} result: status=${response.status}`);
-      });
+      }));
 
       // Collect errors from all gatherers.
       newResult.errors = result.errors.concat(this.getOverallErrors(newResult));
 
       // Update overall status.
       newResult.status =  this.getOverallStatus(statuses);
+      this.emit(AwpEvent.RETRIEVE_POLLED, {
+        result: newResult,
+        statuses: statuses,
+      });
 
       // After retrieving the result.
-      extResponse = this.runExtensions(extensions, 'afterRetrieve',
+      extResponse = await this.runExtensions(extensions, 'afterRetrieve',
           {result: newResult}, options);
       newResult.errors = newResult.errors.concat(extResponse.errors);
 
@@ -579,30 +1049,38 @@ class AutoWebPerf {
       // Batch update to the connector.
       if (this.batchUpdateBuffer &&
           resultsToUpdate.length >= this.batchUpdateBuffer) {
-        await this.connector.updateResultList(resultsToUpdate, options);
+        let batch = resultsToUpdate;
+        resultsToUpdate = [];
+        updateQueue = updateQueue.then(() => {
+          return this.updateResults(batch, options);
+        });
+        await updateQueue;
         this.log(
             `AutoWebPerf::retrieve, batch appends ` +
-            `${resultsToUpdate.length} results.`);
-
-        resultsToUpdate = [];
-      }      
-    }
-
-    // Update back to the result list.
-    await this.connector.updateResultList(resultsToUpdate, options);
+            `${batch.length} results.`);
+      }
+    })));
+    await updateQueue;
 
-    // After retriving all results.
-    // FIXME: run the extensions before updating the list back to the connector.
-    extResponse = this.runExtensions(extensions, 'afterAllRetrieves',
+    // After retriving all results, before updating the remaining Results back
+    // to the connector.
+    extResponse = await this.runExtensions(extensions, 'afterAllRetrieves',
         {results: results}, options);
     overallErrors = overallErrors.concat(extResponse.errors);
 
+    // Update back to the result list.
+    await this.updateResults(resultsToUpdate, options);
+
     if (overallErrors.length > 0) {
-      console.log(`Retrieved ${results.length} results with errors:`);
-      console.log(overallErrors);
+      this.logger.info(`Retrieved ${results.length} results with errors:`);
+      this.logger.info(overallErrors);
     } else {
-      console.log(`Retrieved ${results.length} results.`);
+      this.logger.info(`Retrieved ${results.length} results.`);
     }
+    this.emit(AwpEvent.RETRIEVE_FINISHED, {
+      results: results,
+      errors: overallErrors,
+    });
 
     return {
       results: results,
@@ -630,10 +1108,11 @@ class AutoWebPerf {
     let extResponse;
 
     // Before each run.
-    tests.forEach(test => {
-      extResponse = this.runExtensions(extensions, 'beforeRun', {test: test});
+    for (const test of tests) {
+      extResponse = await this.runExtensions(extensions, 'beforeRun',
+          {test: test}, options);
       test.errors = extResponse.errors;
-    });
+    }
 
     if (options.runByBatch) {
       // Run Tests with gatherers that uses run batch mode.
@@ -646,103 +1125,170 @@ class AutoWebPerf {
         });
         gathererNames = gathererNames.concat(this.parseGathererNames(test.gatherer));
       });
+      await this.markDuplicates(testResultPairs.map(pair => pair.result),
+          options);
 
-      // Run all gatherers.
+      // Run all gatherers, except for duplicate runs.
+      let pairsToRun = testResultPairs.filter(pair => {
+        return pair.result.status !== Status.DUPLICATE;
+      });
+      let testsToRun = pairsToRun.map(pair => pair.test);
+      pairsToRun.forEach(pair => this.emit(AwpEvent.TEST_STARTED, pair));
       gathererNames = gathererNames.concat(this.parseGathererNames(options.gatherer));
       for(const gathererName of [...new Set(gathererNames)]) {
-        await this.runGathererInBatch(tests, gathererName, options).then(responseList => {
+        if (testsToRun.length === 0) break;
+        await this.runGathererInBatch(testsToRun, gathererName, options).then(responseList => {
           if(responseList)
-            for (let i = 0; i<testResultPairs.length; i++) {
-              testResultPairs[i].result[gathererName] = responseList[i];
+            for (let i = 0; i<pairsToRun.length; i++) {
+              pairsToRun[i].result[gathererName] = responseList[i];
+              this.emit(AwpEvent.GATHERER_RESPONSE, {
+                action: 'run',
+                gathererName: gathererName,
+                test: pairsToRun[i].test,
+                result: pairsToRun[i].result,
+                response: responseList[i],
+              });
             }
         });
       }
 
       // Update overall status and after each run.
-      testResultPairs.forEach(pair => {
+      for (const pair of testResultPairs) {
         let result = pair.result;
 
-        // Update the overall status.
-        let statuses = this.overallGathererNames.map(gathererName => {
-          return result[gathererName] ?
-              result[gathererName].status : Status.RETRIEVED;
-        });
-        result.status = this.getOverallStatus(statuses);
+        if (result.status !== Status.DUPLICATE) {
+          // Update the overall status.
+          let statuses = this.overallGathererNames.map(gathererName => {
+            return result[gathererName] ?
+                result[gathererName].status : Status.RETRIEVED;
+          });
+          result.status = this.getOverallStatus(statuses);
 
-        // Collect errors from all gatherers.
-        result.errors = this.getOverallErrors(result);
+          // Collect errors from all gatherers.
+          result.errors = this.getOverallErrors(result);
+        }
 
         if (options.debug) {
-          console.log(result.errors);
+          this.logger.debug(result.errors);
         }
 
         // After each run in batch.
-        extResponse = this.runExtensions(extensions, 'afterRun', {
+        extResponse = await this.runExtensions(extensions, 'afterRun', {
           test: pair.test,
           result: result,
-        });
+        }, options);
         result.errors = result.errors.concat(extResponse.errors);
+        this.emit(AwpEvent.TEST_FINISHED, {test: pair.test, result: result});
 
         resultsToUpdate.push(pair.result);
         allNewResults.push(pair.result);
-      });
+      }
 
     } else {
-      // Run one test at a time and collect metrics from all gatherers.
-      for(let i=0; i<tests.length; i++) {
-        let test = tests[i];
-        let statuses = [];
+      // Run Tests concurrently up to the concurrency limit, and collect
+      // metrics from all gatherers for each Test. Batch updates to the
+      // connector are chained to keep them in order.
+      let limit = limitConcurrency(this.getConcurrency(options));
+      let appendQueue = Promise.resolve();
 
-        // Create a dummy Result.
-        let newResult = this.createNewResult(test, options);
-
-        // Collect metrics from all gatherers.
-        let gathererNames = this.parseGathererNames(test.gatherer);
-        gathererNames = gathererNames.concat(this.parseGathererNames(options.gatherer));          
-        [...new Set(gathererNames)].forEach(gathererName =>  {
-          let response = this.runGatherer(test, gathererName, options);
-          if (response) {
-            newResult[gathererName] = response;
-            statuses.push(newResult[gathererName].status);
-          }
-        });
+      // Create dummy Results, and mark duplicate runs before running any.
+      let newResults = tests.map(test => this.createNewResult(test, options));
+      await this.markDuplicates(newResults, options);
+
+      await Promise.all(tests.map((test, index) => limit(async () => {
+        let statuses = [];
+        let newResult = newResults[index];
+        this.emit(AwpEvent.TEST_STARTED, {test: test, result: newResult});
+
+        // Collect metrics from all gatherers, except for duplicate runs.
+        if (newResult.status !== Status.DUPLICATE) {
+          let gathererNames = this.parseGathererNames(test.gatherer);
+          gathererNames = gathererNames.concat(this.parseGathererNames(options.gatherer));
+          await Promise.all([...new Set(gathererNames)].map(async gathererName => {
+            let response = await this.runGatherer(test, gathererName, options);
+            if (response) {
+              newResult[gathererName] = response;
+              statuses.push(newResult[gathererName].status);
+              this.emit(AwpEvent.GATHERER_RESPONSE, {
+                action: 'run',
+                gathererName: gathererName,
+                test: test,
+                result: newResult,
+                response: response,
+              });
+            }
+          }));
 
-        // Update overall status.
-        newResult.status = this.getOverallStatus(statuses);
+          // Update overall status.
+          newResult.status = this.getOverallStatus(statuses);
 
-        // Collect errors from all gatherers.
-        newResult.errors = this.getOverallErrors(newResult);
+          // Collect errors from all gatherers.
+          newResult.errors = this.getOverallErrors(newResult);
+        }
 
         // After each run
-        extResponse = this.runExtensions(extensions, 'afterRun', {
+        let extResponse = await this.runExtensions(extensions, 'afterRun', {
           test: test,
           result: newResult,
-        });
+        }, options);
         newResult.errors = newResult.errors.concat(extResponse.errors);
+        this.emit(AwpEvent.TEST_FINISHED, {test: test, result: newResult});
 
-        // Collect tests and results for batch update if applicable.
+        // Collect tests and results for batch update if applicable. Keep
+        // results in the same order as Tests.
         resultsToUpdate.push(newResult);
-        allNewResults.push(newResult);
+        allNewResults[index] = newResult;
 
         // Batch update to the connector if the buffer is full.
         if (this.batchUpdateBuffer &&
             resultsToUpdate.length >= this.batchUpdateBuffer) {
-          await this.connector.appendResultList(resultsToUpdate, options);          
-          this.log(`AutoWebPerf::retrieve, batch appends ` +
-              `${resultsToUpdate.length} results.`);
+          let batch = resultsToUpdate;
           resultsToUpdate = [];
+          appendQueue = appendQueue.then(() => {
+            return this.appendResults(batch, options);
+          });
+          await appendQueue;
+          this.log(`AutoWebPerf::retrieve, batch appends ` +
+              `${batch.length} results.`);
         }
-      }
+      })));
+      await appendQueue;
     }
 
     // Update the remaining.
-    await this.connector.appendResultList(resultsToUpdate, options);
+    await this.appendResults(resultsToUpdate, options);
 
     return allNewResults;
   }
 
   /**
-   * Run through all extensions.
+   * Append new Results via the connector. Skipped with `options.dryRun`.
+   * @param {Array<object>} results New Result objects.
+   * @param {object} options
+   */
+  async appendResults(results, options) {
+    if ((options || {}).dryRun) return;
+    await this.connector.appendResultList(results, options);
+    this.emit(AwpEvent.RESULTS_STORED, {operation: 'append', results: results});
+  }
+
+  /**
+   * Update retrieved Results via the connector. Skipped with
+   * `options.dryRun`.
+   * @param {Array<object>} results Result objects.
+   * @param {object} options
+   */
+  async updateResults(results, options) {
+    if ((options || {}).dryRun) return;
+    await this.connector.updateResultList(results, options);
+    this.emit(AwpEvent.RESULTS_STORED, {operation: 'update', results: results});
+  }
+
+  /**
+   * Run through all extensions one by one in the given order. An extension
+   * function may return a Promise, which is awaited before running the next
+   * extension. Errors thrown or rejected by extensions are collected into the
+   * returned errors.
    * @param {Array<string>} extensions Array of extension names
    * @param {string} functionName The function to execute in the extention.
    * @param {object} context Context object that includes tests and results.
@@ -755,27 +1301,122 @@ class AutoWebPerf {
    * - verbose {boolean}: Whether to show verbose messages in terminal.
    * - debug {boolean}: Whether to show debug messages in terminal.
    */
-  runExtensions(extensions, functionName, context, options) {
+  async runExtensions(extensions, functionName, context, options) {
     let errors = [];
 
-    extensions.forEach(extName => {
+    for (const extName of extensions) {
       try {
-        if (!this.extensions[extName]) return;
+        if (!this.extensions[extName]) continue;
         let extension = this.extensions[extName];
-        if (extension[functionName]) extension[functionName](context, options);
+        if (extension[functionName]) {
+          await extension[functionName](context, options);
+        }
       } catch (e) {
         if (this.debug) {
-          console.error(e.stack);
+          this.logger.error(e.stack);
         }
         errors.push(e);
+        this.emit(AwpEvent.EXTENSION_ERROR, {
+          extension: extName,
+          hook: functionName,
+          error: e,
+        });
       }
-    });
+    }
 
     return {
       errors: errors
     };
   }
 
+  /**
+   * Return the names of gatherers that a Result is pending with.
+   * @param {object} result Result object.
+   * @return {Array<string>} Gatherer names.
+   */
+  getPendingGathererNames(result) {
+    let gathererNames = this.overallGathererNames.concat(
+        this.parseGathererNames(result.gatherer));
+    return [...new Set(gathererNames)].filter(gathererName => {
+      return result[gathererName] &&
+          result[gathererName].status !== Status.RETRIEVED;
+    });
+  }
+
+  /**
+   * Retrieve Results with each gatherer's retrieveBatchAsync, for gatherers
+   * that support batch retrieval.
+   * @param {Array<object>} results Result objects to retrieve.
+   * @param {object} options
+   * @return {object} Map of gatherer name to a Map of Result to its response.
+   *     Gatherers without batch support are not included.
+   */
+  async retrieveInBatch(results, options) {
+    let resultsByGatherer = {}, batchResponses = {};
+    results.forEach(result => {
+      this.getPendingGathererNames(result).forEach(gathererName => {
+        resultsByGatherer[gathererName] = resultsByGatherer[gathererName] || [];
+        resultsByGatherer[gathererName].push(result);
+      });
+    });
+
+    await Promise.all(Object.keys(resultsByGatherer).map(async gathererName => {
+      let gathererResults = resultsByGatherer[gathererName];
+      let responseList = await this.retrieveGathererInBatch(gathererResults,
+          gathererName, options);
+      if (!responseList) return;
+
+      this.log(`Retrieve: ${gathererName} retrieved ` +
+          `${gathererResults.length} result(s) in batch.`);
+      batchResponses[gathererName] = new Map();
+      gathererResults.forEach((result, index) => {
+        if (responseList[index]) {
+          batchResponses[gathererName].set(result, responseList[index]);
+        }
+      });
+    }));
+    return batchResponses;
+  }
+
+  /**
+   * Retrieve a list of Results with a single gatherer in batch.
+   * @param {Array<object>} results Result objects to retrieve.
+   * @param {string} gathererName Gatherer name. E.g. 'webpagetest'.
+   * @param {object} options
+   * @return {Array<object>} List of responses in the same order as the
+   *     Results, or null if the gatherer doesn't support batch retrieval.
+   */
+  async retrieveGathererInBatch(results, gathererName, options) {
+    // Plan the requests of each Result individually with dry run.
+    if (options.dryRun) return null;
+
+    try {
+      let gatherer = this.getGatherer(gathererName);
+      if (typeof gatherer.retrieveBatchAsync !== 'function') return null;
+
+      // Gatherers use the overall concurrency for their batch API calls,
+      // unless they have their own limit.
+      let limit = this.getGathererLimiter(gathererName);
+      let batchOptions = Object.assign({}, options, {
+        concurrency: this.getConcurrency(options),
+      });
+      return await limit(() => {
+        return gatherer.retrieveBatchAsync(results, batchOptions);
+      });
+
+    } catch (error) {
+      return results.map(result => {
+        return {
+          status: Status.ERROR,
+          statusText: error.message,
+          metadata: (result[gathererName] || {}).metadata || {},
+          metrics: {},
+          errors: [error],
+        };
+      });
+    }
+  }
+
   /**
    * Run a single gatherer and return a detailed response from a gatherer.
    * @param {object} test Test object to run.
@@ -788,12 +1429,21 @@ class AutoWebPerf {
    * - verbose {boolean}: Whether to show verbose messages in terminal.
    * - debug {boolean}: Whether to show debug messages in terminal.
    */
-  runGatherer(test, gathererName, options) {
+  async runGatherer(test, gathererName, options) {
     options = options || {};
+    if (options.dryRun) {
+      return this.dryRunGatherer(test, gathererName, 'run', options);
+    }
 
     try {
       let gatherer = this.getGatherer(gathererName);
-      let response = gatherer.run(test, options);
+      let limit = this.getGathererLimiter(gathererName);
+      let response = await this.runWithRetry(gathererName, () => {
+        return limit(() => {
+          return gatherer.runAsync ?
+              gatherer.runAsync(test, options) : gatherer.run(test, options);
+        });
+      });
       return response;
 
     } catch (error) {
@@ -807,6 +1457,100 @@ class AutoWebPerf {
     }
   }
 
+  /**
+   * Retrieve a Result with a single gatherer and return a detailed response
+   * from a gatherer.
+   * @param {object} result Result object to retrieve.
+   * @param {string} gathererName Gatherer name. E.g. 'webpagetest'.
+   * @param {object} options
+   *
+   * Available options:
+   * - verbose {boolean}: Whether to show verbose messages in terminal.
+   * - debug {boolean}: Whether to show debug messages in terminal.
+   */
+  async retrieveGatherer(result, gathererName, options) {
+    options = options || {};
+    if (options.dryRun) {
+      return this.dryRunGatherer(result, gathererName, 'retrieve', options);
+    }
+
+    try {
+      let gatherer = this.getGatherer(gathererName);
+      let limit = this.getGathererLimiter(gathererName);
+      let response = await this.runWithRetry(gathererName, () => {
+        return limit(() => {
+          return gatherer.retrieveAsync ?
+              gatherer.retrieveAsync(result, options) :
+              gatherer.retrieve(result, options);
+        });
+      });
+      return response;
+
+    } catch (error) {
+      return {
+        status: Status.ERROR,
+        statusText: error.message,
+        metadata: (result[gathererName] || {}).metadata || {},
+        metrics: {},
+        errors: [error],
+      }
+    }
+  }
+
+  /**
+   * Run or retrieve with a new gatherer instance and a DryRunApiHandler, which
+   * records the API requests of the gatherer instead of sending them. Only
+   * gatherers that send all requests via the ApiHandler support dry run, and
+   * others are skipped without running.
+   * @param {object} item Test object to run, or Result object to retrieve.
+   * @param {string} gathererName Gatherer name. E.g. 'webpagetest'.
+   * @param {string} action Either `run` or `retrieve`.
+   * @param {object} options
+   * @return {object} Response with `dryRun` and the planned `requests`.
+   */
+  async dryRunGatherer(item, gathererName, action, options) {
+    let apiHandler = new DryRunApiHandler({
+      secrets: getSecrets(this.envVars),
+      logger: this.moduleLogger,
+    });
+    let previous = action === 'retrieve' ? item[gathererName] || {} : {};
+    let response = {
+      status: previous.status || Status.SUBMITTED,
+      statusText: 'Dry run',
+      dryRun: true,
+      requests: apiHandler.requests,
+      metadata: previous.metadata || {},
+      errors: [],
+    };
+
+    try {
+      let gatherer = this.createGatherer(gathererName, apiHandler);
+      if (!gatherer.supportsDryRun || !gatherer.supportsDryRun()) {
+        response.statusText = `Skipped, as ${gathererName} doesn't support ` +
+            `dry run.`;
+        return response;
+      }
+      if (action === 'run') {
+        await gatherer.runAsync(item, options);
+      } else {
+        await gatherer.retrieveAsync(item, options);
+      }
+      if (apiHandler.requests.length === 0) {
+        response.statusText = 'No API requests.';
+      }
+
+    } catch (error) {
+      // Errors after planning requests are from processing the empty
+      // responses, which don't matter.
+      if (apiHandler.requests.length === 0) {
+        response.status = Status.ERROR;
+        response.statusText = error.message;
+        response.errors = [error];
+      }
+    }
+    return response;
+  }
+
   /**
    * Run all gatherers and return a detailed response from a gatherer.
    * @param  {type} tests      description
@@ -816,6 +1560,11 @@ class AutoWebPerf {
    */
   async runGathererInBatch(tests, gathererName, options) {
     let responseList = [];
+    if (options.dryRun) {
+      return Promise.all(tests.map(test => {
+        return this.dryRunGatherer(test, gathererName, 'run', options);
+      }));
+    }
 
     try {
       let gatherer = this.getGatherer(gathererName);
@@ -849,13 +1598,17 @@ class AutoWebPerf {
    */
   createNewResult(test, options) {
     let nowtime = Date.now();
+    let gathererNames = this.parseGathererNames(test.gatherer).concat(
+        this.parseGathererNames(options.gatherer));
+    let fingerprint = getTestFingerprint(test, gathererNames);
 
     let newResult = {
-      id: nowtime + '-' + test.url || test.origin,
+      id: createResultId(fingerprint, nowtime),
       type: options.recurring ? TestType.RECURRING : TestType.SINGLE,
       gatherer: test.gatherer,
       status: Status.SUBMITTED,
       label: test.label,
+      fingerprint: fingerprint,
       createdTimestamp: nowtime,
       modifiedTimestamp: nowtime,
       errors: test.errors || [],
@@ -866,6 +1619,50 @@ class AutoWebPerf {
     return newResult;
   }
 
+  /**
+   * Mark new Results as Duplicate if the same Test with the same gatherers and
+   * settings already ran within the duplicate window, including the other new
+   * Results in the same run. A duplicate Result links to the original Result
+   * with `duplicateOf`, and is not sent to any gatherer. Results with errors
+   * or duplicates are not considered as originals. Existing Results without
+   * the `fingerprint` property use the fingerprint in their IDs.
+   * @param {Array<object>} newResults New Result objects.
+   * @param {object} options
+   */
+  async markDuplicates(newResults, options) {
+    let duplicateWindow = this.getDuplicateWindow(options) * 1000;
+    if (!duplicateWindow || newResults.length === 0) return;
+
+    // Look up originals in all existing Results regardless of Test filters.
+    let existingResults = await this.connector.getResultList(
+        Object.assign({}, options, {filters: []}));
+    let originals = (existingResults || []).filter(result => {
+      return result.status !== Status.ERROR &&
+          result.status !== Status.DUPLICATE;
+    }).map(result => {
+      return {
+        id: result.id,
+        fingerprint: getResultFingerprint(result),
+        createdTimestamp: result.createdTimestamp,
+      };
+    }).filter(original => original.fingerprint);
+
+    newResults.forEach(newResult => {
+      let original = originals.find(result => {
+        return result.fingerprint === newResult.fingerprint &&
+            newResult.createdTimestamp - result.createdTimestamp <=
+            duplicateWindow;
+      });
+      if (original) {
+        newResult.status = Status.DUPLICATE;
+        newResult.duplicateOf = original.id;
+        this.log(`Result ${newResult.id} is a duplicate of ${original.id}.`);
+      } else {
+        originals.push(newResult);
+      }
+    });
+  }
+
   /**
    * Return all Test objects.
    * @param {object} options
@@ -922,16 +1719,37 @@ class AutoWebPerf {
   }
 
   /**
-   * Update the next trigger timestamp to a Test.
+   * Update the next trigger timestamp to a Test. The next trigger is based on
+   * the schedule of the Test, e.g. cron or frequency with time of day, and the
+   * previous nextTriggerTimestamp. See `src/utils/schedule.js` for details.
    * @param {object} test Test object to run.
+   * @param {object} options
+   *
+   * Available options:
+   * - reschedule {boolean}: Schedule from now regardless of the previous
+   *     nextTriggerTimestamp, e.g. when activating a recurring Test.
    */
-  updateNextTriggerTimestamp(test) {
+  updateNextTriggerTimestamp(test, options) {
     if (!test.recurring) return;
 
     let nowtime = Date.now();
-    let frequency = (test.recurring || {}).frequency;
-    let offset = FrequencyInMinutes[frequency.toUpperCase()];
-    test.recurring.nextTriggerTimestamp = offset ? nowtime + offset : '';
+    let dayOfMonth = getMonthlyDayOfMonth(test.recurring, nowtime, options);
+    if (dayOfMonth) test.recurring.dayOfMonth = dayOfMonth;
+
+    let nextTimestamp = getNextTriggerTimestamp(test.recurring, nowtime,
+        options);
+    test.recurring.nextTriggerTimestamp = nextTimestamp || '';
+  }
+
+  /**
+   * Return an Error for an invalid recurring schedule of a Test.
+   * @param {object} test Test object.
+   * @param {Error} error The original error.
+   * @return {Error}
+   */
+  getScheduleError(test, error) {
+    return new Error(`Invalid recurring schedule of ` +
+        `${test.label || test.url}: ${error.message}`);
   }
 
   /**
@@ -963,21 +1781,40 @@ class AutoWebPerf {
   }
 
   /**
-   * Log a message with console.log.
-   * @param {string} message
+   * Log errors thrown by event listeners, so that a failing listener doesn't
+   * fail the run, retrieve or continue cycle that emitted the event.
+   * @param {Error} error
+   * @param {string} eventName
+   */
+  handleListenerError(error, eventName) {
+    this.logger.error(`Error in the listener of ${eventName}:`, error);
+  }
+
+  /**
+   * Replace the logger for all output of this instance.
+   * @param {object} logger Logger with `debug`, `info`, `warn` and `error`
+   *     methods. Missing methods are no-op. Uses console if not given.
+   */
+  setLogger(logger) {
+    this.logger = createLogger(logger);
+  }
+
+  /**
+   * Log a verbose message with the logger.
+   * @param {...any} args
    */
-  log(message) {
+  log(...args) {
     if (!this.verbose) return;
-    console.log(message);
+    this.logger.info(...args);
   }
 
   /**
-   * Log debug message.
-   * @param {string} message
+   * Log debug message with the logger.
+   * @param {...any} args
    */
-  logDebug(message) {
+  logDebug(...args) {
     if (!this.debug) return;
-    console.log(message);
+    this.logger.debug(...args);
   }
 }
 
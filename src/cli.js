@@ -16,22 +16,62 @@
 
 const AutoWebPerf = require('./awp-core');
 const argv = require('minimist')(process.argv.slice(2));
+const fse = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
 const assert = require('./utils/assert');
 const {NodeHelper} = require('./helpers/node-helper');
+const {formatPlannedRequests} = require('./helpers/dry-run-helper');
+const {CiExitCode, formatSummary, summarizeResults, waitForResults} =
+    require('./utils/ci');
+const {AwpServer} = require('./server');
+const {acquireLock} = require('./utils/lockfile');
+const {compareResults, formatComparison, selectResults} =
+    require('./utils/compare-results');
+const {generateHtmlReport} = require('./utils/html-report');
+const {FlatConnectors, migrateItems} = require('./utils/migrate');
+const {buildFilters, formatRows, queryItems} = require('./utils/query');
+const {InitConnectorNames, InitExtensionNames, InitGathererNames,
+    generateProject} = require('./utils/scaffold');
+const {formatValidationErrors, getUnknownAwpConfigKeys} =
+    require('./utils/schema-validator');
+const {formatStatus, summarizeStatus} = require('./utils/status');
+
+// Default fields to print with the list action.
+const DefaultListFields = {
+  tests: ['label', 'url', 'gatherer'],
+  results: ['id', 'label', 'url', 'status', 'createdTimestamp'],
+};
 
 const printUsage = () => {
   let usage = `
 Usage: ./awp <ACTION> <TESTS> <RESULTS> [OPTIONS...]
+       ./awp list <tests|results> <PATH> [OPTIONS...]
+       ./awp compare <BASE_RESULTS> [<TARGET_RESULTS>] [OPTIONS...]
+       ./awp report <RESULTS> [OPTIONS...]
+       ./awp init [<DIRECTORY>] [OPTIONS...]
+       ./awp serve <TESTS> <RESULTS> [OPTIONS...]
+       ./awp status <TESTS> <RESULTS> [OPTIONS...]
+       ./awp migrate <FROM> <TO> --what=<tests|results> [OPTIONS...]
 
 Available Actions:
   run\t\tExecute audits in a test list.
   continue\t\tContinuously execute recurring audits in a test list.
   recurring\t\tExecute recurring audits in a test list.
   retrieve\tRetrieve pending results in a results list.
+  validate\tValidate the tests list and awpConfig, and print all problems. Exits with code 1 if any problem is found.
+  list\t\tPrint the tests or results in a list with filters, selected fields and sorting.
+  compare\tCompare metrics of two result sets, or two time windows or labels in one result set.
+  report\tGenerate a self-contained HTML report from a results list.
+  ci\t\tRun audits, wait for pending results, print a JSON or JUnit summary and exit with a code of the outcome. See CI exit codes below.
+  serve\t\tStart an HTTP API server to run tests, list tests and results, run recurring and retrieve, and get job status.
+  init\t\tCreate an awpConfig, a starter tests file and an .env template in a directory. Asks which modules to use.
+  status\tPrint an overview of results by status and gatherer, the oldest pending result, upcoming recurring tests, tests that have never run and recent errors.
+  migrate\tCopy tests or results from one connector to another, e.g. from json:output/results.json to csv:output/results.csv. Skips items that already exist in the destination.
 
 Mandatory arguments:
   tests\t\tThe path to the tests list in JSON. E.g. examples/tests.json. To specify a different connector, use <connector>:<path>. E.g. csv:example/tests.csv.
-  results\t\tThe path to the results output in JSON. E.g. output/results.json. To specify a different connector, use <connector>:<path>. E.g. csv:tmp/results.csv.
+  results\t\tThe path to the results output in JSON. E.g. output/results.json. To specify a different connector, use <connector>:<path>. E.g. csv:tmp/results.csv. Not required for validate.
 
 Options (*denotes default value if not passed in):
   gatherers\t\ttComma-separated list of data sources. Default: psi.
@@ -39,9 +79,48 @@ Options (*denotes default value if not passed in):
   config\t\tLoad a custom awpConfig. See examples/awp-config.json for example. If the config parameter is given, the tests and results parameters will be ignored.
   override-results\tWhether to append results to the existing result list. Default: false.
   timer-interval\tSet the timer interval for executing recurring continuously.
+  heartbeat-interval\tSet the interval in seconds to update the status file in continue mode. Default: 60.
+  lock-file\t\tThe lockfile to prevent multiple continue processes with the same tests. Default: <TESTS>.lock.
+  status-file\t\tThe file to write the heartbeat and the last cycle status in continue mode, also read by status. Default: <TESTS>.status.json.
+  concurrency\t\tThe max number of tests or results to process at the same time. Default: 1.
+  dry-run\t\tPrint the API requests that gatherers would send for run, recurring and retrieve, with API keys redacted, without sending them or writing to connectors.
+  duplicate-window\tMark a new result as Duplicate if the same test already ran within the given seconds. Default: 0 (disabled).
+  filter\t\tFilter tests or results with an expression, e.g. --filter='status==="Retrieved"'. Can be given multiple times. See src/utils/pattern-filter.js for more details.
+  label\t\tFilter tests or results with the exact label.
+  url-match\tFilter tests or results with URLs matching the regular expression.
+  gatherer\t\tFilter tests or results that use the gatherer, e.g. --gatherer=psi.
+  selectedOnly\tFilter tests with selected=true.
+  fields\t\tComma-separated dotted paths of fields to print for list. E.g. label,psi.metrics.lighthouse.Performance.
+  sort\t\tThe dotted path of the field to sort the list by. Prefix with - for descending order. E.g. -createdTimestamp.
+  limit\t\tThe max number of items to print for list. For status, the max number of recurring tests, tests never run and error causes. Default: 10.
+  format\t\tThe output format for list: table*, json or csv. For compare and status: text* or json. For ci: json* or junit.
+  base-label, target-label\tCompare results with the given labels for compare.
+  base-since, base-until, target-since, target-until\tCompare results created in the time windows for compare, in ISO dates or timestamps.
+  match-by\t\tComma-separated result properties to match results by for compare, in addition to the gatherer. Default: label,url, or url if labels are given.
+  threshold\t\tFlag metric changes beyond the percentage for compare. Default: 10.
+  output\t\tThe path of the HTML file for report. Default: report.html. For ci, the path of the summary file. Default: print to stdout.
+  ci\t\tRun with CI mode for run, the same as the ci action.
+  timeout\t\tThe max seconds to wait for pending results for ci. Default: 600.
+  poll-interval\tThe seconds between retrieving pending results for ci. Default: 30.
+  title\t\tThe title of the HTML report. Default: AutoWebPerf Report.
+  port\t\tThe port of the HTTP server for serve. Default: 8080.
+  host\t\tThe host of the HTTP server for serve. Default: 127.0.0.1.
+  token\t\tRequire requests to serve with the header "Authorization: Bearer <TOKEN>". Default: the AWP_SERVER_TOKEN environment variable, or no auth.
+  tests-connector\tThe connector of tests for init: json*, csv or sheets.
+  results-connector\tThe connector of results for init: json*, csv or sheets.
+  yes\t\tUse the given or default answers for init without asking.
+  force\t\tOverwrite existing files for init.
+  what\t\tWhat to copy for migrate: tests or results.
   verbose\t\tPrint out verbose logs.
   debug\t\tPrint out debug console logs.
 
+CI exit codes:
+  ${CiExitCode.PASSED}\t\tAll results are retrieved within budgets.
+  1\t\tUnexpected failure, e.g. an invalid awpConfig.
+  ${CiExitCode.GATHERER_ERRORS}\t\tAny gatherer errored.
+  ${CiExitCode.TIMED_OUT}\t\tAny result is still pending after the timeout.
+  ${CiExitCode.BUDGET_EXCEEDED}\t\tAny metric is over budget.
+
 Examples:
   # List CLI options
   ./awp --help
@@ -52,7 +131,8 @@ Examples:
   # Run tests from a CSV file and writes results to a JSON file.
   ./awp run csv:examples/tests.csv json:output/results.json
 
-  # Run recurring tests continuously. Press CTRL/Command+C to stop.
+  # Run recurring tests continuously. Press CTRL/Command+C to stop after the
+  # current cycle, or press it twice to exit immediately.
   ./awp continue examples/tests-recurring.json output/results.json
 
   # Run PageSpeedInsight tests with an API Key.
@@ -67,9 +147,21 @@ Examples:
   # Retrieve from CrUX API
   CRUX_APIKEY=<YOUR_API_KEY> ./awp run examples/tests-cruxapi.json output/results.json
 
+  # Run tests with the label "web.dev" and the PSI gatherer only.
+  ./awp run examples/tests.json output/results.json --label=web.dev --gatherer=psi
+
+  # Retrieve pending results of URLs under web.dev.
+  ./awp retrieve examples/tests-wpt.json output/results.json --url-match='^https://web\.dev/' --filter='status==="Submitted"'
+
   # Run tests with budget extension
   ./awp run examples/tests.json output/results.json --extensions=budgets
 
+  # Run tests with up to 5 tests at the same time.
+  ./awp run examples/tests.json output/results.json --concurrency=5
+
+  # Run tests, skipping the ones that already ran in the last 10 minutes.
+  ./awp run examples/tests.json output/results.json --duplicate-window=600
+
   # Run tests and override existing results in the output file.
   ./awp run examples/tests.json output/results.json --override-results
 
@@ -79,6 +171,46 @@ Examples:
   # Run with a custom awpConfig.
   ./awp run --config=examples/awp-config.json
 
+  # Validate tests, e.g. in a pre-commit hook.
+  ./awp validate examples/tests.json
+  ./awp validate --config=examples/awp-config.json
+
+  # List the 10 latest retrieved results with Lighthouse performance scores.
+  ./awp list results output/results.json --filter='status==="Retrieved"' --fields=label,url,psi.metrics.lighthouse.Performance --sort=-createdTimestamp --limit=10
+
+  # Export selected tests to CSV.
+  ./awp list tests examples/tests.json --filter=selected --format=csv
+
+  # Gate a deploy with budgets, writing a JUnit summary for the CI server.
+  ./awp ci examples/tests.json output/results.json --extensions=budgets --format=junit --output=output/awp-junit.xml
+
+  # Start an HTTP API server with token auth.
+  AWP_SERVER_TOKEN=<YOUR_TOKEN> ./awp serve examples/tests.json output/results.json --port=8080
+
+  # Check pending results, upcoming recurring tests and recent errors.
+  ./awp status examples/tests.json output/results.json
+
+  # Copy results from a JSON file to a CSV file. Running again only copies new results.
+  ./awp migrate json:output/results.json csv:output/results.csv --what=results
+
+  # Print the WebPageTest requests of a tests file without spending credits.
+  WPT_APIKEY=<YOUR_API_KEY> ./awp run examples/tests-wpt.json output/results.json --dry-run
+
+  # Compare two result sets, flagging changes beyond 5%.
+  ./awp compare output/results-before.json output/results-after.json --threshold=5
+
+  # Create a new project in the current directory, asking which modules to use.
+  ./awp init
+
+  # Create a new project without asking.
+  ./awp init my-project --gatherers=psi,cruxapi --tests-connector=csv --extensions=budgets --yes
+
+  # Generate an HTML report of retrieved results.
+  ./awp report output/results.json --output=output/report.html
+
+  # Compare the results of two days in one result set.
+  ./awp compare output/results.json --base-since=2020-06-01 --base-until=2020-06-02 --target-since=2020-06-02 --target-until=2020-06-03
+
   `;
   console.log(usage);
 }
@@ -99,6 +231,431 @@ const parseVars = (varString) => {
   return keyValues;
 }
 
+/**
+ * Parse a data source in the format of <connector>:<path>. The connector is
+ * json by default.
+ * @param {string} source E.g. csv:examples/tests.csv
+ * @return {object} Data source config with connector and path.
+ */
+const parseDataSource = (source) => {
+  let connector = 'json', path = source;
+  if (source.indexOf(':') >= 0) {
+    connector = source.slice(0, source.indexOf(':'));
+    path = source.slice(source.indexOf(':') + 1);
+  }
+  return {
+    connector: connector,
+    path: path,
+  };
+}
+
+/**
+ * Parse a time in an ISO date or a timestamp in milliseconds.
+ * @param {string|number} time
+ * @return {number} Timestamp in milliseconds, or undefined if not given.
+ */
+const parseTime = (time) => {
+  if (time === undefined) return undefined;
+  let timestamp = /^\d+$/.test(time) ? Number(time) : Date.parse(time);
+  assert(!isNaN(timestamp), `Invalid time: ${time}`);
+  return timestamp;
+}
+
+/**
+ * Run AWP continuously with a lockfile of the tests, a status file for
+ * monitoring, and graceful shutdown with SIGINT and SIGTERM.
+ * @param {object} awp AutoWebPerf instance.
+ * @param {object} awpConfig
+ * @param {object} options
+ * @return {object} The final status of the continuous run.
+ */
+async function runContinue(awp, awpConfig, options) {
+  let testsPath = awpConfig.tests.path;
+  let lockPath = argv['lock-file'] || (testsPath ? `${testsPath}.lock` : null);
+  let statusPath = argv['status-file'] ||
+      (testsPath ? `${testsPath}.status.json` : null);
+
+  // Prevent other processes from working on the same tests.
+  let releaseLock = lockPath ? acquireLock(lockPath) : null;
+
+  // Stop after the current cycle so that its results are written back. Exit
+  // immediately when receiving the signal again.
+  let shutdown = (signal) => {
+    if (awp.stopRequested) {
+      console.log(`Received ${signal} again, exiting now.`);
+      if (releaseLock) releaseLock();
+      process.exit(1);
+    }
+    console.log(`Received ${signal}, stopping after the current cycle...`);
+    awp.stop();
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  options.onStatus = (status) => {
+    if (!statusPath) return;
+    NodeHelper.writeJsonToFile(statusPath, Object.assign({
+      pid: process.pid,
+      testsPath: testsPath,
+    }, status));
+  };
+
+  try {
+    return await awp.continue(options);
+  } finally {
+    process.removeListener('SIGINT', shutdown);
+    process.removeListener('SIGTERM', shutdown);
+    if (releaseLock) releaseLock();
+  }
+}
+
+/**
+ * Validate awpConfig and Tests, and print all problems with their paths. Sets
+ * the exit code to 1 if any problem is found. Unlike creating an AWP instance,
+ * unknown top-level properties of awpConfig are problems too.
+ * @param {object} awpConfig
+ * @param {object} options
+ * @return {Array<object>} List of errors with `path` and `message`.
+ */
+async function runValidate(awpConfig, options) {
+  let errors;
+  try {
+    // The AWP instance throws with all problems of an invalid awpConfig.
+    let awp = new AutoWebPerf(awpConfig);
+    let configErrors = getUnknownAwpConfigKeys(awpConfig,
+        awp.getModuleNames());
+    if (configErrors.length > 0) {
+      console.log('Invalid awpConfig:\n' +
+          formatValidationErrors(configErrors));
+      process.exitCode = 1;
+      return configErrors;
+    }
+    errors = (await awp.validate(options)).errors;
+  } catch (e) {
+    console.log(e.message);
+    process.exitCode = 1;
+    return [e];
+  }
+
+  if (errors.length > 0) {
+    console.log(`Found ${errors.length} problem(s) in Tests:`);
+    console.log(formatValidationErrors(errors));
+    process.exitCode = 1;
+  } else {
+    console.log(`No problems found in Tests.`);
+  }
+  return errors;
+}
+
+/**
+ * Print Tests or Results with filters, selected fields, sorting and a limit.
+ * @param {object} awp AutoWebPerf instance.
+ * @param {string} listType Either `tests` or `results`.
+ * @param {object} options
+ * @return {Array<object>} Printed rows.
+ */
+async function runList(awp, listType, options) {
+  assert(DefaultListFields[listType],
+      `Unknown list type: ${listType}. Use either tests or results.`);
+
+  let items = listType === 'tests' ?
+      await awp.getTests(options) : await awp.getResults(options);
+  let fields = argv['fields'] ?
+      argv['fields'].split(',') : DefaultListFields[listType];
+  let rows = queryItems(items, {
+    fields: fields,
+    sort: argv['sort'],
+    limit: argv['limit'],
+  });
+  console.log(formatRows(rows, fields, argv['format']));
+  return rows;
+}
+
+/**
+ * Compare metrics of two result sets, or two time windows or labels in the
+ * same result set, and print per-metric deltas.
+ * @param {object} awp AutoWebPerf instance with the base results.
+ * @param {object} awpConfig
+ * @param {object} options
+ * @return {object} The comparison from `compareResults`.
+ */
+async function runCompare(awp, awpConfig, options) {
+  let targetSource = argv['_'][2];
+  let baseResults = await awp.getResults(options);
+  let targetResults = baseResults;
+  if (targetSource) {
+    let dataSource = parseDataSource(targetSource);
+    let targetAwp = new AutoWebPerf(Object.assign({}, awpConfig, {
+      tests: dataSource,
+      results: dataSource,
+    }));
+    targetResults = await targetAwp.getResults(options);
+  }
+
+  baseResults = selectResults(baseResults, {
+    label: argv['base-label'],
+    since: parseTime(argv['base-since']),
+    until: parseTime(argv['base-until']),
+  });
+  targetResults = selectResults(targetResults, {
+    label: argv['target-label'],
+    since: parseTime(argv['target-since']),
+    until: parseTime(argv['target-until']),
+  });
+
+  // Results with different labels are matched by URL.
+  let matchBy = argv['match-by'] !== undefined ?
+      String(argv['match-by']).split(',').filter(x => x) :
+      (argv['base-label'] || argv['target-label'] ? ['url'] : undefined);
+  let comparison = compareResults(baseResults, targetResults, {
+    matchBy: matchBy,
+    threshold: argv['threshold'],
+  });
+  console.log(formatComparison(comparison, argv['format']));
+  return comparison;
+}
+
+/**
+ * Generate a self-contained HTML report from Results.
+ * @param {object} awp AutoWebPerf instance.
+ * @param {string} output The path of the HTML file.
+ * @param {object} options
+ * @return {string} The path of the HTML file.
+ */
+async function runReport(awp, output, options) {
+  let results = await awp.getResults(options);
+  output = output || 'report.html';
+  NodeHelper.writeToFile(output, generateHtmlReport(results, {
+    title: argv['title'],
+  }));
+  console.log(`Report of ${results.length} result(s) written to ${output}`);
+  return output;
+}
+
+/**
+ * Run tests in CI mode: wait for pending Results, print a summary and set the
+ * exit code by the outcome. See `src/utils/ci.js` for the exit codes.
+ * @param {object} awp AutoWebPerf instance.
+ * @param {string} output The path of the summary file, or null for stdout.
+ * @param {object} options
+ * @return {object} Summary of the Results.
+ */
+async function runCi(awp, output, options) {
+  let format = argv['format'] || 'json';
+  // Fail before running any tests with an unknown format.
+  formatSummary(summarizeResults([]), format);
+
+  let response = await awp.run(options);
+  // Nothing is submitted in dry run.
+  if (options.dryRun) {
+    printDryRun(awp, response);
+    return null;
+  }
+
+  let results = await waitForResults(awp, response.results, {
+    timeout: argv['timeout'],
+    pollInterval: argv['poll-interval'],
+    awpOptions: options,
+  });
+
+  let summary = summarizeResults(results);
+  let content = formatSummary(summary, format);
+  if (output) {
+    NodeHelper.writeToFile(output, content);
+    console.log(`Summary of ${summary.total} result(s) written to ${output}`);
+  } else {
+    process.stdout.write(content);
+  }
+  process.exitCode = summary.exitCode;
+  return summary;
+}
+
+/**
+ * Print an overview of Tests and Results, including the status file of continue
+ * mode if it exists.
+ * @param {object} awp AutoWebPerf instance.
+ * @param {object} awpConfig
+ * @param {object} options
+ * @return {object} The status from `summarizeStatus`.
+ */
+async function runStatus(awp, awpConfig, options) {
+  let testsPath = awpConfig.tests.path;
+  let statusPath = argv['status-file'] ||
+      (testsPath ? `${testsPath}.status.json` : null);
+  let continueStatus = statusPath && fse.existsSync(statusPath) ?
+      NodeHelper.getJsonFromFile(statusPath) : null;
+
+  let status = summarizeStatus(await awp.getTests(options),
+      await awp.getResults(options), {
+    limit: argv['limit'],
+    continueStatus: continueStatus,
+  });
+  console.log(formatStatus(status, argv['format']));
+  return status;
+}
+
+/**
+ * Copy Tests or Results from the data source of the AWP instance to another
+ * data source.
+ * @param {object} awp AutoWebPerf instance of the source.
+ * @param {object} awpConfig
+ * @param {string} target The destination in the format of <connector>:<path>.
+ * @param {object} options
+ * @return {object} Counts of read, written and skipped items.
+ */
+async function runMigrate(awp, awpConfig, target, options) {
+  let what = argv['what'];
+  assert(target, 'The destination of migrate is missing.');
+  assert(['tests', 'results'].includes(what),
+      `Invalid --what: ${what}. Use --what=tests or --what=results.`);
+
+  let dataSource = parseDataSource(target);
+  let targetAwp = new AutoWebPerf(Object.assign({}, awpConfig, {
+    tests: dataSource,
+    results: dataSource,
+  }));
+  let counts = await migrateItems(awp.connector, targetAwp.connector, {
+    what: what,
+    flatten: FlatConnectors.includes(dataSource.connector),
+    omitKeys: awp.getModuleNames().connectors.filter(name => name !== 'url'),
+    filters: options.filters,
+    dryRun: options.dryRun,
+  });
+
+  console.log(`${options.dryRun ? 'Would copy' : 'Copied'} ` +
+      `${counts.written} ${what} to ${target}, skipped ${counts.skipped} ` +
+      `existing ${what}.`);
+  return counts;
+}
+
+/**
+ * Print the planned API requests in the Results of a dry run.
+ * @param {object} awp AutoWebPerf instance.
+ * @param {object} response Response of run, recurring or retrieve.
+ */
+function printDryRun(awp, response) {
+  console.log(formatPlannedRequests(response.results,
+      awp.getModuleNames().gatherers));
+}
+
+/**
+ * Start an HTTP API server, and stop it with SIGINT or SIGTERM.
+ * @param {object} awp AutoWebPerf instance.
+ * @param {object} envVars Environment variables.
+ * @param {object} options
+ */
+async function runServe(awp, envVars, options) {
+  let server = new AwpServer(awp, {
+    token: argv['token'] || envVars['AWP_SERVER_TOKEN'],
+    gatherer: options.gatherer ? options.gatherer.join(',') : null,
+    awpOptions: {
+      concurrency: options.concurrency,
+      duplicateWindow: options.duplicateWindow,
+      verbose: options.verbose,
+      debug: options.debug,
+    },
+  });
+  let address = await server.listen(argv['port'] || 8080, argv['host']);
+  console.log(`Listening on http://${address.address}:${address.port}` +
+      (server.token ? ' with token auth' : ''));
+
+  // Stop accepting requests, and wait for queued jobs to finish.
+  let signal = await new Promise(resolve => {
+    process.once('SIGINT', () => resolve('SIGINT'));
+    process.once('SIGTERM', () => resolve('SIGTERM'));
+  });
+  console.log(`Received ${signal}, stopping after queued jobs...`);
+  await Promise.all([server.close(), server.waitForJobs()]);
+}
+
+/**
+ * Ask a question in the terminal.
+ * @param {object} rl Readline interface.
+ * @param {string} question
+ * @param {string} defaultAnswer Returned if the answer is empty.
+ * @return {string} The answer.
+ */
+function ask(rl, question, defaultAnswer) {
+  return new Promise(resolve => {
+    rl.question(`${question} [${defaultAnswer}]: `, answer => {
+      resolve(answer.trim() || defaultAnswer);
+    });
+  });
+}
+
+/**
+ * Create the files of a new AWP project, asking which gatherers, connectors
+ * and extensions to use unless given in arguments.
+ * @param {string} directory The directory to create files in.
+ * @return {Array<string>} Paths of created files.
+ */
+async function runInit(directory) {
+  let toList = (value) => String(value).split(',').map(x => x.trim())
+      .filter(x => x);
+  let answers = {
+    gatherers: argv['gatherers'] ? toList(argv['gatherers']) : null,
+    testsConnector: argv['tests-connector'],
+    resultsConnector: argv['results-connector'],
+    extensions: argv['extensions'] !== undefined ?
+        toList(argv['extensions']) : null,
+  };
+
+  // Ask for the missing answers in an interactive terminal.
+  if (!argv['yes'] && process.stdin.isTTY) {
+    let rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    try {
+      if (!answers.gatherers) {
+        answers.gatherers = toList(await ask(rl,
+            `Gatherers (${InitGathererNames.join(', ')})`, 'psi'));
+      }
+      if (!answers.testsConnector) {
+        answers.testsConnector = await ask(rl,
+            `Connector of tests (${InitConnectorNames.join(', ')})`, 'json');
+      }
+      if (!answers.resultsConnector) {
+        answers.resultsConnector = await ask(rl,
+            `Connector of results (${InitConnectorNames.join(', ')})`,
+            'json');
+      }
+      if (!answers.extensions) {
+        answers.extensions = toList(await ask(rl,
+            `Extensions (${InitExtensionNames.join(', ')}, or none)`,
+            'none')).filter(x => x !== 'none');
+      }
+    } finally {
+      rl.close();
+    }
+  }
+
+  let files = generateProject({
+    gatherers: answers.gatherers || undefined,
+    testsConnector: answers.testsConnector,
+    resultsConnector: answers.resultsConnector,
+    extensions: answers.extensions || undefined,
+    directory: directory,
+  });
+
+  // Check all files before writing any of them.
+  let filepaths = Object.keys(files);
+  let existing = filepaths.filter(filepath => fse.existsSync(filepath));
+  if (existing.length > 0 && !argv['force']) {
+    throw new Error(`Files already exist: ${existing.join(', ')}. ` +
+        `Use --force to overwrite.`);
+  }
+
+  filepaths.forEach(filepath => {
+    NodeHelper.writeToFile(filepath, files[filepath]);
+    console.log(`Created ${filepath}`);
+  });
+  console.log(`\nFill in ${path.join(directory, '.env')}, then run:\n` +
+      `  set -a; source ${path.join(directory, '.env')}; set +a\n` +
+      `  ./awp run --config=${path.join(directory, 'awp-config.json')}`);
+  return filepaths;
+}
+
 /**
  * Main CLI function.
  */
@@ -109,14 +666,36 @@ async function begin() {
   let config = argv['config'];
   let overrideResults = argv['override-results'];
   let timerInterval = argv['timer-interval'];
+  let heartbeatInterval = argv['heartbeat-interval'];
   let activateOnly = argv['activate-only'];
   let gatherers = argv['gatherers'] ? argv['gatherers'].split(',') : null;
   let extensions = argv['extensions'] ? argv['extensions'].split(',') : [];
   let runByBatch = argv['batch-mode'] ?  true : false;
+  let concurrency = argv['concurrency'];
+  let duplicateWindow = argv['duplicate-window'];
   // let envVars = parseVars(argv['envVars']);
   let debug = argv['debug'];
   let verbose = argv['verbose'];
-  let filters = [], awpConfig;
+  let dryRun = argv['dry-run'];
+  let filters = buildFilters(argv), awpConfig, listType;
+
+  // The list action reads either Tests or Results from the given path.
+  if (action === 'list') {
+    listType = argv['_'][1];
+    testsPath = resultsPath = argv['_'][2];
+  }
+  // The compare action reads the base results from the first path, and the
+  // report action reads the results from the only path.
+  if (action === 'compare' || action === 'report') {
+    resultsPath = testsPath;
+  }
+  // The migrate action reads from the first path, or the data sources in the
+  // config, and writes to the last path.
+  let migrateTarget;
+  if (action === 'migrate') {
+    migrateTarget = config ? testsPath : resultsPath;
+    resultsPath = migrateTarget ? testsPath : null;
+  }
 
   // Get environment variables.
   let envVars = process.env;
@@ -125,42 +704,37 @@ async function begin() {
     envVars[key] = envVarsFromParam[key];
   });
 
+  if (action === 'init') {
+    await runInit(argv['_'][1] || '.');
+    return;
+  }
+
   // Assert mandatory parameters, except if the config is given.
-  if (!config && (!action || !testsPath || !resultsPath)) {
+  if (action === 'list' && !listType) {
+    printUsage();
+    return;
+  }
+  if (!config && (!action || !testsPath ||
+      (!resultsPath && action !== 'validate'))) {
     printUsage();
     return;
   }
 
   if (config) {
     awpConfig = NodeHelper.getJsonFromFile(config);
+    // Environment variables are overridden by envVars in the config.
+    awpConfig.envVars = Object.assign({}, envVars, awpConfig.envVars);
 
   } else {
     assert(testsPath, `'tests' parameter is missing.`);
+    // Validate doesn't read or write results.
+    if (action === 'validate') resultsPath = resultsPath || testsPath;
     assert(resultsPath, `'results' parameter is missing.`);
 
-    if (argv['selectedOnly']) filters.push('selected');
-
-    // Parse connector names.
-    let testsConnector = 'json', resultsConnector = 'json';
-    if (testsPath.indexOf(':') >= 0) {
-      testsConnector = testsPath.slice(0, testsPath.indexOf(':'));
-      testsPath = testsPath.slice(testsPath.indexOf(':') + 1);
-    }
-    if (resultsPath.indexOf(':') >= 0) {
-      resultsConnector = resultsPath.slice(0, resultsPath.indexOf(':'));;
-      resultsPath = resultsPath.slice(resultsPath.indexOf(':') + 1);;
-    }
-
     // Construct overall AWP config and individual connector's config.
     awpConfig = {
-      tests: {
-        connector: testsConnector,
-        path: testsPath,
-      },
-      results: {
-        connector: resultsConnector,
-        path: resultsPath,
-      },
+      tests: parseDataSource(testsPath),
+      results: parseDataSource(resultsPath),
       helper: 'node',
       extensions: extensions,
       envVars: envVars,
@@ -174,40 +748,85 @@ async function begin() {
     console.log(JSON.stringify(awpConfig, null, 2));
   }
 
-  // Create AWP instance.
-  let awp = new AutoWebPerf(awpConfig);
-
   let options = {
     filters: filters,
     runByBatch: runByBatch,
+    concurrency: concurrency,
+    duplicateWindow: duplicateWindow,
     overrideResults: overrideResults,
     timerInterval: timerInterval,
+    heartbeatInterval: heartbeatInterval,
     activateOnly: activateOnly,
     gatherer: gatherers,
+    dryRun: dryRun,
     verbose: verbose,
     debug: debug,
   };
 
+  if (action === 'validate') {
+    await runValidate(awpConfig, options);
+    return;
+  }
+
+  // Create AWP instance.
+  let awp = new AutoWebPerf(awpConfig);
+  let response;
+
   switch(action) {
     case 'run':
-      await awp.run(options);
+      if (argv['ci']) {
+        await runCi(awp, output, options);
+      } else {
+        response = await awp.run(options);
+      }
+      break;
+
+    case 'ci':
+      await runCi(awp, output, options);
+      break;
+
+    case 'serve':
+      await runServe(awp, envVars, options);
       break;
 
     case 'recurring':
-      await awp.recurring(options);
+      response = await awp.recurring(options);
       break;
 
     case 'continue':
-      await awp.continue(options);
+      await runContinue(awp, awpConfig, options);
+      break;
 
     case 'retrieve':
-      await awp.retrieve(options);
+      response = await awp.retrieve(options);
+      break;
+
+    case 'list':
+      await runList(awp, listType, options);
+      break;
+
+    case 'compare':
+      await runCompare(awp, awpConfig, options);
+      break;
+
+    case 'report':
+      await runReport(awp, output, options);
+      break;
+
+    case 'status':
+      await runStatus(awp, awpConfig, options);
+      break;
+
+    case 'migrate':
+      await runMigrate(awp, awpConfig, migrateTarget, options);
       break;
 
     default:
       printUsage();
       break;
   }
+
+  if (dryRun && response) printDryRun(awp, response);
 }
 
 module.exports = {
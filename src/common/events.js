@@ -0,0 +1,118 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Events published by an AutoWebPerf instance, with the payload types below.
+ *
+ * Example:
+ *   awp.on(AwpEvent.GATHERER_RESPONSE, ({gathererName, response}) => {
+ *     console.log(`${gathererName}: ${response.status}`);
+ *   });
+ */
+const AwpEvent = {
+  RUN_STARTED: 'runStarted', // RunStartedEvent
+  RUN_FINISHED: 'runFinished', // RunFinishedEvent
+  TEST_STARTED: 'testStarted', // TestStartedEvent
+  TEST_FINISHED: 'testFinished', // TestFinishedEvent
+  GATHERER_RESPONSE: 'gathererResponse', // GathererResponseEvent
+  RESULTS_STORED: 'resultsStored', // ResultsStoredEvent
+  RETRIEVE_STARTED: 'retrieveStarted', // RetrieveStartedEvent
+  RETRIEVE_POLLED: 'retrievePolled', // RetrievePolledEvent
+  RETRIEVE_FINISHED: 'retrieveFinished', // RetrieveFinishedEvent
+  EXTENSION_ERROR: 'extensionError', // ExtensionErrorEvent
+  CYCLE_STARTED: 'cycleStarted', // CycleEvent
+  CYCLE_FINISHED: 'cycleFinished', // CycleEvent
+};
+
+/**
+ * @typedef {object} RunStartedEvent
+ * @property {Array<object>} tests Tests to run.
+ * @property {boolean} recurring Whether running recurring Tests.
+ */
+
+/**
+ * @typedef {object} RunFinishedEvent
+ * @property {Array<object>} tests Tests that ran.
+ * @property {Array<object>} results New Results.
+ * @property {Array<Error>} errors All errors.
+ * @property {boolean} recurring Whether running recurring Tests.
+ */
+
+/**
+ * @typedef {object} TestStartedEvent
+ * @property {object} test The Test to run.
+ * @property {object} result The new Result of the Test.
+ */
+
+/**
+ * @typedef {object} TestFinishedEvent
+ * @property {object} test The Test that ran.
+ * @property {object} result The new Result with responses of all gatherers.
+ */
+
+/**
+ * @typedef {object} GathererResponseEvent
+ * @property {string} action 'run' or 'retrieve'.
+ * @property {string} gathererName Gatherer name, e.g. 'webpagetest'.
+ * @property {object} test The Test, when running.
+ * @property {object} result The Result being created or retrieved.
+ * @property {object} response The response from the gatherer.
+ */
+
+/**
+ * @typedef {object} ResultsStoredEvent
+ * @property {string} operation 'append' for new Results, or 'update' for
+ *     retrieved Results.
+ * @property {Array<object>} results Results written via the connector.
+ */
+
+/**
+ * @typedef {object} RetrieveStartedEvent
+ * @property {Array<object>} results Results to retrieve.
+ */
+
+/**
+ * @typedef {object} RetrievePolledEvent
+ * @property {object} result The Result with the latest overall status.
+ * @property {Array<string>} statuses Statuses of the pending gatherers.
+ */
+
+/**
+ * @typedef {object} RetrieveFinishedEvent
+ * @property {Array<object>} results Retrieved Results.
+ * @property {Array<Error>} errors All errors.
+ */
+
+/**
+ * @typedef {object} ExtensionErrorEvent
+ * @property {string} extension Extension name, e.g. 'budgets'.
+ * @property {string} hook Extension function, e.g. 'afterRun'.
+ * @property {Error} error The error thrown or rejected by the extension.
+ */
+
+/**
+ * @typedef {object} CycleEvent
+ * @property {object} cycle The cycle of `continue`, with startedTimestamp,
+ *     status, testsCount, resultsCount and errors. finishedTimestamp is set
+ *     when finished.
+ * @property {object} status The status of the continuous run.
+ */
+
+module.exports = {
+  AwpEvent,
+};
@@ -23,7 +23,9 @@ const Frequency = {
   MONTHLY: 'Monthly',
 };
 
-// TODO: May need to use MomemtJS for more accurate date offset.
+// Fixed intervals in milliseconds. Note that the next trigger of frequencies
+// except Hourly is computed with calendar days and months instead. See
+// `src/utils/schedule.js` for details.
 const FrequencyInMinutes = {
   HOURLY: 60 * 60 * 1000, // TODO: Hourly is for development testing.
   DAILY: 24 * 60 * 60 * 1000,
@@ -0,0 +1,352 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Schemas of awpConfig, Test objects and the settings of built-in gatherers
+ * and extensions. A schema is a subset of JSON Schema supported by
+ * `src/utils/schema-validator.js`, with `type`, `enum`, `pattern`, `minimum`,
+ * `properties`, `additionalProperties`, `required` and `items`, plus a
+ * `validate` function that returns an error message for custom checks.
+ */
+
+const RetrySchema = {
+  type: 'object',
+  properties: {
+    maxAttempts: {type: 'integer', minimum: 1},
+    initialDelay: {type: 'number', minimum: 0},
+    backoffFactor: {type: 'number', minimum: 1},
+    maxDelay: {type: 'number', minimum: 0},
+    retryableStatusCodes: {type: 'array', items: {type: 'integer'}},
+    retryableErrorCodes: {type: 'array', items: {type: 'string'}},
+  },
+  additionalProperties: false,
+};
+
+// Properties in every gatherer's config, used by AWP core.
+const GathererConfigProperties = {
+  concurrency: {type: 'integer', minimum: 1},
+  retry: RetrySchema,
+};
+
+/**
+ * Schemas of built-in gatherers. `config` is for the gatherer's property in
+ * awpConfig, and `test` is for the gatherer's property in a Test object.
+ */
+const GathererSchemas = {
+  webpagetest: {
+    config: {
+      properties: {
+        runApiEndpoint: {type: 'string'},
+        resultApiEndpoint: {type: 'string'},
+        // Deprecated misspelling of resultApiEndpoint.
+        resultApiEndpiont: {type: 'string'},
+      },
+    },
+    test: {
+      settings: {
+        type: 'object',
+        properties: {
+          locationId: {type: 'string'},
+          location: {type: 'string'},
+          device: {type: ['string', 'null']},
+          connection: {type: 'string'},
+          runs: {type: 'integer', minimum: 1},
+          repeatView: {type: 'boolean'},
+          timeline: {type: 'boolean'},
+          hasTimeline: {type: 'boolean'},
+          block: {type: ['string', 'null']},
+          script: {type: ['string', 'null']},
+          customParameters: {type: ['string', 'null']},
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+  psi: {
+    config: {},
+    test: {
+      settings: {
+        type: 'object',
+        properties: {
+          locale: {type: 'string'},
+          strategy: {type: 'string', enum: ['mobile', 'desktop']},
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+  cruxapi: {
+    config: {},
+    test: {
+      settings: {
+        type: 'object',
+        properties: {
+          urlType: {type: 'string', enum: ['Origin', 'Page']},
+          formFactor: {
+            type: 'string',
+            enum: ['ALL', 'PHONE', 'DESKTOP', 'TABLET'],
+          },
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+  cruxbigquery: {
+    config: {
+      properties: {
+        platform: {type: 'string'},
+      },
+    },
+    test: {
+      settings: {type: 'object'},
+      origin: {type: 'string'},
+    },
+  },
+};
+
+/**
+ * Schemas of built-in extensions. `config` is for the extension's property in
+ * awpConfig, and `test` is for the extension's property in a Test object.
+ */
+const ExtensionSchemas = {
+  budgets: {
+    config: {
+      type: 'object',
+      properties: {
+        dataSource: {type: 'string'},
+      },
+    },
+    test: {
+      type: 'object',
+      properties: {
+        metricPath: {type: 'string'},
+        budget: {
+          type: 'object',
+          properties: [
+            'FirstContentfulPaint', 'FirstMeaningfulPaint',
+            'LargestContentfulPaint', 'TotalBlockingTime', 'SpeedIndex',
+            'TimeToInteractive', 'FirstInputDelay', 'Javascript', 'CSS',
+            'Fonts', 'Images', 'Videos', 'ThirdParty', 'Performance',
+            'CumulativeLayoutShift',
+          ].reduce((properties, metric) => {
+            properties[metric] = {type: ['number', 'null']};
+            return properties;
+          }, {}),
+          additionalProperties: false,
+        },
+      },
+      required: ['budget'],
+      additionalProperties: false,
+    },
+  },
+};
+
+const CsvColumnsSchema = {
+  type: 'array',
+  items: {
+    type: ['string', 'object'],
+    properties: {
+      header: {type: 'string'},
+      path: {type: 'string'},
+      format: {type: ['string', 'function']},
+      parse: {type: 'function'},
+    },
+    required: ['path'],
+    additionalProperties: false,
+  },
+};
+
+/**
+ * Schemas of built-in connectors' properties in awpConfig.
+ */
+const ConnectorSchemas = {
+  json: {
+    type: 'object',
+    properties: {
+      backups: {type: 'integer', minimum: 0},
+      lockTimeout: {type: 'number', minimum: 0},
+    },
+  },
+  csv: {
+    type: 'object',
+    properties: {
+      delimiter: {type: 'string'},
+      quote: {type: 'string'},
+      encoding: {type: 'string'},
+      columns: {
+        type: 'object',
+        properties: {
+          tests: CsvColumnsSchema,
+          results: CsvColumnsSchema,
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+};
+
+/**
+ * Return the schema of awpConfig. Unknown top-level properties are allowed, as
+ * embedders may keep their own keys in awpConfig. See
+ * `getUnknownAwpConfigKeys` in `src/utils/schema-validator.js` to find them.
+ * @param  {object} moduleNames Names of available modules, with `gatherers`,
+ *     `connectors` and `extensions` properties.
+ * @return {object} Schema object.
+ */
+function getAwpConfigSchema(moduleNames) {
+  let dataSourceSchema = {
+    type: 'object',
+    properties: {
+      connector: {type: 'string'},
+      path: {type: 'string'},
+      appendResults: {type: 'boolean'},
+    },
+    additionalProperties: false,
+  };
+  let properties = {
+    tests: dataSourceSchema,
+    results: dataSourceSchema,
+    helper: {type: 'string'},
+    gathererNames: {type: 'array', items: {type: 'string'}},
+    dataSources: {type: 'array', items: {type: 'string'}},
+    extensions: {type: 'array', items: {type: 'string'}},
+    envVars: {type: 'object'},
+    plugins: {
+      type: 'object',
+      properties: {
+        gatherers: {type: 'object'},
+        connectors: {type: 'object'},
+        extensions: {type: 'object'},
+      },
+      additionalProperties: false,
+    },
+    batchUpdateBuffer: {type: 'integer', minimum: 0},
+    concurrency: {type: 'integer', minimum: 1},
+    duplicateWindow: {type: 'number', minimum: 0},
+    retry: RetrySchema,
+    logger: {type: 'object'},
+    verbose: {type: 'boolean'},
+    debug: {type: 'boolean'},
+  };
+
+  // Sub-configs of modules.
+  (moduleNames.connectors || []).forEach(name => {
+    properties[name] = properties[name] || ConnectorSchemas[name] ||
+        {type: 'object'};
+  });
+  (moduleNames.gatherers || []).forEach(name => {
+    let config = (GathererSchemas[name] || {}).config;
+    properties[name] = {
+      type: 'object',
+      properties: Object.assign({}, GathererConfigProperties,
+          (config || {}).properties),
+      additionalProperties: !config,
+    };
+  });
+  (moduleNames.extensions || []).forEach(name => {
+    properties[name] = (ExtensionSchemas[name] || {}).config ||
+        {type: 'object'};
+  });
+
+  return {
+    type: 'object',
+    properties: properties,
+    required: ['tests', 'results'],
+  };
+}
+
+/**
+ * Return the schema of a Test object.
+ * @param  {object} moduleNames Names of available modules, with `gatherers`,
+ *     `connectors` and `extensions` properties.
+ * @return {object} Schema object.
+ */
+function getTestSchema(moduleNames) {
+  let gathererNames = moduleNames.gatherers || [];
+  let properties = {
+    id: {type: ['string', 'number']},
+    selected: {type: 'boolean'},
+    label: {type: 'string'},
+    url: {type: 'string'},
+    origin: {type: 'string'},
+    gatherer: {
+      type: ['string', 'array'],
+      items: {type: 'string'},
+      validate: (value) => {
+        if (gathererNames.length === 0) return;
+        let names = Array.isArray(value) ? value : value.split(',');
+        let unknown = names.filter(name => !gathererNames.includes(name));
+        if (unknown.length > 0) {
+          return `Unknown gatherer: ${unknown.join(', ')}. Available ` +
+              `gatherers: ${gathererNames.join(', ')}.`;
+        }
+      },
+    },
+    recurring: {
+      type: 'object',
+      properties: {
+        frequency: {type: ['string', 'null']},
+        time: {type: 'string'},
+        daysOfWeek: {type: ['array', 'string'], items: {type: 'string'}},
+        cron: {type: 'string'},
+        timezone: {type: 'string'},
+        nextTriggerTimestamp: {type: ['number', 'null']},
+        nextTriggerTime: {type: 'string'},
+        dayOfMonth: {type: 'integer', minimum: 1, maximum: 31},
+      },
+      additionalProperties: false,
+    },
+    errors: {type: 'array'},
+  };
+
+  // Connector-specific metadata, e.g. the row index in the CSV file. Note
+  // that the url connector doesn't override the url property.
+  (moduleNames.connectors || []).forEach(name => {
+    properties[name] = properties[name] || {type: 'object'};
+  });
+  gathererNames.forEach(name => {
+    let test = (GathererSchemas[name] || {}).test;
+    properties[name] = {
+      type: 'object',
+      properties: Object.assign({
+        settings: {type: 'object'},
+        metadata: {type: 'object'},
+      }, test),
+      additionalProperties: !test,
+    };
+  });
+  (moduleNames.extensions || []).forEach(name => {
+    properties[name] = (ExtensionSchemas[name] || {}).test ||
+        {type: 'object'};
+  });
+
+  return {
+    type: 'object',
+    properties: properties,
+    additionalProperties: false,
+  };
+}
+
+module.exports = {
+  ConnectorSchemas,
+  ExtensionSchemas,
+  GathererSchemas,
+  RetrySchema,
+  getAwpConfigSchema,
+  getTestSchema,
+};
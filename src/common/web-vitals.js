@@ -0,0 +1,88 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Thresholds of Core Web Vitals, based on https://web.dev/vitals/. A value up
+ * to `good` is rated Good, up to `poor` is rated Needs Improvement, and above
+ * `poor` is rated Poor.
+ */
+const CoreWebVitals = {
+  LargestContentfulPaint: {good: 2500, poor: 4000, unit: 'ms'},
+  InteractionToNextPaint: {good: 200, poor: 500, unit: 'ms'},
+  FirstInputDelay: {good: 100, poor: 300, unit: 'ms'},
+  CumulativeLayoutShift: {good: 0.1, poor: 0.25, unit: ''},
+};
+
+const VitalRating = {
+  GOOD: 'good',
+  NEEDS_IMPROVEMENT: 'needs-improvement',
+  POOR: 'poor',
+};
+
+/**
+ * Return the value of a Core Web Vital in a gatherer's metrics. Field data,
+ * i.e. the 75th percentile in CrUX, is preferred over lab data.
+ * @param  {object} metrics The metrics object in a gatherer's response.
+ * @param  {string} name Metric name in CoreWebVitals.
+ * @return {number} The value, or null if not available.
+ */
+function getVitalValue(metrics, name) {
+  metrics = metrics || {};
+  let crux = (metrics.crux || {})[name] || {};
+  let candidates = [
+    // CrUX API
+    (metrics[name] || {}).p75,
+    // CrUX in PSI reports CLS percentiles multiplied by 100.
+    name === 'CumulativeLayoutShift' && crux.percentile !== undefined ?
+        crux.percentile / 100 : crux.percentile,
+    // Lab data
+    metrics[name],
+    (metrics.lighthouse || {})[name],
+  ];
+
+  for (let candidate of candidates) {
+    if (candidate === undefined || candidate === null ||
+        typeof candidate === 'object') {
+      continue;
+    }
+    let value = Number(candidate);
+    if (!isNaN(value)) return value;
+  }
+  return null;
+}
+
+/**
+ * Rate the value of a Core Web Vital.
+ * @param  {string} name Metric name in CoreWebVitals.
+ * @param  {number} value
+ * @return {string} Rating in VitalRating, or null if not available.
+ */
+function rateVital(name, value) {
+  let threshold = CoreWebVitals[name];
+  if (!threshold || value === null || value === undefined) return null;
+  if (value <= threshold.good) return VitalRating.GOOD;
+  if (value <= threshold.poor) return VitalRating.NEEDS_IMPROVEMENT;
+  return VitalRating.POOR;
+}
+
+module.exports = {
+  CoreWebVitals,
+  VitalRating,
+  getVitalValue,
+  rateVital,
+};
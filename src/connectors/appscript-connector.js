@@ -246,6 +246,19 @@ class AppScriptConnector extends Connector {
     return tests;
   }
 
+  /**
+   * validateTestList - Validate Tests with values read from the Sheet, where
+   * empty cells are empty strings.
+   * @param  {Array<object>} tests The array of Test objects.
+   * @param  {object} options Options: filters, verbose and debug.
+   * @return {Array<object>} List of errors with `path` and `message`.
+   */
+  validateTestList(tests, options) {
+    return super.validateTestList(tests, Object.assign({}, options, {
+      coerceStrings: true,
+    }));
+  }
+
   /**
    * updateTestList - Update the array of new Tests to the original Tests,
    * based on the RowIndex of each Test in the "Tests" Sheet.
@@ -0,0 +1,336 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('../utils/assert');
+const Connector = require('./connector');
+const patternFilter = require('../utils/pattern-filter');
+const {BigQueryHandler} = require('../helpers/gcp-handler');
+const {flattenItem, nestItem} = require('../utils/migrate');
+
+// Separator of nested properties in column names, e.g. psi__metrics__FCP for
+// psi.metrics.FCP, as BigQuery column names can't contain dots.
+const ColumnSeparator = '__';
+
+// Max number of query parameters in a single INSERT or MERGE statement.
+const MaxQueryParams = 10000;
+
+/**
+ * Return the column name of a dotted property path.
+ * @param  {string} key E.g. psi.metrics.FCP
+ * @return {string} E.g. psi__metrics__FCP
+ */
+function toColumnName(key) {
+  let name = key.split('.').map(property => {
+    return property.replace(/[^A-Za-z0-9_]/g, '_');
+  }).join(ColumnSeparator);
+  return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Return the dotted property path of a column name.
+ * @param  {string} name E.g. psi__metrics__FCP
+ * @return {string} E.g. psi.metrics.FCP
+ */
+function toPropertyPath(name) {
+  return name.split(ColumnSeparator).join('.');
+}
+
+/**
+ * Return the BigQuery type of a column from its first value. Numbers are
+ * always FLOAT64, as metrics may have decimals in later Results.
+ * @param  {string} name Column name.
+ * @param  {any} value
+ * @return {string}
+ */
+function getFieldType(name, value) {
+  if (name === 'id') return 'STRING';
+  if (typeof value === 'number') return 'FLOAT64';
+  if (typeof value === 'boolean') return 'BOOL';
+  return 'STRING';
+}
+
+/**
+ * Convert a value to the type of its column. Values that can't be converted
+ * are written as null.
+ * @param  {any} value
+ * @param  {string} type
+ * @return {any}
+ */
+function toFieldValue(value, type) {
+  if (value === undefined || value === null || value === '') return null;
+  switch (type) {
+    case 'FLOAT64': {
+      let number = Number(value);
+      return isNaN(number) ? null : number;
+    }
+    case 'BOOL':
+      return value === true || value === 'true';
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * The connector writes Results to a BigQuery table, with a column for each
+ * property of the flattened Results, e.g. `psi__metrics__FCP` for
+ * `psi.metrics.FCP`. The table is created with the columns of the first
+ * Results, and new columns are added when Results have new properties.
+ * - `appendResultList` inserts the Results as new rows with DML INSERT.
+ * - `updateResultList` updates the rows with the same ids with MERGE.
+ *
+ * Rows are never written with streaming inserts, as BigQuery doesn't allow
+ * MERGE or TRUNCATE on rows in the streaming buffer for up to 90 minutes,
+ * while Results like WebPageTest's are updated minutes after being added.
+ * - `getResultList` reads all rows back into nested Results.
+ *
+ * The path is in the format of `[<projectId>.]<datasetId>.<tableId>`, and the
+ * project is GCP_PROJECT_ID in envVars by default. This connector only works
+ * with the `Results` path.
+ *
+ * Usage example:
+ *
+ * ./awp run examples/tests.json bigquery:my-project.awp.results
+ */
+class BigQueryConnector extends Connector {
+  constructor(config, apiHandler, envVars) {
+    super(config, apiHandler, envVars);
+    envVars = envVars || {};
+
+    let parts = (this.resultsPath || '').split('.');
+    assert(parts.length === 2 || parts.length === 3,
+        'resultsPath should be in the format of ' +
+        '[<projectId>.]<datasetId>.<tableId>.');
+    [this.datasetId, this.tableId] = parts.slice(-2);
+    this.projectId = parts.length === 3 ? parts[0] :
+        envVars.GCP_PROJECT_ID || envVars.gcpProjectId;
+    assert(this.projectId, 'GCP_PROJECT_ID is not defined in Environment ' +
+        'Variables or resultsPath.');
+
+    // Use config.client as the BigQuery client if given, e.g. a local
+    // stand-in for testing.
+    this.bigQueryHandler = new BigQueryHandler({
+      platform: 'Node',
+      projectId: this.projectId,
+      keyFilename: envVars.SERVICE_ACCOUNT_CREDENTIALS ||
+          envVars.GCP_KEYFILE_PATH || envVars.gcpKeyFilePath,
+      client: config.client,
+    }, apiHandler, {logger: this.logger});
+    this.fields = null;
+    this.tableExists = false;
+  }
+
+  getTableName() {
+    return `\`${this.projectId}.${this.datasetId}.${this.tableId}\``;
+  }
+
+  /**
+   * Load the schema fields of the table once.
+   * @return {Array<object>} Fields with `name`, `type` and `mode`.
+   */
+  async loadFields() {
+    if (this.fields) return this.fields;
+    let fields = await this.bigQueryHandler.getTableFields(this.datasetId,
+        this.tableId);
+    this.tableExists = !!fields;
+    this.fields = fields || [];
+    return this.fields;
+  }
+
+  /**
+   * Create the table, or add new columns to the table, for the given rows.
+   * @param  {Array<object>} rows Rows with column names.
+   */
+  async ensureFields(rows) {
+    let fields = await this.loadFields();
+    let names = new Set(fields.map(field => field.name));
+    let newFields = [];
+    rows.forEach(row => {
+      Object.keys(row).forEach(name => {
+        if (names.has(name) || row[name] === null || row[name] === '') return;
+        names.add(name);
+        newFields.push({
+          name: name,
+          type: getFieldType(name, row[name]),
+          mode: 'NULLABLE',
+        });
+      });
+    });
+    if (newFields.length === 0) return;
+
+    if (this.debug) {
+      this.logger.debug(`BigQuery: Adding columns to ${this.getTableName()}: ` +
+          newFields.map(field => field.name).join(', '));
+    }
+    this.fields = fields.concat(newFields);
+    await this.bigQueryHandler.setTableFields(this.datasetId, this.tableId,
+        this.fields, this.tableExists);
+    this.tableExists = true;
+  }
+
+  /**
+   * Convert Results into rows with the types of table columns, creating new
+   * columns if needed.
+   * @param  {Array<Object>} results
+   * @return {Array<Object>} Rows with column names.
+   */
+  async toRows(results) {
+    let rows = results.map(result => {
+      let flat = flattenItem(result), row = {};
+      Object.keys(flat).forEach(key => row[toColumnName(key)] = flat[key]);
+      return row;
+    });
+    await this.ensureFields(rows);
+
+    return rows.map(row => {
+      let typedRow = {};
+      this.fields.forEach(field => {
+        if (row[field.name] === undefined) return;
+        typedRow[field.name] = toFieldValue(row[field.name], field.type);
+      });
+      return typedRow;
+    });
+  }
+
+  /**
+   * Return EnvVars set.
+   * @return {Object} EnvVars object.
+   */
+  getEnvVars() {
+    return this.envVars;
+  }
+
+  getTestList(options) {
+    throw new Error('The bigquery connector only supports the Results path.');
+  }
+
+  updateTestList(newTests, options) {
+    throw new Error('The bigquery connector only supports the Results path.');
+  }
+
+  /**
+   * Get all results, supporting PatternFilter with `options.filters`.
+   * @param  {Object} options
+   * @return {Array<Object>} Array of Result objects.
+   */
+  async getResultList(options) {
+    options = options || {};
+    let fields = await this.loadFields();
+    if (!this.tableExists) return [];
+
+    let orderBy = fields.some(field => field.name === 'createdTimestamp') ?
+        ' ORDER BY createdTimestamp' : '';
+    let rows = await this.bigQueryHandler.query(
+        `SELECT * FROM ${this.getTableName()}${orderBy}`);
+
+    let results = (rows || []).map(row => {
+      let flat = {};
+      Object.keys(row).forEach(name => {
+        if (row[name] !== null) flat[toPropertyPath(name)] = row[name];
+      });
+      return nestItem(flat);
+    });
+    return patternFilter(results, options.filters);
+  }
+
+  /**
+   * Run a DML statement for rows in batches, with the value of each column as
+   * the query parameter `@p<row>_<column>`.
+   * @param  {Array<Object>} rows Rows with column names.
+   * @param  {function} createQuery Function that returns the statement, given
+   *     lists of parameter names of the rows in the same order as
+   *     `this.fields`.
+   */
+  async queryRows(rows, createQuery) {
+    let fields = this.fields;
+    let batchSize = Math.max(1, Math.floor(MaxQueryParams / fields.length));
+
+    for (let start = 0; start < rows.length; start += batchSize) {
+      let params = {}, types = {};
+      let rowParams = rows.slice(start, start + batchSize).map((row, i) => {
+        return fields.map((field, j) => {
+          let param = `p${i}_${j}`;
+          params[param] = row[field.name] === undefined ?
+              null : row[field.name];
+          types[param] = field.type;
+          return param;
+        });
+      });
+
+      let query = createQuery(rowParams);
+      if (this.debug) this.logger.debug(`BigQuery: ${query}`);
+      await this.bigQueryHandler.query(query, {params: params, types: types});
+    }
+  }
+
+  /**
+   * Insert results as new rows with DML INSERT. With
+   * `options.overrideResults`, all existing rows are deleted first.
+   * @param {Array<Object>} newResults Array of new Result objects.
+   * @param {Object} options
+   */
+  async appendResultList(newResults, options) {
+    options = options || {};
+    if (newResults.length === 0) return;
+
+    let rows = await this.toRows(newResults);
+    if (options.overrideResults) {
+      await this.bigQueryHandler.query(
+          `TRUNCATE TABLE ${this.getTableName()}`);
+    }
+
+    let columns = this.fields.map(field => `\`${field.name}\``).join(', ');
+    await this.queryRows(rows, (rowParams) => {
+      let values = rowParams.map(params => {
+        return '(' + params.map(param => `@${param}`).join(', ') + ')';
+      });
+      return `INSERT INTO ${this.getTableName()} (${columns})\n` +
+          `VALUES ${values.join(',\n')}`;
+    });
+  }
+
+  /**
+   * Update existing rows with the same ids with MERGE. Columns not in the new
+   * Results are set to null, the same as replacing the Results.
+   * @param {Array<Object>} newResults Array of new Result objects.
+   * @param {Object} options
+   */
+  async updateResultList(newResults, options) {
+    newResults = newResults.filter(result => result.id);
+    if (newResults.length === 0) return;
+
+    let rows = await this.toRows(newResults);
+    let fields = this.fields;
+    let assignments = fields.filter(field => field.name !== 'id')
+        .map(field => `\`${field.name}\` = source.\`${field.name}\``);
+    if (assignments.length === 0) return;
+
+    await this.queryRows(rows, (rowParams) => {
+      let selects = rowParams.map(params => {
+        return 'SELECT ' + params.map((param, j) => {
+          return `@${param} AS \`${fields[j].name}\``;
+        }).join(', ');
+      });
+      return `MERGE ${this.getTableName()} AS target\n` +
+          `USING (${selects.join('\nUNION ALL ')}) AS source\n` +
+          'ON target.id = source.id\n' +
+          `WHEN MATCHED THEN UPDATE SET ${assignments.join(', ')}`;
+    });
+  }
+}
+
+module.exports = BigQueryConnector;
@@ -14,6 +14,9 @@
  * limitations under the License.
  */
 
+const {createLogger} = require('../utils/logger');
+const {validateTests} = require('../utils/schema-validator');
+
 class Connector {
   constructor(config, apiHandler, envVars) {
     config = config || {};
@@ -23,6 +26,7 @@ class Connector {
     this.resultsPath = config.resultsPath;
     this.verbose = config.verbose;
     this.debug = config.debug;
+    this.logger = createLogger(config.logger);
   }
   getEnvVars() {}
   getTestList(options) {}
@@ -30,6 +34,20 @@ class Connector {
   getResultList(options) {}
   appendResultList(newResults, options) {}
   updateResultList(newResults, options) {}
+
+  /**
+   * Validate Tests from this connector against the Test schema. Connectors
+   * storing values as strings, e.g. CSV, pass `coerceStrings` so that
+   * numbers and booleans in strings are accepted.
+   * @param  {Array<object>} tests List of Test objects.
+   * @param  {object} options Options with `moduleNames` of the available
+   *     gatherers, connectors and extensions.
+   * @return {Array<object>} List of errors with `path` and `message`.
+   */
+  validateTestList(tests, options) {
+    options = options || {};
+    return validateTests(tests, options.moduleNames || {}, options);
+  }
 }
 
 module.exports = Connector;
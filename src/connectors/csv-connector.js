@@ -21,33 +21,204 @@ const path = require('path');
 const parse = require('csv-parse/lib/sync');
 const jsonexport = require('jsonexport');
 const assert = require('../utils/assert');
+const getObject = require('../utils/get-object');
 const setObject = require('../utils/set-object');
 const Connector = require('./connector');
+const patternFilter = require('../utils/pattern-filter');
+
+/**
+ * Built-in formatters of column values, used as `format` in the column list,
+ * e.g. `round` or `fixed:2`. Values that aren't applicable are kept as they
+ * are.
+ */
+const CsvFormatters = {
+  // Round numbers to integers.
+  round: (value) => isNumeric(value) ? Math.round(Number(value)) : value,
+  // Round numbers to the given decimal digits, e.g. fixed:2.
+  fixed: (value, digits) => {
+    return isNumeric(value) ? Number(value).toFixed(Number(digits || 0)) :
+        value;
+  },
+  // Timestamps in milliseconds to ISO dates.
+  isoDate: (value) => {
+    return isNumeric(value) ? new Date(Number(value)).toISOString() : value;
+  },
+  // Objects and arrays in JSON.
+  json: (value) => value === undefined ? value : JSON.stringify(value),
+};
+
+/**
+ * Parsers of the built-in formatters, which convert formatted values back to
+ * their original types when reading, e.g. ISO dates to timestamps.
+ */
+const CsvParsers = {
+  round: (value) => isNumeric(value) ? Number(value) : value,
+  fixed: (value) => isNumeric(value) ? Number(value) : value,
+  isoDate: (value) => {
+    let timestamp = isNumeric(value) ? NaN : Date.parse(value);
+    return isNaN(timestamp) ? value : timestamp;
+  },
+  json: (value) => {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  },
+};
+
+// Properties that AWP reads back and computes with, e.g. createdTimestamp for
+// duplicate detection, which custom formatters can't change without a parser.
+const ReadBackPaths = ['id', 'createdTimestamp', 'modifiedTimestamp'];
+
+function isNumeric(value) {
+  return value !== null && value !== '' && !isNaN(Number(value)) &&
+      ['number', 'string'].includes(typeof value);
+}
+
+/**
+ * Return the formatter function of a column.
+ * @param  {string|function} format A built-in formatter name with an optional
+ *     argument, e.g. `fixed:2`, or a function of `(value, item)`.
+ * @return {function} Function of `(value, item)`.
+ */
+function getFormatter(format) {
+  if (!format) return null;
+  if (typeof format === 'function') return format;
+
+  let [name, arg] = String(format).split(':');
+  assert(CsvFormatters[name], `Unknown CSV formatter: ${format}. Available ` +
+      `formatters: ${Object.keys(CsvFormatters).join(', ')}.`);
+  return (value) => CsvFormatters[name](value, arg);
+}
+
+/**
+ * Return the parser function of a column, which converts a formatted value
+ * back to its original type.
+ * @param  {object} column Column with `format`, and `parse` for custom
+ *     formatters.
+ * @return {function} Function of `(value)`, or null if not formatted.
+ */
+function getParser(column) {
+  if (column.parse) return column.parse;
+  if (!column.format || typeof column.format === 'function') return null;
+  return CsvParsers[String(column.format).split(':')[0]];
+}
+
+/**
+ * Normalize a column list in the config. A column is either a dotted path,
+ * or an object with `path`, and optionally `header` as the alias in the CSV
+ * header, `format` and `parse`. Values of built-in formatters are parsed back
+ * when reading. A custom `format` function takes a `parse` function for
+ * reading, which is required for properties in ReadBackPaths.
+ * @param  {Array<string|object>} columns
+ * @return {Array<object>} Columns with `header`, `path`, `formatter` and
+ *     `parser`, or null if not given.
+ */
+function normalizeColumns(columns) {
+  if (!columns) return null;
+  assert(Array.isArray(columns), 'CSV columns should be an array.');
+  return columns.map(column => {
+    if (typeof column === 'string') column = {path: column};
+    assert(column.path, 'Missing path in the CSV column ' +
+        JSON.stringify(column));
+    assert(typeof column.format !== 'function' || column.parse ||
+        !ReadBackPaths.includes(column.path),
+        `The CSV column ${column.path} requires a parse function with a ` +
+        `custom format, as AWP reads it back.`);
+    return {
+      header: column.header || column.path,
+      path: column.path,
+      formatter: getFormatter(column.format),
+      parser: getParser(column),
+    };
+  });
+}
 
 /**
  * the connector handles read and write actions with local JSON files as a data
  * store. This connector works together with `src/helpers/node-helper.js`.
+ *
+ * Available options in the `csv` property of awpConfig:
+ * - delimiter {string}: The column delimiter. Default: `,`.
+ * - quote {string}: The quote character. Default: `"`.
+ * - encoding {string}: The file encoding, e.g. `latin1`. Default: `utf8`.
+ * - columns {object}: Ordered column lists of `tests` and `results`. See
+ *     `normalizeColumns` for the format of columns. Only the listed columns
+ *     are written, and the values are formatted with `format`.
  */
 class CSVConnector extends Connector {
   constructor(config, apiHandler, envVars) {
     super(config, apiHandler, envVars);
+    config = config || {};
+    this.delimiter = config.delimiter || ',';
+    this.quote = config.quote || '"';
+    this.encoding = config.encoding || 'utf8';
+    assert(Buffer.isEncoding(this.encoding),
+        `Unsupported CSV encoding: ${this.encoding}`);
+
+    let columns = config.columns || {};
+    this.columns = {
+      tests: normalizeColumns(columns.tests),
+      results: normalizeColumns(columns.results),
+    };
+  }
+
+  /**
+   * Read the content of a file with the encoding, without the byte order
+   * mark, e.g. in files exported by Excel.
+   * @param  {string} filename
+   * @return {string}
+   */
+  readText(filename) {
+    let content = fs.readFileSync(filename).toString(this.encoding);
+    return content.replace(/^﻿/, '');
+  }
+
+  /**
+   * Return the headers in the first line of a CSV file.
+   * @param  {string} filename
+   * @return {Array<string>} Headers, or an empty array if the file doesn't
+   *     exist.
+   */
+  readHeaders(filename) {
+    if (!fs.existsSync(filename)) return [];
+    let rows = parse(this.readText(filename), {
+      delimiter: this.delimiter,
+      quote: this.quote,
+      to_line: 1,
+    });
+    return rows[0] || [];
   }
 
   /**
    * Reading CSV file and converts to nested JSON objects.
    * @param  {string} filename
+   * @param  {Array<object>} columns Normalized columns to convert header
+   *     aliases to paths, if any.
    * @return {Object} JSON object with nested properties.
    */
-  readCsv(filename) {
+  readCsv(filename, columns) {
     if (this.debug) {
-      console.log('reading csv file: ' + filename);
+      this.logger.debug('reading csv file: ' + filename);
     }
 
     if (fs.existsSync(filename)) {
-      let fileContent = fs.readFileSync(filename);
-      let data = parse(fileContent, {
+      let data = parse(this.readText(filename), {
         columns: true,
         relax_column_count: true,
+        delimiter: this.delimiter,
+        quote: this.quote,
+      });
+
+      // Rename header aliases to property paths, and parse formatted values.
+      (columns || []).forEach(column => {
+        data.forEach(item => {
+          if (!(column.header in item)) return;
+          let value = item[column.header];
+          delete item[column.header];
+          item[column.path] = column.parser ? column.parser(value) : value;
+        });
       });
       return this.convertJson(data);
 
@@ -57,24 +228,51 @@ class CSVConnector extends Connector {
   }
 
   /**
-   * Writing objects to a CSV file.
+   * Writing objects to a CSV file. With a column list, only the listed columns
+   * are written in the order. Otherwise, the existing columns of the file keep
+   * their order, with new columns appended.
    * @param  {string} filename
+   * @param  {Array<Object>} data
+   * @param  {Array<object>} columns Normalized columns, if any.
    */
-  writeCsv(filename, data) {
+  writeCsv(filename, data, columns) {
     if (this.debug) {
-      console.log('writing to csv file: ' + filename);
+      this.logger.debug('writing to csv file: ' + filename);
     }
 
     // Remove csv-specific metadata.
     data.forEach(item => {
       delete item.csv;
     });
-    
-    jsonexport(data, function(err, csv){
+
+    let headers;
+    if (columns) {
+      headers = columns.map(column => column.header);
+      data = data.map(item => {
+        let row = {};
+        columns.forEach(column => {
+          let value = getObject(item, column.path);
+          if (column.formatter) value = column.formatter(value, item);
+          if (Array.isArray(value)) value = value.join(',');
+          if (value && typeof value === 'object') value = JSON.stringify(value);
+          row[column.header] = value;
+        });
+        return row;
+      });
+    } else {
+      headers = this.readHeaders(filename);
+    }
+
+    let options = {
+      headers: headers,
+      rowDelimiter: this.delimiter,
+      textDelimiter: this.quote,
+    };
+    jsonexport(data, options, (err, csv) => {
       if (err) {
         throw new Error(err);
       }
-      fs.writeFileSync(filename, csv);
+      fs.writeFileSync(filename, csv, {encoding: this.encoding});
     });
   }
 
@@ -107,7 +305,7 @@ class CSVConnector extends Connector {
       throw new Error(`File "${this.testsPath}" not found.`);
     }
 
-    let tests = this.readCsv(this.testsPath);
+    let tests = this.readCsv(this.testsPath, this.columns.tests);
     assert(tests && tests.length > 0, `No tests found in ${this.testsPath}.`);
     return tests;
   }
@@ -120,7 +318,7 @@ class CSVConnector extends Connector {
     if (this.results) return this.results;
     assert(this.resultsPath, 'resultsPath is not defined.');
 
-    let results = this.readCsv(this.resultsPath);
+    let results = this.readCsv(this.resultsPath, this.columns.results);
     return results || [];
   }
 
@@ -133,11 +331,12 @@ class CSVConnector extends Connector {
   }
 
   /**
-   * Get all tests.
+   * Get all tests, supporting PatternFilter with `options.filters`.
    * @param  {Object} options
    * @return {Array<Object>} Array of Test objects.
    */
   getTestList(options) {
+    options = options || {};
     let tests = this.getTests();
 
     // Manually add index to all test objects.
@@ -148,7 +347,19 @@ class CSVConnector extends Connector {
       }
     });
 
-    return tests;
+    return patternFilter(tests, options.filters);
+  }
+
+  /**
+   * Validate Tests with values read as strings.
+   * @param  {Array<object>} tests List of Test objects.
+   * @param  {object} options
+   * @return {Array<object>} List of errors with `path` and `message`.
+   */
+  validateTestList(tests, options) {
+    return super.validateTestList(tests, Object.assign({}, options, {
+      coerceStrings: true,
+    }));
   }
 
   /**
@@ -174,27 +385,43 @@ class CSVConnector extends Connector {
       index++;
     })
 
-    this.writeCsv(this.testsPath, testsToUpdate);
+    this.writeCsv(this.testsPath, testsToUpdate, this.columns.tests);
+
+    // Reset the tests cache.
+    this.tests = null;
+  }
+
+  /**
+   * Append tests to the existing test list, or create the CSV file if it
+   * doesn't exist.
+   * @param {Array<Object>} newTests Array of new Test objects.
+   * @param  {Object} options
+   */
+  appendTestList(newTests, options) {
+    assert(this.testsPath, 'testsPath is not defined.');
+    let tests = this.readCsv(this.testsPath, this.columns.tests) || [];
+    this.writeCsv(this.testsPath, tests.concat(newTests), this.columns.tests);
 
     // Reset the tests cache.
     this.tests = null;
   }
 
   /**
-   * Get all results.
+   * Get all results, supporting PatternFilter with `options.filters`.
    * @param  {Object} options
    * @return {Array<Object>} Array of Result objects.
    */
   getResultList(options) {
+    options = options || {};
     let results;
     try {
       results = this.getResults();
 
     } catch (error) {
-      console.log(error);
+      this.logger.error(error);
 
     } finally {
-      return results || [];
+      return patternFilter(results || [], options.filters);
     }
   }
 
@@ -208,10 +435,11 @@ class CSVConnector extends Connector {
     let results = options.overrideResults ? [] : this.getResultList();
 
     if (this.debug) {
-      console.log(`Appending ${newResults.length} results to the existing ` +
-          `file at ${this.resultsPath}`);
+      this.logger.debug(`Appending ${newResults.length} results to the ` +
+          `existing file at ${this.resultsPath}`);
     }
-    this.writeCsv(this.resultsPath, results.concat(newResults));
+    this.writeCsv(this.resultsPath, results.concat(newResults),
+        this.columns.results);
 
     // Reset the results json cache.
     this.results = null;
@@ -234,7 +462,7 @@ class CSVConnector extends Connector {
       return idToResults[result.id] || result;
     });
 
-    this.writeCsv(this.resultsPath, results);
+    this.writeCsv(this.resultsPath, results, this.columns.results);
 
     // Reset the results json cache.
     this.results = null;
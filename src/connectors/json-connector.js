@@ -20,18 +20,66 @@ const fse = require('fs-extra');
 const path = require('path');
 const assert = require('../utils/assert');
 const Connector = require('./connector');
+const patternFilter = require('../utils/pattern-filter');
+const {acquireLockAsync} = require('../utils/lockfile');
+const {writeFileAtomic} = require('../utils/atomic-write');
 
 /**
  * the connector handles read and write actions with local JSON files as a data
  * store. This connector works together with `src/helpers/node-helper.js`.
+ *
+ * Each read-modify-write of a file holds the lockfile `<file>.write.lock`, and
+ * the file is replaced atomically, so that concurrent processes or crashes
+ * don't corrupt or lose Tests and Results.
+ *
+ * Available options in the `json` property of awpConfig:
+ * - backups {number}: Number of rolling backups of the previous file to keep
+ *     as `<file>.bak.1`, `<file>.bak.2`, etc. Default: 0.
+ * - lockTimeout {number}: Milliseconds to wait for the lockfile held by
+ *     another process. Waiting doesn't block other async work like API calls.
+ *     Default: 10000.
+ *
  * @param  {Object} config The config object for initializing this connector.
  * @param  {Object} apiHandler ApiHandler instance initialized in awp-core.
  */
 class JSONConnector extends Connector {
   constructor(config, apiHandler, envVars) {
     super(config, apiHandler, envVars);
+    config = config || {};
     this.tests = null;
     this.results = null;
+    this.backups = config.backups || 0;
+    this.lockTimeout = config.lockTimeout === undefined ?
+        10000 : config.lockTimeout;
+  }
+
+  /**
+   * Run the callback while holding the write lock of a file.
+   * @param  {string} filepath
+   * @param  {function} callback
+   * @return {Promise<any>} The return value of the callback.
+   */
+  async withFileLock(filepath, callback) {
+    let release = await acquireLockAsync(`${filepath}.write.lock`, {
+      timeout: this.lockTimeout,
+    });
+    try {
+      return callback();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Write a JSON object to a file atomically, with backups of the previous
+   * file if enabled.
+   * @param  {string} filepath
+   * @param  {object} json
+   */
+  writeJson(filepath, json) {
+    writeFileAtomic(filepath, JSON.stringify(json, null, 2), {
+      backups: this.backups,
+    });
   }
 
   getTestsJson() {
@@ -57,12 +105,18 @@ class JSONConnector extends Connector {
   }
 
   getEnvVars() {
+    // The tests file may not exist yet, e.g. the destination of migrate.
+    if (!this.tests && this.testsPath &&
+        !fse.existsSync(path.resolve(`${this.testsPath}`))) {
+      return {};
+    }
     let tests = this.getTestsJson();
     let envVars = (tests || {}).envVars;
     return envVars;
   }
 
   getTestList(options) {
+    options = options || {};
     let tests = this.getTestsJson();
 
     // Manually add index to all test objects.
@@ -73,82 +127,106 @@ class JSONConnector extends Connector {
       }
     });
 
-    return tests.tests;
+    return patternFilter(tests.tests, options.filters);
   }
 
-  updateTestList(newTests) {
+  async updateTestList(newTests) {
     let filepath = path.resolve(`${this.testsPath}`);
-    let tests = this.getTestList();
-
-    let rowIndexToTests = {};
-    newTests.forEach(newTest => {
-      rowIndexToTests[newTest.json.index] = newTest;
-    });
-
-    let index = 0;
-    let testsToUpdate = [];
-    tests.forEach(test => {
-      test = rowIndexToTests[index] || test;
-      delete test.json;
-      testsToUpdate.push(test);
-      index++;
-    })
-
-    fse.outputFileSync(
-      filepath,
-      JSON.stringify({
+    await this.withFileLock(filepath, () => {
+      let tests = this.getTestList();
+
+      let rowIndexToTests = {};
+      newTests.forEach(newTest => {
+        rowIndexToTests[newTest.json.index] = newTest;
+      });
+
+      let index = 0;
+      let testsToUpdate = [];
+      tests.forEach(test => {
+        test = rowIndexToTests[index] || test;
+        delete test.json;
+        testsToUpdate.push(test);
+        index++;
+      })
+
+      this.writeJson(filepath, {
         envVars: this.getEnvVars(),
         tests: testsToUpdate,
-      }, null, 2));
+      });
+    });
+
+    // Reset the tests json cache.
+    this.tests = null;
+  }
+
+  async appendTestList(newTests, options) {
+    let filepath = path.resolve(`${this.testsPath}`);
+    await this.withFileLock(filepath, () => {
+      let tests = fse.existsSync(filepath) ? this.getTestList() : [];
+      tests.forEach(test => {
+        delete test.json;
+      });
+
+      this.writeJson(filepath, {
+        envVars: this.getEnvVars() || {},
+        tests: tests.concat(newTests),
+      });
+    });
 
     // Reset the tests json cache.
     this.tests = null;
   }
 
   getResultList(options) {
+    options = options || {};
     let results = [];
     try {
       let json = this.getResultsJson();
-      results = json.results || [];
+      results = patternFilter(json.results || [], options.filters);
 
     } catch (error) {
-      console.log(error);
+      this.logger.error(error);
 
     } finally {
       return results;
     }
   }
 
-  appendResultList(newResults, options) {
+  async appendResultList(newResults, options) {
     options = options || {};
-    let results = options.overrideResults ? [] : this.getResultList();
-    fse.outputFileSync(
-      path.resolve(`${this.resultsPath}`),
-      JSON.stringify({
+    let filepath = path.resolve(`${this.resultsPath}`);
+    await this.withFileLock(filepath, () => {
+      // Unlike getResultList, throw with unreadable files instead of
+      // overwriting them.
+      let results = options.overrideResults ? [] :
+          this.getResultsJson().results || [];
+      this.writeJson(filepath, {
         results: results.concat(newResults),
-      }, null, 2));
+      });
+    });
 
     // Reset the results json cache.
     this.results = null;
   }
 
-  updateResultList(newResults, options) {
-    let results = this.getResultList();
-    let idToResults = {};
+  async updateResultList(newResults, options) {
+    let filepath = path.resolve(`${this.resultsPath}`);
+    await this.withFileLock(filepath, () => {
+      let results = this.getResultsJson().results || [];
+      let idToResults = {};
 
-    newResults.forEach(result => {
-      idToResults[result.id] = result;
-    });
+      newResults.forEach(result => {
+        idToResults[result.id] = result;
+      });
 
-    results = results.map(result => {
-      return idToResults[result.id] || result;
-    });
+      results = results.map(result => {
+        return idToResults[result.id] || result;
+      });
 
-    fse.outputFileSync(
-      path.resolve(`${this.resultsPath}`),
-      JSON.stringify({
+      this.writeJson(filepath, {
         results: results,
-      }, null, 2));
+      });
+    });
 
     // Reset the results json cache.
     this.results = null;
@@ -44,6 +44,10 @@ class MultiConnector extends Connector {
     return this.testsConnector.updateTestList(newTests, options);
   }
 
+  validateTestList(tests, options) {
+    return this.testsConnector.validateTestList(tests, options);
+  }
+
   getResultList(options) {
     return this.resultsConnector.getResultList(options);
   }
@@ -0,0 +1,232 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const path = require('path');
+const assert = require('../utils/assert');
+const Connector = require('./connector');
+const patternFilter = require('../utils/pattern-filter');
+const {stableStringify} = require('../utils/fingerprint');
+
+/**
+ * The connector writes Results to a local JSON Lines file, one Result per
+ * line, which can be tailed and shipped to a log pipeline. The file is
+ * append-only:
+ * - `appendResultList` appends a line for each new Result.
+ * - `updateResultList` appends a new version of each changed Result, e.g. when
+ *   a WebPageTest Result turns from Submitted to Retrieved.
+ * - `getResultList` returns the latest version of each Result id.
+ *
+ * Each line has the metadata `ndjson: {version, recordedTimestamp}`, and
+ * versions start from 1. This connector only works with the `Results` path.
+ *
+ * Usage example:
+ *
+ * ./awp run examples/tests.json ndjson:output/results.ndjson
+ */
+class NDJSONConnector extends Connector {
+  constructor(config, apiHandler, envVars) {
+    super(config, apiHandler, envVars);
+  }
+
+  /**
+   * Read all records in the file, skipping lines that are not valid JSON,
+   * e.g. a partial line being written by another process.
+   * @return {Array<Object>} Records in the order of lines.
+   */
+  readRecords() {
+    assert(this.resultsPath, 'resultsPath is not defined.');
+    let filepath = path.resolve(this.resultsPath);
+    if (!fse.existsSync(filepath)) return [];
+
+    let records = [];
+    fse.readFileSync(filepath).toString().split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        if (this.debug) {
+          this.logger.warn(`Skipped invalid JSON at line ${i + 1} of ` +
+              `${this.resultsPath}`);
+        }
+      }
+    });
+    return records;
+  }
+
+  /**
+   * Append records as lines, starting on a new line even if the file ends
+   * with a partial line.
+   * @param  {Array<Object>} records
+   * @param  {boolean} overrideRecords Whether to replace the file.
+   */
+  writeRecords(records, overrideRecords) {
+    let filepath = path.resolve(this.resultsPath);
+    let content = records.map(record => JSON.stringify(record) + '\n')
+        .join('');
+    if (overrideRecords) {
+      fse.outputFileSync(filepath, content);
+      return;
+    }
+
+    fse.ensureDirSync(path.dirname(filepath));
+    if (fse.existsSync(filepath)) {
+      let size = fse.statSync(filepath).size;
+      if (size > 0) {
+        let lastChar = Buffer.alloc(1);
+        let fd = fse.openSync(filepath, 'r');
+        fse.readSync(fd, lastChar, 0, 1, size - 1);
+        fse.closeSync(fd);
+        if (lastChar.toString() !== '\n') content = '\n' + content;
+      }
+    }
+    fse.appendFileSync(filepath, content);
+  }
+
+  /**
+   * Return the latest record of each Result id, in the order of the first
+   * record of each id. Results without id are kept as they are.
+   * @param  {Array<Object>} records
+   * @return {Array<Object>} Latest records.
+   */
+  compactRecords(records) {
+    let latest = new Map(), noIdCount = 0;
+    records.forEach(record => {
+      let key = record.id !== undefined ? `id:${record.id}` :
+          `line:${noIdCount++}`;
+      let previous = latest.get(key);
+      if (!previous || getVersion(record) >= getVersion(previous)) {
+        latest.set(key, record);
+      }
+    });
+    return [...latest.values()];
+  }
+
+  /**
+   * Return EnvVars set.
+   * @return {Object} EnvVars object.
+   */
+  getEnvVars() {
+    return this.envVars;
+  }
+
+  getTestList(options) {
+    throw new Error('The ndjson connector only supports the Results path.');
+  }
+
+  updateTestList(newTests, options) {
+    throw new Error('The ndjson connector only supports the Results path.');
+  }
+
+  /**
+   * Get the latest version of all results, supporting PatternFilter with
+   * `options.filters`.
+   * @param  {Object} options
+   * @return {Array<Object>} Array of Result objects.
+   */
+  getResultList(options) {
+    options = options || {};
+    let results = this.compactRecords(this.readRecords()).map(record => {
+      let result = Object.assign({}, record);
+      delete result.ndjson;
+      return result;
+    });
+    return patternFilter(results, options.filters);
+  }
+
+  /**
+   * Append results as new lines with version 1. With
+   * `options.overrideResults`, the file is replaced instead.
+   * @param {Array<Object>} newResults Array of new Result objects.
+   * @param {Object} options
+   */
+  appendResultList(newResults, options) {
+    options = options || {};
+    if (this.debug) {
+      this.logger.debug(`Appending ${newResults.length} results to ` +
+          `${this.resultsPath}`);
+    }
+    let recordedTimestamp = Date.now();
+    this.writeRecords(newResults.map(result => {
+      return toRecord(result, 1, recordedTimestamp);
+    }), options.overrideResults);
+  }
+
+  /**
+   * Append a new version of each existing Result with the same id. Results
+   * unchanged except for `modifiedTimestamp` are skipped, so polling pending
+   * Results doesn't add lines until their status or data changes.
+   * @param {Array<Object>} newResults Array of new Result objects.
+   * @param {Object} options
+   */
+  updateResultList(newResults, options) {
+    let latest = {};
+    this.compactRecords(this.readRecords()).forEach(record => {
+      if (record.id !== undefined) latest[record.id] = record;
+    });
+
+    let recordedTimestamp = Date.now();
+    let records = [];
+    newResults.forEach(result => {
+      let previous = latest[result.id];
+      if (!previous || !hasChanged(previous, result)) return;
+      let record = toRecord(result, getVersion(previous) + 1,
+          recordedTimestamp);
+      latest[result.id] = record;
+      records.push(record);
+    });
+
+    if (this.debug) {
+      this.logger.debug(`Appending ${records.length} new versions of results to ` +
+          `${this.resultsPath}`);
+    }
+    if (records.length > 0) this.writeRecords(records);
+  }
+}
+
+function getVersion(record) {
+  return Number((record.ndjson || {}).version) || 1;
+}
+
+function toRecord(result, version, recordedTimestamp) {
+  return Object.assign({}, result, {
+    ndjson: {
+      version: version,
+      recordedTimestamp: recordedTimestamp,
+    },
+  });
+}
+
+/**
+ * Whether a Result has changed from the previous record, ignoring the
+ * metadata and `modifiedTimestamp`.
+ * @param  {Object} previous The previous record.
+ * @param  {Object} result The new Result.
+ * @return {boolean}
+ */
+function hasChanged(previous, result) {
+  let normalize = (item) => {
+    let copy = Object.assign({}, item);
+    delete copy.ndjson;
+    delete copy.modifiedTimestamp;
+    return stableStringify(copy);
+  };
+  return normalize(previous) !== normalize(result);
+}
+
+module.exports = NDJSONConnector;
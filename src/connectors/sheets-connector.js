@@ -20,6 +20,7 @@ const assert = require('../utils/assert');
 const setObject = require('../utils/set-object');
 const flattenObject = require('../../src/utils/flatten-object');
 const Connector = require('./connector');
+const patternFilter = require('../utils/pattern-filter');
 const { GoogleSpreadsheet } = require('google-spreadsheet');
 
 /**
@@ -110,8 +111,8 @@ class SheetsConnector extends Connector {
     });
 
     if (this.debug) {
-      console.log('Updating sheet headers:');
-      console.log(newHeaders);
+      this.logger.debug('Updating sheet headers:');
+      this.logger.debug(newHeaders);
     }
 
     await sheet.setHeaderRow(newHeaders);
@@ -123,8 +124,8 @@ class SheetsConnector extends Connector {
     const rows = await sheet.getRows();
 
     if (this.debug) {
-      console.log('Updating to sheet:');
-      console.log(newObjs);
+      this.logger.debug('Updating to sheet:');
+      this.logger.debug(newObjs);
     }
 
     for (const newObj of newObjs) {
@@ -132,8 +133,8 @@ class SheetsConnector extends Connector {
       delete newObj['sheets.index'];
 
       if (typeof(rowIndex) === 'undefined') {
-        console.error('Unable to locate a specific row to Sheets.');
-        console.log(newObj);
+        this.logger.error('Unable to locate a specific row to Sheets.');
+        this.logger.error(newObj);
         throw new Error('Unable to locate a specific row to Sheets.');
       }
 
@@ -158,7 +159,9 @@ class SheetsConnector extends Connector {
 
       if (!headers) return [];
     } catch (e) {
-      if (this.debug || this.verbose) console.log('SheetsAPI: ' + e.message);
+      if (this.debug || this.verbose) {
+        this.logger.info('SheetsAPI: ' + e.message);
+      }
       if (e.message.includes('No values in the header row')) {
         return [];
       }
@@ -192,12 +195,12 @@ class SheetsConnector extends Connector {
     await this.updateHeaders(sheet, rowsToAdd);
 
     if (this.debug) {
-      console.log('rowsToAdd:');
-      console.log(rowsToAdd);
+      this.logger.debug('rowsToAdd:');
+      this.logger.debug(rowsToAdd);
     }
 
     if (this.verbose) {
-      console.log(`Adding ${rowsToAdd.length} rows to result sheet.`);
+      this.logger.info(`Adding ${rowsToAdd.length} rows to result sheet.`);
     }
 
     if (overrideResults) {
@@ -228,20 +231,34 @@ class SheetsConnector extends Connector {
   }
 
   /**
-   * Get all tests.
+   * Get all tests, supporting PatternFilter with `options.filters`.
    * @param  {Object} options
    * @return {Array<Object>} Array of Test objects.
    */
   async getTestList(options) {
+    options = options || {};
     let tests = await this.readSheetData(await this.getTestsSheet());
     tests = this.jsonify(tests);
 
     if (this.debug) {
-      console.log(`SheetsAPI: Got tests from sheet "${this.testsSheetName}":`);
-      console.log(tests);
+      this.logger.debug(
+          `SheetsAPI: Got tests from sheet "${this.testsSheetName}":`);
+      this.logger.debug(tests);
     }
 
-    return tests;
+    return patternFilter(tests, options.filters);
+  }
+
+  /**
+   * Validate Tests with values read as strings.
+   * @param  {Array<object>} tests List of Test objects.
+   * @param  {object} options
+   * @return {Array<object>} List of errors with `path` and `message`.
+   */
+  validateTestList(tests, options) {
+    return super.validateTestList(tests, Object.assign({}, options, {
+      coerceStrings: true,
+    }));
   }
 
   /**
@@ -258,6 +275,16 @@ class SheetsConnector extends Connector {
     await this.updateSheetData(await this.getTestsSheet(), rowsToAdd);
     this.tests = null;    
   }
+
+  /**
+   * Append tests to the Tests sheet.
+   * @param {Array<Object>} newTests Array of new Test objects.
+   * @param  {Object} options
+   */
+  async appendTestList(newTests, options) {
+    await this.writeSheetData(await this.getTestsSheet(), newTests);
+    this.tests = null;
+  }
   
   /**
    * Get all results.
@@ -270,27 +297,29 @@ class SheetsConnector extends Connector {
 
     let results = await this.readSheetData(await this.getResultsSheet());
     if (this.debug) {
-      console.log(`SheetsAPI: Got tests from sheet "${this.resultsSheetName}":`);
-      console.log(results);
+      this.logger.debug(
+          `SheetsAPI: Got tests from sheet "${this.resultsSheetName}":`);
+      this.logger.debug(results);
     }
     return results;
   }
 
   /**
-   * Get all results.
+   * Get all results, supporting PatternFilter with `options.filters`.
    * @param  {Object} options
    * @return {Array<Object>} Array of Result objects.
    */
   async getResultList(options) {
+    options = options || {};
     let results;
     try {
       results = await this.getResults();
 
     } catch (error) {
-      console.log(error);
+      this.logger.error(error);
 
     } finally {
-      return results || [];
+      return patternFilter(results || [], options.filters);
     }
   }
 
@@ -304,8 +333,8 @@ class SheetsConnector extends Connector {
     let idToResults = {};
 
     if (this.debug) {
-      console.log(`Appending ${newResults.length} results to the existing ` +
-          `file at ${this.resultsPath}`);
+      this.logger.debug(`Appending ${newResults.length} results to the ` +
+          `existing file at ${this.resultsPath}`);
     }
 
     await this.writeSheetData(await this.getResultsSheet(), newResults, 
@@ -0,0 +1,402 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const path = require('path');
+const assert = require('../utils/assert');
+const Connector = require('./connector');
+const patternFilter = require('../utils/pattern-filter');
+
+/**
+ * Indexed columns of each table, with the function to get the column value
+ * from a Test or Result object. The whole object is stored as JSON in the
+ * `data` column.
+ */
+const TableColumns = {
+  tests: {
+    id: item => item.id,
+    label: item => item.label,
+    url: item => item.url || item.origin,
+    gatherer: item => getGathererColumn(item.gatherer),
+    selected: item => item.selected ? 1 : 0,
+    nextTriggerTimestamp: item => (item.recurring || {}).nextTriggerTimestamp,
+  },
+  results: {
+    id: item => item.id,
+    label: item => item.label,
+    url: item => item.url || item.origin,
+    status: item => item.status,
+    gatherer: item => getGathererColumn(item.gatherer),
+    type: item => item.type,
+    createdTimestamp: item => item.createdTimestamp,
+    modifiedTimestamp: item => item.modifiedTimestamp,
+  },
+};
+
+const IntegerColumns = ['selected', 'nextTriggerTimestamp', 'createdTimestamp',
+    'modifiedTimestamp'];
+
+function getGathererColumn(gatherer) {
+  return Array.isArray(gatherer) ? gatherer.join(',') : gatherer;
+}
+
+/**
+ * Parse a string literal or a number in a filter expression.
+ * @param  {string} literal E.g. "Submitted", 'web.dev' or 1600000000000.
+ * @return {object} Object with the parsed `value`, or null if not a literal.
+ */
+function parseLiteral(literal) {
+  literal = literal.trim();
+  if (/^-?\d+(\.\d+)?$/.test(literal)) return {value: Number(literal)};
+  if (/^"(?:[^"\\]|\\.)*"$/.test(literal)) {
+    return {value: JSON.parse(literal)};
+  }
+  if (/^'(?:[^'\\]|\\.)*'$/.test(literal)) {
+    return {value: JSON.parse(
+        '"' + literal.slice(1, -1).replace(/\\'/g, '\'')
+        .replace(/"/g, '\\"') + '"')};
+  }
+  return null;
+}
+
+/**
+ * Parse a regular expression that only matches a list of exact values, e.g.
+ * `^(?:web\.dev|YouTube)$` from the `--label` option.
+ * @param  {string} pattern
+ * @return {Array<string>} The exact values, or null if it matches anything
+ *     else.
+ */
+function parseExactValues(pattern) {
+  let match = pattern.match(/^\^\(\?:(.*)\)\$$/);
+  if (!match) return null;
+
+  let values = [''], body = match[1];
+  for (let i = 0; i < body.length; i++) {
+    let char = body[i];
+    if (char === '\\') {
+      if (i + 1 >= body.length || /[\w]/.test(body[i + 1])) return null;
+      values[values.length - 1] += body[++i];
+    } else if (char === '|') {
+      values.push('');
+    } else if ('.*+?^${}()[]'.includes(char)) {
+      return null;
+    } else {
+      values[values.length - 1] += char;
+    }
+  }
+  return values;
+}
+
+/**
+ * Convert a filter expression into a SQL condition on an indexed column, if
+ * it's a simple comparison, e.g. `status==="Submitted"`,
+ * `createdTimestamp>=1600000000000`, `label.match("^(?:web\\.dev)$")` or
+ * `selected`. The condition may match more rows than the filter, e.g. with
+ * loose type conversions, as the filter is applied again to the rows.
+ * @param  {string} filter Filter expression of `src/utils/pattern-filter.js`.
+ * @param  {Array<string>} columns Names of indexed columns.
+ * @return {object} Object with `sql` and `params`, or null if not supported.
+ */
+function toSqlCondition(filter, columns) {
+  filter = (filter || '').trim();
+  if (filter === 'selected' && columns.includes('selected')) {
+    return {sql: 'selected = 1', params: []};
+  }
+
+  let match = filter.match(/^(\w+)\s*(===|==|>=|<=|>|<)\s*(.+)$/);
+  if (match && columns.includes(match[1])) {
+    let literal = parseLiteral(match[3]);
+    if (!literal) return null;
+    let isEquality = ['===', '=='].includes(match[2]);
+    if (!isEquality && typeof literal.value !== 'number') return null;
+    return {
+      sql: `${match[1]} ${isEquality ? '=' : match[2]} ?`,
+      params: [literal.value],
+    };
+  }
+
+  match = filter.match(/^(\w+)\.match\((.+)\)$/);
+  if (match && columns.includes(match[1])) {
+    let literal = parseLiteral(match[2]);
+    let values = literal && typeof literal.value === 'string' ?
+        parseExactValues(literal.value) : null;
+    if (!values) return null;
+    return {
+      sql: `${match[1]} IN (${values.map(() => '?').join(', ')})`,
+      params: values,
+    };
+  }
+  return null;
+}
+
+/**
+ * The connector handles read and write actions with a local SQLite database
+ * file, with a `tests` table and a `results` table. Each Test or Result object
+ * is stored as JSON, with indexed columns of its id, label, url, status,
+ * gatherer and timestamps. Appending or updating Results only writes the
+ * given rows, instead of rewriting the whole file.
+ *
+ * Tests and Results can be stored in the same database file, e.g.
+ * `./awp run sqlite:output/awp.db sqlite:output/awp.db`.
+ */
+/**
+ * Load better-sqlite3, which is an optional dependency as it builds a native
+ * module.
+ * @return {function} Database class of better-sqlite3.
+ */
+function loadDatabase() {
+  try {
+    return require('better-sqlite3');
+  } catch (e) {
+    if (e.code !== 'MODULE_NOT_FOUND') throw e;
+    throw new Error('Unable to load better-sqlite3. Please install ' +
+        'better-sqlite3 to use the sqlite connector: ' +
+        '`npm install better-sqlite3`.');
+  }
+}
+
+class SQLiteConnector extends Connector {
+  constructor(config, apiHandler, envVars) {
+    super(config, apiHandler, envVars);
+    this.Database = loadDatabase();
+    this.dbs = {};
+  }
+
+  /**
+   * Open the database file and create the tables if not exist. Databases are
+   * shared by the tests and results with the same path.
+   * @param  {string} filepath
+   * @return {object} Database instance of better-sqlite3.
+   */
+  getDatabase(filepath) {
+    assert(filepath, 'The path of the SQLite database is not defined.');
+    filepath = path.resolve(filepath);
+    if (this.dbs[filepath]) return this.dbs[filepath];
+
+    if (this.debug) this.logger.debug(`Opening SQLite database: ${filepath}`);
+    fse.ensureDirSync(path.dirname(filepath));
+    let db = new this.Database(filepath);
+    db.pragma('journal_mode = WAL');
+
+    Object.keys(TableColumns).forEach(table => {
+      let columns = Object.keys(TableColumns[table]).map(column => {
+        return `${column} ${IntegerColumns.includes(column) ?
+            'INTEGER' : 'TEXT'}`;
+      });
+      db.exec(`CREATE TABLE IF NOT EXISTS ${table} (` +
+          `rowIndex INTEGER PRIMARY KEY AUTOINCREMENT, ` +
+          `${columns.join(', ')}, data TEXT NOT NULL)`);
+      Object.keys(TableColumns[table]).forEach(column => {
+        db.exec(`CREATE INDEX IF NOT EXISTS ${table}_${column} ` +
+            `ON ${table} (${column})`);
+      });
+    });
+
+    this.dbs[filepath] = db;
+    return db;
+  }
+
+  /**
+   * Close all opened databases.
+   */
+  close() {
+    Object.keys(this.dbs).forEach(filepath => this.dbs[filepath].close());
+    this.dbs = {};
+  }
+
+  /**
+   * Return the values of indexed columns and the JSON data of an item,
+   * without the sqlite-specific metadata.
+   * @param  {string} table Either tests or results.
+   * @param  {object} item Test or Result object.
+   * @return {object} Column values.
+   */
+  toRow(table, item) {
+    let data = Object.assign({}, item);
+    delete data.sqlite;
+
+    let row = {};
+    Object.keys(TableColumns[table]).forEach(column => {
+      let value = TableColumns[table][column](data);
+      if (value === undefined) value = null;
+      if (typeof value === 'boolean') value = value ? 1 : 0;
+      if (value && typeof value === 'object') value = JSON.stringify(value);
+      row[column] = value;
+    });
+    row.data = JSON.stringify(data);
+    return row;
+  }
+
+  /**
+   * Select items from a table, with filters of simple comparisons run in SQL.
+   * All filters are applied again with PatternFilter for the same results as
+   * other connectors.
+   * @param  {object} db Database instance.
+   * @param  {string} table Either tests or results.
+   * @param  {Array<string>} filters
+   * @return {Array<object>} Rows with `rowIndex` and the parsed `item`.
+   */
+  selectItems(db, table, filters) {
+    let conditions = (filters || []).map(filter => {
+      return toSqlCondition(filter, Object.keys(TableColumns[table]));
+    }).filter(condition => condition);
+
+    let sql = `SELECT rowIndex, data FROM ${table}` + (conditions.length > 0 ?
+        ' WHERE ' + conditions.map(c => `(${c.sql})`).join(' AND ') : '') +
+        ' ORDER BY rowIndex';
+    let params = [].concat(...conditions.map(c => c.params));
+    if (this.debug) this.logger.debug(`SQLite: ${sql}`, params);
+
+    return db.prepare(sql).all(params).map(row => {
+      return {rowIndex: row.rowIndex, item: JSON.parse(row.data)};
+    });
+  }
+
+  /**
+   * Insert items to a table in a transaction.
+   * @param  {object} db Database instance.
+   * @param  {string} table Either tests or results.
+   * @param  {Array<object>} items
+   * @param  {boolean} overrideItems Whether to delete existing items first.
+   */
+  insertItems(db, table, items, overrideItems) {
+    let columns = Object.keys(TableColumns[table]).concat(['data']);
+    let insert = db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) ` +
+        `VALUES (${columns.map(column => `@${column}`).join(', ')})`);
+
+    db.transaction(() => {
+      if (overrideItems) db.prepare(`DELETE FROM ${table}`).run();
+      items.forEach(item => insert.run(this.toRow(table, item)));
+    })();
+  }
+
+  /**
+   * Update items in a table in a transaction, matched by the given column.
+   * @param  {object} db Database instance.
+   * @param  {string} table Either tests or results.
+   * @param  {Array<object>} items
+   * @param  {function} getKey Function to return `{column, value}` of an item
+   *     to match rows.
+   */
+  updateItems(db, table, items, getKey) {
+    let columns = Object.keys(TableColumns[table]).concat(['data']);
+    let assignments = columns.map(column => `${column} = @${column}`);
+    let statements = {};
+
+    db.transaction(() => {
+      items.forEach(item => {
+        let key = getKey(item);
+        statements[key.column] = statements[key.column] || db.prepare(
+            `UPDATE ${table} SET ${assignments.join(', ')} ` +
+            `WHERE ${key.column} = @key`);
+        statements[key.column].run(Object.assign(this.toRow(table, item), {
+          key: key.value,
+        }));
+      });
+    })();
+  }
+
+  /**
+   * Return EnvVars set.
+   * @return {Object} EnvVars object.
+   */
+  getEnvVars() {
+    return this.envVars;
+  }
+
+  /**
+   * Get all tests, supporting PatternFilter with `options.filters`.
+   * @param  {Object} options
+   * @return {Array<Object>} Array of Test objects.
+   */
+  getTestList(options) {
+    options = options || {};
+    let rows = this.selectItems(this.getDatabase(this.testsPath), 'tests',
+        options.filters);
+    let tests = rows.map(row => {
+      row.item.sqlite = {
+        index: row.rowIndex,
+      };
+      return row.item;
+    });
+    return patternFilter(tests, options.filters);
+  }
+
+  /**
+   * Update tests with the given new test objects, matched by the row index in
+   * `test.sqlite.index`.
+   * @param {Array<Object>} newTests Array of new Test objects.
+   * @param  {Object} options
+   */
+  updateTestList(newTests, options) {
+    let getKey = (test) => {
+      assert(test.sqlite, 'Missing sqlite.index in the Test.');
+      return {column: 'rowIndex', value: test.sqlite.index};
+    };
+    this.updateItems(this.getDatabase(this.testsPath), 'tests', newTests,
+        getKey);
+  }
+
+  /**
+   * Append tests to the existing test list.
+   * @param {Array<Object>} newTests Array of new Test objects.
+   * @param  {Object} options
+   */
+  appendTestList(newTests, options) {
+    this.insertItems(this.getDatabase(this.testsPath), 'tests', newTests);
+  }
+
+  /**
+   * Get all results, supporting PatternFilter with `options.filters`.
+   * @param  {Object} options
+   * @return {Array<Object>} Array of Result objects.
+   */
+  getResultList(options) {
+    options = options || {};
+    let rows = this.selectItems(this.getDatabase(this.resultsPath), 'results',
+        options.filters);
+    return patternFilter(rows.map(row => row.item), options.filters);
+  }
+
+  /**
+   * Append results to the existing result list.
+   * @param {Array<Object>} newResults Array of new Result objects.
+   * @param {Object} options
+   */
+  appendResultList(newResults, options) {
+    options = options || {};
+    if (this.debug) {
+      this.logger.debug(`Appending ${newResults.length} results to ` +
+          `${this.resultsPath}`);
+    }
+    this.insertItems(this.getDatabase(this.resultsPath), 'results',
+        newResults, options.overrideResults);
+  }
+
+  /**
+   * Update existing results with the same ids.
+   * @param {Array<Object>} newResults Array of new Result objects.
+   * @param {Object} options
+   */
+  updateResultList(newResults, options) {
+    this.updateItems(this.getDatabase(this.resultsPath), 'results', newResults,
+        result => ({column: 'id', value: result.id}));
+  }
+}
+
+module.exports = SQLiteConnector;
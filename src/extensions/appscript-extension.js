@@ -17,6 +17,7 @@
 'use strict';
 
 const assert = require('../utils/assert');
+const {createLogger} = require('../utils/logger');
 const Status = require('../common/status');
 const {TestType} = require('../common/types');
 const setObject = require('../utils/set-object');
@@ -55,6 +56,7 @@ class AppScriptExtension extends Extension {
     assert(config.gaAccount, 'gaAccount is missing in config.');
 
     this.envVars = envVars;
+    this.logger = createLogger(config.logger);
     this.connector = config.connector;
     this.apiHandler = config.apiHandler;
     this.userTimeZone = AppScriptHelper.getUserTimeZone();
@@ -165,13 +167,15 @@ class AppScriptExtension extends Extension {
 
     if (pendingResults.length > 0) {
       let triggerId = this.connector.getSystemVar(SystemVars.RETRIEVE_TRIGGER_ID);
-      if (options.verbose) console.log(`${SystemVars.RETRIEVE_TRIGGER_ID} = ${triggerId}`);
+      if (options.verbose) {
+        this.logger.info(`${SystemVars.RETRIEVE_TRIGGER_ID} = ${triggerId}`);
+      }
 
       if (!triggerId) {
         triggerId = AppScriptHelper.createTimeBasedTrigger(
             RETRIEVE_PENDING_RESULTS_FUNC, 10 /* minutes */);
         this.connector.setSystemVar(SystemVars.RETRIEVE_TRIGGER_ID, triggerId);
-        if (options.verbose) console.log(
+        if (options.verbose) this.logger.info(
             `Time-based Trigger created for RETRIEVE_PENDING_RESULTS_FUNC: ${triggerId}`);
       }
     }
@@ -226,9 +230,21 @@ class AppScriptExtension extends Extension {
       pendingResults = pendingResults.concat(results);
     });
 
+    // The Results in the context are not yet updated back to the connector,
+    // so use their latest status instead.
+    let latestStatuses = {};
+    context.results.forEach(result => {
+      latestStatuses[result.id] = result.status;
+    });
+    pendingResults = pendingResults.filter(result => {
+      let status = latestStatuses[result.id];
+      return !status || status === Status.SUBMITTED;
+    });
+
     if (pendingResults.length === 0) {
       if (options.verbose) {
-        console.log('Deleting Trigger for RETRIEVE_PENDING_RESULTS_FUNC...');
+        this.logger.info(
+            'Deleting Trigger for RETRIEVE_PENDING_RESULTS_FUNC...');
       }
       AppScriptHelper.deleteTriggerByFunction(RETRIEVE_PENDING_RESULTS_FUNC);
       this.connector.setSystemVar(SystemVars.RETRIEVE_TRIGGER_ID, '');
@@ -265,7 +281,7 @@ class AppScriptExtension extends Extension {
 
       this.apiHandler.fetch(url);
 
-      if (this.debug) console.log(url);
+      if (this.debug) this.logger.debug(url);
     }
 
     // Record tests with perf budget with Pageview notation.
@@ -275,9 +291,9 @@ class AppScriptExtension extends Extension {
 
     let response = this.apiHandler.fetch(url);
 
-    if (this.debug) console.log('trackAction: ', url);
+    if (this.debug) this.logger.debug('trackAction: ', url);
     if (this.debug && response.statusCode==200) {
-      console.log('trackAction response: ', response.body);
+      this.logger.debug('trackAction response: ', response.body);
     }
   }
 
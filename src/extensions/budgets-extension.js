@@ -17,6 +17,7 @@
 'use strict';
 
 const assert = require('../utils/assert');
+const {createLogger} = require('../utils/logger');
 const Status = require('../common/status');
 const setObject = require('../utils/set-object');
 const Extension = require('./extension');
@@ -26,6 +27,7 @@ class BudgetsExtension extends Extension {
     super();
     config = config || {};
     this.debug = config.debug || false;
+    this.logger = createLogger(config.logger);
     this.envVars = envVars;
 
     this.budgetMetricMap = {
@@ -139,7 +141,7 @@ class BudgetsExtension extends Extension {
         });
 
       } catch (e) {
-        if (this.debug) console.error(e);
+        if (this.debug) this.logger.error(e);
 
         let message = `[Budgets] Unable to get metric value for ${metric} ` +
             `with path: ${metricPath}`;
@@ -14,18 +14,23 @@
  * limitations under the License.
  */
 
+/**
+ * The base class of extensions. Each hook can be either synchronous or return
+ * a Promise, e.g. for writing files or calling APIs. AWP core waits for the
+ * returned Promise before moving on, and collects the rejected errors.
+ */
 class Extention {
   constructor(config, envVars) {}
   // Run
-  beforeRun(context, options) {}
-  afterRun(context, options) {}
-  beforeAllRuns(context, options) {}
-  afterAllRuns(context, options) {}
+  async beforeRun(context, options) {}
+  async afterRun(context, options) {}
+  async beforeAllRuns(context, options) {}
+  async afterAllRuns(context, options) {}
   // Retrieve
-  beforeRetrieve(context, options) {}
-  afterRetrieve(context, options) {}
-  beforeAllRetrieves(context, options) {}
-  afterAllRetrieves(context, options) {}
+  async beforeRetrieve(context, options) {}
+  async afterRetrieve(context, options) {}
+  async beforeAllRetrieves(context, options) {}
+  async afterAllRetrieves(context, options) {}
 }
 
 module.exports = Extention;
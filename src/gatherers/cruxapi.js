@@ -17,12 +17,14 @@
 'use strict';
 
 const assert = require('../utils/assert');
+const {createLogger} = require('../utils/logger');
+const {redactSecrets} = require('../helpers/dry-run-helper');
 const Status = require('../common/status');
 const {Metrics} = require('../common/metrics');
 const Gatherer = require('./gatherer');
 
 class CrUXAPIGatherer extends Gatherer {
-  constructor(config, envVars, apiHandler) {
+  constructor(config, envVars, apiHandler, options) {
     super();
     assert(config, 'Parameter config is missing.');
     assert(envVars, 'Parameter apiHandler is missing.');
@@ -31,6 +33,7 @@ class CrUXAPIGatherer extends Gatherer {
     this.runApiEndpoint = 'https://chromeuxreport.googleapis.com/v1/records:queryRecord';
     this.apiKey = envVars['CRUX_APIKEY'] || envVars['cruxApiKey'];
     this.apiHandler = apiHandler;
+    this.logger = createLogger((options || {}).logger);
 
     // TODO: Metadata keys should be standardized.
     this.metadataMap = {
@@ -47,64 +50,125 @@ class CrUXAPIGatherer extends Gatherer {
     };
   }
 
+  supportsDryRun() {
+    return true;
+  }
+
   run(test, options) {
     assert(test, 'Parameter test is missing.');
     options = options || {};
 
-    let url = this.runApiEndpoint + '?key=' + this.apiKey;
+    if (options.debug) this.logger.debug(test);
 
-    if (options.debug) console.log(test);
+    if (this.apiKey === 'TEST_APIKEY') {
+      return this.processJson(test, this.fakeRunResponse(), []);
+    }
 
-    let cruxConfig = test.cruxapi || {};
-    let settings = cruxConfig.settings || {};
+    let request = this.getRunRequest(test, options);
+    let response = this.apiHandler.post(request.url, request.apiOptions);
+    return this.processResponse(test, response);
+  }
 
-    let apiJsonOutput = {},
-      statusText = "",
-      status = "",
-      metrics = new Metrics(),
-      errors = [];
+  async runAsync(test, options) {
+    assert(test, 'Parameter test is missing.');
+    options = options || {};
+
+    if (options.debug) this.logger.debug(test);
 
     if (this.apiKey === 'TEST_APIKEY') {
-      apiJsonOutput = this.fakeRunResponse();
+      return this.processJson(test, this.fakeRunResponse(), []);
+    }
+
+    let request = this.getRunRequest(test, options);
+    let response = await this.apiHandler.postAsync(request.url,
+        request.apiOptions);
+    return this.processResponse(test, response);
+  }
+
+  /**
+   * Return the CrUX API URL and POST options to run a Test.
+   * @param  {object} test A Test object.
+   * @param  {object} options Options object.
+   * @return {object} Request object with url and apiOptions.
+   */
+  getRunRequest(test, options) {
+    options = options || {};
+    let url = this.runApiEndpoint + '?key=' + this.apiKey;
+    let cruxConfig = test.cruxapi || {};
+    let settings = cruxConfig.settings || {};
+    let apiOptions = {
+      json : {}
+    };
 
+    assert(test.url, 'Parameter URL is missing.');
+    settings.urlType = settings.urlType || 'Origin';
+    if (settings.urlType === 'Page') {
+      apiOptions.json.url = test.url;
     } else {
-      let apiOptions = {
-        json : {}
-      };
-
-      assert(test.url, 'Parameter URL is missing.');
-      settings.urlType = settings.urlType || 'Origin';
-      if (settings.urlType === 'Page') {
-        apiOptions.json.url = test.url;
-      } else {
-        apiOptions.json.origin = test.url;
-      }
+      apiOptions.json.origin = test.url;
+    }
 
-      if(settings.formFactor && settings.formFactor !== 'ALL')
-        apiOptions.json.formFactor = settings.formFactor;
+    if(settings.formFactor && settings.formFactor !== 'ALL')
+      apiOptions.json.formFactor = settings.formFactor;
 
-      if (options.debug) {
-        console.log(`Sending POST request to ${url} with parameters:`);
-        console.log(JSON.stringify(apiOptions, null, 2));
-      }
+    if (options.debug) {
+      this.logger.debug(`Sending POST request to ${redactSecrets(url)} ` +
+          `with parameters:`);
+      this.logger.debug(JSON.stringify(apiOptions, null, 2));
+    }
 
-      let response = this.apiHandler.post(url, apiOptions);
-      if (response.statusCode === 200) {
-        apiJsonOutput = JSON.parse(response.body);
+    return {
+      url: url,
+      apiOptions: apiOptions,
+    };
+  }
 
-      } else {
-        let errorMsg = response.statusText;
+  /**
+   * Convert an API response into a gatherer response.
+   * @param  {object} test A Test object.
+   * @param  {object} response Response object from the ApiHandler.
+   * @return {object} Response object, including status proeprty.
+   */
+  processResponse(test, response) {
+    let apiJsonOutput = {}, errors = [];
 
-        try {
-          let errorBody = JSON.parse(response.error.body);
-          errorMsg = `${errorBody.error.message} (${test.url})`;
-        } catch (e) {
-          // do nothing.
-        }
-        errors.push(errorMsg);
+    if (response.statusCode === 200) {
+      apiJsonOutput = JSON.parse(response.body);
+
+    } else {
+      let errorMsg = response.statusText;
+
+      try {
+        let errorBody = JSON.parse(response.error.body);
+        errorMsg = `${errorBody.error.message} (${test.url})`;
+      } catch (e) {
+        // do nothing.
       }
+      errors.push(errorMsg);
     }
 
+    let gathererResponse = this.processJson(test, apiJsonOutput, errors);
+    if (response.statusCode !== 200) {
+      gathererResponse.statusCode = response.statusCode;
+      if (response.errorCode) gathererResponse.errorCode = response.errorCode;
+    }
+    return gathererResponse;
+  }
+
+  /**
+   * Collect metrics from the CrUX API JSON response.
+   * @param  {object} test A Test object.
+   * @param  {object} apiJsonOutput CrUX API response in JSON.
+   * @param  {Array<string>} errors Errors collected so far.
+   * @return {object} Response object, including status proeprty.
+   */
+  processJson(test, apiJsonOutput, errors) {
+    let cruxConfig = test.cruxapi || {};
+    let statusText = "",
+      status = "",
+      metrics = new Metrics();
+    errors = errors || [];
+
     if(apiJsonOutput && apiJsonOutput.record && apiJsonOutput.record.metrics) {
       this.preprocessData(apiJsonOutput);
       let value;
@@ -142,6 +206,10 @@ class CrUXAPIGatherer extends Gatherer {
     return this.run(resultObj, options);
   }
 
+  async retrieveAsync(resultObj, options) {
+    return this.runAsync(resultObj, options);
+  }
+
   async runBatch(tests, options) {
     return null;
   }
@@ -37,7 +37,7 @@ class CrUXBigQueryGatherer extends Gatherer {
       platform: config.platform || 'Node',
       projectId: this.gcpProjectId,
       keyFilename: this.keyFilename
-    });
+    }, apiHandler, {logger: (options || {}).logger});
   }
 
   run(test, options) {
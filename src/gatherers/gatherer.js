@@ -34,6 +34,17 @@ class Gatherer {
     return null; // Return null by default.
   }
 
+  /**
+   * Run a single Test without blocking, so that multiple Tests can run
+   * concurrently. Fall back to run() by default.
+   * @param  {object} test A Test object.
+   * @param  {object} options Options object.
+   * @return {object} Response object, including status proeprty.
+   */
+  async runAsync(test, options) {
+    return this.run(test, options);
+  }
+
   /**
    * Run a list of Tests in batch.
    * @param  {Array<object>} tests List of Test objects.
@@ -54,6 +65,17 @@ class Gatherer {
     return null; // Return null by default.
   }
 
+  /**
+   * Retrieve a single Result without blocking. Fall back to retrieve() by
+   * default.
+   * @param  {object} result A Result object.
+   * @param  {object} options Options object.
+   * @return {object} Response object, including status proeprty.
+   */
+  async retrieveAsync(result, options) {
+    return this.retrieve(result, options);
+  }
+
   /**
    * Retrieve a list of Results in batch.
    * @param  {Array<object>} results List of Result objects
@@ -63,6 +85,16 @@ class Gatherer {
   async retrieveBatchAsync(results, options) {
     return null; // Return null by default.
   }
+
+  /**
+   * Whether all API requests of run() and retrieve() are sent via the
+   * ApiHandler, so that they can be planned without sending in dry-run mode.
+   * Gatherers that don't support it are skipped in dry-run mode.
+   * @return {boolean}
+   */
+  supportsDryRun() {
+    return false;
+  }
 }
 
 module.exports = Gatherer;
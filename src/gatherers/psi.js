@@ -17,12 +17,14 @@
 'use strict';
 
 const assert = require('../utils/assert');
+const {createLogger} = require('../utils/logger');
+const {redactSecrets} = require('../helpers/dry-run-helper');
 const Status = require('../common/status');
 const {Metrics} = require('../common/metrics');
 const Gatherer = require('./gatherer');
 
 class PSIGatherer extends Gatherer {
-  constructor(config, envVars, apiHandler) {
+  constructor(config, envVars, apiHandler, options) {
     super();
     assert(config, 'Parameter config is missing.');
     assert(envVars, 'Parameter apiHandler is missing.');
@@ -32,6 +34,7 @@ class PSIGatherer extends Gatherer {
     this.resultApiEndpoint = 'https://www.googleapis.com/pagespeedonline/v5/runPagespeed';
     this.apiKey = envVars.PSI_APIKEY || envVars.psiApiKey;
     this.apiHandler = apiHandler;
+    this.logger = createLogger((options || {}).logger);
 
     // TODO: Metadata keys should be standardized.
     this.metadataMap = {
@@ -99,8 +102,55 @@ class PSIGatherer extends Gatherer {
     };
   }
 
+  supportsDryRun() {
+    return true;
+  }
+
   run(test, options) {
     assert(test, 'Parameter test is missing.');
+    options = options || {};
+    let url = this.getRunUrl(test, options);
+
+    if (this.apiKey === 'TEST_APIKEY') {
+      // For testing purpose.
+      return this.processJson(test, this.fakeRunResponse());
+    }
+
+    let response;
+    try {
+      response = this.apiHandler.fetch(url);
+    } catch (e) {
+      return this.errorResponse(test, e.message);
+    }
+    return this.processResponse(test, response);
+  }
+
+  async runAsync(test, options) {
+    assert(test, 'Parameter test is missing.');
+    options = options || {};
+    let url = this.getRunUrl(test, options);
+
+    if (this.apiKey === 'TEST_APIKEY') {
+      // For testing purpose.
+      return this.processJson(test, this.fakeRunResponse());
+    }
+
+    let response;
+    try {
+      response = await this.apiHandler.fetchAsync(url);
+    } catch (e) {
+      return this.errorResponse(test, e.message);
+    }
+    return this.processResponse(test, response);
+  }
+
+  /**
+   * Return the PSI API URL to run a Test.
+   * @param  {object} test A Test object.
+   * @param  {object} options Options object.
+   * @return {string} API URL.
+   */
+  getRunUrl(test, options) {
     options = options || {};
     let psiConfig = test.psi || {};
     let settings = psiConfig.settings || {};
@@ -124,37 +174,53 @@ class PSIGatherer extends Gatherer {
 
     let url = this.runApiEndpoint + '?' + urlParams.join('&');
 
-    if (options.debug) console.log(url);
-
-    let json = {}, response;
-    if (this.apiKey === 'TEST_APIKEY') {
-      // For testing purpose.
-      json = this.fakeRunResponse();
-
-    } else {
-      try {
-        response = this.apiHandler.fetch(url);
-      } catch (e) {
-        return {
-          status: Status.ERROR,
-          statusText: e.message,
-          settings: settings,
-          errors: [e.message],
-        };
-      }
-
-      if(response.statusCode >= 400) {
-        return {
-          status: Status.ERROR,
-          statusText: response.statusText,
-          settings: settings,
-          errors: [response.statusText],
-        };
-      }
+    if (options.debug) this.logger.debug(redactSecrets(url));
+    return url;
+  }
 
-      json = JSON.parse(response.body);
+  /**
+   * Convert an API response into a gatherer response.
+   * @param  {object} test A Test object.
+   * @param  {object} response Response object from the ApiHandler.
+   * @return {object} Response object, including status proeprty.
+   */
+  processResponse(test, response) {
+    if (response.statusCode >= 400 || response.error) {
+      return this.errorResponse(test, response.statusText,
+          response.statusCode, response.errorCode);
     }
+    return this.processJson(test, JSON.parse(response.body));
+  }
 
+  /**
+   * Return an error response with the given message.
+   * @param  {object} test A Test object.
+   * @param  {string} message Error message.
+   * @param  {number} statusCode HTTP status code of the API response, if any.
+   * @param  {string} errorCode Network error code, e.g. 'ECONNRESET', if any.
+   * @return {object} Response object with error status.
+   */
+  errorResponse(test, message, statusCode, errorCode) {
+    let settings = (test.psi || {}).settings || {};
+    let response = {
+      status: Status.ERROR,
+      statusText: message,
+      settings: settings,
+      errors: [message],
+    };
+    if (statusCode) response.statusCode = statusCode;
+    if (errorCode) response.errorCode = errorCode;
+    return response;
+  }
+
+  /**
+   * Collect metadata and metrics from the PSI JSON response.
+   * @param  {object} test A Test object.
+   * @param  {object} json PSI API response in JSON.
+   * @return {object} Response object, including status proeprty.
+   */
+  processJson(test, json) {
+    let settings = (test.psi || {}).settings || {};
     let metadata = {},
       metrics = new Metrics(),
       errors = [];
@@ -226,6 +292,10 @@ class PSIGatherer extends Gatherer {
     return this.run(resultObj, options);
   }
 
+  async retrieveAsync(resultObj, options) {
+    return this.runAsync(resultObj, options);
+  }
+
   async runBatch(tests, options) {
     return null;
   }
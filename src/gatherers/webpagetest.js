@@ -17,10 +17,13 @@
 'use strict';
 
 const assert = require('../utils/assert');
+const {createLogger} = require('../utils/logger');
+const {redactSecrets} = require('../helpers/dry-run-helper');
 const setObject = require('../utils/set-object');
 const Status = require('../common/status');
 const {Metrics} = require('../common/metrics');
 const Gatherer = require('./gatherer');
+const limitConcurrency = require('../utils/limit-concurrency');
 
 const PUBLIC_ENDPOINT = 'https://webpagetest.org';
 const PUBLIC_RUN_ENDPOINT = 'https://webpagetest.org/runtest.php';
@@ -36,6 +39,7 @@ class WebPageTestGatherer extends Gatherer {
     options = options || {};
     this.apiHandler = apiHandler;
     this.debug = options.debug;
+    this.logger = createLogger(options.logger);
 
     // Get endpoints for run and result actions. Override these endpoints when
     // custom endpoints are defined.
@@ -45,10 +49,21 @@ class WebPageTestGatherer extends Gatherer {
     this.resultApiEndpoint = (customApiEndpoint || PUBLIC_ENDPOINT) +
         '/jsonResult.php';
     this.runApiEndpoint = config.runApiEndpoint || this.runApiEndpoint;
-    this.resultApiEndpoint = config.resultApiEndpiont || this.resultApiEndpoint;
+    this.resultApiEndpoint = config.resultApiEndpoint ||
+        config.resultApiEndpiont || this.resultApiEndpoint;
+
+    // Support the misspelled resultApiEndpiont in existing configs.
+    if (!config.resultApiEndpoint && config.resultApiEndpiont) {
+      this.logger.warn('webpagetest.resultApiEndpiont is ' +
+          'deprecated, use webpagetest.resultApiEndpoint instead.');
+    }
+
+    // The max number of concurrent API calls when retrieving in batch. It's
+    // the overall concurrency of AWP core if not set.
+    this.batchConcurrency = config.concurrency;
 
     if (this.debug && customApiEndpoint) {
-      console.log(`Using custom WebPageTest API Endpoint: ` +
+      this.logger.debug(`Using custom WebPageTest API Endpoint: ` +
           `${customApiEndpoint}`);
     }
 
@@ -57,10 +72,6 @@ class WebPageTestGatherer extends Gatherer {
         envVars.webPageTestApiKey;
     assert(this.apiKey, 'Unable to locate "WPT_APIKEY" or "webPageTestApiKey" in envVars');
 
-    if (this.debug) {
-      console.log('Using API Key: ' + this.apiKey);
-    }
-
     // TODO: Metadata keys should be standardized.
     this.metadataMap = {
       'testId': 'data.testId',
@@ -139,11 +150,55 @@ class WebPageTestGatherer extends Gatherer {
     };
   }
 
+  supportsDryRun() {
+    return true;
+  }
+
   run(test, options) {
     assert(test, 'Parameter test is missing.');
     assert(test.url, 'Parameter test.url is missing.');
     options = options || {};
+    let url = this.getRunUrl(test, options);
 
+    if (this.apiKey === 'TEST_APIKEY') {
+      if (this.debug) {
+        this.logger.debug('Using fake WPT response.');
+      }
+      return this.processRunBody(test, this.fakeRunResponse().body || {});
+    }
+
+    if (this.debug) this.logger.debug('WPTGatherer::run\n', redactSecrets(url));
+    let response = this.apiHandler.fetch(url);
+    return this.processRunResponse(test, response);
+  }
+
+  async runAsync(test, options) {
+    assert(test, 'Parameter test is missing.');
+    assert(test.url, 'Parameter test.url is missing.');
+    options = options || {};
+    let url = this.getRunUrl(test, options);
+
+    if (this.apiKey === 'TEST_APIKEY') {
+      if (this.debug) {
+        this.logger.debug('Using fake WPT response.');
+      }
+      return this.processRunBody(test, this.fakeRunResponse().body || {});
+    }
+
+    if (this.debug) {
+      this.logger.debug('WPTGatherer::runAsync\n', redactSecrets(url));
+    }
+    let response = await this.apiHandler.fetchAsync(url);
+    return this.processRunResponse(test, response);
+  }
+
+  /**
+   * Return the WebPageTest API URL to submit a Test.
+   * @param  {object} test A Test object.
+   * @param  {object} options Options object.
+   * @return {string} API URL.
+   */
+  getRunUrl(test, options) {
     let wptConfig = test.webpagetest || {};
     let settings = wptConfig.settings || {};
     let locationId = settings.locationId || 'ec2-us-east-1';
@@ -159,7 +214,7 @@ class WebPageTestGatherer extends Gatherer {
       'lighthouse': '1',
       'runs': settings.runs || '1',
       'fvonly': settings.repeatView ? 0 : 1,
-      'timeline': settings.hasTimeline || false,
+      'timeline': settings.timeline || settings.hasTimeline || false,
       'block': settings.block || '',
       'script': settings.script ? encodeURIComponent(settings.script) : '',
       'location': location || '',
@@ -179,40 +234,47 @@ class WebPageTestGatherer extends Gatherer {
     Object.keys(params).forEach(key => {
       urlParams.push(key + '=' + params[key]);
     });
-    let url = this.runApiEndpoint + '?' + urlParams.join('&');
-
-    let response, body = {}, statusText;
-    if (this.apiKey === 'TEST_APIKEY') {
-      if (this.debug) {
-        console.log('Using fake WPT response.');
-      }
-
-      response = this.fakeRunResponse();
-      body = response.body || {};
-      statusText = body.statusText;
-
-    } else {
-      if (this.debug) console.log('WPTGatherer::run\n', url);
-      response = this.apiHandler.fetch(url);
+    return this.runApiEndpoint + '?' + urlParams.join('&');
+  }
 
-      if (this.debug) {
-        console.log('WPTGatherer::run API response: \n', response);
-      }
+  /**
+   * Convert the API response of submitting a Test into a gatherer response.
+   * @param  {object} test A Test object.
+   * @param  {object} response Response object from the ApiHandler.
+   * @return {object} Response object, including status proeprty.
+   */
+  processRunResponse(test, response) {
+    let wptConfig = test.webpagetest || {};
 
-      if (response.statusCode >= 400) {
-        return {
-          status: Status.ERROR,
-          statusText: response.statusText,
-          settings: wptConfig.settings,
-          metadata: wptConfig.metadata,
-          errors: [response.statusText],
-        };
-      }
+    if (this.debug) {
+      this.logger.debug('WPTGatherer::run API response: \n', response);
+    }
 
-      body = JSON.parse(response.body || '{}');
-      statusText = body.statusText;
+    if (response.statusCode >= 400 || response.error) {
+      let errorResponse = {
+        status: Status.ERROR,
+        statusCode: response.statusCode,
+        statusText: response.statusText,
+        settings: wptConfig.settings,
+        metadata: wptConfig.metadata,
+        errors: [response.statusText],
+      };
+      if (response.errorCode) errorResponse.errorCode = response.errorCode;
+      return errorResponse;
     }
 
+    return this.processRunBody(test, JSON.parse(response.body || '{}'));
+  }
+
+  /**
+   * Collect metadata from the body of a submitted Test.
+   * @param  {object} test A Test object.
+   * @param  {object} body Response body in JSON.
+   * @return {object} Response object, including status proeprty.
+   */
+  processRunBody(test, body) {
+    let settings = (test.webpagetest || {}).settings || {};
+    let statusText = body.statusText;
     let status, metadata = {}, errors = [];
 
     try {
@@ -238,7 +300,7 @@ class WebPageTestGatherer extends Gatherer {
               metadata[key] = null;
               message = `Unable to assign ${key} to metadata: metadata.${key}` +
                   ` = body.${this.metadataMap[key]}`;
-              if (this.debug) console.error(message);
+              if (this.debug) this.logger.error(message);
               errors.push(message);
             }
           });
@@ -273,7 +335,7 @@ class WebPageTestGatherer extends Gatherer {
       }
 
     } catch (e) {
-      if (this.debug) console.error(e);
+      if (this.debug) this.logger.error(e);
 
       status = Status.ERROR;
       statusText = e.message;
@@ -290,32 +352,117 @@ class WebPageTestGatherer extends Gatherer {
 
   retrieve(result, options) {
     options = options || {};
-    let errors = [];
+    let url = this.getRetrieveUrl(result);
+    if (this.debug) {
+      this.logger.debug('WPTGatherer::retrieve\n', redactSecrets(url));
+    }
+
+    let response = this.apiHandler.fetch(url);
+    return this.processRetrieveResponse(result, response);
+  }
+
+  async retrieveAsync(result, options) {
+    options = options || {};
+    let url = this.getRetrieveUrl(result);
+    if (this.debug) {
+      this.logger.debug('WPTGatherer::retrieveAsync\n', redactSecrets(url));
+    }
+
+    let response = await this.apiHandler.fetchAsync(url);
+    return this.processRetrieveResponse(result, response);
+  }
+
+  /**
+   * Retrieve a list of Results in batch, with one JSON result API call per
+   * test ID. The `statusCode` in the JSON result tells whether the test is
+   * still pending (1xx) or completed (200).
+   * @param  {Array<object>} results List of Result objects
+   * @param  {object} options Options object, with `concurrency` as the max
+   *     number of concurrent API calls if not set in the gatherer's config.
+   * @return {Array<object>} List of responses in the same order as results.
+   */
+  async retrieveBatchAsync(results, options) {
+    options = options || {};
+    let limit = limitConcurrency(
+        this.batchConcurrency || options.concurrency || 1);
+    let responsesByUrl = {};
+
+    // Share the API calls among Results with the same test ID.
+    let fetchOnce = (url) => {
+      if (this.debug) {
+          this.logger.debug('WPTGatherer::retrieveBatchAsync\n',
+              redactSecrets(url));
+        }
+      responsesByUrl[url] = responsesByUrl[url] ||
+          limit(() => this.apiHandler.fetchAsync(url));
+      return responsesByUrl[url];
+    };
+
+    return await Promise.all(results.map(async result => {
+      try {
+        // Without a test ID there's nothing to share, so retrieve it as is.
+        let metadata = (result.webpagetest || {}).metadata || {};
+        if (!metadata.testId) return await this.retrieveAsync(result, options);
+
+        let response = await fetchOnce(this.getRetrieveUrl(result));
+        return this.processRetrieveResponse(result, response);
+
+      } catch (e) {
+        let wptConfig = result.webpagetest || {};
+        return {
+          status: Status.ERROR,
+          statusText: e.message,
+          settings: wptConfig.settings,
+          metadata: wptConfig.metadata,
+          metrics: {},
+          errors: [e.message],
+        };
+      }
+    }));
+  }
+
+  /**
+   * Return the WebPageTest API URL to retrieve a submitted Result.
+   * @param  {object} result A Result object.
+   * @return {string} API URL.
+   */
+  getRetrieveUrl(result) {
     let wptConfig = result.webpagetest || {};
     let urlParams = [
       'test=' + wptConfig.metadata.testId,
     ];
-    let url = this.resultApiEndpoint + '?' + urlParams.join('&');
-    if (this.debug) console.log('WPTGatherer::retrieve\n', url);
+    return this.resultApiEndpoint + '?' + urlParams.join('&');
+  }
 
-    let response = this.apiHandler.fetch(url);
+  /**
+   * Collect metrics from the API response of retrieving a Result.
+   * @param  {object} result A Result object.
+   * @param  {object} response Response object from the ApiHandler.
+   * @return {object} Response object, including status proeprty.
+   */
+  processRetrieveResponse(result, response) {
+    let errors = [];
+    let wptConfig = result.webpagetest || {};
 
-    if (response.statusCode >= 400) {
-      return {
+    if (response.statusCode >= 400 || response.error) {
+      let errorResponse = {
         status: Status.ERROR,
+        statusCode: response.statusCode,
         statusText: response.statusText,
         settings: wptConfig.settings,
         metadata: wptConfig.metadata,
         metrics: {},
         errors: [response.statusText],
       };
+      if (response.errorCode) errorResponse.errorCode = response.errorCode;
+      return errorResponse;
     }
 
     let body = JSON.parse(response.body);
 
-    if (this.debug) console.log(
+    if (this.debug) this.logger.debug(
         'WPTGatherer::retrieve body.statusCode=\n', body.statusCode);
-    if (this.debug) console.log('WPTGatherer::retrieve\n', body);
+    if (this.debug) this.logger.debug('WPTGatherer::retrieve\n', body);
 
     let status, metadata = {},
         metrics = new Metrics(), lighthouseMetrics = new Metrics();
@@ -14,10 +14,39 @@
  * limitations under the License.
  */
 
+const {createLogger} = require('../utils/logger');
+
 class ApiHandler {
+  /**
+   * @param {object} options
+   *
+   * Available options:
+   * - logger {object}: Logger for all output. Uses console if not given.
+   */
+  constructor(options) {
+    this.logger = createLogger((options || {}).logger);
+  }
+
   fetch(url) {}
   get(url) {}
   post(url, options) {}
+
+  // Async variants. Fall back to the synchronous calls by default, e.g. for
+  // platforms like AppScript where UrlFetchApp is blocking anyway.
+  async fetchAsync(url) {
+    return this.fetch(url);
+  }
+  async getAsync(url) {
+    return this.get(url);
+  }
+  async postAsync(url, options) {
+    return this.post(url, options);
+  }
+
+  // Wait for the given milliseconds, e.g. before retrying a failed request.
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
 }
 
 module.exports = ApiHandler;
@@ -30,8 +30,8 @@ class AppScriptApiHandler extends ApiHandler {
       };
 
     } catch(e) {
-      console.error('There was an error while fetching ' + url);
-      console.error(e);
+      this.logger.error('There was an error while fetching ' + url);
+      this.logger.error(e);
 
       return  {
         statusCode: e.code || 500,
@@ -59,8 +59,8 @@ class AppScriptApiHandler extends ApiHandler {
         body: response.getContentText()
       }
     } catch(e) {
-      console.error('There was an error while fetching ' + url);
-      console.error(e);
+      this.logger.error('There was an error while fetching ' + url);
+      this.logger.error(e);
 
       return  {
         statusCode: e.code || 500,
@@ -69,6 +69,10 @@ class AppScriptApiHandler extends ApiHandler {
       }
     }
   }
+
+  async sleep(ms) {
+    Utilities.sleep(ms);
+  }
 }
 
 const TabRole = {
@@ -0,0 +1,157 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const ApiHandler = require('./api-handler');
+const Status = require('../common/status');
+
+// Query parameters of API keys, e.g. `k` of WebPageTest and `key` of PSI.
+const SecretParams = ['k', 'key', 'apikey', 'api_key', 'token', 'access_token'];
+
+// Environment variables with names like these hold secrets, e.g. PSI_APIKEY.
+const SecretEnvVarPattern = /key|token|secret|password|credential/i;
+
+const Redacted = '<redacted>';
+
+/**
+ * Return the values of environment variables that hold secrets.
+ * @param  {object} envVars Environment variables.
+ * @return {Array<string>} Secret values.
+ */
+function getSecrets(envVars) {
+  return Object.keys(envVars || {}).filter(key => {
+    return SecretEnvVarPattern.test(key) &&
+        typeof envVars[key] === 'string' && envVars[key].length >= 4;
+  }).map(key => envVars[key]);
+}
+
+/**
+ * Replace secrets in a string with `<redacted>`, including the values of
+ * query parameters like `key` and the given secret values.
+ * @param  {string} text E.g. an API URL.
+ * @param  {Array<string>} secrets Secret values.
+ * @return {string}
+ */
+function redactSecrets(text, secrets) {
+  if (typeof text !== 'string') return text;
+  let paramPattern = new RegExp(
+      `([?&](?:${SecretParams.join('|')})=)[^&#]*`, 'gi');
+  text = text.replace(paramPattern, `$1${Redacted}`);
+  (secrets || []).forEach(secret => {
+    text = text.split(secret).join(Redacted);
+  });
+  return text;
+}
+
+/**
+ * ApiHandler for dry-run mode. Instead of sending requests, it records them
+ * with secrets redacted, and returns an empty response.
+ */
+class DryRunApiHandler extends ApiHandler {
+  /**
+   * @param {object} options
+   *
+   * Available options:
+   * - secrets {Array<string>}: Secret values to redact, e.g. API keys.
+   * - logger {object}: Logger for all output. Uses console if not given.
+   */
+  constructor(options) {
+    super(options);
+    options = options || {};
+    this.secrets = options.secrets || [];
+    this.requests = [];
+  }
+
+  fetch(url) {
+    return this.get(url);
+  }
+
+  get(url) {
+    return this.record('GET', url);
+  }
+
+  post(url, postOptions) {
+    return this.record('POST', url, postOptions);
+  }
+
+  /**
+   * Record a request, and return an empty response.
+   * @param  {string} method HTTP method.
+   * @param  {string} url
+   * @param  {object} postOptions Options of a POST request, e.g. the JSON body.
+   * @return {object} Response with statusCode and body.
+   */
+  record(method, url, postOptions) {
+    let request = {
+      method: method,
+      url: redactSecrets(url, this.secrets),
+    };
+    if (postOptions) {
+      request.options = JSON.parse(redactSecrets(JSON.stringify(postOptions),
+          this.secrets));
+    }
+    this.requests.push(request);
+    return {
+      statusCode: 200,
+      statusText: 'Dry run',
+      body: '{}',
+    };
+  }
+
+  // Resolve immediately without waiting, e.g. for retries.
+  async sleep(ms) {}
+}
+
+/**
+ * Format the planned requests in the Results of a dry run for printing.
+ * @param  {Array<object>} results Result objects of a dry run.
+ * @param  {Array<string>} gathererNames Gatherer names to look up in Results.
+ * @return {string}
+ */
+function formatPlannedRequests(results, gathererNames) {
+  let lines = [], count = 0;
+  results.forEach(result => {
+    lines.push('', `${result.label || result.id} (${result.url || ''})`);
+    gathererNames.forEach(gathererName => {
+      let response = result[gathererName];
+      if (!response || !response.dryRun) return;
+
+      if (response.status === Status.ERROR) {
+        lines.push(`  ${gathererName}: Error: ${response.statusText}`);
+      } else if (response.requests.length === 0) {
+        lines.push(`  ${gathererName}: ${response.statusText}`);
+      }
+      response.requests.forEach(request => {
+        count++;
+        lines.push(`  ${gathererName}: ${request.method} ${request.url}`);
+        if (request.options) {
+          lines.push(`    ${JSON.stringify(request.options)}`);
+        }
+      });
+    });
+  });
+  return [`Dry run planned ${count} request(s) for ${results.length} ` +
+      `result(s). Nothing was written to connectors.`].concat(lines)
+      .join('\n');
+}
+
+module.exports = {
+  DryRunApiHandler,
+  formatPlannedRequests,
+  getSecrets,
+  redactSecrets,
+};
@@ -15,6 +15,7 @@
  */
 
 const assert = require('../utils/assert');
+const {createLogger} = require('../utils/logger');
 
 /**
  * The handler for Google Cloud BigQuery with support of multiple platforms
@@ -26,7 +27,16 @@ const assert = require('../utils/assert');
  * - BigQuery with AppScript - https://developers.google.com/apps-script/advanced/bigquery
  */
 class BigQueryHandler {
+  /**
+   * @param {object} config
+   * @param {object} apiHandler ApiHandler instance.
+   * @param {object} options
+   *
+   * Available options:
+   * - logger {object}: Logger for all output. Uses console if not given.
+   */
   constructor(config, apiHandler, options) {
+    this.logger = createLogger((options || {}).logger);
     this.platform = config.platform || 'Node';
     this.projectId = config.projectId;
     this.keyFilename = config.keyFilename;
@@ -34,6 +44,12 @@ class BigQueryHandler {
     switch(this.platform.toLowerCase()) {
       case 'gcp':
       case 'node':
+        // Use the given client if any, e.g. a local stand-in for testing.
+        if (config.client) {
+          this.client = config.client;
+          break;
+        }
+
         // Create GCP client for each requested GCP product.
         let gcpConfig = {
           projectId: this.projectId,
@@ -63,6 +79,10 @@ class BigQueryHandler {
    * Available options:
    * - bigQueryOptions {object}: The options object to be passed to BigQuery
    *     functions.
+   * - params {object}: Named query parameters, e.g. `@id` in the query, in
+   *     Node.js platform only.
+   * - types {object}: Types of the query parameters, required for null
+   *     values, e.g. {id: 'STRING'}.
    * - timeout {number}: The timeout limit in milliseconds for all BigQuery
    *     functions. Default 5000 ms.
    * - verbose {boolean}: Whether to print verbose logs.
@@ -80,6 +100,10 @@ class BigQueryHandler {
           let bigQueryOptions = {
             query: query,
           }
+          if (options.params) {
+            bigQueryOptions.params = options.params;
+            bigQueryOptions.types = options.types;
+          }
 
           // Run the query as a job
           const [job] = await this.client.createQueryJob(bigQueryOptions);
@@ -100,7 +124,7 @@ class BigQueryHandler {
           let jobId = queryResults.jobReference.jobId;
 
           if (options.verbose) {
-            console.log(`Starting BigQuery job, id = ${jobId}`);
+            this.logger.info(`Starting BigQuery job, id = ${jobId}`);
           }
 
           // Check on status of the Query Job.
@@ -154,6 +178,53 @@ class BigQueryHandler {
         break;
     }
   }
+
+  /**
+   * Return the Table object of the client. Supported in Node.js platform only.
+   * @param {string} datasetId
+   * @param {string} tableId
+   * @return {object} Table object of @google-cloud/bigquery.
+   */
+  getTable(datasetId, tableId) {
+    assert(['gcp', 'node'].includes(this.platform.toLowerCase()),
+        `Tables are not supported in ${this.platform}.`);
+    return this.client.dataset(datasetId).table(tableId);
+  }
+
+  /**
+   * Return the schema fields of a table, or null if the table doesn't exist.
+   * Supported in Node.js platform only.
+   * @param {string} datasetId
+   * @param {string} tableId
+   * @return {Array<object>} Fields with `name`, `type` and `mode`.
+   */
+  async getTableFields(datasetId, tableId) {
+    let table = this.getTable(datasetId, tableId);
+    let [exists] = await table.exists();
+    if (!exists) return null;
+    let [metadata] = await table.getMetadata();
+    return ((metadata || {}).schema || {}).fields || [];
+  }
+
+  /**
+   * Create a table with the given schema fields, or add the fields that don't
+   * exist yet to the table. Supported in Node.js platform only.
+   * @param {string} datasetId
+   * @param {string} tableId
+   * @param {Array<object>} fields All fields of the table, with existing
+   *     fields first.
+   * @param {boolean} exists Whether the table exists.
+   */
+  async setTableFields(datasetId, tableId, fields, exists) {
+    let table = this.getTable(datasetId, tableId);
+    if (exists) {
+      await table.setMetadata({schema: {fields: fields}});
+    } else {
+      await this.client.dataset(datasetId).createTable(tableId, {
+        schema: {fields: fields},
+      });
+    }
+  }
 }
 
 module.exports = {
@@ -15,10 +15,31 @@
  */
 
 const request = require('sync-request');
+const requestPromise = require('request-promise');
 const ApiHandler = require('./api-handler');
+const {writeFileAtomic} = require('../utils/atomic-write');
 const fse = require('fs-extra');
 const path = require('path');
 
+/**
+ * Return a response object for a request that failed without an HTTP
+ * response, e.g. with a network error. The statusCode is always a number, and
+ * the error code like 'ECONNRESET', if any, goes to errorCode.
+ * @param {Error} e Error thrown by sync-request or request-promise.
+ * @return {object} Response object with statusCode, statusText and errorCode.
+ */
+function getErrorResponse(e) {
+  let response = {
+    statusCode: parseInt(e.statusCode) || 500,
+    statusText: e.message,
+    error: e,
+  };
+  // request-promise keeps the original error in `cause`.
+  let errorCode = e.code || (e.cause && e.cause.code);
+  if (errorCode) response.errorCode = errorCode;
+  return response;
+}
+
 class NodeApiHandler extends ApiHandler {
   fetch(url) {
     return this.get(url);
@@ -32,11 +53,7 @@ class NodeApiHandler extends ApiHandler {
         body: response.getBody().toString(),
       }
     } catch (e) {
-      return  {
-        statusCode: e.code || 500,
-        statusText: e.message,
-        error: e,
-      }
+      return getErrorResponse(e);
     }
   }
 
@@ -48,11 +65,71 @@ class NodeApiHandler extends ApiHandler {
         body: response.getBody().toString(),
       }
     } catch (e) {
-      return  {
-        statusCode: e.code || 500,
-        statusText: e.message,
-        error: e,
+      return getErrorResponse(e);
+    }
+  }
+
+  async fetchAsync(url) {
+    return this.getAsync(url);
+  }
+
+  async getAsync(url) {
+    return this.requestAsync({
+      method: 'GET',
+      uri: url,
+    });
+  }
+
+  async postAsync(url, postOptions) {
+    postOptions = postOptions || {};
+    let requestOptions = {
+      method: 'POST',
+      uri: url,
+      headers: postOptions.headers || {},
+    };
+
+    // Keep the same postOptions format as sync-request, which sends
+    // postOptions.json as a JSON body.
+    if (postOptions.json) {
+      requestOptions.body = JSON.stringify(postOptions.json);
+      requestOptions.headers['content-type'] = 'application/json';
+    } else {
+      requestOptions.body = postOptions.body;
+    }
+    return this.requestAsync(requestOptions);
+  }
+
+  /**
+   * Send a non-blocking request and return a response in the same format as
+   * the synchronous get() and post().
+   * @param {object} requestOptions Options for request-promise.
+   * @return {object} Response object with statusCode and body.
+   */
+  async requestAsync(requestOptions) {
+    try {
+      let response = await requestPromise(Object.assign({
+        resolveWithFullResponse: true,
+        simple: false,
+      }, requestOptions));
+
+      // Align with sync-request, which throws with status codes >= 300.
+      if (response.statusCode >= 300) {
+        return {
+          statusCode: response.statusCode,
+          statusText: `Server responded with status code ` +
+              `${response.statusCode}`,
+          error: {
+            statusCode: response.statusCode,
+            body: response.body,
+          },
+        };
       }
+      return {
+        statusCode: response.statusCode,
+        body: response.body,
+      }
+    } catch (e) {
+      return getErrorResponse(e);
     }
   }
 }
@@ -60,7 +137,15 @@ class NodeApiHandler extends ApiHandler {
 NodeHelper = {
   getJsonFromFile: (filepath) => {
     return JSON.parse(fse.readFileSync(path.resolve(filepath)));
-  }
+  },
+  // Write to a temp file first and rename, so that readers never see a
+  // partially written file.
+  writeToFile: (filepath, content) => {
+    writeFileAtomic(filepath, content);
+  },
+  writeJsonToFile: (filepath, json) => {
+    NodeHelper.writeToFile(filepath, JSON.stringify(json, null, 2));
+  },
 }
 
 module.exports = {
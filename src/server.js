@@ -0,0 +1,513 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const assert = require('./utils/assert');
+const limitConcurrency = require('./utils/limit-concurrency');
+const Status = require('./common/status');
+const {buildFilters, queryItems} = require('./utils/query');
+const {formatValidationErrors, validateSchema, validateTests} =
+    require('./utils/schema-validator');
+
+const JobStatus = {
+  QUEUED: 'Queued',
+  RUNNING: 'Running',
+  COMPLETED: 'Completed',
+  FAILED: 'Failed',
+};
+
+// The max size of a request body in bytes.
+const MaxBodySize = 1024 * 1024;
+
+// The max number of jobs to keep. The oldest finished jobs are removed first.
+const MaxJobs = 100;
+
+// Parameters of filter shortcuts, the same as the CLI. Arbitrary filter
+// expressions are not accepted, as they are evaluated as code.
+const FilterProperties = {
+  'label': {type: ['string', 'array'], items: {type: 'string'}},
+  'url-match': {type: ['string', 'array'], items: {type: 'string'}},
+  'gatherer': {type: ['string', 'array'], items: {type: 'string'}},
+  'selectedOnly': {type: 'boolean'},
+};
+
+const QueryProperties = {
+  sort: {type: 'string'},
+  limit: {type: 'integer', minimum: 1},
+  fields: {type: 'string'},
+};
+
+/**
+ * Schemas of query parameters and request bodies by route.
+ */
+const RequestSchemas = {
+  listTests: {
+    type: 'object',
+    properties: Object.assign({}, FilterProperties, QueryProperties),
+    additionalProperties: false,
+  },
+  listResults: {
+    type: 'object',
+    properties: Object.assign({
+      status: {type: 'string', enum: Object.values(Status)},
+    }, FilterProperties, QueryProperties),
+    additionalProperties: false,
+  },
+  runTests: {
+    type: 'object',
+    properties: {
+      url: {type: 'string'},
+      urls: {type: 'array', items: {type: 'string'}},
+      label: {type: 'string'},
+      gatherer: {type: ['string', 'array'], items: {type: 'string'}},
+      tests: {type: 'array', items: {type: 'object'}},
+    },
+    additionalProperties: false,
+  },
+  recurring: {
+    type: 'object',
+    properties: Object.assign({
+      activateOnly: {type: 'boolean'},
+    }, FilterProperties),
+    additionalProperties: false,
+  },
+  retrieve: {
+    type: 'object',
+    properties: FilterProperties,
+    additionalProperties: false,
+  },
+};
+
+/**
+ * Create an error with an HTTP status code to respond with.
+ * @param  {number} statusCode
+ * @param  {string} message
+ * @return {Error}
+ */
+function httpError(statusCode, message) {
+  let error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Throw a 400 error with all problems if the value doesn't match the schema.
+ * @param  {any} value
+ * @param  {object} schema
+ * @param  {object} options Options of `validateSchema`.
+ */
+function assertValid(value, schema, options) {
+  let errors = validateSchema(value, schema, options);
+  if (errors.length > 0) {
+    throw httpError(400, 'Invalid request:\n' +
+        formatValidationErrors(errors));
+  }
+}
+
+/**
+ * HTTP API server around an AutoWebPerf instance, to run tests and query
+ * Tests and Results from other tools. Running tests, recurring and retrieve
+ * are jobs queued to run one at a time, as they write to the same connector.
+ *
+ * Endpoints:
+ * - GET /health: Always responds `{"status": "ok"}`, without auth.
+ * - GET /tests: List Tests with filters, sorting, a limit and fields.
+ * - GET /results: List Results, with an additional `status` filter.
+ * - POST /tests: Run ad-hoc Tests, e.g. `{"url": "https://web.dev"}`.
+ * - POST /recurring: Run recurring Tests.
+ * - POST /retrieve: Retrieve pending Results.
+ * - GET /jobs: List jobs, the latest first.
+ * - GET /jobs/<ID>: Get the status of a job.
+ *
+ * Example:
+ *
+ *   let server = new AwpServer(new AutoWebPerf(awpConfig), {token: 'secret'});
+ *   await server.listen(8080);
+ *
+ * @param {object} awp AutoWebPerf instance.
+ * @param {object} options
+ *
+ * Available options:
+ * - token {string}: Require requests with `Authorization: Bearer <token>`,
+ *     except for the health check. No auth if not given.
+ * - gatherer {string}: The default gatherer of ad-hoc Tests. Default: psi.
+ * - awpOptions {object}: Options passed to AutoWebPerf for all jobs, e.g.
+ *     concurrency.
+ */
+class AwpServer {
+  constructor(awp, options) {
+    assert(awp, 'awp is missing.');
+    options = options || {};
+
+    this.awp = awp;
+    this.logger = awp.logger;
+    this.token = options.token || null;
+    this.defaultGatherer = options.gatherer || 'psi';
+    this.awpOptions = options.awpOptions || {};
+    this.jobs = [];
+    this.jobLimit = limitConcurrency(1);
+    this.server = null;
+
+    this.routes = [
+      ['GET', /^\/health$/, () => ({status: 'ok'})],
+      ['GET', /^\/tests$/, (req) => this.listTests(req.query)],
+      ['GET', /^\/results$/, (req) => this.listResults(req.query)],
+      ['POST', /^\/tests$/, (req) => this.runTests(req.body)],
+      ['POST', /^\/recurring$/, (req) => this.recurring(req.body)],
+      ['POST', /^\/retrieve$/, (req) => this.retrieve(req.body)],
+      ['GET', /^\/jobs$/, () => ({jobs: this.jobs.slice().reverse()})],
+      ['GET', /^\/jobs\/([^/]+)$/, (req, id) => ({job: this.getJob(id)})],
+    ];
+  }
+
+  /**
+   * Start listening for requests.
+   * @param  {number} port The port to listen on. 0 for a random port.
+   * @param  {string} host The host to listen on. Default: 127.0.0.1.
+   * @return {object} The address with `address` and `port`.
+   */
+  async listen(port, host) {
+    assert(!this.server, 'The server is already listening.');
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res);
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port || 0, host || '127.0.0.1', resolve);
+    });
+    return this.server.address();
+  }
+
+  /**
+   * Stop listening, and wait for open connections to end.
+   */
+  async close() {
+    if (!this.server) return;
+    let server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  /**
+   * Handle a request, and respond with JSON.
+   * @param  {object} req http.IncomingMessage
+   * @param  {object} res http.ServerResponse
+   */
+  async handleRequest(req, res) {
+    let statusCode = 200, body;
+    try {
+      let url = new URL(req.url, 'http://localhost');
+      let routes = this.routes.filter(([_, pattern]) => {
+        return pattern.test(url.pathname);
+      });
+      if (routes.length === 0) throw httpError(404, 'Not found.');
+
+      let route = routes.find(([method]) => method === req.method);
+      if (!route) {
+        res.setHeader('Allow', routes.map(([method]) => method).join(', '));
+        throw httpError(405, `Method ${req.method} is not allowed.`);
+      }
+      if (url.pathname !== '/health') this.authenticate(req);
+
+      let [method, pattern, handler] = route;
+      let params = url.pathname.match(pattern).slice(1)
+          .map(decodeURIComponent);
+      body = await handler({
+        query: this.parseQuery(url.searchParams),
+        body: method === 'POST' ? await this.readBody(req) : null,
+      }, ...params);
+      if (method === 'POST') statusCode = 202;
+
+    } catch (e) {
+      statusCode = e.statusCode || 500;
+      body = {error: statusCode === 500 ? 'Internal server error.' : e.message};
+      if (statusCode === 500) this.logger.error(e);
+    }
+
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  /**
+   * Throw a 401 error if the request doesn't have the token.
+   * @param  {object} req http.IncomingMessage
+   */
+  authenticate(req) {
+    if (!this.token) return;
+    let header = req.headers['authorization'] || '';
+    let token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+    // Compare hashes in constant time, regardless of the token lengths.
+    let hash = (value) => crypto.createHash('sha256').update(value).digest();
+    if (!crypto.timingSafeEqual(hash(token), hash(this.token))) {
+      throw httpError(401, 'Missing or invalid token.');
+    }
+  }
+
+  /**
+   * Parse query parameters into an object. Repeated parameters are parsed as
+   * arrays, the same as CLI arguments.
+   * @param  {object} searchParams URLSearchParams
+   * @return {object}
+   */
+  parseQuery(searchParams) {
+    let query = {};
+    for (const key of new Set(searchParams.keys())) {
+      let values = searchParams.getAll(key);
+      query[key] = values.length > 1 ? values : values[0];
+    }
+    return query;
+  }
+
+  /**
+   * Read a JSON object from the request body. An empty body is an empty
+   * object.
+   * @param  {object} req http.IncomingMessage
+   * @return {object}
+   */
+  async readBody(req) {
+    let chunks = [], size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MaxBodySize) {
+        throw httpError(413, `Request body exceeds ${MaxBodySize} bytes.`);
+      }
+      chunks.push(chunk);
+    }
+
+    let text = Buffer.concat(chunks).toString('utf8').trim();
+    if (!text) return {};
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (e) {
+      throw httpError(400, `Invalid JSON: ${e.message}`);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw httpError(400, 'Request body must be a JSON object.');
+    }
+    return body;
+  }
+
+  /**
+   * Compile filter parameters into filter expressions.
+   * @param  {object} params Parameters with filter shortcuts.
+   * @return {Array<string>} Filter expressions.
+   */
+  getFilters(params) {
+    let filterParams = {};
+    Object.keys(FilterProperties).forEach(key => {
+      filterParams[key] = params[key];
+    });
+    // Query parameters are strings.
+    filterParams.selectedOnly = [true, 'true'].includes(params.selectedOnly);
+
+    try {
+      let filters = buildFilters(filterParams);
+      if (params.status) {
+        filters.push(`status===${JSON.stringify(params.status)}`);
+      }
+      return filters;
+    } catch (e) {
+      throw httpError(400, e.message);
+    }
+  }
+
+  /**
+   * Query Tests or Results with sorting, a limit and fields.
+   * @param  {Array<object>} items
+   * @param  {object} query Query parameters.
+   * @return {Array<object>}
+   */
+  queryItems(items, query) {
+    return queryItems(items, {
+      sort: query.sort,
+      limit: query.limit,
+      fields: query.fields ? query.fields.split(',') : [],
+    });
+  }
+
+  async listTests(query) {
+    assertValid(query, RequestSchemas.listTests, {coerceStrings: true});
+    let tests = await this.awp.getTests(Object.assign({}, this.awpOptions, {
+      filters: this.getFilters(query),
+    }));
+    return {tests: this.queryItems(tests, query)};
+  }
+
+  async listResults(query) {
+    assertValid(query, RequestSchemas.listResults, {coerceStrings: true});
+    let results = await this.awp.getResults(Object.assign({}, this.awpOptions, {
+      filters: this.getFilters(query),
+    }));
+    return {results: this.queryItems(results, query)};
+  }
+
+  /**
+   * Run ad-hoc Tests, like the URL connector. Either `url`, `urls` or `tests`
+   * is required in the request body.
+   * @param  {object} body Request body.
+   * @return {object} The queued job.
+   */
+  async runTests(body) {
+    assertValid(body, RequestSchemas.runTests);
+    let urls = (body.urls || []).concat(body.url ? [body.url] : []);
+    let tests = urls.map(url => {
+      return {
+        label: body.label || url,
+        url: url,
+        gatherer: body.gatherer || this.defaultGatherer,
+      };
+    }).concat((body.tests || []).map(test => {
+      return Object.assign({gatherer: this.defaultGatherer}, test);
+    }));
+    if (tests.length === 0) {
+      throw httpError(400, 'Either url, urls or tests is required.');
+    }
+
+    let errors = validateTests(tests, this.awp.getModuleNames());
+    tests.forEach((test, index) => {
+      if (!test.url && !test.origin) {
+        errors.push({path: `tests[${index}]`, message: 'url is missing.'});
+      }
+    });
+    if (errors.length > 0) {
+      throw httpError(400, 'Invalid tests:\n' + formatValidationErrors(errors));
+    }
+
+    return {job: this.createJob('run', options => {
+      return this.awp.run(Object.assign(options, {tests: tests}));
+    })};
+  }
+
+  async recurring(body) {
+    assertValid(body, RequestSchemas.recurring);
+    let filters = this.getFilters(body);
+    return {job: this.createJob('recurring', options => {
+      return this.awp.recurring(Object.assign(options, {
+        filters: filters,
+        activateOnly: body.activateOnly,
+      }));
+    })};
+  }
+
+  async retrieve(body) {
+    assertValid(body, RequestSchemas.retrieve);
+    let filters = this.getFilters(body);
+    return {job: this.createJob('retrieve', options => {
+      return this.awp.retrieve(Object.assign(options, {filters: filters}));
+    })};
+  }
+
+  /**
+   * Queue a job, and return it without waiting for it to finish.
+   * @param  {string} type Job type, e.g. run.
+   * @param  {function} task Function that takes options and returns the
+   *     response of AutoWebPerf, with `tests`, `results` and `errors`.
+   * @return {object} Job object.
+   */
+  createJob(type, task) {
+    let job = {
+      id: crypto.randomUUID(),
+      type: type,
+      status: JobStatus.QUEUED,
+      createdTimestamp: Date.now(),
+    };
+    this.jobs.push(job);
+    this.pruneJobs();
+
+    this.jobLimit(async () => {
+      job.status = JobStatus.RUNNING;
+      job.startedTimestamp = Date.now();
+      try {
+        let response = await task(Object.assign({}, this.awpOptions));
+        Object.assign(job, this.summarizeResponse(response));
+        job.status = JobStatus.COMPLETED;
+      } catch (e) {
+        this.logger.error(e);
+        job.status = JobStatus.FAILED;
+        job.errors = [e.message];
+      }
+      job.finishedTimestamp = Date.now();
+    });
+    return job;
+  }
+
+  /**
+   * Wait for all queued jobs to finish.
+   */
+  async waitForJobs() {
+    // Jobs run one at a time, so an empty task runs after all queued jobs.
+    await this.jobLimit(() => {});
+  }
+
+  /**
+   * Return the job with the given ID, or throw a 404 error.
+   * @param  {string} id Job ID.
+   * @return {object} Job object.
+   */
+  getJob(id) {
+    let job = this.jobs.find(job => job.id === id);
+    if (!job) throw httpError(404, `Job ${id} is not found.`);
+    return job;
+  }
+
+  /**
+   * Remove the oldest finished jobs beyond MaxJobs.
+   */
+  pruneJobs() {
+    let isFinished = (job) => {
+      return [JobStatus.COMPLETED, JobStatus.FAILED].includes(job.status);
+    };
+    while (this.jobs.length > MaxJobs && this.jobs.some(isFinished)) {
+      this.jobs.splice(this.jobs.findIndex(isFinished), 1);
+    }
+  }
+
+  /**
+   * Summarize a response of AutoWebPerf for the job status.
+   * @param  {object} response Response with `tests`, `results` and `errors`.
+   * @return {object} Summary with the number of Tests, brief Results and
+   *     error messages.
+   */
+  summarizeResponse(response) {
+    response = response || {};
+    let summary = {
+      results: (response.results || []).map(result => {
+        return {
+          id: result.id,
+          label: result.label,
+          url: result.url,
+          status: result.status,
+        };
+      }),
+      errors: (response.errors || []).map(error => {
+        return error && error.message ? error.message : String(error);
+      }),
+    };
+    if (response.tests) summary.tests = response.tests.length;
+    return summary;
+  }
+}
+
+module.exports = {
+  AwpServer,
+  JobStatus,
+};
@@ -0,0 +1,91 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const path = require('path');
+
+/**
+ * Return the path of the nth backup of a file, where 1 is the latest.
+ * @param  {string} filepath
+ * @param  {number} n
+ * @return {string}
+ */
+function getBackupPath(filepath, n) {
+  return `${path.resolve(filepath)}.bak.${n}`;
+}
+
+/**
+ * Copy the current file to `<file>.bak.1`, and shift older backups up to the
+ * given number of backups. The oldest backup is removed.
+ * @param  {string} filepath
+ * @param  {number} backups Number of backups to keep.
+ */
+function rotateBackups(filepath, backups) {
+  filepath = path.resolve(filepath);
+  if (!backups || !fse.existsSync(filepath)) return;
+
+  fse.removeSync(getBackupPath(filepath, backups));
+  for (let n = backups - 1; n >= 1; n--) {
+    let backupPath = getBackupPath(filepath, n);
+    if (fse.existsSync(backupPath)) {
+      fse.renameSync(backupPath, getBackupPath(filepath, n + 1));
+    }
+  }
+  fse.copyFileSync(filepath, getBackupPath(filepath, 1));
+}
+
+/**
+ * Write a file atomically. The content is written and flushed to a temp file
+ * in the same directory, then renamed to the file, so that readers never see
+ * a partially written file even if the process crashes.
+ * @param  {string} filepath
+ * @param  {string} content
+ * @param  {object} options
+ *
+ * Available options:
+ * - backups {number}: Number of rolling backups of the previous file to keep
+ *     as `<file>.bak.1`, `<file>.bak.2`, etc. Default: 0.
+ */
+function writeFileAtomic(filepath, content, options) {
+  options = options || {};
+  filepath = path.resolve(filepath);
+  let tmpPath = `${filepath}.${process.pid}.tmp`;
+
+  fse.ensureDirSync(path.dirname(filepath));
+  let fd = fse.openSync(tmpPath, 'w');
+  try {
+    fse.writeSync(fd, content);
+    fse.fsyncSync(fd);
+  } finally {
+    fse.closeSync(fd);
+  }
+
+  try {
+    rotateBackups(filepath, options.backups);
+    fse.renameSync(tmpPath, filepath);
+  } catch (e) {
+    fse.removeSync(tmpPath);
+    throw e;
+  }
+}
+
+module.exports = {
+  getBackupPath,
+  rotateBackups,
+  writeFileAtomic,
+};
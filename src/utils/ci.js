@@ -0,0 +1,223 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('./assert');
+const Status = require('../common/status');
+const {escapeHtml} = require('./html-report');
+
+/**
+ * Exit codes of CI mode, in the order of precedence when multiple apply.
+ * 1 is reserved for unexpected failures, e.g. an invalid awpConfig.
+ */
+const CiExitCode = {
+  PASSED: 0,
+  GATHERER_ERRORS: 2,
+  TIMED_OUT: 3,
+  BUDGET_EXCEEDED: 4,
+};
+
+/**
+ * Return the metrics over budget in a Result processed by BudgetsExtension.
+ * @param  {object} result Result object.
+ * @return {Array<object>} List of metrics with `metric` and `overRatio`.
+ */
+function getExceededBudgets(result) {
+  let budgetMetrics = (result.budgets || {}).metrics || {};
+  return Object.keys(budgetMetrics).filter(metric => {
+    return budgetMetrics[metric].overRatio > 0;
+  }).map(metric => {
+    return {metric: metric, overRatio: budgetMetrics[metric].overRatio};
+  });
+}
+
+/**
+ * Summarize Results of a CI run. Each Result has one of the outcomes:
+ * - error: The Result has Error status, i.e. any gatherer errored.
+ * - pending: The Result is still Submitted after the timeout.
+ * - budgetExceeded: Any metric is over budget.
+ * - skipped: The Result is a duplicate of a previous run.
+ * - passed: Otherwise.
+ * @param  {Array<object>} results Result objects.
+ * @return {object} Summary with counts, the outcome of each Result and the
+ *     exit code.
+ */
+function summarizeResults(results) {
+  assert(Array.isArray(results), 'results is not an array.');
+
+  let items = results.map(result => {
+    let exceededBudgets = getExceededBudgets(result);
+    let outcome = 'passed';
+    if (result.status === Status.ERROR) {
+      outcome = 'error';
+    } else if (result.status === Status.SUBMITTED) {
+      outcome = 'pending';
+    } else if (result.status === Status.DUPLICATE) {
+      outcome = 'skipped';
+    } else if (exceededBudgets.length > 0) {
+      outcome = 'budgetExceeded';
+    }
+    return {
+      id: result.id,
+      label: result.label,
+      url: result.url || result.origin,
+      gatherer: result.gatherer,
+      status: result.status,
+      outcome: outcome,
+      errors: (result.errors || []).map(error => {
+        return error && error.message ? error.message : String(error);
+      }),
+      exceededBudgets: exceededBudgets,
+    };
+  });
+
+  let count = (outcome) => items.filter(x => x.outcome === outcome).length;
+  let summary = {
+    total: items.length,
+    passed: count('passed'),
+    errors: count('error'),
+    pending: count('pending'),
+    budgetExceeded: count('budgetExceeded'),
+    skipped: count('skipped'),
+    results: items,
+  };
+
+  if (summary.errors > 0) {
+    summary.exitCode = CiExitCode.GATHERER_ERRORS;
+  } else if (summary.pending > 0) {
+    summary.exitCode = CiExitCode.TIMED_OUT;
+  } else if (summary.budgetExceeded > 0) {
+    summary.exitCode = CiExitCode.BUDGET_EXCEEDED;
+  } else {
+    summary.exitCode = CiExitCode.PASSED;
+  }
+  return summary;
+}
+
+/**
+ * Format a summary as JUnit XML, with a test case for each Result.
+ * @param  {object} summary Summary from `summarizeResults`.
+ * @return {string}
+ */
+function formatJUnit(summary) {
+  let failures = summary.pending + summary.budgetExceeded;
+  let cases = summary.results.map(item => {
+    let name = escapeHtml(item.label || item.id);
+    let classname = escapeHtml(item.url || '');
+    let body = '';
+    switch (item.outcome) {
+      case 'error':
+        body = `<error message="Gatherer errors">` +
+            `${escapeHtml(item.errors.join('\n'))}</error>`;
+        break;
+      case 'pending':
+        body = `<failure message="Timed out waiting for results"/>`;
+        break;
+      case 'budgetExceeded':
+        body = `<failure message="Budget exceeded">` +
+            escapeHtml(item.exceededBudgets.map(budget => {
+              return `${budget.metric} is ` +
+                  `${Math.round(budget.overRatio * 10000) / 100}% over budget`;
+            }).join('\n')) + `</failure>`;
+        break;
+      case 'skipped':
+        body = `<skipped message="Duplicate run"/>`;
+        break;
+    }
+    return `    <testcase name="${name}" classname="${classname}">` +
+        `${body}</testcase>`;
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites>`,
+    `  <testsuite name="AutoWebPerf" tests="${summary.total}" ` +
+        `failures="${failures}" errors="${summary.errors}" ` +
+        `skipped="${summary.skipped}">`,
+    ...cases,
+    `  </testsuite>`,
+    `</testsuites>`,
+  ].join('\n') + '\n';
+}
+
+/**
+ * Format a summary as JSON or JUnit XML.
+ * @param  {object} summary Summary from `summarizeResults`.
+ * @param  {string} format Either `json` or `junit`. Default: json.
+ * @return {string}
+ */
+function formatSummary(summary, format) {
+  format = format || 'json';
+  assert(['json', 'junit'].includes(format),
+      `Unknown format: ${format}. Available formats: json, junit.`);
+  return format === 'junit' ?
+      formatJUnit(summary) : JSON.stringify(summary, null, 2) + '\n';
+}
+
+/**
+ * Retrieve the given Results until none of them is Submitted, or until the
+ * timeout.
+ * @param  {object} awp AutoWebPerf instance.
+ * @param  {Array<object>} results Result objects to wait for.
+ * @param  {object} options
+ * @return {Array<object>} The latest Result objects, in the same order.
+ *
+ * Available options:
+ * - timeout {number}: The max seconds to wait. Default: 600.
+ * - pollInterval {number}: The seconds between retrieves. Default: 30.
+ * - awpOptions {object}: Options passed to `awp.retrieve`, except filters.
+ * - sleep {function}: Function to wait for the given milliseconds, for tests.
+ */
+async function waitForResults(awp, results, options) {
+  options = options || {};
+  let timeout = (options.timeout === undefined ? 600 : options.timeout) * 1000;
+  let pollInterval = (options.pollInterval || 30) * 1000;
+  let sleep = options.sleep ||
+      (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  let deadline = Date.now() + timeout;
+
+  let latest = {};
+  results.forEach(result => latest[result.id] = result);
+  let getPendingIds = () => Object.keys(latest).filter(id => {
+    return latest[id].status === Status.SUBMITTED;
+  });
+
+  while (getPendingIds().length > 0 && Date.now() < deadline) {
+    await sleep(Math.min(pollInterval, Math.max(deadline - Date.now(), 0)));
+
+    // Only retrieve the pending Results of this run.
+    let escapedIds = getPendingIds().map(id => {
+      return id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+    let idPattern = JSON.stringify(`^(?:${escapedIds.join('|')})$`);
+    let retrieved = await awp.retrieve(Object.assign({}, options.awpOptions, {
+      filters: [`status==="${Status.SUBMITTED}"`, `id.match(${idPattern})`],
+    }));
+    (retrieved.results || []).forEach(result => {
+      if (latest[result.id]) latest[result.id] = result;
+    });
+  }
+  return results.map(result => latest[result.id]);
+}
+
+module.exports = {
+  CiExitCode,
+  formatSummary,
+  getExceededBudgets,
+  summarizeResults,
+  waitForResults,
+};
@@ -0,0 +1,276 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('./assert');
+const flattenObject = require('./flatten-object');
+const parseGathererNames = require('./parse-gatherer-names');
+const Status = require('../common/status');
+const {MetricKeys} = require('../common/metrics');
+
+// Keys in MetricKeys that group metrics by tools instead of being metrics.
+const ToolKeys = ['crux', 'lighthouse', 'formFactor', 'urlType'];
+
+/**
+ * Return a value as a finite number, including numeric strings from
+ * connectors that store all values as strings, e.g. CSV and Sheets.
+ * @param  {any} value
+ * @return {number} The number, or null if not numeric.
+ */
+function toNumber(value) {
+  if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+  return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+/**
+ * Return the numeric metrics of a gatherer's response in a Result, keyed by
+ * their dotted paths under `metrics`, e.g. `lighthouse.Performance`. Only
+ * paths with a standardized metric name in `MetricKeys` are included.
+ * @param  {object} result Result object.
+ * @param  {string} gathererName
+ * @return {object} Metric values keyed by dotted paths.
+ */
+function getMetricValues(result, gathererName) {
+  let metrics = (result[gathererName] || {}).metrics || {};
+  let flattened = flattenObject(metrics);
+  let values = {};
+  Object.keys(flattened).forEach(path => {
+    let value = toNumber(flattened[path]);
+    let isMetric = path.split('.').some(key => {
+      return MetricKeys.includes(key) && !ToolKeys.includes(key);
+    });
+    if (isMetric && value !== null) {
+      values[path] = value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Return the median of a list of numbers.
+ * @param  {Array<number>} values
+ * @return {number}
+ */
+function getMedian(values) {
+  let sorted = values.slice().sort((a, b) => a - b);
+  let middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ?
+      sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Select Results by a label and a time window of the created time.
+ * @param  {Array<object>} results Result objects.
+ * @param  {object} selector
+ * @return {Array<object>} Selected Result objects.
+ *
+ * Available properties of the selector:
+ * - label {string}: The label of Results.
+ * - since {number}: The min created timestamp in milliseconds, inclusive.
+ * - until {number}: The max created timestamp in milliseconds, exclusive.
+ */
+function selectResults(results, selector) {
+  selector = selector || {};
+  return results.filter(result => {
+    if (selector.label && result.label !== selector.label) return false;
+    if (selector.since && !(result.createdTimestamp >= selector.since)) {
+      return false;
+    }
+    if (selector.until && !(result.createdTimestamp < selector.until)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Group the metrics of retrieved Results by the match key of each gatherer.
+ * @param  {Array<object>} results Result objects.
+ * @param  {Array<string>} matchBy Result properties to match by.
+ * @return {object} Groups keyed by match keys, with `key`, `count` and lists
+ *     of metric values.
+ */
+function groupMetrics(results, matchBy) {
+  let groups = {};
+  results.filter(result => result.status === Status.RETRIEVED)
+      .forEach(result => {
+    let gathererNames = parseGathererNames(result.gatherer);
+    gathererNames.forEach(gathererName => {
+      let key = {};
+      matchBy.forEach(property => key[property] = result[property]);
+      key.gatherer = gathererName;
+      let keyString = JSON.stringify(key);
+
+      let group = groups[keyString] = groups[keyString] ||
+          {key: key, count: 0, values: {}};
+      group.count++;
+      let values = getMetricValues(result, gathererName);
+      Object.keys(values).forEach(metric => {
+        group.values[metric] = (group.values[metric] || []).concat(
+            [values[metric]]);
+      });
+    });
+  });
+  return groups;
+}
+
+/**
+ * Compare metrics of two sets of Results. Results are matched by label, URL
+ * and gatherer by default, and only Results with Retrieved status are
+ * compared. If multiple Results match in a set, e.g. Results in a time window,
+ * the median of each metric is used.
+ *
+ * Example:
+ *
+ *   let comparison = compareResults(lastWeekResults, todayResults, {
+ *     threshold: 5,
+ *   });
+ *   // comparison.matches[0].metrics[0] is like:
+ *   // {metric: 'lighthouse.SpeedIndex', base: 2000, target: 2500,
+ *   //     delta: 500, percentChange: 25, flagged: true}
+ *
+ * @param  {Array<object>} baseResults Result objects as the baseline.
+ * @param  {Array<object>} targetResults Result objects to compare with.
+ * @param  {object} options
+ * @return {object} Comparison with `threshold`, `matches` and `unmatched`.
+ *
+ * Available options:
+ * - matchBy {Array<string>}: Result properties to match Results by, in
+ *     addition to the gatherer. Default: ['label', 'url'].
+ * - threshold {number}: Flag changes with the absolute percentage change
+ *     beyond this value. Default: 10.
+ */
+function compareResults(baseResults, targetResults, options) {
+  options = options || {};
+  assert(Array.isArray(baseResults), 'baseResults is not an array.');
+  assert(Array.isArray(targetResults), 'targetResults is not an array.');
+
+  let matchBy = options.matchBy || ['label', 'url'];
+  let threshold = options.threshold === undefined ?
+      10 : Number(options.threshold);
+  let baseGroups = groupMetrics(baseResults, matchBy);
+  let targetGroups = groupMetrics(targetResults, matchBy);
+  let comparison = {
+    threshold: threshold,
+    matches: [],
+    unmatched: {base: [], target: []},
+  };
+
+  Object.keys(baseGroups).forEach(keyString => {
+    let base = baseGroups[keyString], target = targetGroups[keyString];
+    if (!target) {
+      comparison.unmatched.base.push(base.key);
+      return;
+    }
+
+    let metrics = [];
+    Object.keys(base.values).forEach(metric => {
+      if (!target.values[metric]) return;
+      let baseValue = getMedian(base.values[metric]);
+      let targetValue = getMedian(target.values[metric]);
+      let delta = targetValue - baseValue;
+      let percentChange = baseValue === 0 ?
+          (delta === 0 ? 0 : null) : delta / Math.abs(baseValue) * 100;
+      metrics.push({
+        metric: metric,
+        base: baseValue,
+        target: targetValue,
+        delta: delta,
+        percentChange: percentChange,
+        flagged: percentChange === null || Math.abs(percentChange) > threshold,
+      });
+    });
+
+    comparison.matches.push({
+      key: base.key,
+      baseCount: base.count,
+      targetCount: target.count,
+      metrics: metrics,
+    });
+  });
+
+  Object.keys(targetGroups).forEach(keyString => {
+    if (!baseGroups[keyString]) {
+      comparison.unmatched.target.push(targetGroups[keyString].key);
+    }
+  });
+  return comparison;
+}
+
+/**
+ * Round a number for printing.
+ * @param  {number} value
+ * @return {string}
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Format a comparison from `compareResults` as readable text or JSON.
+ * Flagged changes are marked with `!`.
+ * @param  {object} comparison
+ * @param  {string} format Either `text` or `json`. Default: text.
+ * @return {string}
+ */
+function formatComparison(comparison, format) {
+  format = format || 'text';
+  assert(['text', 'json'].includes(format),
+      `Unknown format: ${format}. Available formats: text, json.`);
+  if (format === 'json') return JSON.stringify(comparison, null, 2);
+
+  let describeKey = (key) => Object.keys(key).filter(property => {
+    return key[property] !== undefined;
+  }).map(property => `${property}=${key[property]}`).join(', ');
+
+  let lines = [];
+  comparison.matches.forEach(match => {
+    lines.push(`${describeKey(match.key)} (base: ${match.baseCount}, ` +
+        `target: ${match.targetCount})`);
+    match.metrics.forEach(m => {
+      let sign = m.delta > 0 ? '+' : '';
+      let percent = m.percentChange === null ? 'n/a' :
+          `${sign}${m.percentChange.toFixed(1)}%`;
+      lines.push(`  ${m.flagged ? '!' : ' '} ${m.metric}: ` +
+          `${formatNumber(m.base)} -> ${formatNumber(m.target)} ` +
+          `(${sign}${formatNumber(m.delta)}, ${percent})`);
+    });
+  });
+
+  let flaggedCount = comparison.matches.reduce((count, match) => {
+    return count + match.metrics.filter(m => m.flagged).length;
+  }, 0);
+  lines.push('');
+  lines.push(`Compared ${comparison.matches.length} match(es), ` +
+      `${flaggedCount} change(s) beyond ${comparison.threshold}%.`);
+
+  ['base', 'target'].forEach(side => {
+    let keys = comparison.unmatched[side];
+    if (keys.length === 0) return;
+    lines.push(`Unmatched in ${side}:`);
+    keys.forEach(key => lines.push(`  ${describeKey(key)}`));
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  compareResults,
+  formatComparison,
+  getMetricValues,
+  selectResults,
+  toNumber,
+};
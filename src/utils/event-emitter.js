@@ -0,0 +1,116 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * A minimal event emitter with the same interface as Node's EventEmitter for
+ * `on`, `once`, `off` and `emit`. It doesn't depend on Node modules so that it
+ * works in AppScript as well.
+ *
+ * Example:
+ *
+ *   let emitter = new EventEmitter();
+ *   emitter.on('testStarted', ({test}) => console.log(test.label));
+ *   emitter.emit('testStarted', {test: test});
+ */
+class EventEmitter {
+  constructor() {
+    this.eventListeners = {};
+  }
+
+  /**
+   * Add a listener of an event.
+   * @param  {string} eventName
+   * @param  {function} listener Called with the payload of the event.
+   * @return {object} This emitter, for chaining.
+   */
+  on(eventName, listener) {
+    let listeners = this.eventListeners[eventName] || [];
+    this.eventListeners[eventName] = listeners.concat([listener]);
+    return this;
+  }
+
+  /**
+   * Add a listener that is removed after the first call.
+   * @param  {string} eventName
+   * @param  {function} listener Called with the payload of the event.
+   * @return {object} This emitter, for chaining.
+   */
+  once(eventName, listener) {
+    let wrapper = (...args) => {
+      this.off(eventName, wrapper);
+      return listener.apply(this, args);
+    };
+    wrapper.listener = listener;
+    return this.on(eventName, wrapper);
+  }
+
+  /**
+   * Remove a listener of an event.
+   * @param  {string} eventName
+   * @param  {function} listener The listener added with `on` or `once`.
+   * @return {object} This emitter, for chaining.
+   */
+  off(eventName, listener) {
+    let listeners = this.eventListeners[eventName] || [];
+    this.eventListeners[eventName] = listeners.filter(fn => {
+      return fn !== listener && fn.listener !== listener;
+    });
+    return this;
+  }
+
+  /**
+   * Call all listeners of an event synchronously in the order they were
+   * added. Errors thrown by a listener are passed to `handleListenerError`.
+   * @param  {string} eventName
+   * @param  {...any} args Payload of the event.
+   * @return {boolean} Whether the event had listeners.
+   */
+  emit(eventName, ...args) {
+    let listeners = this.eventListeners[eventName] || [];
+    listeners.forEach(listener => {
+      try {
+        listener.apply(this, args);
+      } catch (error) {
+        this.handleListenerError(error, eventName);
+      }
+    });
+    return listeners.length > 0;
+  }
+
+  /**
+   * Handle an error thrown by a listener. It rethrows the error by default,
+   * the same as Node's EventEmitter. Override it to keep calling the other
+   * listeners.
+   * @param  {Error} error
+   * @param  {string} eventName
+   */
+  handleListenerError(error, eventName) {
+    throw error;
+  }
+
+  /**
+   * Return the number of listeners of an event.
+   * @param  {string} eventName
+   * @return {number}
+   */
+  listenerCount(eventName) {
+    return (this.eventListeners[eventName] || []).length;
+  }
+}
+
+module.exports = EventEmitter;
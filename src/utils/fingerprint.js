@@ -0,0 +1,116 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// Sequence number to keep Result IDs unique within the same millisecond.
+let sequence = 0;
+
+/**
+ * Serialize a value to JSON with object keys sorted, so that objects with the
+ * same properties in different orders have the same string.
+ * @param  {any} value
+ * @return {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(stableStringify).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort().filter(key => {
+      return value[key] !== undefined;
+    }).map(key => {
+      return JSON.stringify(key) + ':' + stableStringify(value[key]);
+    }).join(',') + '}';
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Return a 32-bit FNV-1a hash of a string in 8 hex digits. This is not a
+ * cryptographic hash, but works in both Node and AppScript.
+ * @param  {string} str
+ * @return {string}
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Return the fingerprint of running a Test with the given gatherers. Runs of
+ * the same Test with the same gatherers and gatherer settings have the same
+ * fingerprint.
+ * @param  {object} test Test object.
+ * @param  {Array<string>} gathererNames Gatherer names of the run.
+ * @return {string} Fingerprint in 8 hex digits.
+ */
+function getTestFingerprint(test, gathererNames) {
+  let names = [...new Set(gathererNames || [])].sort();
+  let settings = {};
+  names.forEach(name => {
+    settings[name] = (test[name] || {}).settings || null;
+  });
+
+  return hashString(stableStringify({
+    label: test.label,
+    url: test.url,
+    origin: test.origin,
+    gatherers: names,
+    settings: settings,
+  }));
+}
+
+/**
+ * Return a unique Result ID, in the format of
+ * `<timestamp>-<fingerprint>-<suffix>`. The suffix combines a sequence number
+ * and random characters to avoid collisions within the same millisecond, in
+ * the same process or across processes.
+ * @param  {string} fingerprint Fingerprint of the Test run.
+ * @param  {number} timestamp Created timestamp of the Result.
+ * @return {string} Result ID.
+ */
+function createResultId(fingerprint, timestamp) {
+  sequence = (sequence + 1) % 1296;
+  let suffix = sequence.toString(36).padStart(2, '0') +
+      Math.random().toString(36).slice(2, 6).padEnd(4, '0');
+  return `${timestamp}-${fingerprint}-${suffix}`;
+}
+
+/**
+ * Return the fingerprint of a stored Result. Connectors that only keep known
+ * columns, e.g. Sheets, drop the `fingerprint` property, in which case the
+ * fingerprint comes from the Result ID.
+ * @param  {object} result Result object.
+ * @return {string} Fingerprint in 8 hex digits, or null if unknown.
+ */
+function getResultFingerprint(result) {
+  if (result.fingerprint) return result.fingerprint;
+  let match = /^\d+-([0-9a-f]{8})-[0-9a-z]{6}$/.exec(result.id || '');
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  createResultId,
+  getResultFingerprint,
+  getTestFingerprint,
+  hashString,
+  stableStringify,
+};
@@ -0,0 +1,45 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Return the value of a nested property by a dotted path, the reverse of
+ * `src/utils/set-object.js`. Returns undefined if any property in the path
+ * doesn't exist.
+ *
+ * Example:
+ *
+ *   let obj = {psi: {metrics: {lighthouse: {Performance: 0.9}}}};
+ *   getObject(obj, 'psi.metrics.lighthouse.Performance'); // Returns 0.9
+ *   getObject({a: {b: [{c: 1}]}}, 'a.b[0].c'); // Returns 1
+ *
+ * @param  {object} obj
+ * @param  {string} path Dotted path, e.g. `a.b[0].c`.
+ * @return {any}
+ */
+function getObject(obj, path) {
+  if (!path) return obj;
+
+  let properties = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+  for (let property of properties) {
+    if (obj === null || obj === undefined) return undefined;
+    obj = obj[property];
+  }
+  return obj;
+}
+
+module.exports = getObject;
@@ -0,0 +1,243 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const Status = require('../common/status');
+const {getMetricValues, toNumber} = require('./compare-results');
+const parseGathererNames = require('./parse-gatherer-names');
+const {CoreWebVitals, VitalRating, getVitalValue, rateVital} =
+    require('../common/web-vitals');
+
+const RatingLabels = {
+  [VitalRating.GOOD]: 'Good',
+  [VitalRating.NEEDS_IMPROVEMENT]: 'Needs improvement',
+  [VitalRating.POOR]: 'Poor',
+};
+
+// Inline styles, so that the report works offline without any assets.
+const Styles = `
+body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; margin: 2em; color: #202124; }
+h1 { font-size: 1.6em; margin-bottom: 0; }
+h2 { font-size: 1.2em; margin-top: 2em; word-break: break-all; }
+h3 { font-size: 1em; }
+.summary { color: #5f6368; }
+table { border-collapse: collapse; margin: 0.5em 0 1em; }
+th, td { border-bottom: 1px solid #dadce0; padding: 4px 12px; text-align: left; }
+td.number { text-align: right; font-variant-numeric: tabular-nums; }
+.badges { display: flex; flex-wrap: wrap; gap: 8px; }
+.badge { border-radius: 4px; padding: 4px 8px; color: #fff; font-size: 0.9em; }
+.good, .pass { background: #0c7c59; }
+.needs-improvement { background: #c77700; }
+.poor, .fail { background: #c5221f; }
+.sparkline polyline { fill: none; stroke: #1a73e8; stroke-width: 1.5; }
+`;
+
+/**
+ * Escape a value for HTML text and attributes.
+ * @param  {any} value
+ * @return {string}
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Round a number for display.
+ * @param  {number} value
+ * @return {string}
+ */
+function formatNumber(value) {
+  if (value === null || value === undefined) return '';
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Return an inline SVG sparkline of values over time.
+ * @param  {Array<number>} values Values in chronological order.
+ * @return {string} SVG markup, or empty if fewer than 2 values.
+ */
+function renderSparkline(values) {
+  if (values.length < 2) return '';
+  let width = 120, height = 24, padding = 2;
+  let min = Math.min(...values), max = Math.max(...values);
+  let range = max - min || 1;
+  let points = values.map((value, i) => {
+    let x = padding + i * (width - padding * 2) / (values.length - 1);
+    let y = height - padding - (value - min) * (height - padding * 2) / range;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+  return `<svg class="sparkline" width="${width}" height="${height}" ` +
+      `viewBox="0 0 ${width} ${height}"><polyline points="${points}"/></svg>`;
+}
+
+/**
+ * Render Core Web Vitals badges of the latest Result.
+ * @param  {object} result
+ * @return {string}
+ */
+function renderVitals(result) {
+  let badges = [];
+  parseGathererNames(result.gatherer).forEach(gathererName => {
+    let metrics = (result[gathererName] || {}).metrics;
+    Object.keys(CoreWebVitals).forEach(name => {
+      let value = getVitalValue(metrics, name);
+      let rating = rateVital(name, value);
+      if (!rating) return;
+      badges.push(`<span class="badge ${rating}" title="${escapeHtml(
+          RatingLabels[rating])}">${escapeHtml(gathererName)} ` +
+          `${escapeHtml(name)}: ${formatNumber(value)}` +
+          `${CoreWebVitals[name].unit} - ${RatingLabels[rating]}</span>`);
+    });
+  });
+  if (badges.length === 0) return '';
+  return `<h3>Core Web Vitals</h3>\n<div class="badges">${badges.join('')}` +
+      `</div>`;
+}
+
+/**
+ * Render the metrics table with trends of Results in chronological order.
+ * @param  {Array<object>} results
+ * @return {string}
+ */
+function renderMetrics(results) {
+  let series = {};
+  results.forEach(result => {
+    parseGathererNames(result.gatherer).forEach(gathererName => {
+      let values = getMetricValues(result, gathererName);
+      Object.keys(values).forEach(metric => {
+        let key = `${gathererName}.${metric}`;
+        series[key] = (series[key] || []).concat([values[metric]]);
+      });
+    });
+  });
+  if (Object.keys(series).length === 0) return '';
+
+  let rows = Object.keys(series).map(key => {
+    let values = series[key];
+    return `<tr><td>${escapeHtml(key)}</td>` +
+        `<td class="number">${formatNumber(values[values.length - 1])}</td>` +
+        `<td class="number">${formatNumber(Math.min(...values))}</td>` +
+        `<td class="number">${formatNumber(Math.max(...values))}</td>` +
+        `<td>${renderSparkline(values)}</td></tr>`;
+  });
+  return `<h3>Metrics</h3>\n<table>\n<tr><th>Metric</th><th>Latest</th>` +
+      `<th>Min</th><th>Max</th><th>Trend</th></tr>\n${rows.join('\n')}\n` +
+      `</table>`;
+}
+
+/**
+ * Render the budget outcomes from BudgetsExtension of the latest Result.
+ * @param  {object} result
+ * @return {string}
+ */
+function renderBudgets(result) {
+  let budgetMetrics = (result.budgets || {}).metrics || {};
+  let rows = Object.keys(budgetMetrics).filter(metric => {
+    return toNumber(budgetMetrics[metric].overRatio) !== null;
+  }).map(metric => {
+    let outcome = budgetMetrics[metric];
+    let overRatio = toNumber(outcome.overRatio);
+    let unit = Object.keys(outcome.budget || {})[0];
+    let passed = overRatio <= 0;
+    return `<tr><td>${escapeHtml(metric)}</td>` +
+        `<td class="number">${formatNumber((outcome.budget || {})[unit])} ` +
+        `${escapeHtml(unit)}</td>` +
+        `<td class="number">${formatNumber((outcome.metric || {})[unit])} ` +
+        `${escapeHtml(unit)}</td>` +
+        `<td class="number">${formatNumber(overRatio * 100)}%</td>` +
+        `<td><span class="badge ${passed ? 'pass' : 'fail'}">` +
+        `${passed ? 'Pass' : 'Over budget'}</span></td></tr>`;
+  });
+  if (rows.length === 0) return '';
+  return `<h3>Budgets</h3>\n<table>\n<tr><th>Metric</th><th>Budget</th>` +
+      `<th>Actual</th><th>Over</th><th>Outcome</th></tr>\n` +
+      `${rows.join('\n')}\n</table>`;
+}
+
+/**
+ * Generate a self-contained HTML report of Results, grouped by URL. Each URL
+ * has Core Web Vitals badges and budget outcomes of the latest Result, and a
+ * table of metrics with trend sparklines over time. Only Results with
+ * Retrieved status are included. The report has no external assets, so it
+ * works offline.
+ * @param  {Array<object>} results Result objects.
+ * @param  {object} options
+ * @return {string} HTML content.
+ *
+ * Available options:
+ * - title {string}: The title of the report. Default: AutoWebPerf Report.
+ * - generatedTime {Date}: The time of generating the report. Default: now.
+ */
+function generateHtmlReport(results, options) {
+  options = options || {};
+  let title = options.title || 'AutoWebPerf Report';
+  let generatedTime = options.generatedTime || new Date();
+
+  let retrieved = (results || []).filter(result => {
+    return result.status === Status.RETRIEVED;
+  }).sort((a, b) => {
+    return (toNumber(a.createdTimestamp) || 0) -
+        (toNumber(b.createdTimestamp) || 0);
+  });
+
+  let groups = {};
+  retrieved.forEach(result => {
+    let url = result.url || result.origin || result.label || '(no URL)';
+    groups[url] = (groups[url] || []).concat([result]);
+  });
+
+  let sections = Object.keys(groups).map(url => {
+    let group = groups[url], latest = group[group.length - 1];
+    let labels = [...new Set(group.map(result => result.label))]
+        .filter(label => label);
+    let latestTimestamp = toNumber(latest.createdTimestamp);
+    let latestTime = latestTimestamp ?
+        `, latest at ${new Date(latestTimestamp).toISOString()}` : '';
+    return `<section>\n<h2>${escapeHtml(url)}</h2>\n` +
+        `<p class="summary">${escapeHtml(labels.join(', '))} - ` +
+        `${group.length} result(s)${escapeHtml(latestTime)}</p>\n` +
+        [renderVitals(latest), renderMetrics(group), renderBudgets(latest)]
+            .filter(html => html).join('\n') +
+        `\n</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${Styles}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="summary">${retrieved.length} retrieved result(s) of ` +
+    `${Object.keys(groups).length} URL(s). Generated at ` +
+    `${escapeHtml(generatedTime.toISOString())}.</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  generateHtmlReport,
+  renderSparkline,
+};
@@ -0,0 +1,58 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Create a limiter that runs at most `limit` tasks at the same time. Tasks
+ * beyond the limit are queued and started in the order they were added.
+ *
+ * Example:
+ *
+ *   let limit = limitConcurrency(2);
+ *   let responses = await Promise.all(urls.map(url => {
+ *     return limit(() => apiHandler.fetchAsync(url));
+ *   }));
+ *
+ * @param  {number} limit Max number of running tasks. No limit when the value
+ *     is 0 or not given.
+ * @return {function} A function that takes a task function and returns a
+ *     Promise of the task's return value.
+ */
+function limitConcurrency(limit) {
+  limit = parseInt(limit) || 0;
+  let activeCount = 0;
+  let queue = [];
+
+  const next = () => {
+    if (queue.length === 0) return;
+    if (limit > 0 && activeCount >= limit) return;
+
+    let {task, resolve, reject} = queue.shift();
+    activeCount++;
+    Promise.resolve().then(task).then(resolve, reject).then(() => {
+      activeCount--;
+      next();
+    });
+  };
+
+  return (task) => {
+    return new Promise((resolve, reject) => {
+      queue.push({task, resolve, reject});
+      next();
+    });
+  };
+}
+
+module.exports = limitConcurrency;
@@ -0,0 +1,233 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+// Milliseconds before an unreadable lockfile is considered stale.
+const UnreadableLockGracePeriod = 10000;
+
+/**
+ * Whether the process with the given pid is still running on this host.
+ * @param  {number} pid
+ * @return {boolean}
+ */
+function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM means the process exists but belongs to another user.
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Read the owner info of a lockfile.
+ * @param  {string} lockPath
+ * @return {object} Owner info with pid, hostname and createdTimestamp, or null
+ *     if not readable.
+ */
+function readLock(lockPath) {
+  try {
+    return JSON.parse(fse.readFileSync(lockPath));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Create a lockfile with the owner info, unless it exists. The owner info is
+ * written to a temp file first and then hard-linked, so that a lockfile is
+ * never seen empty or partially written.
+ * @param  {string} lockPath
+ * @param  {object} owner
+ * @return {boolean} Whether the lockfile is created.
+ */
+function createLock(lockPath, owner) {
+  let tmpPath = `${lockPath}.${process.pid}.tmp`;
+  fse.writeFileSync(tmpPath, JSON.stringify(owner));
+  try {
+    fse.linkSync(tmpPath, lockPath);
+    return true;
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+    return false;
+  } finally {
+    fse.removeSync(tmpPath);
+  }
+}
+
+/**
+ * Return the stat of a file, or null if it doesn't exist.
+ * @param  {string} filepath
+ * @return {object}
+ */
+function statOrNull(filepath) {
+  try {
+    return fse.statSync(filepath);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    return null;
+  }
+}
+
+/**
+ * Remove a stale lockfile, unless it has been replaced by another process in
+ * the meantime. The lockfile is moved away first, which only one process can
+ * do, and put back if it turns out to be a different file.
+ * @param  {string} lockPath
+ * @param  {object} staleStat The stat of the lockfile when found stale.
+ * @return {boolean} Whether the stale lockfile is removed.
+ */
+function removeStaleLock(lockPath, staleStat) {
+  let movedPath = `${lockPath}.${process.pid}.stale`;
+  try {
+    fse.renameSync(lockPath, movedPath);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    return false;
+  }
+
+  let movedStat = fse.statSync(movedPath);
+  let isSameFile = ['dev', 'ino', 'size', 'mtimeMs'].every(key => {
+    return movedStat[key] === staleStat[key];
+  });
+  if (!isSameFile) {
+    // Another process took over the lock in between, so give it back.
+    try {
+      fse.linkSync(movedPath, lockPath);
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    fse.removeSync(movedPath);
+    return false;
+  }
+  fse.removeSync(movedPath);
+  return true;
+}
+
+/**
+ * Acquire an exclusive lockfile. The lockfile records the pid and hostname of
+ * the owner. A lockfile is considered stale and taken over if it's left by a
+ * process that is no longer running on this host, or if it's unreadable and
+ * older than `gracePeriod`, e.g. truncated by a full disk.
+ *
+ * Example:
+ *
+ *   let release = acquireLock('tests.json.lock');
+ *   try {
+ *     // Work on tests.json.
+ *   } finally {
+ *     release();
+ *   }
+ *
+ * @param  {string} lockPath Path of the lockfile.
+ * @param  {object} options
+ * @return {function} Function to release the lock.
+ *
+ * Available options:
+ * - gracePeriod {number}: Milliseconds before an unreadable lockfile is
+ *     considered stale. Default: 10000.
+ */
+function acquireLock(lockPath, options) {
+  options = options || {};
+  lockPath = path.resolve(lockPath);
+  let gracePeriod = options.gracePeriod === undefined ?
+      UnreadableLockGracePeriod : options.gracePeriod;
+  let owner = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    createdTimestamp: Date.now(),
+  };
+
+  fse.ensureDirSync(path.dirname(lockPath));
+  for (let attempt = 0; attempt < 3; attempt++) {
+    if (createLock(lockPath, owner)) {
+      return () => releaseLock(lockPath);
+    }
+
+    let stat = statOrNull(lockPath);
+    if (!stat) continue;
+    let existing = readLock(lockPath);
+    let isStale = existing ?
+        existing.hostname === owner.hostname &&
+            !isProcessAlive(existing.pid) :
+        Date.now() - stat.mtimeMs >= gracePeriod;
+    if (!isStale) {
+      let holder = existing ?
+          `process ${existing.pid} on ${existing.hostname}` :
+          'another process';
+      let error = new Error(`${lockPath} is locked by ${holder}.`);
+      error.code = 'ELOCKED';
+      throw error;
+    }
+    removeStaleLock(lockPath, stat);
+  }
+  throw new Error(`Unable to acquire ${lockPath}.`);
+}
+
+/**
+ * Acquire an exclusive lockfile like `acquireLock`, but wait for the lockfile
+ * to be released by others up to `timeout`. Waiting doesn't block the event
+ * loop, so other async work like API calls keeps running.
+ * @param  {string} lockPath Path of the lockfile.
+ * @param  {object} options
+ * @return {Promise<function>} Function to release the lock.
+ *
+ * Available options:
+ * - timeout {number}: Milliseconds to wait for the lockfile. Default: 0.
+ * - retryInterval {number}: Milliseconds between attempts. Default: 50.
+ * - gracePeriod {number}: See `acquireLock`.
+ */
+async function acquireLockAsync(lockPath, options) {
+  options = options || {};
+  let deadline = Date.now() + (options.timeout || 0);
+  let retryInterval = options.retryInterval || 50;
+
+  for (;;) {
+    try {
+      return acquireLock(lockPath, options);
+    } catch (e) {
+      if (e.code !== 'ELOCKED' || Date.now() >= deadline) throw e;
+    }
+    let delay = Math.min(retryInterval, Math.max(deadline - Date.now(), 0));
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Release a lockfile if it's owned by this process.
+ * @param  {string} lockPath Path of the lockfile.
+ */
+function releaseLock(lockPath) {
+  let existing = readLock(lockPath);
+  if (existing && existing.pid === process.pid) {
+    fse.removeSync(lockPath);
+  }
+}
+
+module.exports = {
+  acquireLock,
+  acquireLockAsync,
+  isProcessAlive,
+  releaseLock,
+  removeStaleLock,
+};
@@ -0,0 +1,62 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const LogLevels = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * The default logger that prints to the console.
+ */
+class ConsoleLogger {
+  debug(...args) {
+    console.log(...args);
+  }
+  info(...args) {
+    console.log(...args);
+  }
+  warn(...args) {
+    console.warn(...args);
+  }
+  error(...args) {
+    console.error(...args);
+  }
+}
+
+/**
+ * Return a logger with all levels from a custom logger. Missing levels are
+ * no-op, e.g. `{error: (...args) => {...}}` only receives errors, and `{}`
+ * silences all output.
+ * @param  {object} logger Custom logger with any of `debug`, `info`, `warn`
+ *     and `error` methods. Uses ConsoleLogger if not given.
+ * @return {object} Logger with all levels.
+ */
+function createLogger(logger) {
+  if (!logger) return new ConsoleLogger();
+
+  let normalized = {};
+  LogLevels.forEach(level => {
+    normalized[level] = typeof logger[level] === 'function' ?
+        logger[level].bind(logger) : () => {};
+  });
+  return normalized;
+}
+
+module.exports = {
+  ConsoleLogger,
+  LogLevels,
+  createLogger,
+};
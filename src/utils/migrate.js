@@ -0,0 +1,233 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('./assert');
+const flattenObject = require('./flatten-object');
+const setObject = require('./set-object');
+const {stableStringify} = require('./fingerprint');
+
+// Connectors that store items as rows of flat columns.
+const FlatConnectors = ['csv', 'sheets'];
+
+// Properties that are always strings, even if they look like numbers.
+const StringProperties = ['id', 'label', 'url', 'origin'];
+
+/**
+ * Parse a value read from a connector that stores values as strings, e.g. a
+ * cell of CSV or Sheets. Serialized JSON arrays and objects, numbers and
+ * booleans are converted back.
+ * @param  {any} value
+ * @return {any}
+ */
+function parseValue(value) {
+  if (typeof value !== 'string') return value;
+  if (/^\s*[\[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return value;
+    }
+  }
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value.trim() !== '' && String(Number(value)) === value) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Convert arrays into single values of flat columns. Arrays of strings without
+ * commas are joined with commas, e.g. `gatherer`, and others are serialized as
+ * JSON.
+ * @param  {any} value
+ * @return {any}
+ */
+function toColumnValue(value) {
+  if (Array.isArray(value)) {
+    let isSimple = value.length > 0 && value.every(item => {
+      return ['string', 'number', 'boolean'].includes(typeof item) &&
+          !String(item).includes(',');
+    });
+    return isSimple ? value.join(',') : JSON.stringify(value);
+  }
+  if (value && typeof value === 'object') {
+    let obj = {};
+    Object.keys(value).forEach(key => obj[key] = toColumnValue(value[key]));
+    return obj;
+  }
+  return value;
+}
+
+/**
+ * Convert a Test or Result from any connector into nested properties, e.g.
+ * Results from Sheets with columns like `psi.metrics.FCP`. Empty values of
+ * blank cells are removed, and connector metadata is dropped.
+ * @param  {object} item Test or Result object.
+ * @param  {object} options
+ * @return {object} Item with nested properties.
+ *
+ * Available options:
+ * - omitKeys {Array<string>}: Top-level properties to drop, e.g. `csv` for the
+ *     row index of CSV files.
+ */
+function nestItem(item, options) {
+  options = options || {};
+  let omitKeys = options.omitKeys || [];
+  let kept = {};
+  Object.keys(item).forEach(key => {
+    if (!omitKeys.includes(key.split('.')[0])) kept[key] = item[key];
+  });
+
+  let flat = flattenObject(kept), nested = {};
+  Object.keys(flat).forEach(key => {
+    let topKey = key.split('.')[0];
+    let value = StringProperties.includes(topKey) ?
+        flat[key] : parseValue(flat[key]);
+    if (value === '' || value === undefined) return;
+
+    // Array indices, e.g. errors.0, are set as errors[0] with setObject.
+    let path = key.split('.').map((property, index) => {
+      return index > 0 && /^\d+$/.test(property) ?
+          `[${property}]` : `.${property}`;
+    }).join('').slice(1);
+    setObject(nested, path, value);
+  });
+  return nested;
+}
+
+/**
+ * Convert a nested Test or Result into a row of flat columns with
+ * `flattenObject`, for connectors like CSV and Sheets.
+ * @param  {object} item Test or Result object with nested properties.
+ * @return {object} Row with dotted column names.
+ */
+function flattenItem(item) {
+  let flat = flattenObject(toColumnValue(item)), row = {};
+  Object.keys(flat).forEach(key => {
+    // Skip empty objects, which have no columns.
+    let value = flat[key];
+    if (value && typeof value === 'object') return;
+    row[key] = value;
+  });
+  return row;
+}
+
+/**
+ * Return the key to detect the same item in the source and destination. It's
+ * the Result or Test id if any, or the content otherwise, regardless of how
+ * the connector stores values.
+ * @param  {object} item Test or Result object with nested properties.
+ * @return {string}
+ */
+function getItemKey(item) {
+  if (item.id !== undefined && item.id !== null && item.id !== '') {
+    return `id:${item.id}`;
+  }
+  let row = flattenItem(item);
+  Object.keys(row).forEach(key => row[key] = String(row[key]));
+  return `content:${stableStringify(row)}`;
+}
+
+/**
+ * Copy Tests or Results from one connector to another. Items that already
+ * exist in the destination with the same id, or the same content without id,
+ * are skipped, so that migrating again only copies new items.
+ *
+ * Example:
+ *
+ *   await migrateItems(jsonConnector, csvConnector, {
+ *     what: 'results',
+ *     flatten: true,
+ *   });
+ *
+ * @param  {object} source Connector instance to read from.
+ * @param  {object} destination Connector instance to write to.
+ * @param  {object} options
+ * @return {object} Counts of `read`, `written` and `skipped` items.
+ *
+ * Available options:
+ * - what {string}: Either `tests` or `results`.
+ * - flatten {boolean}: Whether to write rows of flat columns, for connectors
+ *     like CSV and Sheets.
+ * - omitKeys {Array<string>}: Top-level properties to drop, e.g. connector
+ *     metadata.
+ * - filters {Array<string>}: Filter source items. See
+ *     `src/utils/pattern-filter.js` for more details.
+ * - dryRun {boolean}: Count the items without writing.
+ */
+async function migrateItems(source, destination, options) {
+  options = options || {};
+  let what = options.what;
+  assert(['tests', 'results'].includes(what),
+      `Unknown type: ${what}. Available types: tests, results.`);
+  if (what === 'tests') {
+    assert(typeof destination.appendTestList === 'function',
+        'The destination connector does not support appending Tests.');
+  }
+
+  let read = (connector, filters) => {
+    return what === 'tests' ?
+        connector.getTestList({filters: filters}) :
+        connector.getResultList({filters: filters});
+  };
+  let nestOptions = {omitKeys: options.omitKeys};
+  let items = (await read(source, options.filters) || []).map(item => {
+    return nestItem(item, nestOptions);
+  });
+
+  // The destination may not exist yet, e.g. a new tests file.
+  let existingItems = [];
+  try {
+    existingItems = await read(destination) || [];
+  } catch (e) {
+    existingItems = [];
+  }
+  let keys = new Set(existingItems.map(item => {
+    return getItemKey(nestItem(item, nestOptions));
+  }));
+
+  let newItems = items.filter(item => {
+    let key = getItemKey(item);
+    if (keys.has(key)) return false;
+    keys.add(key);
+    return true;
+  });
+  if (options.flatten) newItems = newItems.map(flattenItem);
+
+  if (!options.dryRun && newItems.length > 0) {
+    if (what === 'tests') {
+      await destination.appendTestList(newItems, {});
+    } else {
+      await destination.appendResultList(newItems, {});
+    }
+  }
+
+  return {
+    read: items.length,
+    written: newItems.length,
+    skipped: items.length - newItems.length,
+  };
+}
+
+module.exports = {
+  FlatConnectors,
+  flattenItem,
+  getItemKey,
+  migrateItems,
+  nestItem,
+};
@@ -0,0 +1,37 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Return gatherer names of a Test or Result, given as an array or a
+ * comma-separated string.
+ *
+ * Example:
+ *
+ *   parseGathererNames('psi, webpagetest'); // Returns ['psi', 'webpagetest']
+ *   parseGathererNames(['psi']); // Returns ['psi']
+ *
+ * @param  {string|Array<string>} gatherer
+ * @return {Array<string>}
+ */
+function parseGathererNames(gatherer) {
+  if (!gatherer) return [];
+  let names = Array.isArray(gatherer) ? gatherer : String(gatherer).split(',');
+  return names.map(name => String(name).trim()).filter(name => name);
+}
+
+module.exports = parseGathererNames;
@@ -0,0 +1,231 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('./assert');
+
+const PluginType = {
+  GATHERER: 'gatherer',
+  CONNECTOR: 'connector',
+  EXTENSION: 'extension',
+};
+
+/**
+ * The methods each type of plugin class is required to implement. An
+ * Extension only needs to implement any one of its hooks.
+ */
+const PluginContracts = {
+  [PluginType.GATHERER]: {
+    allOf: ['run', 'retrieve'],
+  },
+  [PluginType.CONNECTOR]: {
+    allOf: ['getEnvVars', 'getTestList', 'updateTestList', 'getResultList',
+        'appendResultList', 'updateResultList'],
+  },
+  [PluginType.EXTENSION]: {
+    anyOf: ['beforeRun', 'afterRun', 'beforeAllRuns', 'afterAllRuns',
+        'beforeRetrieve', 'afterRetrieve', 'beforeAllRetrieves',
+        'afterAllRetrieves'],
+  },
+};
+
+/**
+ * Validate that the given plugin class implements the contract of the given
+ * plugin type. Throws an Error when it doesn't.
+ * @param  {string} type Plugin type, one of PluginType.
+ * @param  {string} name Plugin name, used in error messages.
+ * @param  {function} PluginClass The class to validate.
+ */
+function validatePlugin(type, name, PluginClass) {
+  let contract = PluginContracts[type];
+  assert(contract, `Unknown plugin type: ${type}`);
+
+  if (typeof PluginClass !== 'function' || !PluginClass.prototype) {
+    throw new Error(`The ${type} ${name} is not a class.`);
+  }
+
+  let implemented = (method) => {
+    return typeof PluginClass.prototype[method] === 'function';
+  };
+  let missing = (contract.allOf || []).filter(method => !implemented(method));
+  if (missing.length > 0) {
+    throw new Error(`The ${type} ${name} doesn't implement required ` +
+        `methods: ${missing.join(', ')}`);
+  }
+  if (contract.anyOf && !contract.anyOf.some(implemented)) {
+    throw new Error(`The ${type} ${name} doesn't implement any of the ` +
+        `methods: ${contract.anyOf.join(', ')}`);
+  }
+}
+
+/**
+ * Load a plugin class from a package name or a module path. A relative path
+ * is resolved against the current working directory.
+ * @param  {string} modulePath Package name or path of the module.
+ * @return {function} The exported class of the module.
+ */
+function loadModule(modulePath) {
+  let resolvedPath = modulePath;
+  if (modulePath.startsWith('.')) {
+    const path = require('path');
+    resolvedPath = path.resolve(process.cwd(), modulePath);
+  }
+
+  let exported;
+  try {
+    exported = require(resolvedPath);
+  } catch (e) {
+    throw new Error(`Unable to load plugin module ${modulePath}: ${e.message}`);
+  }
+  // Support modules transpiled from ES modules with a default export.
+  if (exported && typeof exported !== 'function' && exported.default) {
+    exported = exported.default;
+  }
+  return exported;
+}
+
+/**
+ * PluginRegistry keeps the classes of third-party gatherers, connectors and
+ * extensions by their names. A plugin can be registered either as a class, or
+ * as a package name or module path that is loaded when it is first used.
+ *
+ * A registry can have a parent registry, which is used when a plugin is not
+ * registered in this registry. E.g. each AutoWebPerf instance has its own
+ * registry with the plugins in awpConfig, falling back to the global registry
+ * used by `AutoWebPerf.register*()`.
+ *
+ * Example:
+ *
+ *   let registry = new PluginRegistry();
+ *   registry.register(PluginType.GATHERER, 'mygatherer', '@acme/awp-gatherer');
+ *   let GathererClass = registry.get(PluginType.GATHERER, 'mygatherer');
+ */
+class PluginRegistry {
+  /**
+   * @param {object} parent Parent PluginRegistry. Optional.
+   */
+  constructor(parent) {
+    this.parent = parent || null;
+    this.plugins = {};
+    Object.values(PluginType).forEach(type => {
+      this.plugins[type] = {};
+    });
+  }
+
+  /**
+   * Register a plugin. A plugin registered with an existing name replaces the
+   * previous one, including built-in modules with the same name.
+   * @param  {string} type Plugin type, one of PluginType.
+   * @param  {string} name Plugin name, e.g. 'mygatherer'.
+   * @param  {function|string} plugin The plugin class, or a package name or
+   *     module path that exports the class.
+   */
+  register(type, name, plugin) {
+    assert(this.plugins[type], `Unknown plugin type: ${type}`);
+    assert(name, `Missing name of the ${type} plugin.`);
+    assert(plugin, `Missing class or module of the ${type} ${name}.`);
+
+    if (typeof plugin !== 'string') validatePlugin(type, name, plugin);
+    this.plugins[type][name.toLowerCase()] = {
+      name: name,
+      plugin: plugin,
+    };
+  }
+
+  /**
+   * Register all plugins in the `plugins` property of awpConfig.
+   * @param  {object} pluginsConfig E.g. {gatherers: {mygatherer: 'path'}}
+   */
+  registerAll(pluginsConfig) {
+    pluginsConfig = pluginsConfig || {};
+    Object.values(PluginType).forEach(type => {
+      let plugins = pluginsConfig[type + 's'] || {};
+      Object.keys(plugins).forEach(name => {
+        this.register(type, name, plugins[name]);
+      });
+    });
+  }
+
+  /**
+   * Whether a plugin with the given name is registered in this registry or
+   * its parent.
+   * @param  {string} type Plugin type, one of PluginType.
+   * @param  {string} name Plugin name.
+   * @return {boolean}
+   */
+  has(type, name) {
+    if (!name) return false;
+    if (this.plugins[type] && this.plugins[type][name.toLowerCase()]) {
+      return true;
+    }
+    return this.parent ? this.parent.has(type, name) : false;
+  }
+
+  /**
+   * Return the class of the plugin with the given name, or null if not
+   * registered. A plugin registered as a module is loaded and validated at
+   * the first call.
+   * @param  {string} type Plugin type, one of PluginType.
+   * @param  {string} name Plugin name.
+   * @return {function} The plugin class.
+   */
+  get(type, name) {
+    if (!name) return null;
+    let entry = this.plugins[type] ? this.plugins[type][name.toLowerCase()] :
+        null;
+    if (!entry) {
+      return this.parent ? this.parent.get(type, name) : null;
+    }
+
+    if (typeof entry.plugin === 'string') {
+      let PluginClass = loadModule(entry.plugin);
+      validatePlugin(type, name, PluginClass);
+      entry.plugin = PluginClass;
+    }
+    return entry.plugin;
+  }
+
+  /**
+   * Return the names of all plugins of the given type in this registry and
+   * its parent.
+   * @param  {string} type Plugin type, one of PluginType.
+   * @return {Array<string>} Plugin names as registered.
+   */
+  getNames(type) {
+    let names = this.parent ? this.parent.getNames(type) : [];
+    Object.values(this.plugins[type] || {}).forEach(entry => {
+      if (!names.includes(entry.name)) names.push(entry.name);
+    });
+    return names;
+  }
+
+  /**
+   * Remove all plugins in this registry.
+   */
+  clear() {
+    Object.values(PluginType).forEach(type => {
+      this.plugins[type] = {};
+    });
+  }
+}
+
+module.exports = {
+  PluginContracts,
+  PluginRegistry,
+  PluginType,
+  validatePlugin,
+};
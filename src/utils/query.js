@@ -0,0 +1,226 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('./assert');
+const getObject = require('./get-object');
+const patternFilter = require('./pattern-filter');
+
+const Formats = ['table', 'json', 'csv'];
+
+/**
+ * Compare two values for sorting. Numbers are compared numerically, and
+ * missing values are always sorted last.
+ * @param  {any} a
+ * @param  {any} b
+ * @return {number}
+ */
+function compareValues(a, b) {
+  let isMissing = (value) => value === undefined || value === null;
+  if (isMissing(a) || isMissing(b)) {
+    return isMissing(a) - isMissing(b);
+  }
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Compile filter parameters into PatternFilter expressions, e.g. parsed CLI
+ * arguments. See `src/utils/pattern-filter.js` for more details.
+ *
+ * Available parameters:
+ * - filter {string|Array<string>}: Filter expressions as is.
+ * - label {string|Array<string>}: Exact labels to match any of.
+ * - url-match {string|Array<string>}: Regular expressions of URLs to match
+ *     any of.
+ * - gatherer {string|Array<string>}: Comma-separated gatherer names to match
+ *     any of.
+ * - selectedOnly {boolean}: Whether to match Tests with selected=true.
+ *
+ * @param  {object} params Filter parameters.
+ * @return {Array<string>} Filter expressions.
+ */
+function buildFilters(params) {
+  // Repeated arguments are parsed as arrays.
+  let toList = (value) => [].concat(value === undefined ? [] : value)
+      .map(String);
+
+  let filters = toList(params['filter']);
+
+  // Repeated shortcuts match any of the values.
+  let labels = toList(params['label']);
+  if (labels.length > 0) {
+    let escaped = labels.map(label => {
+      return label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+    filters.push(`label.match(${JSON.stringify(
+        `^(?:${escaped.join('|')})$`)})`);
+  }
+  let urlPatterns = toList(params['url-match']);
+  if (urlPatterns.length > 0) {
+    let pattern = urlPatterns.map(pattern => `(?:${pattern})`).join('|');
+    // Throws with an invalid regular expression before running any tests.
+    new RegExp(pattern);
+    filters.push(`url.match(${JSON.stringify(pattern)})`);
+  }
+  let gathererNames = toList(params['gatherer']).join(',').split(',')
+      .map(name => name.trim()).filter(name => name);
+  if (gathererNames.length > 0) {
+    filters.push(`gatherer.toString().split(",").some(name => ` +
+        `${JSON.stringify(gathererNames)}.includes(name.trim()))`);
+  }
+  if (params['selectedOnly']) filters.push('selected');
+  return filters;
+}
+
+/**
+ * Query a list of Tests or Results with filters, sorting and a limit, and
+ * select fields by dotted paths.
+ *
+ * Example:
+ *
+ *   queryItems(results, {
+ *     filters: ['status==="Retrieved"'],
+ *     fields: ['label', 'psi.metrics.lighthouse.Performance'],
+ *     sort: '-createdTimestamp',
+ *     limit: 10,
+ *   });
+ *   // Returns the 10 latest retrieved results, e.g.
+ *   // [{label: 'web.dev', 'psi.metrics.lighthouse.Performance': 0.9}, ...]
+ *
+ * @param  {Array<object>} items Test or Result objects.
+ * @param  {object} options
+ * @return {Array<object>} Rows with selected fields as keys, or the items as
+ *     is if no fields are given.
+ *
+ * Available options:
+ * - filters {Array<string>}: Filter expressions. See
+ *     `src/utils/pattern-filter.js` for more details.
+ * - fields {Array<string>}: Dotted paths of fields to select. Optional.
+ * - sort {string}: Dotted path of the field to sort by. Prefix with `-` for
+ *     descending order.
+ * - limit {number}: The max number of rows to return.
+ */
+function queryItems(items, options) {
+  options = options || {};
+  let fields = options.fields || [];
+
+  items = patternFilter(items, options.filters);
+
+  if (options.sort) {
+    let descending = options.sort.startsWith('-');
+    let sortPath = descending ? options.sort.slice(1) : options.sort;
+    items = items.slice().sort((a, b) => {
+      let valueA = getObject(a, sortPath), valueB = getObject(b, sortPath);
+      let order = compareValues(valueA, valueB);
+      // Keep missing values last in both orders.
+      if (valueA === undefined || valueB === undefined ||
+          valueA === null || valueB === null) {
+        return order;
+      }
+      return descending ? -order : order;
+    });
+  }
+
+  if (options.limit) {
+    items = items.slice(0, parseInt(options.limit));
+  }
+
+  if (fields.length === 0) return items;
+  return items.map(item => {
+    let row = {};
+    fields.forEach(field => {
+      row[field] = getObject(item, field);
+    });
+    return row;
+  });
+}
+
+/**
+ * Convert a value to a string in a table or CSV cell.
+ * @param  {any} value
+ * @return {string}
+ */
+function toCell(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Format rows as an aligned plain-text table.
+ * @param  {Array<object>} rows
+ * @param  {Array<string>} fields
+ * @return {string}
+ */
+function formatTable(rows, fields) {
+  let cells = [fields].concat(rows.map(row => {
+    return fields.map(field => toCell(row[field]).replace(/\s+/g, ' '));
+  }));
+  let widths = fields.map((field, i) => {
+    return Math.max(...cells.map(line => line[i].length));
+  });
+  let lines = cells.map(line => {
+    return line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  });
+  lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+  return lines.join('\n');
+}
+
+/**
+ * Format rows as CSV with a header line.
+ * @param  {Array<object>} rows
+ * @param  {Array<string>} fields
+ * @return {string}
+ */
+function formatCsv(rows, fields) {
+  let escape = (cell) => {
+    return /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  };
+  return [fields].concat(rows.map(row => {
+    return fields.map(field => toCell(row[field]));
+  })).map(line => line.map(escape).join(',')).join('\n');
+}
+
+/**
+ * Format rows from `queryItems` for printing.
+ * @param  {Array<object>} rows
+ * @param  {Array<string>} fields
+ * @param  {string} format One of `table`, `json` and `csv`. Default: table.
+ * @return {string}
+ */
+function formatRows(rows, fields, format) {
+  format = format || 'table';
+  assert(Formats.includes(format),
+      `Unknown format: ${format}. Available formats: ${Formats.join(', ')}.`);
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(rows, null, 2);
+    case 'csv':
+      return formatCsv(rows, fields);
+    default:
+      return formatTable(rows, fields);
+  }
+}
+
+module.exports = {
+  Formats,
+  buildFilters,
+  formatRows,
+  queryItems,
+};
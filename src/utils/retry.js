@@ -0,0 +1,138 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const Status = require('../common/status');
+
+/**
+ * The default retry policy. With maxAttempts = 1, a gatherer call is never
+ * retried.
+ *
+ * - maxAttempts {number}: Max number of attempts including the first one.
+ * - initialDelay {number}: Delay in milliseconds before the first retry.
+ * - backoffFactor {number}: Multiplier of the delay for each following retry.
+ * - maxDelay {number}: Upper bound of the delay in milliseconds.
+ * - retryableStatusCodes {Array<number>}: HTTP status codes to retry with.
+ * - retryableErrorCodes {Array<string>}: Network error codes to retry with.
+ */
+const DefaultRetryPolicy = {
+  maxAttempts: 1,
+  initialDelay: 1000,
+  backoffFactor: 2,
+  maxDelay: 60 * 1000,
+  retryableStatusCodes: [429, 500, 502, 503, 504],
+  retryableErrorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT',
+      'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'EPIPE'],
+};
+
+/**
+ * Return the delay in milliseconds before the next attempt, with exponential
+ * backoff.
+ * @param  {object} policy Retry policy.
+ * @param  {number} attempt The attempt that just failed, starting at 1.
+ * @return {number} Delay in milliseconds.
+ */
+function getRetryDelay(policy, attempt) {
+  let delay = policy.initialDelay * Math.pow(policy.backoffFactor, attempt - 1);
+  return Math.min(delay, policy.maxDelay);
+}
+
+/**
+ * Whether a gatherer response is a transient failure worth retrying, i.e. an
+ * error with a retryable HTTP status code or network error code.
+ * @param  {object} response Response object from a gatherer.
+ * @param  {object} policy Retry policy.
+ * @return {boolean}
+ */
+function isRetryable(response, policy) {
+  if (!response || response.status !== Status.ERROR) return false;
+  policy = policy || {};
+  let retryableStatusCodes = policy.retryableStatusCodes ||
+      DefaultRetryPolicy.retryableStatusCodes;
+  let retryableErrorCodes = policy.retryableErrorCodes ||
+      DefaultRetryPolicy.retryableErrorCodes;
+  return retryableStatusCodes.includes(parseInt(response.statusCode)) ||
+      retryableErrorCodes.includes(response.errorCode);
+}
+
+/**
+ * Run a task that returns a gatherer response, and run it again with
+ * exponential backoff when the response is retryable. When the policy allows
+ * more than one attempt, the returned response comes with a `retries` object
+ * that records the number of attempts and the errors of all retryable failed
+ * attempts.
+ *
+ * Example:
+ *
+ *   let response = await retry(() => gatherer.runAsync(test), {
+ *     maxAttempts: 3,
+ *   }, {
+ *     sleep: (ms) => apiHandler.sleep(ms),
+ *   });
+ *
+ * @param  {function} task Function that returns a response or a Promise.
+ * @param  {object} policy Retry policy, merged with DefaultRetryPolicy.
+ * @param  {object} options
+ * @return {object} The response of the last attempt.
+ *
+ * Available options:
+ * - sleep {function}: Function that takes milliseconds and returns a Promise.
+ * - onRetry {function}: Called with (response, attempt, delay) before each
+ *     retry.
+ */
+async function retry(task, policy, options) {
+  policy = Object.assign({}, DefaultRetryPolicy, policy);
+  options = options || {};
+  let sleep = options.sleep || ((ms) => {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  });
+  let maxAttempts = Math.max(parseInt(policy.maxAttempts) || 1, 1);
+  let errors = [], response, attempt = 0;
+
+  while (attempt < maxAttempts) {
+    attempt++;
+    response = await task();
+    if (!isRetryable(response, policy)) break;
+
+    let error = {
+      attempt: attempt,
+      statusCode: response.statusCode,
+      statusText: response.statusText,
+      timestamp: Date.now(),
+    };
+    if (response.errorCode) error.errorCode = response.errorCode;
+    errors.push(error);
+    if (attempt >= maxAttempts) break;
+
+    let delay = getRetryDelay(policy, attempt);
+    if (options.onRetry) options.onRetry(response, attempt, delay);
+    await sleep(delay);
+  }
+
+  if (maxAttempts > 1 && response) {
+    response.retries = {
+      attempts: attempt,
+      errors: errors,
+    };
+  }
+  return response;
+}
+
+module.exports = {
+  DefaultRetryPolicy,
+  getRetryDelay,
+  isRetryable,
+  retry,
+};
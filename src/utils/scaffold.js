@@ -0,0 +1,265 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const path = require('path');
+const assert = require('./assert');
+const flattenObject = require('./flatten-object');
+const {formatRows} = require('./query');
+
+/**
+ * Environment variables that gatherers and connectors look up, with the
+ * description in the `.env` template. Keys in `aliases` are also accepted.
+ */
+const EnvVarKeys = {
+  webpagetest: [
+    {key: 'WPT_APIKEY', aliases: ['wptAPiKey', 'webPageTestApiKey'],
+        description: 'WebPageTest API key.'},
+    {key: 'webPageTestApiEndpoint', optional: true,
+        description: 'Custom WebPageTest API endpoint, e.g. a private ' +
+        'instance. Default: https://webpagetest.org.'},
+  ],
+  psi: [
+    {key: 'PSI_APIKEY', aliases: ['psiApiKey'],
+        description: 'PageSpeed Insights API key.'},
+  ],
+  cruxapi: [
+    {key: 'CRUX_APIKEY', aliases: ['cruxApiKey'],
+        description: 'Chrome UX Report API key.'},
+  ],
+  cruxbigquery: [
+    {key: 'GCP_PROJECT_ID', aliases: ['gcpProjectId'],
+        description: 'Google Cloud project ID for querying BigQuery.'},
+    {key: 'SERVICE_ACCOUNT_CREDENTIALS',
+        aliases: ['GCP_KEYFILE_PATH', 'gcpKeyFilePath'],
+        description: 'Path to the service account key file in JSON.'},
+  ],
+  sheets: [
+    {key: 'SERVICE_ACCOUNT_CREDENTIALS',
+        description: 'Path to the service account key file in JSON, with ' +
+        'access to the Google Sheets.'},
+  ],
+};
+
+// Starter settings of each gatherer in a Test.
+const StarterSettings = {
+  webpagetest: {
+    settings: {
+      locationId: 'Dulles_MotoG',
+      connection: '4G',
+      runs: 1,
+    },
+  },
+  psi: {
+    settings: {
+      locale: 'en-US',
+      strategy: 'mobile',
+    },
+  },
+  cruxapi: {
+    settings: {
+      urlType: 'Origin',
+      formFactor: 'PHONE',
+    },
+  },
+};
+
+const InitGathererNames = ['psi', 'webpagetest', 'cruxapi', 'cruxbigquery'];
+const InitConnectorNames = ['json', 'csv', 'sheets'];
+const InitExtensionNames = ['budgets'];
+
+/**
+ * Return the data source config of a connector in awpConfig.
+ * @param  {string} connector
+ * @param  {string} name Either `tests` or `results`.
+ * @param  {string} directory The directory of the files.
+ * @return {object} Data source config with connector and path.
+ */
+function getDataSource(connector, name, directory) {
+  switch (connector) {
+    case 'sheets':
+      // In the format of <SheetId>/<SheetName>.
+      return {
+        connector: connector,
+        path: `<SHEET_ID>/${name[0].toUpperCase()}${name.slice(1)}`,
+      };
+    default:
+      return {
+        connector: connector,
+        path: path.join(directory, `${name}.${connector}`),
+      };
+  }
+}
+
+/**
+ * Return the starter Test with the given gatherers and extensions.
+ * @param  {Array<string>} gathererNames
+ * @param  {Array<string>} extensionNames
+ * @return {object} Test object.
+ */
+function getStarterTest(gathererNames, extensionNames) {
+  let test = {
+    label: 'web.dev',
+    url: 'https://web.dev',
+    gatherer: gathererNames.join(','),
+  };
+  // CrUX BigQuery queries by origin.
+  if (gathererNames.includes('cruxbigquery')) {
+    test.origin = 'https://web.dev';
+  }
+  gathererNames.forEach(name => {
+    if (StarterSettings[name]) {
+      test[name] = JSON.parse(JSON.stringify(StarterSettings[name]));
+    }
+  });
+
+  if (extensionNames.includes('budgets')) {
+    let gathererName = ['psi', 'webpagetest'].find(name => {
+      return gathererNames.includes(name);
+    }) || 'psi';
+    test.budgets = {
+      metricPath: `${gathererName}.metrics.lighthouse.[METRIC_NAME]`,
+      budget: {
+        LargestContentfulPaint: 2500,
+        TotalBlockingTime: 300,
+      },
+    };
+  }
+  return test;
+}
+
+/**
+ * Return the content of a tests file in the format of the connector. For
+ * Sheets, it's a CSV file with the columns of the Tests sheet to import.
+ * @param  {string} connector
+ * @param  {object} test Test object.
+ * @return {string}
+ */
+function formatTests(connector, test) {
+  if (connector === 'json') {
+    return JSON.stringify({tests: [test]}, null, 2) + '\n';
+  }
+  let row = flattenObject(test);
+  return formatRows([row], Object.keys(row), 'csv') + '\n';
+}
+
+/**
+ * Return the content of the `.env` template with the keys that the selected
+ * gatherers and connectors look up.
+ * @param  {Array<string>} moduleNames Gatherer and connector names.
+ * @return {string}
+ */
+function formatEnvTemplate(moduleNames) {
+  let lines = [
+    '# Environment variables for AutoWebPerf. Fill in the values and load',
+    '# them before running AWP, e.g.:',
+    '#   set -a; source .env; set +a',
+  ];
+  let addedKeys = new Set();
+  moduleNames.forEach(name => {
+    let keys = (EnvVarKeys[name] || []).filter(item => {
+      return !addedKeys.has(item.key);
+    });
+    if (keys.length === 0) return;
+
+    lines.push('', `# ${name}`);
+    keys.forEach(item => {
+      addedKeys.add(item.key);
+      lines.push(`# ${item.description}` + (item.aliases ?
+          ` Also read from: ${item.aliases.join(', ')}.` : ''));
+      lines.push(`${item.optional ? '# ' : ''}${item.key}=`);
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Generate the files of a new AWP project: an awpConfig, a starter tests file
+ * and an `.env` template.
+ *
+ * Example:
+ *
+ *   generateProject({
+ *     gatherers: ['psi'],
+ *     testsConnector: 'csv',
+ *     resultsConnector: 'json',
+ *     extensions: ['budgets'],
+ *   });
+ *   // Returns {'awp-config.json': '...', 'tests.csv': '...', '.env': '...'}
+ *
+ * @param  {object} answers
+ * @return {object} File contents keyed by paths in the directory.
+ *
+ * Available properties of answers:
+ * - gatherers {Array<string>}: Gatherer names. Default: ['psi'].
+ * - testsConnector {string}: One of json, csv and sheets. Default: json.
+ * - resultsConnector {string}: One of json, csv and sheets. Default: json.
+ * - extensions {Array<string>}: Extension names. Default: [].
+ * - directory {string}: The directory of the project. Paths of files in the
+ *     awpConfig are relative to the working directory, like in
+ *     `examples/awp-config.json`. Default: '.'.
+ */
+function generateProject(answers) {
+  answers = answers || {};
+  let gathererNames = answers.gatherers || ['psi'];
+  let testsConnector = answers.testsConnector || 'json';
+  let resultsConnector = answers.resultsConnector || 'json';
+  let extensionNames = answers.extensions || [];
+  let directory = answers.directory || '.';
+
+  assert(gathererNames.length > 0, 'At least one gatherer is required.');
+  let unknown = gathererNames.filter(x => !InitGathererNames.includes(x))
+      .concat([testsConnector, resultsConnector].filter(x => {
+        return !InitConnectorNames.includes(x);
+      }))
+      .concat(extensionNames.filter(x => !InitExtensionNames.includes(x)));
+  assert(unknown.length === 0, `Unknown modules: ${unknown.join(', ')}`);
+
+  let tests = getDataSource(testsConnector, 'tests', directory);
+  let results = getDataSource(resultsConnector, 'results', directory);
+  let awpConfig = {
+    tests: tests,
+    results: results,
+    helper: 'node',
+    extensions: extensionNames,
+  };
+  if (extensionNames.includes('budgets')) {
+    awpConfig.budgets = {dataSource: gathererNames[0]};
+  }
+  awpConfig.verbose = false;
+  awpConfig.debug = false;
+
+  let files = {
+    [path.join(directory, 'awp-config.json')]:
+        JSON.stringify(awpConfig, null, 2) + '\n',
+  };
+  let testsPath = testsConnector === 'sheets' ?
+      path.join(directory, 'tests-sheets.csv') : tests.path;
+  files[testsPath] = formatTests(testsConnector,
+      getStarterTest(gathererNames, extensionNames));
+  files[path.join(directory, '.env')] = formatEnvTemplate(gathererNames.concat(
+      [testsConnector, resultsConnector]));
+  return files;
+}
+
+module.exports = {
+  EnvVarKeys,
+  InitConnectorNames,
+  InitExtensionNames,
+  InitGathererNames,
+  generateProject,
+};
@@ -0,0 +1,495 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {Frequency, FrequencyInMinutes} = require('../common/frequency');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Max number of days to look ahead for the next time matching a cron
+// expression, enough for expressions like Feb 29 on Mondays.
+const MAX_LOOKAHEAD_DAYS = 366 * 28;
+
+const CronMacros = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const MonthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG',
+    'SEP', 'OCT', 'NOV', 'DEC'];
+const DayNames = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+// Max number of days in each month, including Feb 29 in leap years.
+const MaxDaysInMonths = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Calendar steps of frequencies. Hourly uses a fixed interval instead.
+const FrequencySteps = {
+  DAILY: {days: 1},
+  WEEKLY: {days: 7},
+  BIWEEKLY: {days: 14},
+  MONTHLY: {months: 1},
+};
+
+let formatters = {};
+
+/**
+ * Return the Frequency key of a frequency string, e.g. 'BIWEEKLY' for
+ * 'Bi-weekly'.
+ * @param  {string} frequency Frequency string, e.g. 'Daily'.
+ * @return {string} Frequency key, or null if not a valid frequency.
+ */
+function getFrequencyKey(frequency) {
+  if (!frequency) return null;
+  let key = frequency.toString().toUpperCase().replace(/[^A-Z]/g, '');
+  return Frequency[key] ? key : null;
+}
+
+/**
+ * Parse a single value of a cron field, e.g. '5', 'MON' or 'JAN'.
+ */
+function parseCronValue(value, names, offset) {
+  let index = names ? names.indexOf(value.toUpperCase()) : -1;
+  if (index >= 0) return index + offset;
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid value in cron expression: ${value}`);
+  }
+  return parseInt(value);
+}
+
+/**
+ * Parse a cron field into a sorted array of matching values. Supports `*`,
+ * values, names, ranges, steps and lists. E.g. '*\/15', '1-5', 'MON,WED'.
+ */
+function parseCronField(field, min, max, names, offset) {
+  let values = new Set();
+
+  field.split(',').forEach(part => {
+    let [range, step] = part.split('/');
+    let from, to;
+    step = step === undefined ? 1 : parseCronValue(step);
+    if (!step) throw new Error(`Invalid step in cron expression: ${part}`);
+
+    if (range === '*') {
+      from = min;
+      to = max;
+    } else if (range.includes('-')) {
+      let [start, end] = range.split('-');
+      from = parseCronValue(start, names, offset);
+      to = parseCronValue(end, names, offset);
+    } else {
+      from = parseCronValue(range, names, offset);
+      to = part.includes('/') ? max : from;
+    }
+
+    if (from < min || to > max || from > to) {
+      throw new Error(`Out of range in cron expression: ${part}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression with 5 fields: minute, hour, day of month, month
+ * and day of week. Macros like '@daily' are also supported. Throws with
+ * expressions that never match any date, e.g. '0 0 31 2 *'.
+ * @param  {string} expression Cron expression, e.g. '0 3 * * MON-FRI'.
+ * @return {object} Parsed cron spec with arrays of matching values.
+ */
+function parseCron(expression) {
+  let cron = (expression || '').trim();
+  cron = CronMacros[cron.toLowerCase()] || cron;
+
+  let fields = cron.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Cron expression requires 5 fields: ${expression}`);
+  }
+  let [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+  let daysOfWeek = parseCronField(dayOfWeek, 0, 7, DayNames, 0);
+
+  let spec = {
+    minutes: parseCronField(minute, 0, 59),
+    hours: parseCronField(hour, 0, 23),
+    daysOfMonth: parseCronField(dayOfMonth, 1, 31),
+    months: parseCronField(month, 1, 12, MonthNames, 1),
+    // Both 0 and 7 are Sunday.
+    daysOfWeek: [...new Set(daysOfWeek.map(day => day % 7))],
+    // Same as the standard cron, when both day of month and day of week are
+    // restricted, a day matching either of them matches.
+    isDayOfMonthRestricted: !dayOfMonth.startsWith('*'),
+    isDayOfWeekRestricted: !dayOfWeek.startsWith('*'),
+  };
+
+  // Every month has all days of week, so only the days of month may never
+  // exist in the given months, e.g. Feb 31.
+  let matchesDayOfMonth = spec.months.some(month => {
+    return spec.daysOfMonth[0] <= MaxDaysInMonths[month - 1];
+  });
+  if (!matchesDayOfMonth &&
+      !(spec.isDayOfMonthRestricted && spec.isDayOfWeekRestricted)) {
+    throw new Error(`Cron expression never matches any date: ${expression}`);
+  }
+  return spec;
+}
+
+/**
+ * Parse the time of day in 'HH:mm' format.
+ * @param  {string} time Time of day, e.g. '03:00'.
+ * @return {object} Object with hour and minute.
+ */
+function parseTimeOfDay(time) {
+  let match = (time || '').toString().trim().match(/^(\d{1,2}):(\d{2})$/);
+  let hour = match ? parseInt(match[1]) : -1;
+  let minute = match ? parseInt(match[2]) : -1;
+  if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
+    throw new Error(`Invalid time of day: ${time}. Use the HH:mm format.`);
+  }
+  return {hour, minute};
+}
+
+/**
+ * Parse days of week, e.g. ['Mon', 'Wed'], [1, 3] or 'Mon,Wed'.
+ * @param  {Array|string} daysOfWeek
+ * @return {Array<number>} Days of week, 0 for Sunday.
+ */
+function parseDaysOfWeek(daysOfWeek) {
+  if (!Array.isArray(daysOfWeek)) {
+    daysOfWeek = (daysOfWeek || '').toString().split(',');
+  }
+  let days = daysOfWeek.map(day => {
+    let value = day.toString().trim().toUpperCase();
+    let index = DayNames.indexOf(value.substring(0, 3));
+    if (/^\d$/.test(value) && parseInt(value) <= 7) {
+      return parseInt(value) % 7;
+    } else if (index >= 0 && value.length >= 3) {
+      return index;
+    }
+    throw new Error(`Invalid day of week: ${day}`);
+  });
+  if (days.length === 0) throw new Error('daysOfWeek is empty.');
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Return the cached Intl.DateTimeFormat for the given timezone.
+ */
+function getFormatter(timezone) {
+  let key = timezone || '';
+  if (!formatters[key]) {
+    formatters[key] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+  }
+  return formatters[key];
+}
+
+/**
+ * Return the date and time parts of a timestamp in the given timezone.
+ * @param  {number} timestamp
+ * @param  {string} timezone IANA timezone, e.g. 'America/New_York'. Uses the
+ *     local timezone if not given.
+ * @return {object} Object with year, month (1-12), day, hour, minute, second
+ *     and millisecond.
+ */
+function getZonedParts(timestamp, timezone) {
+  let parts = {};
+  getFormatter(timezone).formatToParts(new Date(timestamp)).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: new Date(timestamp).getUTCMilliseconds(),
+  };
+}
+
+/**
+ * Return the timestamp of the given date and time in the given timezone.
+ * @param  {object} parts Object with year, month (1-12), day, hour, minute,
+ *     and optional second and millisecond.
+ * @param  {string} timezone IANA timezone. Uses the local timezone if not
+ *     given.
+ * @return {number} Timestamp in milliseconds.
+ */
+function getZonedTimestamp(parts, timezone) {
+  let asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour,
+      parts.minute, parts.second || 0, parts.millisecond || 0);
+  let getOffset = (timestamp) => {
+    let zoned = getZonedParts(timestamp, timezone);
+    return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour,
+        zoned.minute, zoned.second, zoned.millisecond) - timestamp;
+  };
+
+  // Check the offset again in case the first guess crosses a DST change.
+  let offset = getOffset(asUTC);
+  let timestamp = asUTC - offset;
+  let newOffset = getOffset(timestamp);
+  return newOffset === offset ? timestamp : asUTC - newOffset;
+}
+
+/**
+ * Return the next timestamp after the given time that matches the cron
+ * expression in the given timezone.
+ * @param  {string} cron Cron expression.
+ * @param  {number} after Timestamp to start with, exclusive.
+ * @param  {string} timezone IANA timezone.
+ * @return {number} Next timestamp.
+ */
+function getNextCronTimestamp(cron, after, timezone) {
+  let spec = parseCron(cron);
+  let start = getZonedParts(after, timezone);
+  let date = Date.UTC(start.year, start.month - 1, start.day);
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++, date += DAY_IN_MS) {
+    let day = new Date(date);
+    let month = day.getUTCMonth() + 1;
+    let dayOfMonth = day.getUTCDate(), dayOfWeek = day.getUTCDay();
+    if (!spec.months.includes(month)) continue;
+
+    let matchesDayOfMonth = spec.daysOfMonth.includes(dayOfMonth);
+    let matchesDayOfWeek = spec.daysOfWeek.includes(dayOfWeek);
+    let matchesDay = spec.isDayOfMonthRestricted && spec.isDayOfWeekRestricted ?
+        matchesDayOfMonth || matchesDayOfWeek :
+        matchesDayOfMonth && matchesDayOfWeek;
+    if (!matchesDay) continue;
+
+    for (const hour of spec.hours) {
+      // Skip earlier hours of the first day, with a margin for DST changes.
+      if (i === 0 && hour < start.hour - 1) continue;
+      for (const minute of spec.minutes) {
+        let timestamp = getZonedTimestamp({
+          year: day.getUTCFullYear(),
+          month: month,
+          day: dayOfMonth,
+          hour: hour,
+          minute: minute,
+        }, timezone);
+        if (timestamp > after) return timestamp;
+      }
+    }
+  }
+  throw new Error(`No matching time for cron expression: ${cron}`);
+}
+
+/**
+ * Return the next timestamp of a frequency after the given time, stepping
+ * from the base timestamp with calendar days or months in the given timezone.
+ * E.g. Monthly steps to the same day of the next month, and Daily keeps the
+ * same time of day across DST changes.
+ * @param  {string} frequencyKey Frequency key, e.g. 'DAILY'.
+ * @param  {number} base Timestamp of the previous schedule.
+ * @param  {number} after Timestamp to start with, exclusive.
+ * @param  {object} timeOfDay Object with hour and minute. Optional.
+ * @param  {string} timezone IANA timezone.
+ * @param  {number} dayOfMonth Day of month of Monthly. Optional, uses the day
+ *     of the base timestamp if not given.
+ * @return {number} Next timestamp, or null for frequencies like None.
+ */
+function getNextFrequencyTimestamp(frequencyKey, base, after, timeOfDay,
+    timezone, dayOfMonth) {
+  let step = FrequencySteps[frequencyKey];
+
+  if (!step) {
+    let interval = FrequencyInMinutes[frequencyKey];
+    if (!interval) return null;
+    if (base > after) return base;
+    return base + (Math.floor((after - base) / interval) + 1) * interval;
+  }
+
+  let parts = getZonedParts(base, timezone);
+  if (timeOfDay) {
+    parts.hour = timeOfDay.hour;
+    parts.minute = timeOfDay.minute;
+    parts.second = 0;
+    parts.millisecond = 0;
+  }
+
+  let timestamp = getZonedTimestamp(parts, timezone), count = 0;
+  while (timestamp <= after) {
+    count++;
+    let next = Object.assign({}, parts);
+    if (step.days) {
+      let date = new Date(Date.UTC(parts.year, parts.month - 1,
+          parts.day + step.days * count));
+      next.year = date.getUTCFullYear();
+      next.month = date.getUTCMonth() + 1;
+      next.day = date.getUTCDate();
+    } else {
+      // Use the last day of month when the month is shorter, e.g. Feb 28.
+      let date = new Date(Date.UTC(parts.year,
+          parts.month - 1 + step.months * count, 1));
+      let daysInMonth = new Date(Date.UTC(date.getUTCFullYear(),
+          date.getUTCMonth() + 1, 0)).getUTCDate();
+      next.year = date.getUTCFullYear();
+      next.month = date.getUTCMonth() + 1;
+      next.day = Math.min(dayOfMonth || parts.day, daysInMonth);
+    }
+    timestamp = getZonedTimestamp(next, timezone);
+  }
+  return timestamp;
+}
+
+/**
+ * Return the day of month of a Monthly schedule. The day is kept in
+ * `recurring.dayOfMonth`, so that triggers return to the original day after
+ * shorter months, e.g. Jan 31, Feb 28, Mar 31. Without it, the day comes from
+ * the previous trigger, or nowtime if there's none.
+ * @param  {object} recurring The recurring object of a Test.
+ * @param  {number} nowtime Current timestamp.
+ * @param  {object} options Options with `reschedule`, same as
+ *     getNextTriggerTimestamp.
+ * @return {number} Day of month, or null if not a Monthly schedule.
+ */
+function getMonthlyDayOfMonth(recurring, nowtime, options) {
+  options = options || {};
+  if (!recurring || recurring.cron || recurring.daysOfWeek ||
+      getFrequencyKey(recurring.frequency) !== 'MONTHLY') {
+    return null;
+  }
+  if (options.reschedule) {
+    return getZonedParts(nowtime, recurring.timezone).day;
+  }
+  let dayOfMonth = parseInt(recurring.dayOfMonth);
+  if (dayOfMonth >= 1 && dayOfMonth <= 31) return dayOfMonth;
+  let previous = parseInt(recurring.nextTriggerTimestamp);
+  return getZonedParts(previous || nowtime, recurring.timezone).day;
+}
+
+/**
+ * Whether the given recurring object has a schedule, either with a cron
+ * expression, time of day, days of week or a frequency.
+ * @param  {object} recurring The recurring object of a Test.
+ * @return {boolean}
+ */
+function hasSchedule(recurring) {
+  if (!recurring) return false;
+  if (recurring.cron || recurring.time || recurring.daysOfWeek) return true;
+  return !!getFrequencyKey(recurring.frequency);
+}
+
+/**
+ * Validate the schedule of the given recurring object. Throws an Error with
+ * an invalid cron expression, time of day, days of week or timezone.
+ * @param  {object} recurring The recurring object of a Test.
+ */
+function validateSchedule(recurring) {
+  if (recurring.timezone) getFormatter(recurring.timezone);
+  if (recurring.cron) parseCron(recurring.cron);
+  if (recurring.time) parseTimeOfDay(recurring.time);
+  if (recurring.daysOfWeek) parseDaysOfWeek(recurring.daysOfWeek);
+  if (recurring.frequency && !getFrequencyKey(recurring.frequency)) {
+    throw new Error(`Invalid frequency: ${recurring.frequency}`);
+  }
+}
+
+/**
+ * Return the next trigger timestamp of a recurring Test. The next trigger is
+ * computed from the schedule instead of the execution time, so that the
+ * schedule doesn't drift. The recurring object supports the following
+ * properties:
+ *
+ * - cron {string}: Cron expression, e.g. '0 3 * * *' for 03:00 every day.
+ * - time {string}: Time of day in HH:mm format, e.g. '03:00'.
+ * - daysOfWeek {Array|string}: Days of week, e.g. ['Mon', 'Thu'].
+ * - frequency {string}: Frequency defined in `src/common/frequency.js`.
+ * - timezone {string}: IANA timezone of the schedule, e.g.
+ *     'America/New_York'. Uses the local timezone by default.
+ * - nextTriggerTimestamp {number}: The previous scheduled timestamp, used as
+ *     the base of the next one for frequencies.
+ * - dayOfMonth {number}: The day of month of Monthly. See
+ *     getMonthlyDayOfMonth.
+ *
+ * Example:
+ *
+ *   // Returns the timestamp of the next 03:00 in New York.
+ *   getNextTriggerTimestamp({
+ *     frequency: 'Daily',
+ *     time: '03:00',
+ *     timezone: 'America/New_York',
+ *   }, Date.now());
+ *
+ * @param  {object} recurring The recurring object of a Test.
+ * @param  {number} nowtime Current timestamp.
+ * @param  {object} options
+ * @return {number} Next trigger timestamp, or null if there's no schedule.
+ *
+ * Available options:
+ * - reschedule {boolean}: Ignore the previous nextTriggerTimestamp and
+ *     schedule from nowtime.
+ */
+function getNextTriggerTimestamp(recurring, nowtime, options) {
+  options = options || {};
+  if (!recurring) return null;
+  validateSchedule(recurring);
+
+  let timezone = recurring.timezone;
+  let previous = options.reschedule ?
+      null : parseInt(recurring.nextTriggerTimestamp);
+  let base = previous || nowtime;
+
+  if (recurring.cron) {
+    return getNextCronTimestamp(recurring.cron, nowtime, timezone);
+  }
+
+  let timeOfDay = recurring.time ? parseTimeOfDay(recurring.time) : null;
+  if (recurring.daysOfWeek) {
+    if (!timeOfDay) {
+      let parts = getZonedParts(base, timezone);
+      timeOfDay = {hour: parts.hour, minute: parts.minute};
+    }
+    let days = parseDaysOfWeek(recurring.daysOfWeek);
+    return getNextCronTimestamp(
+        `${timeOfDay.minute} ${timeOfDay.hour} * * ${days.join(',')}`,
+        nowtime, timezone);
+  }
+
+  let frequencyKey = getFrequencyKey(recurring.frequency) ||
+      (timeOfDay ? 'DAILY' : null);
+  if (!frequencyKey) return null;
+  return getNextFrequencyTimestamp(frequencyKey, base, nowtime, timeOfDay,
+      timezone, getMonthlyDayOfMonth(recurring, nowtime, options));
+}
+
+module.exports = {
+  getFrequencyKey,
+  getMonthlyDayOfMonth,
+  getNextCronTimestamp,
+  getNextTriggerTimestamp,
+  getZonedParts,
+  getZonedTimestamp,
+  hasSchedule,
+  parseCron,
+  validateSchedule,
+};
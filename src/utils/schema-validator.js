@@ -0,0 +1,319 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {getAwpConfigSchema, getTestSchema} = require('../common/schemas');
+const {validateSchedule} = require('./schedule');
+
+/**
+ * Return the edit distance between two strings, used for suggesting the
+ * closest property name of a typo.
+ * @param  {string} a
+ * @param  {string} b
+ * @return {number}
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({length: b.length + 1}, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Return the closest name to the given name, or null if none is close enough.
+ * @param  {string} name
+ * @param  {Array<string>} candidates
+ * @return {string}
+ */
+function getSuggestion(name, candidates) {
+  let best = null, bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    let distance = getEditDistance(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  let maxDistance = Math.max(2, Math.floor(name.length / 4));
+  return bestDistance <= maxDistance ? best : null;
+}
+
+/**
+ * Return the error message of an unknown property, with the closest known
+ * property name if any.
+ * @param  {string} key
+ * @param  {Array<string>} knownKeys
+ * @return {string}
+ */
+function getUnknownPropertyMessage(key, knownKeys) {
+  let suggestion = getSuggestion(key, knownKeys);
+  return 'Unknown property.' +
+      (suggestion ? ` Did you mean "${suggestion}"?` : '');
+}
+
+/**
+ * Return the type name of a value as in schemas.
+ * @param  {any} value
+ * @return {string}
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Whether the value matches the type. With `coerceStrings`, strings are also
+ * accepted as numbers or booleans, e.g. values read from a CSV file.
+ * @param  {any} value
+ * @param  {string} type
+ * @param  {object} options
+ * @return {boolean}
+ */
+function matchesType(value, type, options) {
+  if (options.coerceStrings && typeof value === 'string') {
+    switch (type) {
+      case 'number':
+        return value.trim() !== '' && !isNaN(Number(value));
+      case 'integer':
+        return /^\s*-?\d+\s*$/.test(value);
+      case 'boolean':
+        return ['true', 'false'].includes(value.toLowerCase());
+    }
+  }
+
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && !isNaN(value);
+    default:
+      return getType(value) === type;
+  }
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function validateNode(value, schema, path, options, errors) {
+  if (!schema || value === undefined) return;
+
+  // With coerceStrings, an empty string is an empty cell, which is the same as
+  // not set.
+  if (options.coerceStrings && value === '') return;
+
+  if (schema.type) {
+    let types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type, options))) {
+      errors.push({
+        path: path,
+        message: `Expected ${types.join(' or ')} but got ${getType(value)}.`,
+      });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path: path,
+      message: `Expected one of ${schema.enum.join(', ')} but got ${value}.`,
+    });
+  }
+
+  if (schema.pattern && typeof value === 'string' &&
+      !new RegExp(schema.pattern).test(value)) {
+    errors.push({
+      path: path,
+      message: `Expected to match ${schema.pattern} but got ${value}.`,
+    });
+  }
+
+  if (schema.minimum !== undefined && Number(value) < schema.minimum) {
+    errors.push({
+      path: path,
+      message: `Expected at least ${schema.minimum} but got ${value}.`,
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      validateNode(item, schema.items, joinPath(path, index), options, errors);
+    });
+  }
+
+  if (getType(value) === 'object' && !Array.isArray(value)) {
+    let properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({
+          path: joinPath(path, key),
+          message: 'Missing required property.',
+        });
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        validateNode(value[key], properties[key], joinPath(path, key), options,
+            errors);
+
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: joinPath(path, key),
+          message: getUnknownPropertyMessage(key, Object.keys(properties)),
+        });
+
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(value[key], schema.additionalProperties,
+            joinPath(path, key), options, errors);
+      }
+    });
+  }
+
+  if (schema.validate) {
+    let message = schema.validate(value);
+    if (message) errors.push({path: path, message: message});
+  }
+}
+
+/**
+ * Validate a value against a schema. See `src/common/schemas.js` for the
+ * supported keywords.
+ *
+ * Example:
+ *
+ *   validateSchema({runs: 'one'}, {
+ *     type: 'object',
+ *     properties: {runs: {type: 'integer'}},
+ *   }, {path: 'settings'});
+ *   // Returns [{path: 'settings.runs', message: 'Expected integer but got
+ *   // string.'}]
+ *
+ * @param  {any} value The value to validate.
+ * @param  {object} schema Schema object.
+ * @param  {object} options
+ * @return {Array<object>} List of errors with `path` and `message`. Empty if
+ *     the value is valid.
+ *
+ * Available options:
+ * - path {string}: The path of the value in error messages.
+ * - coerceStrings {boolean}: Whether to accept strings as numbers and
+ *     booleans, and empty strings as any type, e.g. values read from a CSV
+ *     file.
+ */
+function validateSchema(value, schema, options) {
+  options = options || {};
+  let errors = [];
+  validateNode(value, schema, options.path || '', options, errors);
+  return errors;
+}
+
+/**
+ * Validate an awpConfig object. Unknown top-level properties are not errors,
+ * see `getUnknownAwpConfigKeys`.
+ * @param  {object} awpConfig
+ * @param  {object} moduleNames Names of available modules, with `gatherers`,
+ *     `connectors` and `extensions` properties.
+ * @return {Array<object>} List of errors with `path` and `message`.
+ */
+function validateAwpConfig(awpConfig, moduleNames) {
+  return validateSchema(awpConfig, getAwpConfigSchema(moduleNames), {
+    path: 'awpConfig',
+  });
+}
+
+/**
+ * Return the top-level properties of awpConfig that AWP doesn't know, e.g.
+ * embedders' own keys or typos.
+ * @param  {object} awpConfig
+ * @param  {object} moduleNames Names of available modules, with `gatherers`,
+ *     `connectors` and `extensions` properties.
+ * @return {Array<object>} List of problems with `path` and `message`.
+ */
+function getUnknownAwpConfigKeys(awpConfig, moduleNames) {
+  let knownKeys = Object.keys(getAwpConfigSchema(moduleNames).properties);
+  return Object.keys(awpConfig || {}).filter(key => {
+    return !knownKeys.includes(key);
+  }).map(key => {
+    return {
+      path: `awpConfig.${key}`,
+      message: getUnknownPropertyMessage(key, knownKeys),
+    };
+  });
+}
+
+/**
+ * Validate a list of Test objects, including the schedules of recurring Tests.
+ * @param  {Array<object>} tests List of Test objects.
+ * @param  {object} moduleNames Names of available modules, with `gatherers`,
+ *     `connectors` and `extensions` properties.
+ * @param  {object} options
+ * @return {Array<object>} List of errors with `path` and `message`.
+ *
+ * Available options:
+ * - coerceStrings {boolean}: Whether to accept strings as numbers and
+ *     booleans, and empty strings as any type, e.g. values read from a CSV
+ *     file.
+ */
+function validateTests(tests, moduleNames, options) {
+  options = options || {};
+  let schema = getTestSchema(moduleNames);
+  let errors = [];
+
+  (tests || []).forEach((test, index) => {
+    let path = `tests[${index}]`;
+    errors = errors.concat(validateSchema(test, schema, {
+      path: path,
+      coerceStrings: options.coerceStrings,
+    }));
+
+    if (test && test.recurring && getType(test.recurring) === 'object') {
+      try {
+        validateSchedule(test.recurring);
+      } catch (e) {
+        errors.push({path: `${path}.recurring`, message: e.message});
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Format a list of errors into readable lines.
+ * @param  {Array<object>} errors List of errors with `path` and `message`.
+ * @return {string}
+ */
+function formatValidationErrors(errors) {
+  return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+  formatValidationErrors,
+  getSuggestion,
+  getUnknownAwpConfigKeys,
+  validateAwpConfig,
+  validateSchema,
+  validateTests,
+};
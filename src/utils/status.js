@@ -0,0 +1,260 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('./assert');
+const Status = require('../common/status');
+const {hasSchedule} = require('./schedule');
+const parseGathererNames = require('./parse-gatherer-names');
+
+/**
+ * Return the key to match Results with the Test they ran.
+ * @param  {object} item Test or Result object.
+ * @return {string}
+ */
+function getTestKey(item) {
+  return `${item.label || ''}|${item.url || item.origin || ''}`;
+}
+
+/**
+ * Return the cause of an error message, with the parts that vary between
+ * occurrences replaced, e.g. URLs, IDs and timestamps. Only the first line is
+ * used.
+ * @param  {string|Error} error
+ * @return {string}
+ */
+function getErrorCause(error) {
+  let message = error && error.message ? error.message : String(error);
+  return message.split('\n')[0].trim()
+      .replace(/https?:\/\/\S+/g, '<url>')
+      .replace(/\b(?=[0-9a-f_-]*\d)[0-9a-f_-]{8,}\b/gi, '<id>')
+      .replace(/\b\d{5,}\b/g, '<number>')
+      .slice(0, 200);
+}
+
+/**
+ * Format a duration in milliseconds, e.g. 2d 3h, 3h 20m, 5m or 30s.
+ * @param  {number} ms
+ * @return {string}
+ */
+function formatDuration(ms) {
+  let seconds = Math.max(0, Math.round(ms / 1000));
+  let days = Math.floor(seconds / 86400);
+  let hours = Math.floor(seconds % 86400 / 3600);
+  let minutes = Math.floor(seconds % 3600 / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds}s`;
+}
+
+/**
+ * Summarize Tests and Results into an overview of pending work and schedules.
+ *
+ * Example:
+ *
+ *   let status = summarizeStatus(tests, results, {limit: 5});
+ *   // status.results.byStatus is like {Retrieved: 10, Submitted: 2}
+ *
+ * @param  {Array<object>} tests Test objects.
+ * @param  {Array<object>} results Result objects.
+ * @param  {object} options
+ * @return {object} Status with `results`, `oldestPending`, `recurring`,
+ *     `neverRun`, `errors` and `continuous`.
+ *
+ * Available options:
+ * - now {number}: The current timestamp. Default: Date.now().
+ * - limit {number}: The max number of recurring Tests, Tests that have never
+ *     run and error causes to include. Default: 10.
+ * - continueStatus {object}: The status file of continue mode, if any.
+ */
+function summarizeStatus(tests, results, options) {
+  options = options || {};
+  tests = tests || [];
+  results = results || [];
+  assert(Array.isArray(tests), 'tests is not an array.');
+  assert(Array.isArray(results), 'results is not an array.');
+  let now = options.now || Date.now();
+  let limit = options.limit || 10;
+
+  // Counts by the overall status, and by the status of each gatherer.
+  let byStatus = {}, byGatherer = {};
+  results.forEach(result => {
+    let status = result.status || 'Unknown';
+    byStatus[status] = (byStatus[status] || 0) + 1;
+    parseGathererNames(result.gatherer).forEach(name => {
+      let gathererStatus = (result[name] || {}).status || status;
+      byGatherer[name] = byGatherer[name] || {};
+      byGatherer[name][gathererStatus] =
+          (byGatherer[name][gathererStatus] || 0) + 1;
+    });
+  });
+
+  let oldestPending = null;
+  let pendingResults = results.filter(result => {
+    return result.status === Status.SUBMITTED;
+  });
+  pendingResults.forEach(result => {
+    let createdTimestamp = Number(result.createdTimestamp);
+    if (!createdTimestamp) return;
+    if (!oldestPending || createdTimestamp < oldestPending.createdTimestamp) {
+      oldestPending = {
+        id: result.id,
+        label: result.label,
+        url: result.url || result.origin,
+        gatherer: result.gatherer,
+        createdTimestamp: createdTimestamp,
+        age: now - createdTimestamp,
+      };
+    }
+  });
+
+  // Recurring Tests without nextTriggerTimestamp will run at the next
+  // recurring run, so they go first.
+  let recurringTests = tests.filter(test => hasSchedule(test.recurring));
+  let recurring = recurringTests.map(test => {
+    let nextTriggerTimestamp =
+        Number(test.recurring.nextTriggerTimestamp) || null;
+    return {
+      label: test.label,
+      url: test.url || test.origin,
+      schedule: test.recurring.cron || test.recurring.frequency ||
+          test.recurring.time,
+      nextTriggerTimestamp: nextTriggerTimestamp,
+      isDue: !nextTriggerTimestamp || nextTriggerTimestamp <= now,
+    };
+  }).sort((a, b) => {
+    return (a.nextTriggerTimestamp || 0) - (b.nextTriggerTimestamp || 0);
+  });
+
+  let ranKeys = new Set(results.map(getTestKey));
+  let neverRun = tests.filter(test => !ranKeys.has(getTestKey(test)));
+  neverRun = neverRun.map(test => {
+    return {label: test.label, url: test.url || test.origin};
+  });
+
+  // Group errors by cause, with the most recent first.
+  let causes = {};
+  results.forEach(result => {
+    let timestamp = Number(result.modifiedTimestamp ||
+        result.createdTimestamp) || 0;
+    (result.errors || []).forEach(error => {
+      let cause = getErrorCause(error);
+      if (!cause) return;
+      let group = causes[cause] = causes[cause] || {
+        cause: cause,
+        count: 0,
+        lastTimestamp: 0,
+      };
+      group.count++;
+      group.lastTimestamp = Math.max(group.lastTimestamp, timestamp);
+    });
+  });
+  let errors = Object.values(causes).sort((a, b) => {
+    return b.lastTimestamp - a.lastTimestamp || b.count - a.count;
+  });
+
+  return {
+    now: now,
+    tests: {
+      total: tests.length,
+      recurring: recurring.length,
+      neverRun: neverRun.length,
+    },
+    results: {
+      total: results.length,
+      byStatus: byStatus,
+      byGatherer: byGatherer,
+    },
+    oldestPending: oldestPending,
+    recurring: recurring.slice(0, limit),
+    neverRun: neverRun.slice(0, limit),
+    errors: errors.slice(0, limit),
+    continuous: options.continueStatus || null,
+  };
+}
+
+/**
+ * Format a status from `summarizeStatus` as text or JSON.
+ * @param  {object} status Status from `summarizeStatus`.
+ * @param  {string} format Either text or json. Default: text.
+ * @return {string}
+ */
+function formatStatus(status, format) {
+  format = format || 'text';
+  assert(['text', 'json'].includes(format),
+      `Unknown format: ${format}. Available formats: text, json.`);
+  if (format === 'json') return JSON.stringify(status, null, 2);
+
+  let formatCounts = (counts) => Object.keys(counts).sort().map(key => {
+    return `${key}: ${counts[key]}`;
+  }).join(', ') || 'none';
+  let formatTime = (timestamp) => new Date(timestamp).toISOString();
+  let describe = (item) => [item.label, item.url].filter(x => x).join(' ');
+  let lines = [];
+
+  lines.push(`Results: ${status.results.total} ` +
+      `(${formatCounts(status.results.byStatus)})`);
+  Object.keys(status.results.byGatherer).sort().forEach(name => {
+    lines.push(`  ${name}: ${formatCounts(status.results.byGatherer[name])}`);
+  });
+
+  let pending = status.oldestPending;
+  lines.push('Oldest pending: ' + (pending ?
+      `${describe(pending)} (${pending.id}), submitted ` +
+      `${formatDuration(pending.age)} ago at ` +
+      `${formatTime(pending.createdTimestamp)}` : 'none'));
+
+  lines.push(`Recurring tests: ${status.tests.recurring} of ` +
+      `${status.tests.total}`);
+  status.recurring.forEach(item => {
+    let next = item.nextTriggerTimestamp ?
+        formatTime(item.nextTriggerTimestamp) : 'not activated';
+    lines.push(`  ${item.isDue ? '!' : ' '} ${next} ${describe(item)} ` +
+        `(${item.schedule})`);
+  });
+
+  lines.push(`Never run: ${status.tests.neverRun} test(s)`);
+  status.neverRun.forEach(item => lines.push(`  ${describe(item)}`));
+
+  lines.push(`Recent errors: ${status.errors.length} cause(s)`);
+  status.errors.forEach(group => {
+    let last = group.lastTimestamp ?
+        `, last at ${formatTime(group.lastTimestamp)}` : '';
+    lines.push(`  ${group.count}x ${group.cause}${last}`);
+  });
+  let continuous = status.continuous;
+  if (continuous) {
+    let heartbeat = continuous.heartbeatTimestamp ?
+        `, last heartbeat ${formatDuration(status.now -
+        continuous.heartbeatTimestamp)} ago` : '';
+    lines.push(`Continuous run: ${continuous.state}, pid ${continuous.pid}, ` +
+        `${continuous.cycles} cycle(s)${heartbeat}`);
+    if (continuous.nextCycleTimestamp) {
+      lines.push('  Next cycle at ' +
+          formatTime(continuous.nextCycleTimestamp));
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  formatDuration,
+  formatStatus,
+  getErrorCause,
+  summarizeStatus,
+};
@@ -21,6 +21,7 @@ const Connector = require('../src/connectors/connector');
 const Gatherer = require('../src/gatherers/gatherer');
 const Extension = require('../src/extensions/extension');
 const Status = require('../src/common/status');
+const {AwpEvent} = require('../src/common/events');
 
 let generateFakeTests = function(amount, options) {
   options = options || {};
@@ -90,6 +91,7 @@ let cleanFakeResults = function(results) {
   let count = 1;
   return results.map(result => {
     result.id = 'result-' + count;
+    delete result.fingerprint;
     delete result.createdTimestamp;
     delete result.modifiedTimestamp;
     count++;
@@ -217,6 +219,57 @@ describe('AutoWebPerf with fake modules', () => {
     expect(awp).not.toBe(null);
   });
 
+  it('throws if awpConfig is missing.', async () => {
+    expect(() => new AutoWebPerf()).toThrow('awpConfig is missing');
+  });
+
+  it('throws with all problems of an invalid awpConfig.', async () => {
+    expect(() => {
+      new AutoWebPerf({
+        tests: {connector: 'fake', path: 'fake/path'},
+        results: {connector: 'fake', path: 'fake/path'},
+        helper: 'fake',
+        concurrency: 'many',
+        webpagetest: {runApiEndpiont: 'https://wpt/runtest.php'},
+      });
+    }).toThrow('Invalid awpConfig:\n' +
+        '- awpConfig.concurrency: Expected integer but got string.\n' +
+        '- awpConfig.webpagetest.runApiEndpiont: Unknown property. ' +
+        'Did you mean "runApiEndpoint"?');
+  });
+
+  it('warns about unknown top-level keys of awpConfig.', async () => {
+    let warnings = [];
+    let awp = new AutoWebPerf({
+      tests: {connector: 'fake', path: 'fake/path'},
+      results: {connector: 'fake', path: 'fake/path'},
+      helper: 'fake',
+      myAppSettings: {theme: 'dark'},
+      logger: {warn: (message) => warnings.push(message)},
+    });
+    expect(awp.awpConfig.myAppSettings).toEqual({theme: 'dark'});
+    expect(warnings).toEqual(['Unknown properties in awpConfig:\n' +
+        '- awpConfig.myAppSettings: Unknown property.']);
+  });
+
+  it('validates Tests via the connector.', async () => {
+    awp.connector.tests = generateFakeTests(2);
+    expect((await awp.validate()).errors).toEqual([]);
+
+    awp.connector.tests[1].lable = 'typo';
+    awp.connector.tests[1].gatherer = 'fake,webpagetest';
+    awp.connector.tests[1].webpagetest = {settings: {runs: 'two'}};
+    let {tests, errors} = await awp.validate();
+    expect(tests.length).toBe(2);
+    expect(errors).toEqual([{
+      path: 'tests[1].lable',
+      message: 'Unknown property. Did you mean "label"?',
+    }, {
+      path: 'tests[1].webpagetest.settings.runs',
+      message: 'Expected integer but got string.',
+    }]);
+  });
+
   it('runs through a list of tests and gets initial results.', async () => {
     awp.connector.tests = generateFakeTests(10);
     await awp.run();
@@ -234,6 +287,77 @@ describe('AutoWebPerf with fake modules', () => {
     expect(await awp.getResults()).toEqual(expectedResults);
   });
 
+  it('runs the given ad-hoc tests instead of the connector.', async () => {
+    awp.connector.tests = generateFakeTests(10);
+    let response = await awp.run({tests: generateFakeTests(2)});
+
+    expect(response.tests.length).toBe(2);
+    expect(response.results.length).toBe(2);
+    expect(cleanFakeResults(await awp.getResults())).toEqual(
+        generateFakeResults(2));
+    expect(awp.connector.tests.length).toBe(10);
+  });
+
+  it('plans gatherer requests without sending or writing in dry run.',
+      async () => {
+    awp.envVars = {WPT_APIKEY: 'my-secret-key'};
+    awp.connector.tests = generateFakeTests(2);
+    awp.connector.tests[0].gatherer = 'webpagetest,fake';
+    awp.connector.tests[1].gatherer = 'webpagetest';
+    awp.extensions.fake.beforeRun = jest.fn(context => {
+      context.test.label += '-mutated';
+    });
+    let appendResultList = jest.spyOn(awp.connector, 'appendResultList');
+
+    let response = await awp.run({dryRun: true});
+    expect(appendResultList).not.toHaveBeenCalled();
+    expect(await awp.getResults()).toEqual([]);
+
+    let requests = response.results[0].webpagetest.requests;
+    expect(requests.length).toBe(1);
+    expect(requests[0].method).toBe('GET');
+    expect(requests[0].url).toContain('label=label-1-mutated');
+    expect(requests[0].url).toContain('k=<redacted>');
+    expect(requests[0].url).not.toContain('my-secret-key');
+    expect(response.results[1].webpagetest.requests.length).toBe(1);
+
+    // Gatherers without dry-run support are skipped.
+    expect(response.results[0].fake.requests).toEqual([]);
+    expect(response.results[0].fake.statusText).toContain(
+        `doesn't support dry run`);
+  });
+
+  it('plans retrieve and recurring requests without writing in dry run.',
+      async () => {
+    awp.envVars = {WPT_APIKEY: 'my-secret-key'};
+    awp.connector.results = generateFakeResults(1);
+    awp.connector.results[0].gatherer = 'webpagetest';
+    delete awp.connector.results[0].fake;
+    awp.connector.results[0].webpagetest = {
+      status: Status.SUBMITTED,
+      metadata: {testId: 'test-id'},
+    };
+    let updateResultList = jest.spyOn(awp.connector, 'updateResultList');
+
+    let response = await awp.retrieve({dryRun: true});
+    expect(updateResultList).not.toHaveBeenCalled();
+    let result = response.results[0];
+    expect(result.status).toBe(Status.SUBMITTED);
+    expect(result.webpagetest.metadata.testId).toBe('test-id');
+    expect(result.webpagetest.requests.map(request => request.url)).toEqual([
+      'https://webpagetest.org/jsonResult.php?test=test-id',
+    ]);
+
+    awp.connector.tests = generateFakeTests(1, {
+      recurring: {frequency: 'Daily'},
+    });
+    awp.connector.tests[0].gatherer = 'webpagetest';
+    let updateTestList = jest.spyOn(awp.connector, 'updateTestList');
+    response = await awp.recurring({dryRun: true});
+    expect(updateTestList).not.toHaveBeenCalled();
+    expect(response.results[0].webpagetest.requests.length).toBe(1);
+  });
+
   it('runs recurring and gets initial Results.', async () => {
     let nowtime = Date.now();
 
@@ -254,6 +378,25 @@ describe('AutoWebPerf with fake modules', () => {
     expect(await awp.getResults()).toEqual(expectedResults);
   });
 
+  it('keeps the day of month of monthly recurring Tests.', async () => {
+    let test = {
+      label: 'web.dev',
+      recurring: {
+        frequency: 'Monthly',
+        timezone: 'UTC',
+        nextTriggerTimestamp: new Date('2021-01-31T08:00:00Z').getTime(),
+      },
+    };
+    awp.updateNextTriggerTimestamp(test);
+    expect(test.recurring.dayOfMonth).toBe(31);
+
+    let next = new Date(test.recurring.nextTriggerTimestamp);
+    let daysInMonth = new Date(Date.UTC(next.getUTCFullYear(),
+        next.getUTCMonth() + 1, 0)).getUTCDate();
+    expect(next.getUTCDate()).toBe(Math.min(31, daysInMonth));
+    expect(next.getUTCHours()).toBe(8);
+  });
+
   it('retrieves non-complete results.', async () => {
     awp.connector.tests = generateFakeTests(1);
     await awp.run();
@@ -385,6 +528,115 @@ describe('AutoWebPerf with fake modules', () => {
     expect(results.length).toBe(8);
   });
 
+  it('runs recurring with schedules and skips invalid schedules.',
+      async () => {
+    let dayInMs = 24 * 60 * 60 * 1000;
+    let previous = Date.now() - 60 * 1000;
+    awp.connector.tests = generateFakeTests(3, {
+      recurring: {frequency: 'Daily'},
+    });
+    awp.connector.tests[0].recurring.nextTriggerTimestamp = previous;
+    awp.connector.tests[1].recurring = {cron: '0 3 * * *', timezone: 'UTC'};
+    awp.connector.tests[2].recurring = {cron: 'every day'};
+    awp.connector.tests.push(generateFakeTests(1)[0]);
+    awp.connector.tests[3].label = 'Feb 31';
+    awp.connector.tests[3].recurring = {cron: '0 0 31 2 *'};
+
+    let {tests, results, errors} = await awp.recurring();
+    expect(tests.length).toBe(2);
+    expect(results.length).toBe(2);
+    expect(errors.length).toBe(2);
+    expect(errors[0].message).toContain('Invalid recurring schedule of label-3');
+    expect(errors[1].message).toContain(
+        'Invalid recurring schedule of Feb 31');
+
+    // The next trigger is based on the previous one instead of now.
+    expect(tests[0].recurring.nextTriggerTimestamp).toBe(previous + dayInMs);
+    let nextTrigger = new Date(tests[1].recurring.nextTriggerTimestamp);
+    expect(nextTrigger.getUTCHours()).toBe(3);
+    expect(nextTrigger.getUTCMinutes()).toBe(0);
+  });
+
+  it('updates Tests when scheduling the next trigger fails.', async () => {
+    awp.connector.tests = generateFakeTests(2, {
+      recurring: {frequency: 'Daily'},
+    });
+    awp.connector.updateTestList = jest.fn();
+    let updateNextTriggerTimestamp = awp.updateNextTriggerTimestamp;
+    awp.updateNextTriggerTimestamp = jest.fn(function(test, options) {
+      if (test.label === 'label-1') throw new Error('Unknown schedule');
+      return updateNextTriggerTimestamp.call(this, test, options);
+    });
+
+    let {tests, results, errors} = await awp.recurring();
+    expect(results.length).toBe(2);
+    expect(errors.map(error => error.message)).toEqual([
+        'Invalid recurring schedule of label-1: Unknown schedule']);
+    expect(tests[1].recurring.nextTriggerTimestamp).toBeGreaterThan(
+        Date.now());
+    expect(awp.connector.updateTestList).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs continuously without overlapping cycles until stopped.',
+      async () => {
+    let running = 0, maxRunning = 0, statuses = [];
+    awp.recurring = jest.fn(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running--;
+      return {tests: [{}, {}], results: [], errors: []};
+    });
+    awp.retrieve = jest.fn(async () => {
+      if (awp.retrieve.mock.calls.length === 2) {
+        throw new Error('Fake retrieve error');
+      }
+      return {results: [{}], errors: []};
+    });
+
+    let status = await awp.continue({
+      timerInterval: 1000,
+      onStatus: (status) => {
+        statuses.push(status.state);
+        if (status.state === 'Waiting') {
+          if (status.cycles === 3) {
+            awp.stop();
+          } else {
+            setTimeout(() => awp.wakeUp(), 1);
+          }
+        }
+      },
+    });
+
+    expect(maxRunning).toBe(1);
+    expect(awp.recurring.mock.calls.length).toBe(3);
+    expect(status.state).toEqual('Stopped');
+    expect(status.cycles).toBe(3);
+    expect(status.lastCycle.status).toEqual(Status.RETRIEVED);
+    expect(status.lastCycle.testsCount).toBe(2);
+    expect(status.lastCycle.resultsCount).toBe(1);
+    expect(statuses).toContain('Waiting');
+    expect(statuses[statuses.length - 1]).toEqual('Stopped');
+  });
+
+  it('records cycle errors and stops while waiting.', async () => {
+    awp.recurring = jest.fn(async () => {
+      throw new Error('Fake recurring error');
+    });
+    awp.retrieve = jest.fn();
+
+    let continuePromise = awp.continue({timerInterval: 1000});
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(awp.continueStatus.state).toEqual('Waiting');
+    awp.stop();
+
+    let status = await continuePromise;
+    expect(status.cycles).toBe(1);
+    expect(status.lastCycle.status).toEqual(Status.ERROR);
+    expect(status.lastCycle.errors).toEqual(['Fake recurring error']);
+    expect(awp.retrieve).not.toHaveBeenCalled();
+  });
+
   it('retrieves a list of results and executes extensions.', async () => {
     awp.connector.tests = generateFakeTests(10);
     await awp.run();
@@ -395,6 +647,50 @@ describe('AutoWebPerf with fake modules', () => {
     expect(awp.extensions.fake.afterRetrieve.mock.calls.length).toBe(10);
   });
 
+  it('waits for async extensions and collects rejected errors.', async () => {
+    let sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    let events = [];
+
+    awp.connector.tests = generateFakeTests(2);
+    awp.connector.appendResultList = jest.fn(() => {
+      events.push('appendResultList');
+    });
+    awp.extensions.fake.afterAllRuns = jest.fn(async () => {
+      await sleep(5);
+      events.push('afterAllRuns');
+    });
+    awp.extensions.fake.afterRun = jest.fn(async () => {
+      throw new Error('Fake afterRun error');
+    });
+
+    let {results, errors} = await awp.run();
+    expect(events).toEqual(['appendResultList', 'afterAllRuns']);
+    expect(results[0].errors.map(e => e.message)).toContain(
+        'Fake afterRun error');
+
+    awp.extensions.fake.afterAllRuns = jest.fn(() => {
+      return Promise.reject(new Error('Fake afterAllRuns error'));
+    });
+    ({errors} = await awp.run());
+    expect(errors.map(e => e.message)).toContain('Fake afterAllRuns error');
+  });
+
+  it('runs afterAllRetrieves before updating results to the connector.',
+      async () => {
+    let events = [];
+    awp.connector.results = generateFakeResults(3);
+    awp.connector.updateResultList = jest.fn((results) => {
+      events.push(`updateResultList:${results.length}`);
+    });
+    awp.extensions.fake.afterAllRetrieves = jest.fn(async (context) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      events.push(`afterAllRetrieves:${context.results.length}`);
+    });
+
+    await awp.retrieve();
+    expect(events).toEqual(['afterAllRetrieves:3', 'updateResultList:3']);
+  });
+
   it('retrieves a list of metrics for each Result in batch mode.', async () => {
     awp.connector.tests = generateFakeTests(10);
     await awp.run({runByBatch: true});
@@ -410,6 +706,124 @@ describe('AutoWebPerf with fake modules', () => {
     })
   });
 
+  it('retrieves results in batch with gatherers that support it.',
+      async () => {
+    awp.connector.results = generateFakeResults(5);
+    let fakeGatherer = awp.gatherers.fake;
+    fakeGatherer.retrieve = jest.fn(fakeGatherer.retrieve);
+    fakeGatherer.retrieveBatchAsync = jest.fn(async (results) => {
+      return results.map(result => {
+        return {
+          status: Status.RETRIEVED,
+          metrics: {SpeedIndex: 600},
+        };
+      });
+    });
+
+    let {results} = await awp.retrieve();
+    expect(fakeGatherer.retrieveBatchAsync.mock.calls.length).toBe(1);
+    expect(fakeGatherer.retrieveBatchAsync.mock.calls[0][0].length).toBe(5);
+    expect(fakeGatherer.retrieve).not.toHaveBeenCalled();
+    expect(results.map(r => r.status)).toEqual(
+        Array(5).fill(Status.RETRIEVED));
+    expect(results[0].fake.metrics.SpeedIndex).toBe(600);
+    expect(awp.extensions.fake.beforeRetrieve.mock.calls.length).toBe(5);
+    expect(awp.extensions.fake.afterRetrieve.mock.calls.length).toBe(5);
+
+    // Falls back to retrieve each Result without batch support.
+    awp.connector.results = generateFakeResults(3);
+    fakeGatherer.retrieveBatchAsync = jest.fn(async () => null);
+    ({results} = await awp.retrieve());
+    expect(fakeGatherer.retrieve.mock.calls.length).toBe(3);
+    expect(results[0].fake.metrics.SpeedIndex).toBe(500);
+
+    // Errors in batch retrieval apply to all Results.
+    awp.connector.results = generateFakeResults(2);
+    fakeGatherer.retrieveBatchAsync = jest.fn(async () => {
+      throw new Error('Fake batch error');
+    });
+    ({results} = await awp.retrieve());
+    expect(results.map(r => r.status)).toEqual([Status.ERROR, Status.ERROR]);
+    expect(results[0].errors).toEqual(['[fake] Fake batch error']);
+  });
+
+  it('creates unique Result IDs with fingerprints of Tests.', async () => {
+    let tests = generateFakeTests(2);
+    tests.push(Object.assign({}, tests[0]));
+    tests.push({label: 'origin', origin: 'https://example.com',
+        gatherer: 'fake'});
+    awp.connector.tests = tests;
+    let {results} = await awp.run();
+
+    let ids = results.map(result => result.id);
+    expect(new Set(ids).size).toBe(4);
+    ids.forEach(id => expect(id).toMatch(/^\d+-[0-9a-f]{8}-[0-9a-z]{6}$/));
+    expect(results[0].fingerprint).toEqual(results[2].fingerprint);
+    expect(results[0].fingerprint).not.toEqual(results[1].fingerprint);
+    expect(results[3].id).toContain(results[3].fingerprint);
+    expect(results[3].origin).toEqual('https://example.com');
+  });
+
+  it('marks duplicate runs within the duplicate window.', async () => {
+    let fakeGatherer = awp.gatherers.fake;
+    fakeGatherer.run = jest.fn(fakeGatherer.run);
+    awp.connector.tests = generateFakeTests(2);
+    await awp.run();
+    expect(fakeGatherer.run.mock.calls.length).toBe(2);
+
+    // Disabled by default.
+    await awp.run();
+    expect(fakeGatherer.run.mock.calls.length).toBe(4);
+
+    // Duplicates of the existing Results and within the same run.
+    awp.connector.results = awp.connector.results.slice(0, 2);
+    awp.connector.results[1].status = Status.ERROR;
+    awp.connector.tests.push(Object.assign({}, awp.connector.tests[0], {
+      fake: {settings: {connection: '3G'}},
+    }));
+    awp.connector.tests.push(Object.assign({}, awp.connector.tests[1]));
+    let {results} = await awp.run({duplicateWindow: 600});
+    expect(fakeGatherer.run.mock.calls.length).toBe(6);
+    expect(results.map(r => r.status)).toEqual([Status.DUPLICATE,
+        Status.SUBMITTED, Status.SUBMITTED, Status.DUPLICATE]);
+    expect(results[0].duplicateOf).toEqual(awp.connector.results[0].id);
+    expect(results[0].fake).toBe(undefined);
+    expect(results[3].duplicateOf).toEqual(results[1].id);
+    expect(awp.connector.results.length).toBe(6);
+
+    // Outside of the duplicate window.
+    awp.connector.results.forEach(result => {
+      result.createdTimestamp -= 601 * 1000;
+    });
+    awp.duplicateWindow = 600;
+    ({results} = await awp.run({runByBatch: true}));
+    expect(results.map(r => r.status)).toEqual([Status.RETRIEVED,
+        Status.RETRIEVED, Status.RETRIEVED, Status.DUPLICATE]);
+  });
+
+  it('marks duplicate runs with connectors dropping unknown columns.',
+      async () => {
+    // Keep only the standard Result columns, like Sheets without a
+    // fingerprint column.
+    let columns = ['id', 'type', 'gatherer', 'status', 'label', 'url',
+        'createdTimestamp', 'modifiedTimestamp', 'errors'];
+    let connector = awp.connector;
+    connector.appendResultList = (newResults) => {
+      connector.results = connector.results.concat(newResults.map(result => {
+        let row = {};
+        columns.forEach(column => row[column] = result[column]);
+        return row;
+      }));
+    };
+    connector.tests = generateFakeTests(1);
+    await awp.run();
+    expect(connector.results[0].fingerprint).toBe(undefined);
+
+    let {results} = await awp.run({duplicateWindow: 600});
+    expect(results[0].status).toEqual(Status.DUPLICATE);
+    expect(results[0].duplicateOf).toEqual(connector.results[0].id);
+  });
+
   it('updates overall status based on responses from data sources.',
       async () => {
     let result;
@@ -502,6 +916,193 @@ describe('AutoWebPerf with fake modules', () => {
     expect(result.status).toEqual(Status.ERROR);
   });
 
+  it('runs and retrieves tests concurrently with concurrency limits.',
+      async () => {
+    let running = 0, maxRunning = 0;
+    let genAsyncGatherer = (status) => {
+      let track = async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return {status: status};
+      };
+      return {
+        runAsync: track,
+        retrieveAsync: track,
+      };
+    };
+    awp.gatherers = {
+      fake: genAsyncGatherer(Status.SUBMITTED),
+    };
+    awp.connector.tests = generateFakeTests(10);
+    awp.batchUpdateBuffer = 3;
+
+    let {results} = await awp.run({concurrency: 4});
+    expect(maxRunning).toBe(4);
+    expect(results.map(result => result.label)).toEqual(
+        awp.connector.tests.map(test => test.label));
+    expect(awp.connector.results.length).toBe(10);
+    expect(awp.extensions.fake.afterRun.mock.calls.length).toBe(10);
+
+    // Per-gatherer limit applies on top of the overall concurrency.
+    maxRunning = 0;
+    awp.awpConfig.fake = {concurrency: 2};
+    awp.gathererLimiters = {};
+    awp.gatherers.fake = genAsyncGatherer(Status.RETRIEVED);
+    await awp.retrieve({concurrency: 4});
+    expect(maxRunning).toBe(2);
+    expect(awp.extensions.fake.afterRetrieve.mock.calls.length).toBe(10);
+  });
+
+  it('retries transient gatherer failures with retry policies.', async () => {
+    let genFlakyGatherer = (failures, status) => {
+      let count = 0;
+      let flaky = () => {
+        count++;
+        if (count <= failures) {
+          return {status: Status.ERROR, statusCode: 503};
+        }
+        return {status: status};
+      };
+      return {
+        run: flaky,
+        retrieve: flaky,
+      };
+    };
+    awp.apiHandler = {
+      sleep: jest.fn(async () => {}),
+    };
+    awp.retryPolicy = {
+      maxAttempts: 3,
+      initialDelay: 10,
+    };
+
+    awp.connector.tests = generateFakeTests(1);
+    awp.gatherers = {
+      fake: genFlakyGatherer(2, Status.SUBMITTED),
+    };
+    let {results} = await awp.run();
+    expect(results[0].status).toEqual(Status.SUBMITTED);
+    expect(results[0].fake.retries.attempts).toBe(3);
+    expect(results[0].fake.retries.errors.length).toBe(2);
+    expect(awp.apiHandler.sleep.mock.calls).toEqual([[10], [20]]);
+
+    // Per-gatherer policy overrides the overall policy.
+    awp.awpConfig.fake = {retry: {maxAttempts: 1}};
+    awp.gatherers = {
+      fake: genFlakyGatherer(1, Status.RETRIEVED),
+    };
+    await awp.retrieve();
+    let result = (await awp.getResults())[0];
+    expect(result.status).toEqual(Status.ERROR);
+    expect(result.fake.statusCode).toEqual(503);
+  });
+
+  it('emits progress events of runs and retrieves.', async () => {
+    let events = [];
+    Object.values(AwpEvent).forEach(eventName => {
+      awp.on(eventName, payload => events.push({eventName, payload}));
+    });
+    let getNames = () => events.map(event => event.eventName);
+
+    awp.connector.tests = generateFakeTests(2);
+    await awp.run();
+    expect(getNames()).toEqual([
+      AwpEvent.RUN_STARTED,
+      AwpEvent.TEST_STARTED, AwpEvent.GATHERER_RESPONSE,
+      AwpEvent.TEST_FINISHED,
+      AwpEvent.TEST_STARTED, AwpEvent.GATHERER_RESPONSE,
+      AwpEvent.TEST_FINISHED,
+      AwpEvent.RESULTS_STORED, AwpEvent.RUN_FINISHED,
+    ]);
+    let response = events[2].payload;
+    expect(response.action).toEqual('run');
+    expect(response.gathererName).toEqual('fake');
+    expect(response.response.status).toEqual(Status.SUBMITTED);
+    expect(events[7].payload.operation).toEqual('append');
+    expect(events[8].payload.results.length).toBe(2);
+    expect(events[8].payload.recurring).toBe(false);
+
+    events = [];
+    await awp.retrieve();
+    expect(getNames()).toEqual([
+      AwpEvent.RETRIEVE_STARTED,
+      AwpEvent.GATHERER_RESPONSE, AwpEvent.RETRIEVE_POLLED,
+      AwpEvent.GATHERER_RESPONSE, AwpEvent.RETRIEVE_POLLED,
+      AwpEvent.RESULTS_STORED, AwpEvent.RETRIEVE_FINISHED,
+    ]);
+    expect(events[1].payload.action).toEqual('retrieve');
+    expect(events[2].payload.statuses).toEqual([Status.RETRIEVED]);
+    expect(events[5].payload.operation).toEqual('update');
+
+    // Errors thrown by extensions.
+    events = [];
+    awp.extensions.fake.afterRun = () => {
+      throw new Error('Fake extension error');
+    };
+    await awp.run({runByBatch: true});
+    let errorEvents = events.filter(event => {
+      return event.eventName === AwpEvent.EXTENSION_ERROR;
+    });
+    expect(errorEvents.length).toBe(2);
+    expect(errorEvents[0].payload.extension).toEqual('fake');
+    expect(errorEvents[0].payload.hook).toEqual('afterRun');
+    expect(errorEvents[0].payload.error.message).toEqual(
+        'Fake extension error');
+  });
+
+  it('logs errors of event listeners without failing runs.', async () => {
+    let logger = {error: jest.fn()};
+    awp.setLogger(logger);
+    awp.on(AwpEvent.TEST_FINISHED, () => {
+      throw new Error('Listener error');
+    });
+
+    awp.connector.tests = generateFakeTests(2);
+    let {results} = await awp.run();
+    expect(results.length).toBe(2);
+    expect(logger.error.mock.calls.length).toBe(2);
+    expect(logger.error.mock.calls[0][0]).toEqual(
+        `Error in the listener of ${AwpEvent.TEST_FINISHED}:`);
+    expect(logger.error.mock.calls[0][1].message).toEqual('Listener error');
+  });
+
+  it('routes output of modules to the current logger.', async () => {
+    let connector = awp.getConnector('fake');
+    let gatherer = awp.createGatherer('psi', awp.apiHandler);
+    let logger = {error: jest.fn()};
+    awp.setLogger(logger);
+
+    connector.logger.error('Connector error');
+    gatherer.logger.error('Gatherer error');
+    expect(logger.error.mock.calls).toEqual([['Connector error'],
+        ['Gatherer error']]);
+  });
+
+  it('routes all output to the logger.', async () => {
+    let logger = {info: jest.fn(), debug: jest.fn()};
+    awp.setLogger(logger);
+    awp.debug = true;
+    let consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      awp.connector.tests = generateFakeTests(1);
+      await awp.run();
+      await awp.retrieve();
+      expect(consoleLog).not.toHaveBeenCalled();
+      expect(logger.info).toHaveBeenCalledWith('Run with 1 test(s)');
+      expect(logger.info).toHaveBeenCalledWith('Retrieved 1 results.');
+      expect(logger.debug).toHaveBeenCalled();
+
+      // Silences all output.
+      awp.setLogger({});
+      await awp.run();
+      expect(consoleLog).not.toHaveBeenCalled();
+    } finally {
+      consoleLog.mockRestore();
+    }
+  });
+
   it('gets overall errors from all gatherers.', () => {
     awp.overallGathererNames = ['fake'];
 
@@ -529,3 +1130,76 @@ describe('AutoWebPerf with fake modules', () => {
     expect(errors.length).toBe(0);
   });
 });
+
+describe('AutoWebPerf with plugins', () => {
+  let awpConfig;
+
+  beforeEach(() => {
+    awpConfig = {
+      tests: {
+        connector: 'myconnector',
+      },
+      results: {
+        connector: 'myconnector',
+      },
+      helper: 'fake',
+    };
+  });
+
+  afterEach(() => {
+    AutoWebPerf.clearRegisteredPlugins();
+  });
+
+  it('loads registered gatherers, connectors and extensions.', async () => {
+    AutoWebPerf.registerConnector('myconnector', FakeConnector);
+    AutoWebPerf.registerGatherer('mygatherer', FakeGatherer);
+    AutoWebPerf.registerExtension('myextension', FakeExtension);
+    awpConfig.extensions = ['myextension'];
+
+    let awp = new AutoWebPerf(awpConfig);
+    expect(awp.connector).toBeInstanceOf(FakeConnector);
+    expect(awp.getGatherer('mygatherer')).toBeInstanceOf(FakeGatherer);
+    expect(awp.extensions.myextension).toBeInstanceOf(FakeExtension);
+    expect(awp.overallGathererNames).toContain('mygatherer');
+  });
+
+  it('loads plugins from module paths in awpConfig.', async () => {
+    AutoWebPerf.registerConnector('myconnector', FakeConnector);
+    awpConfig.plugins = {
+      gatherers: {
+        pathgatherer: './src/gatherers/gatherer',
+      },
+      extensions: {
+        pathextension: './src/extensions/extension',
+      },
+    };
+    awpConfig.extensions = ['pathextension'];
+
+    let awp = new AutoWebPerf(awpConfig);
+    expect(awp.getGatherer('pathgatherer')).toBeInstanceOf(Gatherer);
+    expect(awp.extensions.pathextension).toBeInstanceOf(Extension);
+
+    // Plugins in awpConfig don't affect other instances.
+    delete awpConfig.plugins;
+    delete awpConfig.extensions;
+    let otherAwp = new AutoWebPerf(awpConfig);
+    expect(otherAwp.pluginRegistry.has('gatherer', 'pathgatherer')).toBe(false);
+  });
+
+  it('throws errors with plugins that break the contract.', async () => {
+    expect(() => {
+      AutoWebPerf.registerGatherer('brokengatherer', class {
+        run() {}
+      });
+    }).toThrow('doesn\'t implement required methods: retrieve');
+
+    awpConfig.plugins = {
+      connectors: {
+        myconnector: './src/gatherers/gatherer',
+      },
+    };
+    expect(() => {
+      new AutoWebPerf(awpConfig);
+    }).toThrow('The connector myconnector doesn\'t implement required methods');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {VitalRating, getVitalValue, rateVital} =
+    require('../../src/common/web-vitals');
+
+describe('Web Vitals test', () => {
+  it('gets values from field data before lab data.', async () => {
+    let metrics = {
+      lighthouse: {LargestContentfulPaint: 2300, CumulativeLayoutShift: 0.3},
+      crux: {CumulativeLayoutShift: {percentile: 5}},
+    };
+    expect(getVitalValue(metrics, 'LargestContentfulPaint')).toBe(2300);
+    expect(getVitalValue(metrics, 'CumulativeLayoutShift')).toBe(0.05);
+
+    // CrUX API
+    expect(getVitalValue({CumulativeLayoutShift: {p75: '0.12'}},
+        'CumulativeLayoutShift')).toBe(0.12);
+    expect(getVitalValue({InteractionToNextPaint: 180},
+        'InteractionToNextPaint')).toBe(180);
+    expect(getVitalValue({}, 'FirstInputDelay')).toBe(null);
+  });
+
+  it('rates values with thresholds.', async () => {
+    expect(rateVital('LargestContentfulPaint', 2500)).toBe(VitalRating.GOOD);
+    expect(rateVital('LargestContentfulPaint', 4000)).toBe(
+        VitalRating.NEEDS_IMPROVEMENT);
+    expect(rateVital('CumulativeLayoutShift', 0.26)).toBe(VitalRating.POOR);
+    expect(rateVital('CumulativeLayoutShift', null)).toBe(null);
+    expect(rateVital('SpeedIndex', 1000)).toBe(null);
+  });
+});
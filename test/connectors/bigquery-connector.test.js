@@ -0,0 +1,164 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const BigQueryConnector = require('../../src/connectors/bigquery-connector');
+const {FakeBigQueryClient} = require('./bigquery-test-utils');
+
+describe('BigQueryConnector test', () => {
+  let client, connector;
+
+  let createConnector = () => {
+    return new BigQueryConnector({
+      resultsPath: 'awp.results',
+      client: client,
+    }, {} /* apiHandler */, {GCP_PROJECT_ID: 'fake-project'});
+  };
+
+  beforeEach(async () => {
+    client = new FakeBigQueryClient();
+    connector = createConnector();
+    await connector.appendResultList([
+      {
+        id: '1',
+        label: 'web.dev',
+        status: 'Retrieved',
+        gatherer: ['psi'],
+        createdTimestamp: 1000,
+        psi: {metrics: {FirstContentfulPaint: 900}},
+        errors: [],
+      },
+      {
+        id: '2',
+        label: 'YouTube',
+        status: 'Submitted',
+        gatherer: 'webpagetest',
+        createdTimestamp: 2000,
+      },
+    ]);
+  });
+
+  it('creates the table with flattened Result columns.', async () => {
+    let table = client.tables['awp.results'];
+    expect(table.schema.fields).toEqual(expect.arrayContaining([
+      {name: 'id', type: 'STRING', mode: 'NULLABLE'},
+      {name: 'createdTimestamp', type: 'FLOAT64', mode: 'NULLABLE'},
+      {
+        name: 'psi__metrics__FirstContentfulPaint',
+        type: 'FLOAT64',
+        mode: 'NULLABLE',
+      },
+    ]));
+    expect(table.rows.length).toBe(2);
+    expect(table.rows[0].gatherer).toEqual('psi');
+  });
+
+  it('adds new columns for new properties.', async () => {
+    // A new connector loads the existing schema.
+    connector = createConnector();
+    await connector.appendResultList([{
+      id: '3',
+      label: 'Google',
+      status: 'Retrieved',
+      psi: {metrics: {FirstContentfulPaint: '1100'}},
+      webpagetest: {metrics: {SpeedIndex: 1500.5}},
+    }]);
+
+    let table = client.tables['awp.results'];
+    expect(table.schema.fields.map(field => field.name)).toContain(
+        'webpagetest__metrics__SpeedIndex');
+    expect(table.rows[2].psi__metrics__FirstContentfulPaint).toBe(1100);
+  });
+
+  it('returns list of Results with filters.', async () => {
+    let results = await connector.getResultList();
+    expect(results.length).toBe(2);
+    expect(results[0]).toEqual({
+      id: '1',
+      label: 'web.dev',
+      status: 'Retrieved',
+      gatherer: 'psi',
+      createdTimestamp: 1000,
+      psi: {metrics: {FirstContentfulPaint: 900}},
+      errors: [],
+    });
+
+    results = await connector.getResultList({
+      filters: ['status==="Submitted"'],
+    });
+    expect(results.map(result => result.id)).toEqual(['2']);
+  });
+
+  it('updates Results with MERGE.', async () => {
+    await connector.updateResultList([{
+      id: '2',
+      label: 'YouTube',
+      status: 'Retrieved',
+      gatherer: 'webpagetest',
+      createdTimestamp: 2000,
+      webpagetest: {metrics: {SpeedIndex: 1200}},
+    }]);
+
+    let query = client.queries[client.queries.length - 1];
+    expect(query.query).toMatch(/^MERGE `fake-project.awp.results` AS target/);
+    expect(query.types.p0_0).toEqual('STRING');
+
+    let results = await connector.getResultList();
+    expect(results[1].status).toEqual('Retrieved');
+    expect(results[1].webpagetest.metrics.SpeedIndex).toBe(1200);
+    expect(results[0].status).toEqual('Retrieved');
+  });
+
+  it('updates Results right after appending them.', async () => {
+    connector = createConnector();
+    await connector.appendResultList([{
+      id: '3',
+      label: 'Google',
+      status: 'Submitted',
+      gatherer: 'webpagetest',
+    }]);
+    let query = client.queries[client.queries.length - 1];
+    expect(query.query).toMatch(/^INSERT INTO `fake-project.awp.results`/);
+
+    // Rows in the streaming buffer can't be updated with MERGE.
+    expect(client.tables['awp.results'].streamingRows.length).toBe(0);
+    await connector.updateResultList([{
+      id: '3',
+      label: 'Google',
+      status: 'Retrieved',
+      gatherer: 'webpagetest',
+    }]);
+    let results = await connector.getResultList({filters: ['id==="3"']});
+    expect(results[0].status).toEqual('Retrieved');
+  });
+
+  it('replaces all Results with overrideResults.', async () => {
+    await connector.appendResultList([{id: '5', status: 'Retrieved'}], {
+      overrideResults: true,
+    });
+    let results = await connector.getResultList();
+    expect(results.map(result => result.id)).toEqual(['5']);
+  });
+
+  it('only supports the Results path.', async () => {
+    expect(() => connector.getTestList()).toThrow('only supports the Results');
+    expect(() => new BigQueryConnector({
+      resultsPath: 'results',
+      client: client,
+    }, {}, {})).toThrow('resultsPath should be in the format');
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * A local stand-in for the BigQuery client of @google-cloud/bigquery, with
+ * tables in memory. It supports the calls of BigQueryConnector only, and runs
+ * `SELECT *`, `TRUNCATE TABLE` and the INSERT and MERGE statements of the
+ * connector.
+ *
+ * Like BigQuery, rows added with streaming inserts stay in the streaming
+ * buffer, where TRUNCATE and MERGE fail.
+ */
+class FakeBigQueryClient {
+  constructor() {
+    this.tables = {};
+    this.queries = [];
+  }
+
+  dataset(datasetId) {
+    return {
+      table: (tableId) => this.table(`${datasetId}.${tableId}`),
+      createTable: async (tableId, metadata) => {
+        this.tables[`${datasetId}.${tableId}`] = {
+          schema: metadata.schema,
+          rows: [],
+          streamingRows: [],
+        };
+        return [this.table(`${datasetId}.${tableId}`)];
+      },
+    };
+  }
+
+  table(name) {
+    return {
+      exists: async () => [!!this.tables[name]],
+      getMetadata: async () => [{schema: this.tables[name].schema}],
+      setMetadata: async (metadata) => {
+        this.tables[name].schema = metadata.schema;
+        return [metadata];
+      },
+      insert: async (rows, options) => {
+        let table = this.tables[name];
+        let names = table.schema.fields.map(field => field.name);
+        rows.forEach(row => {
+          let json = options && options.raw ? row.json : row;
+          Object.keys(json).forEach(key => {
+            if (!names.includes(key)) throw new Error(`no such field: ${key}`);
+          });
+          table.rows.push(json);
+          table.streamingRows.push(json);
+        });
+        return [{}];
+      },
+    };
+  }
+
+  async createQueryJob(options) {
+    this.queries.push(options);
+    let query = options.query;
+    let tableName = (query.match(/`[^.`]+\.([^`]+)`/) || [])[1];
+    let table = this.tables[tableName];
+    let rows = [];
+
+    if (/^(TRUNCATE|MERGE|UPDATE|DELETE)/.test(query) &&
+        table.streamingRows.length > 0) {
+      throw new Error(`UPDATE or DELETE statement over table ${tableName} ` +
+          'would affect rows in the streaming buffer, which is not supported');
+    }
+
+    if (query.startsWith('SELECT * FROM')) {
+      rows = table.rows.map(row => {
+        let fullRow = {};
+        table.schema.fields.forEach(field => {
+          fullRow[field.name] = row[field.name] === undefined ?
+              null : row[field.name];
+        });
+        return fullRow;
+      });
+
+    } else if (query.startsWith('TRUNCATE TABLE')) {
+      table.rows = [];
+
+    } else if (query.startsWith('INSERT INTO')) {
+      let names = query.match(/\(([^)]*)\)/)[1].split(', ')
+          .map(name => name.replace(/`/g, ''));
+      let newRows = {};
+      let pattern = /@(p(\d+)_(\d+))/g, match;
+      while ((match = pattern.exec(query))) {
+        newRows[match[2]] = newRows[match[2]] || {};
+        let value = options.params[match[1]];
+        if (value !== null) newRows[match[2]][names[match[3]]] = value;
+      }
+      table.rows = table.rows.concat(Object.values(newRows));
+
+    } else if (query.startsWith('MERGE')) {
+      let sources = {};
+      let pattern = /@(p(\d+)_\d+) AS `(\w+)`/g, match;
+      while ((match = pattern.exec(query))) {
+        sources[match[2]] = sources[match[2]] || {};
+        sources[match[2]][match[3]] = options.params[match[1]];
+      }
+      Object.values(sources).forEach(source => {
+        table.rows = table.rows.map(row => {
+          return row.id === source.id ? Object.assign({}, source) : row;
+        });
+      });
+    }
+
+    return [{
+      getQueryResults: async () => [rows],
+    }];
+  }
+}
+
+module.exports = {
+  FakeBigQueryClient,
+};
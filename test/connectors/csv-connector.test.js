@@ -16,6 +16,9 @@
 
 'use strict';
 
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
 const CsvConnector = require('../../src/connectors/csv-connector');
 const assert = require('../../src/utils/assert');
 const setObject = require('../../src/utils/set-object');
@@ -138,6 +141,14 @@ describe('AppScriptConnector EnvVars tab', () => {
     expect(tests[0].url).toEqual('https://web.dev');
   });
 
+  it('returns list of Tests with filters', async () => {
+    let tests = connector.getTestList({filters: ['label==="YouTube"']});
+    expect(tests.length).toBe(1);
+    expect(tests[0].url).toEqual('https://youtube.com');
+    // Keeps the row index in the CSV file for updating Tests.
+    expect(tests[0].csv.index).toBe(1);
+  });
+
   it('updates Tests', async () => {
     let newTests = [{
       "label": "web.dev",
@@ -175,6 +186,15 @@ describe('AppScriptConnector EnvVars tab', () => {
     expect(result.psi.metrics.lighthouse.LargestContentfulPaint).toEqual(2048);
   });  
   
+  it('returns list of Results with filters', async () => {
+    expect(connector.getResultList({
+      filters: ['status==="Retrieved"'],
+    }).length).toBe(1);
+    expect(connector.getResultList({
+      filters: ['status==="Submitted"'],
+    }).length).toBe(0);
+  });
+
   it('updates Results', async () => {
     let results = connector.getResultList();
     results[0].csv = {
@@ -216,4 +236,153 @@ describe('AppScriptConnector EnvVars tab', () => {
     expect(updatedResults.length).toBe(3);
     expect(updatedResults[2].psi.metrics.lighthouse.LargestContentfulPaint).toEqual(5678);
   });
-});
\ No newline at end of file
+});
+
+describe('CSVConnector options', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'awp-csv-connector-'));
+  });
+
+  afterEach(() => {
+    fse.removeSync(tmpDir);
+  });
+
+  it('reads semicolon-delimited files with latin1 encoding', () => {
+    let testsPath = path.join(tmpDir, 'tests.csv');
+    fse.writeFileSync(testsPath, Buffer.from(
+        'selected;label;url;psi.settings.locale\n' +
+        'true;Café;https://example.com;"fr;FR"\n', 'latin1'));
+
+    connector = new CsvConnector({
+      testsPath: testsPath,
+      delimiter: ';',
+      encoding: 'latin1',
+    });
+    let tests = connector.getTestList();
+    expect(tests.length).toBe(1);
+    expect(tests[0].label).toEqual('Café');
+    expect(tests[0].psi.settings.locale).toEqual('fr;FR');
+
+    connector.updateTestList(tests);
+    let content = fse.readFileSync(testsPath).toString('latin1');
+    expect(content.split('\n')[0]).toEqual(
+        'selected;label;url;psi.settings.locale');
+    expect(content).toContain('Café');
+  });
+
+  it('reads files with a byte order mark', () => {
+    let testsPath = path.join(tmpDir, 'tests.csv');
+    fse.writeFileSync(testsPath, '﻿selected,label,url\ntrue,Test,a.com\n');
+
+    connector = new CsvConnector({testsPath: testsPath});
+    expect(connector.getTestList()[0].selected).toEqual('true');
+  });
+
+  it('writes listed columns with header aliases and formatters', () => {
+    let resultsPath = path.join(tmpDir, 'results.csv');
+    connector = new CsvConnector({
+      resultsPath: resultsPath,
+      columns: {
+        results: [
+          'id',
+          {header: 'Created', path: 'createdTimestamp', format: 'isoDate'},
+          {
+            header: 'LCP',
+            path: 'psi.metrics.lighthouse.LargestContentfulPaint',
+            format: 'round',
+          },
+          {
+            header: 'CLS',
+            path: 'psi.metrics.lighthouse.CumulativeLayoutShift',
+            format: 'fixed:2',
+          },
+          {header: 'Label', path: 'label', format: (v) => v.toUpperCase()},
+        ],
+      },
+    });
+    connector.appendResultList([{
+      id: 'result-1',
+      label: 'web.dev',
+      createdTimestamp: 1600000000000,
+      psi: {
+        metrics: {
+          lighthouse: {
+            LargestContentfulPaint: 2048.6,
+            CumulativeLayoutShift: 0.1234,
+          },
+        },
+      },
+    }]);
+
+    let lines = fse.readFileSync(resultsPath, 'utf8').split('\n');
+    expect(lines[0]).toEqual('id,Created,LCP,CLS,Label');
+    expect(lines[1]).toEqual(
+        'result-1,2020-09-13T12:26:40.000Z,2049,0.12,WEB.DEV');
+
+    // Aliases are read back as property paths, and formatted values are
+    // parsed back to their types.
+    let results = connector.getResultList();
+    expect(results[0].createdTimestamp).toEqual(1600000000000);
+    expect(results[0].psi.metrics.lighthouse.LargestContentfulPaint)
+        .toEqual(2049);
+    expect(results[0].psi.metrics.lighthouse.CumulativeLayoutShift)
+        .toEqual(0.12);
+    expect(results[0].label).toEqual('WEB.DEV');
+  });
+
+  it('keeps the column order of existing files', () => {
+    let resultsPath = path.join(tmpDir, 'results.csv');
+    fse.writeFileSync(resultsPath, 'url,label,id\nexample.com,Example,1\n');
+
+    connector = new CsvConnector({resultsPath: resultsPath});
+    connector.appendResultList([
+      {id: '2', status: 'Submitted', label: 'web.dev', url: 'web.dev'},
+    ]);
+
+    let lines = fse.readFileSync(resultsPath, 'utf8').split('\n');
+    expect(lines[0]).toEqual('url,label,id,status');
+    expect(lines[1]).toEqual('example.com,Example,1');
+    expect(lines[2]).toEqual('web.dev,web.dev,2,Submitted');
+  });
+
+  it('parses values of custom formatters with parse functions', () => {
+    let resultsPath = path.join(tmpDir, 'results.csv');
+    connector = new CsvConnector({
+      resultsPath: resultsPath,
+      columns: {
+        results: [
+          'id',
+          {
+            header: 'Created (s)',
+            path: 'createdTimestamp',
+            format: (value) => value / 1000,
+            parse: (value) => Number(value) * 1000,
+          },
+          {path: 'errors', format: 'json'},
+        ],
+      },
+    });
+    connector.appendResultList([{
+      id: 'result-1',
+      createdTimestamp: 1600000000000,
+      errors: ['Timeout'],
+    }]);
+
+    let results = connector.getResultList();
+    expect(results[0].createdTimestamp).toEqual(1600000000000);
+    expect(results[0].errors).toEqual(['Timeout']);
+  });
+
+  it('throws with unknown formatters or encodings', () => {
+    expect(() => new CsvConnector({
+      columns: {results: [{path: 'id', format: 'unknown'}]},
+    })).toThrow(/Unknown CSV formatter/);
+    expect(() => new CsvConnector({
+      columns: {results: [{path: 'createdTimestamp', format: (v) => v}]},
+    })).toThrow(/requires a parse function/);
+    expect(() => new CsvConnector({encoding: 'ebcdic'}))
+        .toThrow(/Unsupported CSV encoding/);
+  });
+});
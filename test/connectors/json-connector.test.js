@@ -0,0 +1,168 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const JSONConnector = require('../../src/connectors/json-connector');
+
+describe('JSONConnector test', () => {
+  let tmpDir, connector;
+
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'awp-json-connector-'));
+    let testsPath = path.join(tmpDir, 'tests.json');
+    let resultsPath = path.join(tmpDir, 'results.json');
+    fse.outputFileSync(testsPath, JSON.stringify({
+      tests: [
+        {label: 'web.dev', url: 'https://web.dev', gatherer: 'psi'},
+        {label: 'YouTube', url: 'https://youtube.com', gatherer: 'psi'},
+      ],
+    }));
+    fse.outputFileSync(resultsPath, JSON.stringify({
+      results: [
+        {id: '1', label: 'web.dev', status: 'Retrieved'},
+        {id: '2', label: 'YouTube', status: 'Submitted'},
+      ],
+    }));
+    connector = new JSONConnector({
+      testsPath: testsPath,
+      resultsPath: resultsPath,
+    }, {} /* apiHandler */, {} /* envVars */);
+  });
+
+  afterEach(() => {
+    fse.removeSync(tmpDir);
+  });
+
+  it('returns list of Tests with filters.', async () => {
+    expect(connector.getTestList().length).toBe(2);
+
+    let tests = connector.getTestList({filters: ['label==="YouTube"']});
+    expect(tests.length).toBe(1);
+    expect(tests[0].json.index).toBe(1);
+  });
+
+  it('updates filtered Tests without dropping the others.', async () => {
+    let tests = connector.getTestList({filters: ['label==="YouTube"']});
+    tests[0].selected = true;
+    await connector.updateTestList(tests);
+
+    tests = connector.getTestList();
+    expect(tests.length).toBe(2);
+    expect(tests[0].selected).toBe(undefined);
+    expect(tests[1].selected).toBe(true);
+  });
+
+  it('appends Tests, and creates the tests file if missing.', async () => {
+    await connector.appendTestList([
+      {label: 'Google', url: 'https://google.com'},
+    ]);
+    let tests = connector.getTestList();
+    expect(tests.map(test => test.label)).toEqual(
+        ['web.dev', 'YouTube', 'Google']);
+
+    let newConnector = new JSONConnector({
+      testsPath: path.join(tmpDir, 'new', 'tests.json'),
+      resultsPath: path.join(tmpDir, 'new', 'results.json'),
+    }, {} /* apiHandler */, {} /* envVars */);
+    expect(newConnector.getEnvVars()).toEqual({});
+    await newConnector.appendTestList([
+      {label: 'Google', url: 'https://google.com'},
+    ]);
+    expect(newConnector.getTestList().length).toBe(1);
+  });
+
+  it('returns list of Results with filters.', async () => {
+    expect(connector.getResultList().length).toBe(2);
+
+    let results = connector.getResultList({filters: ['status==="Submitted"']});
+    expect(results.map(result => result.id)).toEqual(['2']);
+  });
+
+  it('writes Results atomically with rolling backups.', async () => {
+    let resultsPath = path.join(tmpDir, 'results.json');
+    connector = new JSONConnector({
+      resultsPath: resultsPath,
+      backups: 2,
+    }, {} /* apiHandler */, {} /* envVars */);
+
+    await connector.appendResultList([{id: '3', status: 'Submitted'}]);
+    await connector.updateResultList([{id: '3', status: 'Retrieved'}]);
+    await connector.appendResultList([{id: '4', status: 'Submitted'}]);
+
+    let readIds = (filepath) => {
+      return JSON.parse(fse.readFileSync(filepath)).results.map(r => r.id);
+    };
+    expect(readIds(resultsPath)).toEqual(['1', '2', '3', '4']);
+    expect(readIds(`${resultsPath}.bak.1`)).toEqual(['1', '2', '3']);
+    expect(readIds(`${resultsPath}.bak.2`)).toEqual(['1', '2', '3']);
+    expect(fse.existsSync(`${resultsPath}.bak.3`)).toBe(false);
+    expect(connector.getResultList()[2].status).toEqual('Retrieved');
+
+    // No temp files or lockfiles are left.
+    expect(fse.readdirSync(tmpDir).sort()).toEqual([
+      'results.json', 'results.json.bak.1', 'results.json.bak.2',
+      'tests.json',
+    ]);
+  });
+
+  it('waits for the write lock held by another process.', async () => {
+    let resultsPath = path.join(tmpDir, 'results.json');
+    let lockPath = `${resultsPath}.write.lock`;
+    fse.writeFileSync(lockPath, JSON.stringify({
+      pid: process.ppid,
+      hostname: os.hostname(),
+    }));
+    connector = new JSONConnector({
+      resultsPath: resultsPath,
+      lockTimeout: 100,
+    }, {} /* apiHandler */, {} /* envVars */);
+
+    let startTime = Date.now();
+    await expect(connector.appendResultList([{id: '3'}])).rejects.toThrow(
+        `is locked by process ${process.ppid}`);
+    expect(Date.now() - startTime).toBeGreaterThanOrEqual(100);
+    expect(connector.getResultList().length).toBe(2);
+
+    fse.removeSync(lockPath);
+    await connector.appendResultList([{id: '3'}]);
+    expect(connector.getResultList().length).toBe(3);
+  });
+
+  it('does not overwrite unreadable Results files.', async () => {
+    let resultsPath = path.join(tmpDir, 'results.json');
+    fse.writeFileSync(resultsPath, '{"results": [{"id": "1"');
+
+    await expect(connector.appendResultList([{id: '3'}])).rejects.toThrow();
+    expect(fse.readFileSync(resultsPath).toString()).toEqual(
+        '{"results": [{"id": "1"');
+  });
+
+  it('logs errors of reading Results with the logger.', async () => {
+    let logger = {error: jest.fn()};
+    connector = new JSONConnector({
+      resultsPath: path.join(tmpDir, 'results.json'),
+      logger: logger,
+    }, {} /* apiHandler */, {} /* envVars */);
+    fse.writeFileSync(connector.resultsPath, '{"results": [');
+
+    expect(connector.getResultList()).toEqual([]);
+    expect(logger.error).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const NDJSONConnector = require('../../src/connectors/ndjson-connector');
+
+describe('NDJSONConnector test', () => {
+  let tmpDir, resultsPath, connector;
+
+  let readLines = () => {
+    return fse.readFileSync(resultsPath).toString().trim().split('\n')
+        .map(line => JSON.parse(line));
+  };
+
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'awp-ndjson-connector-'));
+    resultsPath = path.join(tmpDir, 'results.ndjson');
+    connector = new NDJSONConnector({
+      resultsPath: resultsPath,
+    }, {} /* apiHandler */, {} /* envVars */);
+
+    connector.appendResultList([
+      {id: '1', label: 'web.dev', status: 'Submitted', gatherer: 'webpagetest'},
+      {id: '2', label: 'YouTube', status: 'Retrieved', gatherer: 'psi'},
+    ]);
+  });
+
+  afterEach(() => {
+    fse.removeSync(tmpDir);
+  });
+
+  it('appends Results as lines.', async () => {
+    connector.appendResultList([{id: '3', label: 'Google'}]);
+
+    let lines = readLines();
+    expect(lines.map(line => line.id)).toEqual(['1', '2', '3']);
+    expect(lines[2].ndjson.version).toBe(1);
+    expect(connector.getResultList().length).toBe(3);
+  });
+
+  it('appends new versions of updated Results.', async () => {
+    connector.updateResultList([
+      {
+        id: '1',
+        label: 'web.dev',
+        status: 'Submitted',
+        gatherer: 'webpagetest',
+        modifiedTimestamp: 1000,
+      },
+      {id: '9', label: 'Unknown', status: 'Retrieved'},
+    ]);
+    // Unchanged or unknown Results don't add lines.
+    expect(readLines().length).toBe(2);
+
+    connector.updateResultList([
+      {
+        id: '1',
+        label: 'web.dev',
+        status: 'Retrieved',
+        gatherer: 'webpagetest',
+        webpagetest: {metrics: {SpeedIndex: 1200}},
+      },
+    ]);
+    let lines = readLines();
+    expect(lines.length).toBe(3);
+    expect(lines[2].ndjson.version).toBe(2);
+
+    // Returns the latest version of each Result in the original order.
+    let results = connector.getResultList();
+    expect(results.map(result => result.status)).toEqual(
+        ['Retrieved', 'Retrieved']);
+    expect(results[0].webpagetest.metrics.SpeedIndex).toBe(1200);
+    expect(results[0].ndjson).toBe(undefined);
+
+    results = connector.getResultList({filters: ['label==="web.dev"']});
+    expect(results.length).toBe(1);
+  });
+
+  it('skips partial lines and starts appending on a new line.', async () => {
+    fse.appendFileSync(resultsPath, '{"id": "3", "label": "Goo');
+    expect(connector.getResultList().length).toBe(2);
+
+    connector.appendResultList([{id: '4', label: 'Google'}]);
+    expect(connector.getResultList().map(result => result.id)).toEqual(
+        ['1', '2', '4']);
+
+    connector.appendResultList([{id: '5'}], {overrideResults: true});
+    expect(readLines().map(line => line.id)).toEqual(['5']);
+  });
+
+  it('only supports the Results path.', async () => {
+    expect(() => connector.getTestList()).toThrow('only supports the Results');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SQLiteConnector = require('../../src/connectors/sqlite-connector');
+
+describe('SQLiteConnector test', () => {
+  let tmpDir, connector;
+
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'awp-sqlite-connector-'));
+    let dbPath = path.join(tmpDir, 'awp.db');
+    connector = new SQLiteConnector({
+      testsPath: dbPath,
+      resultsPath: dbPath,
+    }, {} /* apiHandler */, {} /* envVars */);
+
+    connector.appendTestList([
+      {label: 'web.dev', url: 'https://web.dev', gatherer: 'psi'},
+      {
+        label: 'YouTube',
+        url: 'https://youtube.com',
+        gatherer: ['psi', 'cruxapi'],
+        selected: true,
+        recurring: {frequency: 'Daily'},
+      },
+    ]);
+    connector.appendResultList([
+      {
+        id: '1',
+        label: 'web.dev',
+        url: 'https://web.dev',
+        status: 'Retrieved',
+        createdTimestamp: 1000,
+        psi: {metrics: {FirstContentfulPaint: 900}},
+      },
+      {
+        id: '2',
+        label: 'YouTube',
+        url: 'https://youtube.com',
+        status: 'Submitted',
+        createdTimestamp: 2000,
+      },
+    ]);
+  });
+
+  afterEach(() => {
+    connector.close();
+    fse.removeSync(tmpDir);
+  });
+
+  it('returns list of Tests with filters.', async () => {
+    let tests = connector.getTestList();
+    expect(tests.length).toBe(2);
+    expect(tests[1].gatherer).toEqual(['psi', 'cruxapi']);
+    expect(tests[1].sqlite.index).toBe(2);
+
+    tests = connector.getTestList({filters: ['selected']});
+    expect(tests.map(test => test.label)).toEqual(['YouTube']);
+
+    tests = connector.getTestList({
+      filters: ['label.match("^(?:web\\\\.dev|Google)$")'],
+    });
+    expect(tests.map(test => test.label)).toEqual(['web.dev']);
+
+    // Filters that can't run in SQL still apply.
+    tests = connector.getTestList({
+      filters: ['gatherer.toString().includes("cruxapi")'],
+    });
+    expect(tests.map(test => test.label)).toEqual(['YouTube']);
+  });
+
+  it('updates Tests by the row index.', async () => {
+    let tests = connector.getTestList({filters: ['label==="YouTube"']});
+    tests[0].recurring.nextTriggerTimestamp = 3000;
+    connector.updateTestList(tests);
+
+    tests = connector.getTestList();
+    expect(tests[0].recurring).toBe(undefined);
+    expect(tests[1].recurring.nextTriggerTimestamp).toBe(3000);
+
+    let db = connector.getDatabase(connector.testsPath);
+    expect(db.prepare('SELECT nextTriggerTimestamp FROM tests ' +
+        'WHERE rowIndex = 2').get()).toEqual({nextTriggerTimestamp: 3000});
+  });
+
+  it('returns list of Results with filters in SQL.', async () => {
+    let results = connector.getResultList({
+      filters: ['status==="Submitted"'],
+    });
+    expect(results.map(result => result.id)).toEqual(['2']);
+
+    results = connector.getResultList({filters: ['createdTimestamp<1500']});
+    expect(results.map(result => result.id)).toEqual(['1']);
+    expect(results[0].psi.metrics.FirstContentfulPaint).toBe(900);
+
+    // Filters of indexed columns select rows by the columns.
+    let db = connector.getDatabase(connector.resultsPath);
+    db.prepare('UPDATE results SET status = ? WHERE id = ?').run('Error', '2');
+    results = connector.getResultList({filters: ["status==='Submitted'"]});
+    expect(results.length).toBe(0);
+  });
+
+  it('appends and updates Results.', async () => {
+    connector.appendResultList([{id: '3', label: 'Google',
+        status: 'Submitted'}]);
+    expect(connector.getResultList().length).toBe(3);
+
+    connector.updateResultList([{id: '2', label: 'YouTube',
+        status: 'Retrieved'}]);
+    let results = connector.getResultList({filters: ['status==="Retrieved"']});
+    expect(results.map(result => result.id)).toEqual(['1', '2']);
+
+    connector.appendResultList([{id: '4', status: 'Retrieved'}], {
+      overrideResults: true,
+    });
+    expect(connector.getResultList().map(result => result.id)).toEqual(['4']);
+  });
+
+  it('throws a clear error without better-sqlite3.', async () => {
+    jest.isolateModules(() => {
+      jest.doMock('better-sqlite3', () => {
+        let error = new Error('Cannot find module \'better-sqlite3\'');
+        error.code = 'MODULE_NOT_FOUND';
+        throw error;
+      });
+      let Connector = require('../../src/connectors/sqlite-connector');
+      expect(() => new Connector({testsPath: 'awp.db'}, {}, {}))
+          .toThrow(/install better-sqlite3 to use the sqlite connector/);
+    });
+    jest.dontMock('better-sqlite3');
+  });
+});
@@ -220,6 +220,27 @@ describe('AppScriptExtension afterAllRetrieves', () => {
         RETRIEVE_PENDING_RESULTS_FUNC);
   });
 
+  it('uses the latest status of Results that are not yet updated to the ' +
+      'connector', () => {
+    dataByTabId = {
+      'Results-1': [{
+        id: 'id-1234',
+        label: '1234',
+        status: Status.SUBMITTED,
+      }],
+      'LatestResults-1': [],
+    };
+    let retrievedResults = [{
+      id: 'id-1234',
+      label: '1234',
+      status: Status.RETRIEVED,
+    }];
+    extension.afterAllRetrieves({results: retrievedResults},
+        {appscript: {resultsTab: 'Results-1'}});
+    expect(AppScriptHelper.deleteTriggerByFunction).toHaveBeenCalledWith(
+        RETRIEVE_PENDING_RESULTS_FUNC);
+  });
+
   it('computes custom values required for Google Analytics', () => {
     let fakeResult = {
       url: 'google.com',
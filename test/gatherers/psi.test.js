@@ -134,6 +134,41 @@ describe('PSIGatherer unit test', () => {
     });
   });
 
+  it('returns an error response for network errors', async () => {
+    let apiHandler = {
+      fetchAsync: async () => {
+        return {
+          statusCode: 500,
+          statusText: 'Error: read ECONNRESET',
+          errorCode: 'ECONNRESET',
+          error: new Error('read ECONNRESET'),
+        };
+      },
+    };
+    let gatherer = new PSIGatherer(psiConfig, {psiApiKey: 'PSI_APIKEY'},
+        apiHandler, {} /* options */);
+    let response = await gatherer.runAsync({
+      label: 'YT',
+      url: 'https://www.youtube.com',
+    });
+
+    expect(response.status).toEqual(Status.ERROR);
+    expect(response.statusCode).toEqual(500);
+    expect(response.errorCode).toEqual('ECONNRESET');
+    expect(response.errors).toEqual(['Error: read ECONNRESET']);
+  });
+
+  it('logs API URLs with the logger without API keys', async () => {
+    let logger = {debug: jest.fn()};
+    let gatherer = new PSIGatherer(psiConfig, {psiApiKey: 'SECRET_API_KEY'},
+        fakeApiHandler, {logger: logger});
+    gatherer.getRunUrl({url: 'https://web.dev'}, {debug: true});
+
+    expect(logger.debug).toHaveBeenCalledTimes(1);
+    expect(logger.debug.mock.calls[0][0]).toContain('key=<redacted>');
+    expect(logger.debug.mock.calls[0][0]).not.toContain('SECRET_API_KEY');
+  });
+
   it('follows standardized metric names', async () => {
     let test = {
       selected: true,
@@ -48,6 +48,19 @@ describe('WPTGatherer unit test', () => {
         {} /* options */);
   });
 
+  it('supports the deprecated resultApiEndpiont config', async () => {
+    let warnings = [];
+    let gatherer = new WPTGatherer({
+      resultApiEndpiont: 'https://wpt.example/jsonResult.php',
+    }, envVars, fakeApiHandler, {
+      logger: {warn: (message) => warnings.push(message)},
+    });
+    expect(gatherer.resultApiEndpoint).toEqual(
+        'https://wpt.example/jsonResult.php');
+    expect(warnings).toEqual(['webpagetest.resultApiEndpiont is deprecated, ' +
+        'use webpagetest.resultApiEndpoint instead.']);
+  });
+
   it('submits test and get initial response with test ID', async () => {
     let test = {
       selected: 'selected',
@@ -197,6 +210,29 @@ describe('WPTGatherer unit test', () => {
     expect(response.errors).toEqual(['API fetch error']);
   });
 
+  it('logs with the logger without API keys', async () => {
+    let logger = {debug: jest.fn(), error: jest.fn()};
+    let consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      fakeApiHandler.fetch = () => {
+        return {statusCode: 500, statusText: 'API fetch error'};
+      };
+      wptGatherer = new WPTGatherer(wptConfig, {
+        webPageTestApiKey: 'SECRET_API_KEY',
+        webPageTestApiEndpoint: 'https://wpt.example.com',
+      }, fakeApiHandler, {debug: true, logger: logger});
+      wptGatherer.run({url: 'google.com', label: 'Google'}, {debug: true});
+
+      expect(consoleLog).not.toHaveBeenCalled();
+      expect(logger.debug).toHaveBeenCalledWith(
+          'WPTGatherer::run\n', expect.stringContaining('k=<redacted>'));
+      let output = JSON.stringify(logger.debug.mock.calls);
+      expect(output).not.toContain('SECRET_API_KEY');
+    } finally {
+      consoleLog.mockRestore();
+    }
+  });
+
   it('retrieves result and get full response', async () => {
     let result = {
       selected: true,
@@ -297,6 +333,71 @@ describe('WPTGatherer unit test', () => {
     expect(response.metrics).toEqual({});
   });
 
+  it('retrieves results in batch with one call per test ID', async () => {
+    let genResult = (testId) => {
+      return {
+        status: Status.SUBMITTED,
+        webpagetest: {
+          metadata: {
+            testId: testId,
+          },
+        },
+      };
+    };
+    let results = [
+      genResult('completed'),
+      genResult('pending'),
+      genResult('completed'),
+    ];
+    let fetchedUrls = [], pendingCalls = 0, maxPendingCalls = 0;
+    fakeApiHandler.fetchAsync = async (url) => {
+      fetchedUrls.push(url);
+      pendingCalls++;
+      maxPendingCalls = Math.max(maxPendingCalls, pendingCalls);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      pendingCalls--;
+
+      if (url.includes('completed')) {
+        return {
+          statusCode: 200,
+          body: fs.readFileSync('./test/fakedata/wpt-retrieve-response.json'),
+        };
+      }
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          statusCode: 101,
+          statusText: 'Waiting behind 3 other tests...',
+        }),
+      };
+    };
+
+    let responses = await wptGatherer.retrieveBatchAsync(results, {
+      concurrency: 2,
+    });
+    expect(fetchedUrls).toEqual([
+      'https://webpagetest.org/jsonResult.php?test=completed',
+      'https://webpagetest.org/jsonResult.php?test=pending',
+    ]);
+    expect(maxPendingCalls).toBe(2);
+    expect(responses.map(r => r.status)).toEqual([Status.RETRIEVED,
+        Status.SUBMITTED, Status.RETRIEVED]);
+    expect(responses[0].metrics.SpeedIndex).toEqual(702);
+    expect(responses[0].metadata.testId).toEqual('completed');
+    expect(responses[1].statusText).toEqual('Waiting behind 3 other tests...');
+
+    // HTTP errors with status codes.
+    fakeApiHandler.fetchAsync = async () => {
+      return {
+        statusCode: 503,
+        statusText: 'Service Unavailable',
+      };
+    };
+    responses = await wptGatherer.retrieveBatchAsync([results[0]], {});
+    expect(responses[0].status).toEqual(Status.ERROR);
+    expect(responses[0].statusCode).toEqual(503);
+  });
+
   it('follows standardized metric names', async () => {
     let result = {
       selected: true,
@@ -0,0 +1,101 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {DryRunApiHandler, formatPlannedRequests, getSecrets, redactSecrets} =
+    require('../../src/helpers/dry-run-helper');
+
+describe('DryRunHelper test', () => {
+  it('gets secrets from environment variables.', async () => {
+    expect(getSecrets({
+      PSI_APIKEY: 'psi-key',
+      webPageTestApiKey: 'wpt-key',
+      SERVICE_ACCOUNT_CREDENTIALS: 'path/to/credentials.json',
+      GCP_PROJECT_ID: 'project',
+      SHORT_KEY: 'abc',
+    })).toEqual(['psi-key', 'wpt-key', 'path/to/credentials.json']);
+  });
+
+  it('redacts API keys in query parameters and secret values.', async () => {
+    expect(redactSecrets('https://api/run?url=a&k=123&key=456&KEY=7#x'))
+        .toEqual('https://api/run?url=a&k=<redacted>&key=<redacted>' +
+            '&KEY=<redacted>#x');
+    expect(redactSecrets('https://api/run?keyword=a&monkey=b'))
+        .toEqual('https://api/run?keyword=a&monkey=b');
+    expect(redactSecrets('https://api/run/my-secret?x=my-secret',
+        ['my-secret'])).toEqual('https://api/run/<redacted>?x=<redacted>');
+  });
+
+  it('records requests without sending them.', async () => {
+    let apiHandler = new DryRunApiHandler({secrets: ['my-secret']});
+    let response = await apiHandler.fetchAsync('https://api/run?k=my-secret');
+    expect(response.statusCode).toBe(200);
+    apiHandler.post('https://api/query', {
+      json: {url: 'https://web.dev', token: 'my-secret'},
+    });
+
+    expect(apiHandler.requests).toEqual([{
+      method: 'GET',
+      url: 'https://api/run?k=<redacted>',
+    }, {
+      method: 'POST',
+      url: 'https://api/query',
+      options: {json: {url: 'https://web.dev', token: '<redacted>'}},
+    }]);
+  });
+
+  it('formats planned requests of results.', async () => {
+    let results = [{
+      label: 'web.dev',
+      url: 'https://web.dev',
+      webpagetest: {
+        dryRun: true,
+        status: 'Submitted',
+        requests: [{method: 'GET', url: 'https://wpt/run?k=<redacted>'}],
+      },
+      cruxapi: {
+        dryRun: true,
+        status: 'Submitted',
+        requests: [{method: 'POST', url: 'https://crux', options: {json: {}}}],
+      },
+      cruxbigquery: {
+        dryRun: true,
+        status: 'Submitted',
+        statusText: 'Skipped',
+        requests: [],
+      },
+      psi: {
+        dryRun: true,
+        status: 'Error',
+        statusText: 'Parameter test.url is missing.',
+        requests: [],
+      },
+    }];
+    expect(formatPlannedRequests(results,
+        ['webpagetest', 'psi', 'cruxapi', 'cruxbigquery', 'fake'])).toEqual([
+      'Dry run planned 2 request(s) for 1 result(s). Nothing was written ' +
+          'to connectors.',
+      '',
+      'web.dev (https://web.dev)',
+      '  webpagetest: GET https://wpt/run?k=<redacted>',
+      '  psi: Error: Parameter test.url is missing.',
+      '  cruxapi: POST https://crux',
+      '    {"json":{}}',
+      '  cruxbigquery: Skipped',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+jest.mock('sync-request', () => jest.fn());
+jest.mock('request-promise', () => jest.fn());
+
+const request = require('sync-request');
+const requestPromise = require('request-promise');
+const {NodeApiHandler} = require('../../src/helpers/node-helper');
+
+describe('NodeApiHandler test', () => {
+  let apiHandler;
+
+  beforeEach(() => {
+    apiHandler = new NodeApiHandler();
+  });
+
+  it('returns numeric status codes with error codes of network errors.',
+      async () => {
+    let error = new Error('read ECONNRESET');
+    error.code = 'ECONNRESET';
+    request.mockImplementation(() => {
+      throw error;
+    });
+    expect(apiHandler.get('https://example.com')).toEqual({
+      statusCode: 500,
+      statusText: 'read ECONNRESET',
+      errorCode: 'ECONNRESET',
+      error: error,
+    });
+
+    // request-promise keeps the original error in `cause`.
+    let requestError = new Error('Error: read ECONNRESET');
+    requestError.cause = error;
+    requestPromise.mockImplementation(async () => {
+      throw requestError;
+    });
+    expect(await apiHandler.getAsync('https://example.com')).toEqual({
+      statusCode: 500,
+      statusText: 'Error: read ECONNRESET',
+      errorCode: 'ECONNRESET',
+      error: requestError,
+    });
+  });
+
+  it('returns status codes of HTTP errors.', async () => {
+    requestPromise.mockImplementation(async () => {
+      return {statusCode: 503, body: 'Service Unavailable'};
+    });
+    let response = await apiHandler.getAsync('https://example.com');
+    expect(response.statusCode).toEqual(503);
+    expect(response.errorCode).toBeUndefined();
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const AutoWebPerf = require('../src/awp-core');
+const {AwpServer, JobStatus} = require('../src/server');
+
+/**
+ * Send a request to the server, and return the status code and JSON body.
+ */
+function request(port, method, urlPath, options) {
+  options = options || {};
+  return new Promise((resolve, reject) => {
+    let req = http.request({
+      host: '127.0.0.1',
+      port: port,
+      method: method,
+      path: urlPath,
+      headers: options.headers || {},
+    }, res => {
+      let chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({
+          statusCode: res.statusCode,
+          body: JSON.parse(Buffer.concat(chunks).toString()),
+        });
+      });
+    });
+    req.on('error', reject);
+    req.end(options.body);
+  });
+}
+
+describe('AwpServer test', () => {
+  let tmpDir, server, port;
+
+  beforeEach(async () => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'awp-server-'));
+    let testsPath = path.join(tmpDir, 'tests.json');
+    let resultsPath = path.join(tmpDir, 'results.json');
+    fse.outputFileSync(testsPath, JSON.stringify({
+      tests: [
+        {label: 'web.dev', url: 'https://web.dev', gatherer: 'psi'},
+        {
+          label: 'YouTube',
+          url: 'https://youtube.com',
+          gatherer: 'psi',
+          recurring: {frequency: 'Daily'},
+        },
+      ],
+    }));
+    fse.outputFileSync(resultsPath, JSON.stringify({
+      results: [
+        {id: 'r1', label: 'web.dev', url: 'https://web.dev',
+            status: 'Retrieved', createdTimestamp: 1},
+        {id: 'r2', label: 'YouTube', url: 'https://youtube.com',
+            status: 'Error', createdTimestamp: 2},
+      ],
+    }));
+
+    let awp = new AutoWebPerf({
+      tests: {connector: 'json', path: testsPath},
+      results: {connector: 'json', path: resultsPath},
+      helper: 'fake',
+      envVars: {PSI_APIKEY: 'TEST_APIKEY'},
+      logger: {},
+    });
+    server = new AwpServer(awp, {token: 'secret'});
+    port = (await server.listen(0)).port;
+  });
+
+  afterEach(async () => {
+    await server.waitForJobs();
+    await server.close();
+    fse.removeSync(tmpDir);
+  });
+
+  const auth = {'Authorization': 'Bearer secret'};
+
+  it('requires the token except for the health check.', async () => {
+    let response = await request(port, 'GET', '/health');
+    expect(response).toEqual({statusCode: 200, body: {status: 'ok'}});
+
+    response = await request(port, 'GET', '/tests');
+    expect(response.statusCode).toBe(401);
+    response = await request(port, 'GET', '/tests', {
+      headers: {'Authorization': 'Bearer wrong'},
+    });
+    expect(response.statusCode).toBe(401);
+    response = await request(port, 'GET', '/tests', {headers: auth});
+    expect(response.statusCode).toBe(200);
+  });
+
+  it('lists tests and results with filters.', async () => {
+    let response = await request(port, 'GET', '/tests?label=YouTube',
+        {headers: auth});
+    expect(response.body.tests.map(test => test.label)).toEqual(['YouTube']);
+
+    response = await request(port, 'GET',
+        '/results?status=Retrieved&fields=id,label', {headers: auth});
+    expect(response.body.results).toEqual([{id: 'r1', label: 'web.dev'}]);
+
+    response = await request(port, 'GET',
+        '/results?sort=-createdTimestamp&limit=1', {headers: auth});
+    expect(response.body.results.map(result => result.id)).toEqual(['r2']);
+  });
+
+  it('validates requests.', async () => {
+    let response = await request(port, 'GET', '/results?lable=web.dev',
+        {headers: auth});
+    expect(response.statusCode).toBe(400);
+    expect(response.body.error).toContain('Did you mean "label"?');
+
+    response = await request(port, 'GET', '/results?limit=none',
+        {headers: auth});
+    expect(response.statusCode).toBe(400);
+
+    response = await request(port, 'GET', '/tests?url-match=(',
+        {headers: auth});
+    expect(response.statusCode).toBe(400);
+
+    response = await request(port, 'POST', '/tests',
+        {headers: auth, body: '{"url":'});
+    expect(response.statusCode).toBe(400);
+    expect(response.body.error).toContain('Invalid JSON');
+
+    response = await request(port, 'POST', '/tests', {headers: auth});
+    expect(response.body.error).toBe('Either url, urls or tests is required.');
+
+    response = await request(port, 'POST', '/tests', {
+      headers: auth,
+      body: JSON.stringify({url: 'https://web.dev', gatherer: 'unknown'}),
+    });
+    expect(response.statusCode).toBe(400);
+    expect(response.body.error).toContain('Unknown gatherer: unknown');
+
+    response = await request(port, 'DELETE', '/tests', {headers: auth});
+    expect(response.statusCode).toBe(405);
+    response = await request(port, 'GET', '/unknown', {headers: auth});
+    expect(response.statusCode).toBe(404);
+    response = await request(port, 'GET', '/jobs/unknown', {headers: auth});
+    expect(response.statusCode).toBe(404);
+  });
+
+  it('runs ad-hoc tests as a job.', async () => {
+    let response = await request(port, 'POST', '/tests', {
+      headers: auth,
+      body: JSON.stringify({url: 'https://example.com', label: 'Example'}),
+    });
+    expect(response.statusCode).toBe(202);
+    let jobId = response.body.job.id;
+    expect(response.body.job.type).toBe('run');
+
+    await server.waitForJobs();
+    response = await request(port, 'GET', `/jobs/${jobId}`, {headers: auth});
+    let job = response.body.job;
+    expect(job.status).toBe(JobStatus.COMPLETED);
+    expect(job.tests).toBe(1);
+    expect(job.results.length).toBe(1);
+    expect(job.results[0].label).toBe('Example');
+    expect(job.results[0].status).toBe('Retrieved');
+
+    // The Result is stored via the connector, without changing Tests.
+    response = await request(port, 'GET', '/results?label=Example',
+        {headers: auth});
+    expect(response.body.results.length).toBe(1);
+    expect(response.body.results[0].psi.metrics).toBeDefined();
+    response = await request(port, 'GET', '/tests', {headers: auth});
+    expect(response.body.tests.length).toBe(2);
+  });
+
+  it('runs recurring and retrieve one job at a time.', async () => {
+    let recurring = await request(port, 'POST', '/recurring', {
+      headers: auth,
+      body: JSON.stringify({label: 'YouTube'}),
+    });
+    let retrieve = await request(port, 'POST', '/retrieve', {headers: auth});
+    expect(recurring.statusCode).toBe(202);
+    expect(retrieve.statusCode).toBe(202);
+
+    await server.waitForJobs();
+    let response = await request(port, 'GET', '/jobs', {headers: auth});
+    let jobs = response.body.jobs;
+    expect(jobs.map(job => job.type)).toEqual(['retrieve', 'recurring']);
+    expect(jobs.map(job => job.status)).toEqual([
+      JobStatus.COMPLETED, JobStatus.COMPLETED,
+    ]);
+    expect(jobs[1].tests).toBe(1);
+    expect(jobs[1].finishedTimestamp).toBeLessThanOrEqual(
+        jobs[0].startedTimestamp);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {getBackupPath, writeFileAtomic} =
+    require('../../src/utils/atomic-write');
+
+describe('Atomic write test', () => {
+  let tmpDir, filepath;
+
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'awp-atomic-write-'));
+    filepath = path.join(tmpDir, 'output', 'results.json');
+  });
+
+  afterEach(() => {
+    fse.removeSync(tmpDir);
+  });
+
+  it('writes files and creates directories.', async () => {
+    writeFileAtomic(filepath, 'first');
+    writeFileAtomic(filepath, 'second');
+    expect(fse.readFileSync(filepath).toString()).toEqual('second');
+    expect(fse.readdirSync(path.dirname(filepath))).toEqual(['results.json']);
+  });
+
+  it('keeps rolling backups of previous files.', async () => {
+    ['first', 'second', 'third', 'fourth'].forEach(content => {
+      writeFileAtomic(filepath, content, {backups: 2});
+    });
+    expect(fse.readFileSync(filepath).toString()).toEqual('fourth');
+    expect(fse.readFileSync(getBackupPath(filepath, 1)).toString())
+        .toEqual('third');
+    expect(fse.readFileSync(getBackupPath(filepath, 2)).toString())
+        .toEqual('second');
+    expect(fse.existsSync(getBackupPath(filepath, 3))).toBe(false);
+  });
+
+  it('keeps the previous file when failing to write.', async () => {
+    writeFileAtomic(filepath, 'first');
+    // Make the temp file unwritable.
+    fse.mkdirSync(`${filepath}.${process.pid}.tmp`);
+
+    expect(() => {
+      writeFileAtomic(filepath, 'second', {backups: 1});
+    }).toThrow();
+    expect(fse.readFileSync(filepath).toString()).toEqual('first');
+    expect(fse.existsSync(getBackupPath(filepath, 1))).toBe(false);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {CiExitCode, formatSummary, summarizeResults, waitForResults} =
+    require('../../src/utils/ci');
+const patternFilter = require('../../src/utils/pattern-filter');
+
+function createResult(id, status, extra) {
+  return Object.assign({
+    id: id,
+    label: `label-${id}`,
+    url: `https://example.com/${id}`,
+    gatherer: 'psi',
+    status: status,
+  }, extra);
+}
+
+function createBudgets(overRatios) {
+  let metrics = {};
+  Object.keys(overRatios).forEach(metric => {
+    metrics[metric] = {overRatio: overRatios[metric]};
+  });
+  return {budgets: {budget: {}, metrics: metrics}};
+}
+
+describe('CI test', () => {
+  it('summarizes passed results with exit code 0.', async () => {
+    let summary = summarizeResults([
+      createResult('1', 'Retrieved'),
+      createResult('2', 'Retrieved', createBudgets({SpeedIndex: -0.2})),
+      createResult('3', 'Duplicate'),
+    ]);
+    expect(summary.total).toBe(3);
+    expect(summary.passed).toBe(2);
+    expect(summary.skipped).toBe(1);
+    expect(summary.exitCode).toBe(CiExitCode.PASSED);
+  });
+
+  it('summarizes results with exit codes by precedence.', async () => {
+    let overBudget = createResult('1', 'Retrieved',
+        createBudgets({SpeedIndex: 0.25, CSS: null}));
+    let pending = createResult('2', 'Submitted');
+    let error = createResult('3', 'Error', {
+      errors: [new Error('PSI failed'), 'CrUX failed'],
+    });
+
+    let summary = summarizeResults([overBudget]);
+    expect(summary.budgetExceeded).toBe(1);
+    expect(summary.exitCode).toBe(CiExitCode.BUDGET_EXCEEDED);
+    expect(summary.results[0].exceededBudgets).toEqual([
+      {metric: 'SpeedIndex', overRatio: 0.25},
+    ]);
+
+    summary = summarizeResults([overBudget, pending]);
+    expect(summary.pending).toBe(1);
+    expect(summary.exitCode).toBe(CiExitCode.TIMED_OUT);
+
+    summary = summarizeResults([overBudget, pending, error]);
+    expect(summary.errors).toBe(1);
+    expect(summary.exitCode).toBe(CiExitCode.GATHERER_ERRORS);
+    expect(summary.results[2].errors).toEqual(['PSI failed', 'CrUX failed']);
+  });
+
+  it('formats a summary in JUnit XML and JSON.', async () => {
+    let summary = summarizeResults([
+      createResult('1', 'Retrieved'),
+      createResult('2', 'Retrieved', createBudgets({SpeedIndex: 0.25})),
+      createResult('3', 'Error', {errors: ['<PSI> failed']}),
+      createResult('4', 'Submitted'),
+    ]);
+
+    let xml = formatSummary(summary, 'junit');
+    expect(xml).toContain('tests="4" failures="2" errors="1" skipped="0"');
+    expect(xml).toContain('<testcase name="label-1" ' +
+        'classname="https://example.com/1"></testcase>');
+    expect(xml).toContain('SpeedIndex is 25% over budget');
+    expect(xml).toContain('&lt;PSI&gt; failed</error>');
+    expect(xml).toContain('Timed out waiting for results');
+
+    expect(JSON.parse(formatSummary(summary, 'json'))).toEqual(summary);
+    expect(() => formatSummary(summary, 'xml')).toThrow(/Unknown format/);
+  });
+
+  it('retrieves pending results until retrieved.', async () => {
+    let stored = [
+      createResult('1', 'Submitted'),
+      createResult('2', 'Submitted'),
+      createResult('other', 'Submitted'),
+    ];
+    let retrieveOptions = [];
+    let awp = {
+      retrieve: async (options) => {
+        retrieveOptions.push(options);
+        // Retrieve one matched result at a time.
+        let matched = patternFilter(stored, options.filters).slice(0, 1);
+        let results = matched.map(result => {
+          return Object.assign({}, result, {status: 'Retrieved'});
+        });
+        results.forEach(result => {
+          stored[stored.findIndex(x => x.id === result.id)] = result;
+        });
+        return {results: results, errors: []};
+      },
+    };
+    let sleeps = [];
+
+    let results = await waitForResults(awp, stored.slice(0, 2), {
+      pollInterval: 1,
+      sleep: async (ms) => sleeps.push(ms),
+      awpOptions: {verbose: true, filters: ['selected']},
+    });
+    expect(results.map(result => result.status)).toEqual([
+      'Retrieved', 'Retrieved',
+    ]);
+    expect(sleeps).toEqual([1000, 1000]);
+    expect(retrieveOptions[0].verbose).toBe(true);
+    expect(retrieveOptions[1].filters).toEqual([
+      'status==="Submitted"', 'id.match("^(?:2)$")',
+    ]);
+    expect(stored[2].status).toBe('Submitted');
+  });
+
+  it('stops waiting for pending results after the timeout.', async () => {
+    let awp = {
+      retrieve: jest.fn(async () => ({results: [], errors: []})),
+    };
+    let results = await waitForResults(awp, [
+      createResult('1', 'Submitted'),
+      createResult('2', 'Retrieved'),
+    ], {
+      timeout: 0,
+      sleep: async () => {},
+    });
+    expect(awp.retrieve).not.toHaveBeenCalled();
+    expect(summarizeResults(results).exitCode).toBe(CiExitCode.TIMED_OUT);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const CsvConnector = require('../../src/connectors/csv-connector');
+const {compareResults, formatComparison, getMetricValues, selectResults} =
+    require('../../src/utils/compare-results');
+
+function createResult(label, createdTimestamp, lighthouse, extra) {
+  return Object.assign({
+    label: label,
+    url: `https://${label}`,
+    gatherer: 'psi',
+    status: 'Retrieved',
+    createdTimestamp: createdTimestamp,
+    psi: {
+      metrics: {
+        lighthouse: lighthouse,
+        formFactor: 'PHONE',
+      },
+    },
+  }, extra);
+}
+
+describe('Compare results test', () => {
+  it('gets numeric standardized metrics of a gatherer.', async () => {
+    let result = createResult('web.dev', 1, {Performance: 0.9});
+    result.psi.metrics.crux = {LargestContentfulPaint: {p75: 2500}};
+    result.psi.metrics.lighthouse.Unknown = 1;
+    expect(getMetricValues(result, 'psi')).toEqual({
+      'lighthouse.Performance': 0.9,
+      'crux.LargestContentfulPaint.p75': 2500,
+    });
+
+    // Numeric strings, e.g. from CSV.
+    result.psi.metrics.lighthouse = {Performance: '0.9', SpeedIndex: '',
+        FirstContentfulPaint: 'n/a'};
+    expect(getMetricValues(result, 'psi')).toEqual({
+      'lighthouse.Performance': 0.9,
+      'crux.LargestContentfulPaint.p75': 2500,
+    });
+    expect(getMetricValues(result, 'webpagetest')).toEqual({});
+  });
+
+  it('selects results by labels and time windows.', async () => {
+    let results = [
+      createResult('a', 100, {}),
+      createResult('a', 200, {}),
+      createResult('b', 200, {}),
+    ];
+    expect(selectResults(results, {label: 'a'}).length).toBe(2);
+    expect(selectResults(results, {since: 200}).length).toBe(2);
+    expect(selectResults(results, {until: 200}).length).toBe(1);
+    expect(selectResults(results, {}).length).toBe(3);
+  });
+
+  it('compares medians of metrics and flags changes.', async () => {
+    let base = [
+      createResult('web.dev', 1, {SpeedIndex: 2000, Performance: 0.9}),
+      createResult('web.dev', 2, {SpeedIndex: 1000, Performance: 0.9}),
+      createResult('web.dev', 3, {SpeedIndex: 4000, Performance: 0.9}),
+      createResult('removed', 1, {SpeedIndex: 1000}),
+    ];
+    let target = [
+      createResult('web.dev', 4, {SpeedIndex: 2100, Performance: 0.7}),
+      createResult('web.dev', 5, {SpeedIndex: 9000, Performance: 0},
+          {status: 'Error'}),
+      createResult('added', 4, {SpeedIndex: 1000}),
+    ];
+
+    let comparison = compareResults(base, target, {threshold: 10});
+    expect(comparison.matches.length).toBe(1);
+    let match = comparison.matches[0];
+    expect(match.key).toEqual({label: 'web.dev', url: 'https://web.dev',
+        gatherer: 'psi'});
+    expect(match.baseCount).toBe(3);
+    expect(match.targetCount).toBe(1);
+    expect(match.metrics[0]).toEqual({
+      metric: 'lighthouse.SpeedIndex', base: 2000, target: 2100, delta: 100,
+      percentChange: 5, flagged: false,
+    });
+    expect(match.metrics[1].metric).toEqual('lighthouse.Performance');
+    expect(match.metrics[1].flagged).toBe(true);
+    expect(comparison.unmatched.base.map(key => key.label)).toEqual(
+        ['removed']);
+    expect(comparison.unmatched.target.map(key => key.label)).toEqual(
+        ['added']);
+  });
+
+  it('matches results by given properties.', async () => {
+    let base = [createResult('before', 1, {SpeedIndex: 1000})];
+    let target = [createResult('after', 2, {SpeedIndex: 1000})];
+    target[0].url = base[0].url;
+    expect(compareResults(base, target).matches.length).toBe(0);
+    expect(compareResults(base, target, {matchBy: ['url']}).matches.length)
+        .toBe(1);
+  });
+
+  it('compares results with gatherer names in arrays.', async () => {
+    let base = [createResult('web.dev', 1, {SpeedIndex: 1000},
+        {gatherer: ['psi']})];
+    let target = [createResult('web.dev', 2, {SpeedIndex: 1500},
+        {gatherer: 'psi'})];
+    let comparison = compareResults(base, target);
+    expect(comparison.matches.length).toBe(1);
+    expect(comparison.matches[0].key.gatherer).toEqual('psi');
+    expect(comparison.matches[0].metrics[0].delta).toBe(500);
+  });
+
+  it('compares results loaded from CSV files.', async () => {
+    let tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'awp-compare-'));
+    try {
+      let loadResults = async (filename, results) => {
+        let connector = new CsvConnector({
+          resultsPath: path.join(tmpDir, filename),
+        }, {} /* apiHandler */, {} /* envVars */);
+        await connector.appendResultList(results);
+        return await connector.getResultList();
+      };
+      let base = await loadResults('base.csv', [createResult('web.dev', 1,
+          {FirstContentfulPaint: 1000, Performance: 0.9})]);
+      let target = await loadResults('target.csv', [createResult('web.dev', 2,
+          {FirstContentfulPaint: 1500, Performance: 0.9})]);
+      expect(base[0].psi.metrics.lighthouse.FirstContentfulPaint)
+          .toEqual('1000');
+
+      let comparison = compareResults(base, target);
+      expect(comparison.matches.length).toBe(1);
+      expect(comparison.matches[0].metrics[0]).toEqual({
+        metric: 'lighthouse.FirstContentfulPaint', base: 1000, target: 1500,
+        delta: 500, percentChange: 50, flagged: true,
+      });
+    } finally {
+      fse.removeSync(tmpDir);
+    }
+  });
+
+  it('formats a comparison as text or JSON.', async () => {
+    let comparison = compareResults(
+        [createResult('web.dev', 1, {SpeedIndex: 2000, TotalSize: 0})],
+        [createResult('web.dev', 2, {SpeedIndex: 3000, TotalSize: 100})]);
+    expect(formatComparison(comparison)).toEqual([
+      'label=web.dev, url=https://web.dev, gatherer=psi (base: 1, target: 1)',
+      '  ! lighthouse.SpeedIndex: 2000 -> 3000 (+1000, +50.0%)',
+      '  ! lighthouse.TotalSize: 0 -> 100 (+100, n/a)',
+      '',
+      'Compared 1 match(es), 2 change(s) beyond 10%.',
+    ].join('\n'));
+    expect(JSON.parse(formatComparison(comparison, 'json'))).toEqual(
+        comparison);
+    expect(() => formatComparison(comparison, 'xml')).toThrow(
+        'Unknown format');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const EventEmitter = require('../../src/utils/event-emitter');
+
+describe('EventEmitter test', () => {
+  let emitter;
+
+  beforeEach(() => {
+    emitter = new EventEmitter();
+  });
+
+  it('calls listeners in order with the payload.', () => {
+    let calls = [];
+    emitter.on('event', payload => calls.push(['first', payload]));
+    emitter.on('event', payload => calls.push(['second', payload]));
+    expect(emitter.emit('event', {value: 1})).toBe(true);
+    expect(calls).toEqual([['first', {value: 1}], ['second', {value: 1}]]);
+    expect(emitter.emit('other')).toBe(false);
+  });
+
+  it('removes listeners with off and once.', () => {
+    let listener = jest.fn(), onceListener = jest.fn();
+    emitter.on('event', listener).once('event', onceListener);
+    expect(emitter.listenerCount('event')).toBe(2);
+
+    emitter.emit('event');
+    emitter.emit('event');
+    expect(listener.mock.calls.length).toBe(2);
+    expect(onceListener.mock.calls.length).toBe(1);
+
+    emitter.off('event', listener);
+    emitter.emit('event');
+    expect(listener.mock.calls.length).toBe(2);
+    expect(emitter.listenerCount('event')).toBe(0);
+
+    // Removes a once listener before it's called.
+    emitter.once('event', onceListener).off('event', onceListener);
+    emitter.emit('event');
+    expect(onceListener.mock.calls.length).toBe(1);
+  });
+
+  it('passes errors of listeners to handleListenerError.', () => {
+    let listener = jest.fn();
+    emitter.on('event', () => {
+      throw new Error('Listener error');
+    }).on('event', listener);
+    expect(() => emitter.emit('event')).toThrow('Listener error');
+
+    let errors = [];
+    emitter.handleListenerError = (error, eventName) => {
+      errors.push([eventName, error.message]);
+    };
+    emitter.emit('event');
+    expect(errors).toEqual([['event', 'Listener error']]);
+    expect(listener.mock.calls.length).toBe(1);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {createResultId, getResultFingerprint, getTestFingerprint, hashString,
+    stableStringify} = require('../../src/utils/fingerprint');
+
+describe('Fingerprint test', () => {
+  it('serializes objects with sorted keys.', async () => {
+    expect(stableStringify({b: 1, a: [{d: 2, c: 'x'}], e: undefined}))
+        .toEqual('{"a":[{"c":"x","d":2}],"b":1}');
+    expect(stableStringify(null)).toEqual('null');
+  });
+
+  it('hashes strings in 8 hex digits.', async () => {
+    expect(hashString('')).toEqual('811c9dc5');
+    expect(hashString('a')).toEqual('e40c292c');
+    expect(hashString('https://web.dev')).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  it('returns the same fingerprint for the same Test run.', async () => {
+    let test = {
+      label: 'web.dev',
+      url: 'https://web.dev',
+      webpagetest: {
+        settings: {runs: 1, connection: '4G'},
+        metadata: {lastTestId: 'id-1'},
+      },
+      psi: {
+        settings: {locale: 'en-US'},
+      },
+    };
+    let sameTest = {
+      url: 'https://web.dev',
+      label: 'web.dev',
+      selected: true,
+      webpagetest: {
+        settings: {connection: '4G', runs: 1},
+        metadata: {lastTestId: 'id-2'},
+      },
+    };
+    let fingerprint = getTestFingerprint(test, ['webpagetest']);
+    expect(getTestFingerprint(sameTest, ['webpagetest', 'webpagetest']))
+        .toEqual(fingerprint);
+    expect(getTestFingerprint(test, ['webpagetest', 'psi']))
+        .not.toEqual(fingerprint);
+    expect(getTestFingerprint(Object.assign({}, test, {url: 'https://a.com'}),
+        ['webpagetest'])).not.toEqual(fingerprint);
+    expect(getTestFingerprint({origin: 'https://web.dev'}, ['cruxapi']))
+        .not.toEqual(getTestFingerprint({origin: 'https://a.com'}, ['cruxapi']));
+  });
+
+  it('creates unique Result IDs in the same millisecond.', async () => {
+    let ids = new Set();
+    for (let i = 0; i < 100; i++) {
+      ids.add(createResultId('0123abcd', 1600000000000));
+    }
+    expect(ids.size).toBe(100);
+    ids.forEach(id => expect(id).toMatch(/^1600000000000-0123abcd-[0-9a-z]{6}$/));
+  });
+
+  it('returns fingerprints of Results from their IDs if missing.', async () => {
+    let id = createResultId('0123abcd', 1600000000000);
+    expect(getResultFingerprint({id: id, fingerprint: '4567cdef'}))
+        .toEqual('4567cdef');
+    expect(getResultFingerprint({id: id})).toEqual('0123abcd');
+    expect(getResultFingerprint({id: 'legacy-id'})).toBe(null);
+    expect(getResultFingerprint({})).toBe(null);
+  });
+});
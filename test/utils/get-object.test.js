@@ -0,0 +1,36 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const getObject = require('../../src/utils/get-object');
+
+describe('getObject test', () => {
+  it('gets nested properties by dotted paths.', async () => {
+    let obj = {a: {b: {c: 'C'}, list: [{x: 1}, {x: 2}]}, zero: 0};
+    expect(getObject(obj, 'a.b.c')).toEqual('C');
+    expect(getObject(obj, 'a.list[1].x')).toEqual(2);
+    expect(getObject(obj, 'a.list.0.x')).toEqual(1);
+    expect(getObject(obj, 'zero')).toEqual(0);
+    expect(getObject(obj, '')).toBe(obj);
+  });
+
+  it('returns undefined for missing properties.', async () => {
+    let obj = {a: {b: null}};
+    expect(getObject(obj, 'a.b.c')).toBe(undefined);
+    expect(getObject(obj, 'x.y')).toBe(undefined);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const CsvConnector = require('../../src/connectors/csv-connector');
+const {escapeHtml, generateHtmlReport, renderSparkline} =
+    require('../../src/utils/html-report');
+
+describe('HTML report test', () => {
+  let results = [
+    {
+      label: 'web.dev', url: 'https://web.dev', gatherer: 'psi',
+      status: 'Retrieved', createdTimestamp: 2000,
+      psi: {metrics: {lighthouse: {SpeedIndex: 2600,
+          LargestContentfulPaint: 4500}}},
+      budgets: {
+        metrics: {
+          SpeedIndex: {
+            budget: {milliseconds: 2500},
+            metric: {milliseconds: 2600},
+            overRatio: 0.04,
+          },
+        },
+      },
+    },
+    {
+      label: 'web.dev', url: 'https://web.dev', gatherer: 'psi',
+      status: 'Retrieved', createdTimestamp: 1000,
+      psi: {metrics: {lighthouse: {SpeedIndex: 2000}}},
+    },
+    {
+      label: '<img src=x>', url: 'https://example.com', gatherer: 'psi',
+      status: 'Error', createdTimestamp: 3000,
+    },
+  ];
+
+  it('generates a self-contained report of retrieved results.', async () => {
+    let html = generateHtmlReport(results, {
+      title: 'Nightly',
+      generatedTime: new Date(0),
+    });
+    expect(html).toContain('<title>Nightly</title>');
+    expect(html).toContain('2 retrieved result(s) of 1 URL(s). ' +
+        'Generated at 1970-01-01T00:00:00.000Z.');
+    expect(html).not.toContain('example.com');
+
+    // No external assets.
+    expect(html).not.toMatch(/<(script|link)|src=|url\(/);
+
+    // Metrics in chronological order with trends.
+    expect(html).toContain('<td>psi.lighthouse.SpeedIndex</td>' +
+        '<td class="number">2600</td><td class="number">2000</td>' +
+        '<td class="number">2600</td><td><svg');
+
+    // Core Web Vitals and budgets of the latest result.
+    expect(html).toContain('<span class="badge poor" title="Poor">psi ' +
+        'LargestContentfulPaint: 4500ms - Poor</span>');
+    expect(html).toContain('<span class="badge fail">Over budget</span>');
+  });
+
+  it('escapes HTML in results.', async () => {
+    expect(escapeHtml('<a href="x">\'&\'</a>')).toEqual(
+        '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    let html = generateHtmlReport([Object.assign({}, results[2], {
+      status: 'Retrieved',
+    })]);
+    expect(html).toContain('&lt;img src=x&gt;');
+    expect(html).not.toContain('<img');
+  });
+
+  it('reports results with gatherer names in arrays.', async () => {
+    let html = generateHtmlReport([Object.assign({}, results[1], {
+      gatherer: ['psi'],
+    })]);
+    expect(html).toContain('<td>psi.lighthouse.SpeedIndex</td>' +
+        '<td class="number">2000</td>');
+  });
+
+  it('reports results loaded from CSV files.', async () => {
+    let tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'awp-report-'));
+    try {
+      let connector = new CsvConnector({
+        resultsPath: path.join(tmpDir, 'results.csv'),
+      }, {} /* apiHandler */, {} /* envVars */);
+      await connector.appendResultList(JSON.parse(JSON.stringify(results)));
+      let html = generateHtmlReport(await connector.getResultList());
+
+      expect(html).toContain('latest at 1970-01-01T00:00:02.000Z');
+      expect(html).toContain('<td>psi.lighthouse.SpeedIndex</td>' +
+          '<td class="number">2600</td><td class="number">2000</td>' +
+          '<td class="number">2600</td><td><svg');
+      expect(html).toContain('<span class="badge fail">Over budget</span>');
+    } finally {
+      fse.removeSync(tmpDir);
+    }
+  });
+
+  it('renders sparklines with at least two values.', async () => {
+    expect(renderSparkline([1])).toEqual('');
+    expect(renderSparkline([1, 3, 2])).toContain(
+        'points="2.0,22.0 60.0,2.0 118.0,12.0"');
+  });
+});
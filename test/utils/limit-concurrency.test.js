@@ -0,0 +1,77 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const limitConcurrency = require('../../src/utils/limit-concurrency');
+
+let sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('limitConcurrency test', () => {
+  it('runs at most the given number of tasks at the same time.', async () => {
+    let limit = limitConcurrency(2);
+    let running = 0, maxRunning = 0;
+
+    let values = await Promise.all([1, 2, 3, 4, 5].map(value => limit(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(5);
+      running--;
+      return value * 10;
+    })));
+
+    expect(maxRunning).toBe(2);
+    expect(values).toEqual([10, 20, 30, 40, 50]);
+  });
+
+  it('starts queued tasks in order.', async () => {
+    let limit = limitConcurrency(1);
+    let order = [];
+
+    await Promise.all(['a', 'b', 'c'].map(value => limit(async () => {
+      await sleep(1);
+      order.push(value);
+    })));
+
+    expect(order).toEqual(['a', 'b', 'c']);
+  });
+
+  it('runs all tasks at once without a limit.', async () => {
+    let limit = limitConcurrency();
+    let running = 0, maxRunning = 0;
+
+    await Promise.all([1, 2, 3, 4].map(() => limit(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(5);
+      running--;
+    })));
+
+    expect(maxRunning).toBe(4);
+  });
+
+  it('rejects with task errors and continues with the rest.', async () => {
+    let limit = limitConcurrency(1);
+
+    let failed = limit(() => {
+      throw new Error('Fake error');
+    });
+    let succeeded = limit(() => 'done');
+
+    await expect(failed).rejects.toThrow('Fake error');
+    expect(await succeeded).toEqual('done');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const {acquireLock, acquireLockAsync, isProcessAlive, releaseLock,
+    removeStaleLock} = require('../../src/utils/lockfile');
+
+// A pid that is unlikely to be running.
+const DEAD_PID = 2147483646;
+
+describe('Lockfile test', () => {
+  let tmpDir, lockPath;
+
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'awp-lockfile-'));
+    lockPath = path.join(tmpDir, 'tests.json.lock');
+  });
+
+  afterEach(() => {
+    fse.removeSync(tmpDir);
+  });
+
+  it('acquires and releases a lockfile.', async () => {
+    let release = acquireLock(lockPath);
+    let owner = JSON.parse(fse.readFileSync(lockPath));
+    expect(owner.pid).toBe(process.pid);
+    expect(owner.hostname).toEqual(os.hostname());
+
+    expect(() => acquireLock(lockPath)).toThrow(
+        `is locked by process ${process.pid}`);
+
+    release();
+    expect(fse.existsSync(lockPath)).toBe(false);
+    acquireLock(lockPath)();
+  });
+
+  it('takes over stale lockfiles of dead processes.', async () => {
+    expect(isProcessAlive(process.pid)).toBe(true);
+    expect(isProcessAlive(DEAD_PID)).toBe(false);
+
+    fse.writeFileSync(lockPath, JSON.stringify({
+      pid: DEAD_PID,
+      hostname: os.hostname(),
+    }));
+    let release = acquireLock(lockPath);
+    expect(JSON.parse(fse.readFileSync(lockPath)).pid).toBe(process.pid);
+    release();
+  });
+
+  it('does not take over lockfiles of other hosts.', async () => {
+    fse.writeFileSync(lockPath, JSON.stringify({
+      pid: DEAD_PID,
+      hostname: 'other-host',
+    }));
+    expect(() => acquireLock(lockPath)).toThrow(
+        `is locked by process ${DEAD_PID} on other-host`);
+
+    // Doesn't release the lockfile owned by others.
+    releaseLock(lockPath);
+    expect(fse.existsSync(lockPath)).toBe(true);
+  });
+
+  it('takes over unreadable lockfiles after the grace period.', async () => {
+    fse.writeFileSync(lockPath, '');
+    expect(() => acquireLock(lockPath)).toThrow(
+        'is locked by another process');
+
+    let past = new Date(Date.now() - 60 * 1000);
+    fse.utimesSync(lockPath, past, past);
+    let release = acquireLock(lockPath);
+    expect(JSON.parse(fse.readFileSync(lockPath)).pid).toBe(process.pid);
+    release();
+
+    fse.writeFileSync(lockPath, '{"pid":');
+    past = new Date(Date.now() - 5 * 1000);
+    fse.utimesSync(lockPath, past, past);
+    expect(() => acquireLock(lockPath)).toThrow(
+        'is locked by another process');
+    acquireLock(lockPath, {gracePeriod: 1000})();
+  });
+
+  it('does not remove lockfiles taken over by others.', async () => {
+    fse.writeFileSync(lockPath, JSON.stringify({pid: DEAD_PID}));
+    let staleStat = fse.statSync(lockPath);
+
+    // Another process replaces the stale lockfile before this one does.
+    fse.renameSync(lockPath, path.join(tmpDir, 'stale'));
+    fse.writeFileSync(lockPath, JSON.stringify({pid: 1}));
+
+    expect(removeStaleLock(lockPath, staleStat)).toBe(false);
+    expect(JSON.parse(fse.readFileSync(lockPath)).pid).toBe(1);
+    expect(fse.readdirSync(tmpDir).sort()).toEqual(
+        ['stale', 'tests.json.lock']);
+
+    expect(removeStaleLock(lockPath, fse.statSync(lockPath))).toBe(true);
+    expect(fse.readdirSync(tmpDir)).toEqual(['stale']);
+  });
+
+  it('waits for lockfiles to be released with timeout.', async () => {
+    fse.writeFileSync(lockPath, JSON.stringify({
+      pid: DEAD_PID,
+      hostname: 'other-host',
+    }));
+    let startTime = Date.now();
+    await expect(acquireLockAsync(lockPath, {timeout: 100})).rejects.toThrow(
+        'is locked by process');
+    expect(Date.now() - startTime).toBeGreaterThanOrEqual(100);
+
+    // Acquires the lockfile released during the wait, without blocking the
+    // event loop.
+    let timerFired = false;
+    setTimeout(() => timerFired = true, 5);
+    setTimeout(() => fse.removeSync(lockPath), 30);
+    let release = await acquireLockAsync(lockPath, {
+      timeout: 1000,
+      retryInterval: 10,
+    });
+    expect(timerFired).toBe(true);
+    expect(JSON.parse(fse.readFileSync(lockPath)).pid).toBe(process.pid);
+    release();
+  });
+});
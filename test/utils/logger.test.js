@@ -0,0 +1,43 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {ConsoleLogger, LogLevels, createLogger} =
+    require('../../src/utils/logger');
+
+describe('Logger test', () => {
+  it('uses the console logger by default.', () => {
+    expect(createLogger()).toBeInstanceOf(ConsoleLogger);
+  });
+
+  it('fills missing levels of a custom logger with no-op.', () => {
+    let custom = {
+      messages: [],
+      error(...args) {
+        this.messages.push(args);
+      },
+    };
+    let logger = createLogger(custom);
+    LogLevels.forEach(level => {
+      expect(typeof logger[level]).toBe('function');
+    });
+
+    logger.info('Ignored');
+    logger.error('Failed', 503);
+    expect(custom.messages).toEqual([['Failed', 503]]);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const CSVConnector = require('../../src/connectors/csv-connector');
+const JSONConnector = require('../../src/connectors/json-connector');
+const {flattenItem, getItemKey, migrateItems, nestItem} =
+    require('../../src/utils/migrate');
+
+let results = [
+  {
+    id: '1-a',
+    status: 'Retrieved',
+    label: '007',
+    url: 'https://web.dev',
+    gatherer: ['psi', 'cruxapi'],
+    psi: {
+      metrics: {
+        FirstContentfulPaint: 1200.5,
+        lighthouse: {Performance: 0.91},
+      },
+    },
+    errors: [],
+  },
+  {
+    id: '2-b',
+    status: 'Error',
+    label: 'YouTube',
+    url: 'https://youtube.com',
+    gatherer: 'psi',
+    psi: {metadata: {isMobile: true}},
+    errors: ['Timeout, retrying', 'Failed'],
+  },
+];
+
+describe('Migrate test', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fse.mkdtempSync(path.join(os.tmpdir(), 'awp-migrate-'));
+  });
+
+  afterEach(() => {
+    fse.removeSync(tmpDir);
+  });
+
+  let createConnector = (Connector, filename) => {
+    let filepath = path.join(tmpDir, filename);
+    return new Connector({
+      testsPath: filepath,
+      resultsPath: filepath,
+    }, {} /* apiHandler */, {} /* envVars */);
+  };
+
+  it('nests flat columns with array indices and values as strings.', () => {
+    let item = nestItem({
+      'id': '1',
+      'label': '007',
+      'psi.metrics.FirstContentfulPaint': '1200.5',
+      'psi.metadata.isMobile': 'true',
+      'errors.0': 'Failed',
+      'settings': '{"runs":3}',
+      'webpagetest.metrics.SpeedIndex': '',
+      'sheets': {index: 2},
+    }, {omitKeys: ['sheets']});
+
+    expect(item).toEqual({
+      id: '1',
+      label: '007',
+      psi: {
+        metrics: {FirstContentfulPaint: 1200.5},
+        metadata: {isMobile: true},
+      },
+      errors: ['Failed'],
+      settings: {runs: 3},
+    });
+  });
+
+  it('flattens items into columns with single values.', () => {
+    expect(flattenItem(results[1])).toEqual({
+      'id': '2-b',
+      'status': 'Error',
+      'label': 'YouTube',
+      'url': 'https://youtube.com',
+      'gatherer': 'psi',
+      'psi.metadata.isMobile': true,
+      'errors': '["Timeout, retrying","Failed"]',
+    });
+    expect(flattenItem({gatherer: ['psi', 'cruxapi']})).toEqual({
+      gatherer: 'psi,cruxapi',
+    });
+
+    // Items without id are matched by content, regardless of value types.
+    expect(getItemKey({label: 'a', psi: {settings: {runs: 1}}})).toEqual(
+        getItemKey({label: 'a', psi: {settings: {runs: '1'}}}));
+  });
+
+  it('copies Results from JSON to CSV and back without duplicates.',
+      async () => {
+    let json = createConnector(JSONConnector, 'results.json');
+    let csv = createConnector(CSVConnector, 'results.csv');
+    await json.appendResultList(JSON.parse(JSON.stringify(results)));
+
+    let counts = await migrateItems(json, csv, {
+      what: 'results',
+      flatten: true,
+    });
+    expect(counts).toEqual({read: 2, written: 2, skipped: 0});
+
+    // Migrating again skips the existing Results by id.
+    counts = await migrateItems(json, csv, {what: 'results', flatten: true});
+    expect(counts).toEqual({read: 2, written: 0, skipped: 2});
+
+    let backJson = createConnector(JSONConnector, 'back.json');
+    counts = await migrateItems(csv, backJson, {what: 'results'});
+    expect(counts).toEqual({read: 2, written: 2, skipped: 0});
+
+    let backResults = backJson.getResultList();
+    expect(backResults[0].label).toEqual('007');
+    expect(backResults[0].gatherer).toEqual('psi,cruxapi');
+    expect(backResults[0].psi.metrics).toEqual(results[0].psi.metrics);
+    expect(backResults[0].errors).toEqual([]);
+    expect(backResults[1].psi.metadata.isMobile).toBe(true);
+    expect(backResults[1].errors).toEqual(results[1].errors);
+  });
+
+  it('copies Tests to a new CSV file with filters.', async () => {
+    let json = createConnector(JSONConnector, 'tests.json');
+    let csv = createConnector(CSVConnector, 'tests.csv');
+    await json.appendTestList([
+      {label: 'web.dev', url: 'https://web.dev', gatherer: 'psi'},
+      {label: 'YouTube', url: 'https://youtube.com', gatherer: 'psi'},
+    ]);
+
+    let options = {
+      what: 'tests',
+      flatten: true,
+      omitKeys: ['json', 'csv'],
+      filters: ['label==="YouTube"'],
+    };
+    let counts = await migrateItems(json, csv, options);
+    expect(counts).toEqual({read: 1, written: 1, skipped: 0});
+    expect(csv.getTestList().map(test => test.label)).toEqual(['YouTube']);
+
+    // Tests without id are matched by content.
+    counts = await migrateItems(json, csv, options);
+    expect(counts).toEqual({read: 1, written: 0, skipped: 1});
+
+    // Dry run doesn't write.
+    counts = await migrateItems(json, csv, Object.assign({}, options, {
+      filters: [],
+      dryRun: true,
+    }));
+    expect(counts).toEqual({read: 2, written: 1, skipped: 1});
+    expect(csv.getTestList().length).toBe(1);
+  });
+});
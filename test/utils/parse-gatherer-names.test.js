@@ -0,0 +1,30 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const parseGathererNames = require('../../src/utils/parse-gatherer-names');
+
+describe('parseGathererNames test', () => {
+  it('parses gatherer names in strings or arrays.', async () => {
+    expect(parseGathererNames('psi')).toEqual(['psi']);
+    expect(parseGathererNames('psi, webpagetest,')).toEqual(
+        ['psi', 'webpagetest']);
+    expect(parseGathererNames(['psi', ' cruxapi'])).toEqual(['psi', 'cruxapi']);
+    expect(parseGathererNames(null)).toEqual([]);
+    expect(parseGathererNames('')).toEqual([]);
+  });
+});
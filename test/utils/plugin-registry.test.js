@@ -0,0 +1,118 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {PluginRegistry, PluginType, validatePlugin} =
+    require('../../src/utils/plugin-registry');
+const Gatherer = require('../../src/gatherers/gatherer');
+const Connector = require('../../src/connectors/connector');
+const Extension = require('../../src/extensions/extension');
+
+class FakeGatherer extends Gatherer {}
+
+describe('PluginRegistry test', () => {
+  it('validates plugin classes with their contracts.', async () => {
+    expect(() => {
+      validatePlugin(PluginType.GATHERER, 'fake', FakeGatherer);
+      validatePlugin(PluginType.CONNECTOR, 'fake', Connector);
+      validatePlugin(PluginType.EXTENSION, 'fake', Extension);
+    }).not.toThrow();
+
+    expect(() => {
+      validatePlugin(PluginType.GATHERER, 'fake', {run: () => {}});
+    }).toThrow('The gatherer fake is not a class.');
+
+    class IncompleteGatherer {
+      run() {}
+    }
+    expect(() => {
+      validatePlugin(PluginType.GATHERER, 'incomplete', IncompleteGatherer);
+    }).toThrow('doesn\'t implement required methods: retrieve');
+
+    class EmptyExtension {}
+    expect(() => {
+      validatePlugin(PluginType.EXTENSION, 'empty', EmptyExtension);
+    }).toThrow('doesn\'t implement any of the methods');
+
+    class PartialExtension {
+      afterRun() {}
+    }
+    expect(() => {
+      validatePlugin(PluginType.EXTENSION, 'partial', PartialExtension);
+    }).not.toThrow();
+  });
+
+  it('registers and returns plugin classes by name.', async () => {
+    let registry = new PluginRegistry();
+    registry.register(PluginType.GATHERER, 'myGatherer', FakeGatherer);
+
+    expect(registry.has(PluginType.GATHERER, 'myGatherer')).toBe(true);
+    expect(registry.has(PluginType.GATHERER, 'mygatherer')).toBe(true);
+    expect(registry.has(PluginType.CONNECTOR, 'myGatherer')).toBe(false);
+    expect(registry.get(PluginType.GATHERER, 'myGatherer')).toBe(FakeGatherer);
+    expect(registry.get(PluginType.GATHERER, 'other')).toBe(null);
+    expect(registry.getNames(PluginType.GATHERER)).toEqual(['myGatherer']);
+
+    expect(() => {
+      registry.register(PluginType.GATHERER, 'broken', class {});
+    }).toThrow('doesn\'t implement required methods: run, retrieve');
+    expect(() => {
+      registry.register('unknown', 'fake', FakeGatherer);
+    }).toThrow('Unknown plugin type: unknown');
+  });
+
+  it('loads plugins from module paths at the first use.', async () => {
+    let registry = new PluginRegistry();
+    registry.registerAll({
+      gatherers: {
+        pathgatherer: './src/gatherers/gatherer',
+      },
+      connectors: {
+        brokenconnector: './src/extensions/extension',
+        missingconnector: './path/to/missing-connector',
+      },
+    });
+
+    expect(registry.get(PluginType.GATHERER, 'pathgatherer')).toBe(Gatherer);
+    expect(() => {
+      registry.get(PluginType.CONNECTOR, 'brokenconnector');
+    }).toThrow('The connector brokenconnector doesn\'t implement required ' +
+        'methods');
+    expect(() => {
+      registry.get(PluginType.CONNECTOR, 'missingconnector');
+    }).toThrow('Unable to load plugin module ./path/to/missing-connector');
+  });
+
+  it('falls back to the parent registry.', async () => {
+    let parent = new PluginRegistry();
+    let registry = new PluginRegistry(parent);
+    class OtherGatherer extends Gatherer {}
+
+    parent.register(PluginType.GATHERER, 'shared', FakeGatherer);
+    parent.register(PluginType.GATHERER, 'overridden', FakeGatherer);
+    registry.register(PluginType.GATHERER, 'overridden', OtherGatherer);
+
+    expect(registry.get(PluginType.GATHERER, 'shared')).toBe(FakeGatherer);
+    expect(registry.get(PluginType.GATHERER, 'overridden')).toBe(OtherGatherer);
+    expect(parent.get(PluginType.GATHERER, 'overridden')).toBe(FakeGatherer);
+    expect(registry.getNames(PluginType.GATHERER)).toEqual(
+        ['shared', 'overridden']);
+
+    parent.clear();
+    expect(registry.has(PluginType.GATHERER, 'shared')).toBe(false);
+  });
+});
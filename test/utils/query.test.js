@@ -0,0 +1,103 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {buildFilters, formatRows, queryItems} =
+    require('../../src/utils/query');
+
+describe('Query test', () => {
+  let results = [
+    {id: 'a', label: 'web.dev', status: 'Retrieved', createdTimestamp: 2,
+        psi: {metrics: {lighthouse: {Performance: 0.9}}}},
+    {id: 'b', label: 'Google, Inc', status: 'Error', createdTimestamp: 1},
+    {id: 'c', label: 'example', status: 'Retrieved', createdTimestamp: 3,
+        psi: {metrics: {lighthouse: {Performance: 0.5}}}},
+  ];
+
+  it('filters, sorts, limits and selects fields.', async () => {
+    let rows = queryItems(results, {
+      filters: ['status==="Retrieved"'],
+      fields: ['id', 'psi.metrics.lighthouse.Performance'],
+      sort: 'psi.metrics.lighthouse.Performance',
+    });
+    expect(rows).toEqual([
+      {'id': 'c', 'psi.metrics.lighthouse.Performance': 0.5},
+      {'id': 'a', 'psi.metrics.lighthouse.Performance': 0.9},
+    ]);
+
+    rows = queryItems(results, {fields: ['id'], sort: '-createdTimestamp',
+        limit: 2});
+    expect(rows).toEqual([{id: 'c'}, {id: 'a'}]);
+  });
+
+  it('returns the items as is without fields.', async () => {
+    let items = queryItems(results, {sort: '-createdTimestamp', limit: 1});
+    expect(items).toEqual([results[2]]);
+  });
+
+  it('builds filters from shortcuts.', async () => {
+    let tests = [
+      {label: 'web.dev', url: 'https://web.dev/', gatherer: 'psi',
+          selected: true},
+      {label: 'a.b', url: 'https://example.com/', gatherer: 'webpagetest,psi'},
+      {label: 'axb', url: 'https://example.com/', gatherer: 'cruxapi'},
+    ];
+    let filter = (params) => queryItems(tests, {
+      filters: buildFilters(params),
+    }).map(test => test.label);
+
+    expect(filter({label: 'a.b'})).toEqual(['a.b']);
+    expect(filter({label: ['a.b', 'axb']})).toEqual(['a.b', 'axb']);
+    expect(filter({'url-match': 'example'})).toEqual(['a.b', 'axb']);
+    expect(filter({gatherer: 'psi'})).toEqual(['web.dev', 'a.b']);
+    expect(filter({gatherer: ['cruxapi', 'webpagetest']}))
+        .toEqual(['a.b', 'axb']);
+    expect(filter({selectedOnly: true})).toEqual(['web.dev']);
+    expect(filter({filter: 'label.length === 3'})).toEqual(['a.b', 'axb']);
+    expect(() => buildFilters({'url-match': '('})).toThrow();
+  });
+
+  it('sorts missing values last in both orders.', async () => {
+    let fields = ['id'], path = 'psi.metrics.lighthouse.Performance';
+    expect(queryItems(results, {fields, sort: path}).map(r => r.id))
+        .toEqual(['c', 'a', 'b']);
+    expect(queryItems(results, {fields, sort: '-' + path}).map(r => r.id))
+        .toEqual(['a', 'c', 'b']);
+  });
+
+  it('formats rows as a table, JSON or CSV.', async () => {
+    let fields = ['id', 'label', 'psi.metrics.lighthouse.Performance'];
+    let rows = queryItems(results.slice(0, 2), {fields});
+
+    expect(formatRows(rows, fields)).toEqual([
+      'id  label        psi.metrics.lighthouse.Performance',
+      '--  -----------  ----------------------------------',
+      'a   web.dev      0.9',
+      'b   Google, Inc',
+    ].join('\n'));
+    expect(formatRows(rows, fields, 'csv')).toEqual([
+      'id,label,psi.metrics.lighthouse.Performance',
+      'a,web.dev,0.9',
+      'b,"Google, Inc",',
+    ].join('\n'));
+    expect(JSON.parse(formatRows(rows, fields, 'json'))).toEqual([
+      {'id': 'a', 'label': 'web.dev', 'psi.metrics.lighthouse.Performance': 0.9},
+      {'id': 'b', 'label': 'Google, Inc'},
+    ]);
+    expect(() => formatRows(rows, fields, 'xml')).toThrow('Unknown format');
+  });
+});
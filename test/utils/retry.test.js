@@ -0,0 +1,125 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {DefaultRetryPolicy, getRetryDelay, isRetryable, retry} =
+    require('../../src/utils/retry');
+const Status = require('../../src/common/status');
+
+let delays, sleep = async (ms) => {
+  delays.push(ms);
+};
+
+let genTask = (responses) => {
+  let count = 0;
+  return jest.fn(() => responses[Math.min(count++, responses.length - 1)]);
+};
+
+describe('Retry test', () => {
+  beforeEach(() => {
+    delays = [];
+  });
+
+  it('computes exponential backoff delays with max delay.', async () => {
+    let policy = Object.assign({}, DefaultRetryPolicy, {
+      initialDelay: 100,
+      backoffFactor: 3,
+      maxDelay: 1000,
+    });
+    expect(getRetryDelay(policy, 1)).toBe(100);
+    expect(getRetryDelay(policy, 2)).toBe(300);
+    expect(getRetryDelay(policy, 3)).toBe(900);
+    expect(getRetryDelay(policy, 4)).toBe(1000);
+  });
+
+  it('only retries errors with retryable status codes.', async () => {
+    expect(isRetryable({status: Status.ERROR, statusCode: 429},
+        DefaultRetryPolicy)).toBe(true);
+    expect(isRetryable({status: Status.ERROR, statusCode: 503},
+        DefaultRetryPolicy)).toBe(true);
+    expect(isRetryable({status: Status.ERROR, statusCode: 404},
+        DefaultRetryPolicy)).toBe(false);
+    expect(isRetryable({status: Status.ERROR},
+        DefaultRetryPolicy)).toBe(false);
+    expect(isRetryable({status: Status.SUBMITTED, statusCode: 503},
+        DefaultRetryPolicy)).toBe(false);
+  });
+
+  it('retries network errors regardless of the status code.', async () => {
+    let policy = {retryableStatusCodes: [429]};
+    expect(isRetryable({status: Status.ERROR, statusCode: 500,
+        errorCode: 'ECONNRESET'}, policy)).toBe(true);
+    expect(isRetryable({status: Status.ERROR, statusCode: 500,
+        errorCode: 'ETIMEDOUT'}, policy)).toBe(true);
+    expect(isRetryable({status: Status.ERROR, statusCode: 500,
+        errorCode: 'ENOTFOUND'}, policy)).toBe(false);
+    expect(isRetryable({status: Status.ERROR, statusCode: 500,
+        errorCode: 'ENOTFOUND'}, {retryableErrorCodes: ['ENOTFOUND']}))
+        .toBe(true);
+  });
+
+  it('does not retry with the default policy.', async () => {
+    let task = genTask([{status: Status.ERROR, statusCode: 503}]);
+    let response = await retry(task, {}, {sleep: sleep});
+
+    expect(task.mock.calls.length).toBe(1);
+    expect(response.status).toEqual(Status.ERROR);
+    expect(response.retries).toBe(undefined);
+  });
+
+  it('retries until success and records attempts.', async () => {
+    let task = genTask([
+      {status: Status.ERROR, statusCode: 429, statusText: 'Too many requests'},
+      {status: Status.ERROR, statusCode: 503, statusText: 'Unavailable'},
+      {status: Status.RETRIEVED},
+    ]);
+    let response = await retry(task, {
+      maxAttempts: 5,
+      initialDelay: 10,
+    }, {sleep: sleep});
+
+    expect(task.mock.calls.length).toBe(3);
+    expect(delays).toEqual([10, 20]);
+    expect(response.status).toEqual(Status.RETRIEVED);
+    expect(response.retries.attempts).toBe(3);
+    expect(response.retries.errors.map(e => e.statusCode)).toEqual([429, 503]);
+    expect(response.retries.errors[0].statusText).toEqual('Too many requests');
+  });
+
+  it('stops at max attempts and returns the last error.', async () => {
+    let task = genTask([{status: Status.ERROR, statusCode: 500}]);
+    let response = await retry(task, {
+      maxAttempts: 3,
+      initialDelay: 10,
+    }, {sleep: sleep});
+
+    expect(task.mock.calls.length).toBe(3);
+    expect(delays).toEqual([10, 20]);
+    expect(response.status).toEqual(Status.ERROR);
+    expect(response.retries.attempts).toBe(3);
+    expect(response.retries.errors.length).toBe(3);
+  });
+
+  it('supports custom retryable status codes.', async () => {
+    let task = genTask([{status: Status.ERROR, statusCode: 404}]);
+    await retry(task, {
+      maxAttempts: 2,
+      retryableStatusCodes: [404],
+    }, {sleep: sleep});
+    expect(task.mock.calls.length).toBe(2);
+  });
+});
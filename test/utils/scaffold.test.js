@@ -0,0 +1,90 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {EnvVarKeys, generateProject} = require('../../src/utils/scaffold');
+const {validateAwpConfig, validateTests} =
+    require('../../src/utils/schema-validator');
+
+const ModuleNames = {
+  gatherers: ['webpagetest', 'psi', 'cruxapi', 'cruxbigquery'],
+  connectors: ['json', 'csv', 'sheets'],
+  extensions: ['budgets'],
+};
+
+describe('Scaffold test', () => {
+  it('generates a valid awpConfig and tests in JSON.', async () => {
+    let files = generateProject({
+      gatherers: ['psi', 'cruxbigquery'],
+      extensions: ['budgets'],
+      directory: 'my-project',
+    });
+    expect(Object.keys(files)).toEqual(['my-project/awp-config.json',
+        'my-project/tests.json', 'my-project/.env']);
+
+    let awpConfig = JSON.parse(files['my-project/awp-config.json']);
+    expect(awpConfig.tests).toEqual({connector: 'json',
+        path: 'my-project/tests.json'});
+    expect(validateAwpConfig(awpConfig, ModuleNames)).toEqual([]);
+
+    let tests = JSON.parse(files['my-project/tests.json']).tests;
+    expect(tests[0].gatherer).toEqual('psi,cruxbigquery');
+    expect(tests[0].origin).toEqual('https://web.dev');
+    expect(tests[0].budgets.metricPath).toEqual(
+        'psi.metrics.lighthouse.[METRIC_NAME]');
+    expect(validateTests(tests, ModuleNames)).toEqual([]);
+  });
+
+  it('generates tests in CSV and the Sheets layout.', async () => {
+    let files = generateProject({
+      gatherers: ['webpagetest'],
+      testsConnector: 'csv',
+      resultsConnector: 'sheets',
+    });
+    expect(files['tests.csv']).toEqual(
+        'label,url,gatherer,webpagetest.settings.locationId,' +
+        'webpagetest.settings.connection,webpagetest.settings.runs\n' +
+        'web.dev,https://web.dev,webpagetest,Dulles_MotoG,4G,1\n');
+    let awpConfig = JSON.parse(files['awp-config.json']);
+    expect(awpConfig.results).toEqual({connector: 'sheets',
+        path: '<SHEET_ID>/Results'});
+
+    files = generateProject({testsConnector: 'sheets'});
+    expect(Object.keys(files)).toContain('tests-sheets.csv');
+  });
+
+  it('lists envVars keys of the selected modules once.', async () => {
+    let env = generateProject({
+      gatherers: ['webpagetest', 'cruxbigquery'],
+      testsConnector: 'sheets',
+    })['.env'];
+    let keys = env.split('\n').filter(line => line.match(/^\w+=$/));
+    expect(keys).toEqual(['WPT_APIKEY=', 'GCP_PROJECT_ID=',
+        'SERVICE_ACCOUNT_CREDENTIALS=']);
+    expect(env).toContain('# webPageTestApiEndpoint=');
+    expect(env).not.toContain('PSI_APIKEY');
+    expect(Object.keys(EnvVarKeys)).toEqual(expect.arrayContaining(
+        ['webpagetest', 'psi', 'cruxapi', 'cruxbigquery']));
+  });
+
+  it('throws with unknown modules.', async () => {
+    expect(() => generateProject({gatherers: ['lighthouse']})).toThrow(
+        'Unknown modules: lighthouse');
+    expect(() => generateProject({testsConnector: 'xml'})).toThrow(
+        'Unknown modules: xml');
+  });
+});
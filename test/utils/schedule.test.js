@@ -0,0 +1,209 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {getFrequencyKey, getMonthlyDayOfMonth, getNextCronTimestamp,
+    getNextTriggerTimestamp, getZonedParts, getZonedTimestamp, hasSchedule, parseCron,
+    validateSchedule} = require('../../src/utils/schedule');
+
+let utc = (dateString) => new Date(dateString).getTime();
+
+describe('Schedule test', () => {
+  it('parses cron expressions.', async () => {
+    let spec = parseCron('*/15 3,15 1-5 JAN-MAR MON-FRI');
+    expect(spec.minutes).toEqual([0, 15, 30, 45]);
+    expect(spec.hours).toEqual([3, 15]);
+    expect(spec.daysOfMonth).toEqual([1, 2, 3, 4, 5]);
+    expect(spec.months).toEqual([1, 2, 3]);
+    expect(spec.daysOfWeek).toEqual([1, 2, 3, 4, 5]);
+    expect(spec.isDayOfMonthRestricted).toBe(true);
+
+    spec = parseCron('@weekly');
+    expect(spec.minutes).toEqual([0]);
+    expect(spec.daysOfWeek).toEqual([0]);
+    expect(spec.isDayOfMonthRestricted).toBe(false);
+
+    expect(parseCron('0 0 * * 7').daysOfWeek).toEqual([0]);
+    expect(() => parseCron('0 3 * *')).toThrow('requires 5 fields');
+    expect(() => parseCron('60 3 * * *')).toThrow('Out of range');
+    expect(() => parseCron('0 3 * * FOO')).toThrow('Invalid value');
+  });
+
+  it('converts between timestamps and dates in timezones.', async () => {
+    let timestamp = utc('2021-07-01T10:30:00Z');
+    expect(getZonedParts(timestamp, 'Asia/Tokyo')).toEqual({
+      year: 2021, month: 7, day: 1, hour: 19, minute: 30, second: 0,
+      millisecond: 0,
+    });
+    expect(getZonedTimestamp({
+      year: 2021, month: 7, day: 1, hour: 6, minute: 30,
+    }, 'America/New_York')).toBe(timestamp);
+  });
+
+  it('returns the next time of cron expressions.', async () => {
+    expect(getNextCronTimestamp('0 3 * * *', utc('2021-01-01T05:00:00Z'),
+        'UTC')).toBe(utc('2021-01-02T03:00:00Z'));
+    expect(getNextCronTimestamp('0 3 * * *', utc('2021-01-01T02:59:00Z'),
+        'UTC')).toBe(utc('2021-01-01T03:00:00Z'));
+
+    // Keeps 03:00 local time across the DST change on 2021-03-14.
+    expect(getNextCronTimestamp('0 3 * * *', utc('2021-03-13T12:00:00Z'),
+        'America/New_York')).toBe(utc('2021-03-14T07:00:00Z'));
+
+    // Matches either day of month or day of week when both are restricted.
+    // 2021-01-08 is a Friday.
+    expect(getNextCronTimestamp('0 0 13 * FRI', utc('2021-01-02T00:00:00Z'),
+        'UTC')).toBe(utc('2021-01-08T00:00:00Z'));
+    expect(getNextCronTimestamp('0 0 29 2 *', utc('2021-01-01T00:00:00Z'),
+        'UTC')).toBe(utc('2024-02-29T00:00:00Z'));
+  });
+
+  it('schedules daily tests at the time of day without drifting.',
+      async () => {
+    let recurring = {
+      frequency: 'Daily',
+      time: '03:00',
+      timezone: 'Asia/Tokyo',
+      nextTriggerTimestamp: utc('2021-05-01T18:00:00Z'), // 03:00 in Tokyo.
+    };
+    // Executed 20 minutes late.
+    expect(getNextTriggerTimestamp(recurring, utc('2021-05-01T18:20:00Z')))
+        .toBe(utc('2021-05-02T18:00:00Z'));
+
+    // Without the previous trigger, schedules the next 03:00.
+    delete recurring.nextTriggerTimestamp;
+    expect(getNextTriggerTimestamp(recurring, utc('2021-05-01T10:00:00Z')))
+        .toBe(utc('2021-05-01T18:00:00Z'));
+
+    // Time of day without frequency runs daily.
+    delete recurring.frequency;
+    expect(getNextTriggerTimestamp(recurring, utc('2021-05-01T19:00:00Z')))
+        .toBe(utc('2021-05-02T18:00:00Z'));
+  });
+
+  it('schedules frequencies from the previous trigger.', async () => {
+    let previous = utc('2021-01-31T08:00:00Z');
+    let recurring = {
+      frequency: 'Daily',
+      timezone: 'UTC',
+      nextTriggerTimestamp: previous,
+    };
+    expect(getNextTriggerTimestamp(recurring, previous + 5 * 60 * 1000))
+        .toBe(utc('2021-02-01T08:00:00Z'));
+
+    // Skips missed triggers.
+    expect(getNextTriggerTimestamp(recurring, utc('2021-02-03T09:00:00Z')))
+        .toBe(utc('2021-02-04T08:00:00Z'));
+
+    recurring.frequency = 'Hourly';
+    expect(getNextTriggerTimestamp(recurring, previous + 150 * 60 * 1000))
+        .toBe(previous + 3 * 60 * 60 * 1000);
+
+    recurring.frequency = 'Bi-weekly';
+    expect(getNextTriggerTimestamp(recurring, previous + 1000))
+        .toBe(utc('2021-02-14T08:00:00Z'));
+
+    // Monthly uses calendar months, and the last day of shorter months.
+    recurring.frequency = 'Monthly';
+    expect(getNextTriggerTimestamp(recurring, previous + 1000))
+        .toBe(utc('2021-02-28T08:00:00Z'));
+
+    // Reschedule from now regardless of the previous trigger.
+    expect(getNextTriggerTimestamp(recurring, utc('2021-03-10T10:00:00Z'), {
+      reschedule: true,
+    })).toBe(utc('2021-04-10T10:00:00Z'));
+
+    recurring.frequency = 'None';
+    expect(getNextTriggerTimestamp(recurring, previous + 1000)).toBe(null);
+  });
+
+  it('keeps the day of month of monthly schedules.', async () => {
+    let recurring = {
+      frequency: 'Monthly',
+      timezone: 'UTC',
+      nextTriggerTimestamp: utc('2021-01-31T08:00:00Z'),
+    };
+    let nowtime = recurring.nextTriggerTimestamp + 1000;
+    expect(getMonthlyDayOfMonth(recurring, nowtime)).toBe(31);
+
+    recurring.dayOfMonth = 31;
+    recurring.nextTriggerTimestamp = getNextTriggerTimestamp(recurring,
+        nowtime);
+    expect(recurring.nextTriggerTimestamp).toBe(utc('2021-02-28T08:00:00Z'));
+    expect(getNextTriggerTimestamp(recurring,
+        recurring.nextTriggerTimestamp + 1000))
+        .toBe(utc('2021-03-31T08:00:00Z'));
+
+    // Reschedule from the day of now.
+    expect(getMonthlyDayOfMonth(recurring, utc('2021-03-10T10:00:00Z'), {
+      reschedule: true,
+    })).toBe(10);
+    expect(getMonthlyDayOfMonth({frequency: 'Daily'}, nowtime)).toBe(null);
+  });
+
+  it('schedules with days of week and cron.', async () => {
+    // 2021-06-01 is a Tuesday.
+    let recurring = {
+      daysOfWeek: ['Mon', 'Thursday'],
+      time: '09:30',
+      timezone: 'UTC',
+    };
+    expect(getNextTriggerTimestamp(recurring, utc('2021-06-01T12:00:00Z')))
+        .toBe(utc('2021-06-03T09:30:00Z'));
+    expect(getNextTriggerTimestamp(recurring, utc('2021-06-03T09:30:00Z')))
+        .toBe(utc('2021-06-07T09:30:00Z'));
+
+    recurring = {
+      cron: '30 4 * * 1-5',
+      timezone: 'UTC',
+      nextTriggerTimestamp: utc('2021-06-01T04:30:00Z'),
+    };
+    expect(getNextTriggerTimestamp(recurring, utc('2021-06-04T05:00:00Z')))
+        .toBe(utc('2021-06-07T04:30:00Z'));
+  });
+
+  it('validates schedules.', async () => {
+    expect(hasSchedule({frequency: 'Daily'})).toBe(true);
+    expect(hasSchedule({cron: '0 3 * * *'})).toBe(true);
+    expect(hasSchedule({frequency: 'Yearly'})).toBe(false);
+    expect(hasSchedule(null)).toBe(false);
+    expect(getFrequencyKey('Bi-weekly')).toEqual('BIWEEKLY');
+
+    expect(() => validateSchedule({time: '25:00'})).toThrow(
+        'Invalid time of day');
+    expect(() => validateSchedule({daysOfWeek: ['Someday']})).toThrow(
+        'Invalid day of week');
+    expect(() => validateSchedule({time: '03:00', timezone: 'Mars/Base'}))
+        .toThrow();
+    expect(() => validateSchedule({frequency: 'Yearly', time: '03:00'}))
+        .toThrow('Invalid frequency');
+
+    // Cron expressions that never fire.
+    expect(() => validateSchedule({cron: '0 0 31 2 *'})).toThrow(
+        'Cron expression never matches any date: 0 0 31 2 *');
+    expect(() => validateSchedule({cron: '0 0 30,31 2 *'})).toThrow(
+        'never matches');
+    expect(() => validateSchedule({cron: '0 0 29 2 *'})).not.toThrow();
+    expect(() => validateSchedule({cron: '0 0 31 2,3 *'})).not.toThrow();
+    expect(() => validateSchedule({cron: '0 0 31 2 MON'})).not.toThrow();
+    expect(() => validateSchedule({
+      frequency: 'Weekly',
+      time: '03:00',
+      timezone: 'Europe/London',
+    })).not.toThrow();
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {formatValidationErrors, getSuggestion, getUnknownAwpConfigKeys,
+    validateAwpConfig, validateSchema, validateTests} =
+    require('../../src/utils/schema-validator');
+
+const moduleNames = {
+  gatherers: ['webpagetest', 'psi', 'cruxapi', 'cruxbigquery'],
+  connectors: ['json', 'csv', 'url'],
+  extensions: ['budgets'],
+};
+
+describe('Schema validator test', () => {
+  it('validates types, enums, ranges and unknown properties.', async () => {
+    let schema = {
+      type: 'object',
+      properties: {
+        runs: {type: 'integer', minimum: 1},
+        mode: {type: 'string', enum: ['a', 'b']},
+        tags: {type: 'array', items: {type: 'string'}},
+        block: {type: ['string', 'null']},
+      },
+      required: ['mode'],
+      additionalProperties: false,
+    };
+
+    expect(validateSchema({runs: 2, mode: 'a', tags: ['x'], block: null},
+        schema)).toEqual([]);
+    expect(validateSchema({runs: 0, tags: ['x', 1], rnus: 1}, schema, {
+      path: 'settings',
+    })).toEqual([
+      {path: 'settings.mode', message: 'Missing required property.'},
+      {path: 'settings.runs', message: 'Expected at least 1 but got 0.'},
+      {path: 'settings.tags[1]', message: 'Expected string but got number.'},
+      {path: 'settings.rnus', message: 'Unknown property. Did you mean "runs"?'},
+    ]);
+    expect(validateSchema({mode: 'c', block: 1}, schema)).toEqual([
+      {path: 'mode', message: 'Expected one of a, b but got c.'},
+      {path: 'block', message: 'Expected string or null but got number.'},
+    ]);
+  });
+
+  it('accepts numbers and booleans in strings with coerceStrings.', async () => {
+    let schema = {
+      type: 'object',
+      properties: {
+        runs: {type: 'integer'},
+        repeatView: {type: 'boolean'},
+      },
+    };
+    let settings = {runs: '3', repeatView: 'TRUE'};
+    expect(validateSchema(settings, schema).length).toBe(2);
+    expect(validateSchema(settings, schema, {coerceStrings: true})).toEqual([]);
+    expect(validateSchema({runs: '', repeatView: 'yes'}, schema, {
+      coerceStrings: true,
+    })).toEqual([
+      {path: 'repeatView', message: 'Expected boolean but got string.'},
+    ]);
+  });
+
+  it('suggests the closest property names.', async () => {
+    expect(getSuggestion('resultApiEndpiont',
+        ['runApiEndpoint', 'resultApiEndpoint'])).toEqual('resultApiEndpoint');
+    expect(getSuggestion('Label', ['label', 'url'])).toEqual('label');
+    expect(getSuggestion('foo', ['label', 'url'])).toBe(null);
+  });
+
+  it('validates awpConfig with module configs.', async () => {
+    let errors = validateAwpConfig({
+      tests: {connector: 'json', path: 'tests.json'},
+      results: {connector: 'json', pth: 'results.json'},
+      concurency: 2,
+      webpagetest: {runApiEndpiont: 'https://wpt/runtest.php'},
+      psi: {retry: {maxAttempts: 0}},
+      json: {anything: true},
+      mygatherer: {},
+    }, moduleNames);
+
+    expect(formatValidationErrors(errors)).toEqual([
+      '- awpConfig.results.pth: Unknown property. Did you mean "path"?',
+      '- awpConfig.webpagetest.runApiEndpiont: Unknown property. ' +
+          'Did you mean "runApiEndpoint"?',
+      '- awpConfig.psi.retry.maxAttempts: Expected at least 1 but got 0.',
+    ].join('\n'));
+    expect(validateAwpConfig({}, moduleNames).map(e => e.path)).toEqual([
+      'awpConfig.tests', 'awpConfig.results',
+    ]);
+  });
+
+  it('returns unknown top-level properties of awpConfig.', async () => {
+    let unknownKeys = getUnknownAwpConfigKeys({
+      tests: {connector: 'json', path: 'tests.json'},
+      results: {connector: 'json', path: 'results.json'},
+      concurency: 2,
+      mygatherer: {},
+      psi: {},
+    }, moduleNames);
+    expect(formatValidationErrors(unknownKeys)).toEqual([
+      '- awpConfig.concurency: Unknown property. Did you mean "concurrency"?',
+      '- awpConfig.mygatherer: Unknown property.',
+    ].join('\n'));
+  });
+
+  it('validates Tests with gatherer and extension settings.', async () => {
+    let tests = [{
+      label: 'web.dev',
+      url: 'https://web.dev',
+      gatherer: 'webpagetest,psi',
+      webpagetest: {
+        settings: {connection: '4G', runs: 1, block: null},
+        metadata: {lastTestId: 'id-1'},
+      },
+      psi: {settings: {strategy: 'desktop'}},
+      budgets: {
+        metricPath: 'psi.metrics.lighthouse.[METRIC_NAME]',
+        budget: {SpeedIndex: 1000},
+      },
+      recurring: {frequency: 'Daily', time: '03:00'},
+      json: {index: 0},
+    }, {
+      label: 'typos',
+      origin: 'https://web.dev',
+      gatherer: ['cruxapi', 'crux'],
+      cruxapi: {settings: {formFactor: 'phone'}},
+      webpagetest: {setting: {}},
+      budgets: {budget: {SpeedIdex: 1000}},
+      recurring: {frequency: 'Yearly'},
+    }];
+
+    expect(validateTests(tests, moduleNames)).toEqual([
+      {
+        path: 'tests[1].gatherer',
+        message: 'Unknown gatherer: crux. Available gatherers: webpagetest, ' +
+            'psi, cruxapi, cruxbigquery.',
+      },
+      {
+        path: 'tests[1].cruxapi.settings.formFactor',
+        message: 'Expected one of ALL, PHONE, DESKTOP, TABLET but got phone.',
+      },
+      {
+        path: 'tests[1].webpagetest.setting',
+        message: 'Unknown property. Did you mean "settings"?',
+      },
+      {
+        path: 'tests[1].budgets.budget.SpeedIdex',
+        message: 'Unknown property. Did you mean "SpeedIndex"?',
+      },
+      {
+        path: 'tests[1].recurring',
+        message: 'Invalid frequency: Yearly',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Copyright 2020 Google LLC
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const {formatDuration, formatStatus, getErrorCause, summarizeStatus} =
+    require('../../src/utils/status');
+
+let now = Date.UTC(2020, 5, 1);
+let hour = 60 * 60 * 1000;
+
+let tests = [
+  {
+    label: 'web.dev',
+    url: 'https://web.dev',
+    gatherer: 'psi',
+    recurring: {frequency: 'Daily', nextTriggerTimestamp: now + 2 * hour},
+  },
+  {
+    label: 'YouTube',
+    url: 'https://youtube.com',
+    gatherer: 'psi,webpagetest',
+    recurring: {frequency: 'Hourly', nextTriggerTimestamp: now - hour},
+  },
+  {
+    label: 'Google',
+    url: 'https://google.com',
+    gatherer: 'psi',
+    recurring: {frequency: 'Daily'},
+  },
+  {label: 'New', url: 'https://new.com', gatherer: 'psi'},
+];
+
+let results = [
+  {
+    id: '1',
+    label: 'web.dev',
+    url: 'https://web.dev',
+    gatherer: 'psi',
+    status: 'Retrieved',
+    createdTimestamp: now - 5 * hour,
+    psi: {status: 'Retrieved'},
+  },
+  {
+    id: '2',
+    label: 'YouTube',
+    url: 'https://youtube.com',
+    gatherer: 'psi,webpagetest',
+    status: 'Submitted',
+    createdTimestamp: now - 3 * hour,
+    psi: {status: 'Retrieved'},
+    webpagetest: {status: 'Submitted'},
+  },
+  {
+    id: '3',
+    label: 'YouTube',
+    url: 'https://youtube.com',
+    gatherer: ['webpagetest'],
+    status: 'Submitted',
+    createdTimestamp: now - hour,
+    webpagetest: {status: 'Submitted'},
+  },
+  {
+    id: '4',
+    label: 'Google',
+    url: 'https://google.com',
+    gatherer: 'psi',
+    status: 'Error',
+    createdTimestamp: now - 2 * hour,
+    errors: [
+      '[psi] Request to https://google.com/?a=1 failed with status 429',
+      '[psi] Quota exceeded',
+    ],
+    psi: {status: 'Error'},
+  },
+  {
+    id: '5',
+    label: 'Google',
+    url: 'https://google.com',
+    gatherer: 'psi',
+    status: 'Error',
+    createdTimestamp: now - hour,
+    errors: ['[psi] Request to https://google.com/ failed with status 429'],
+    psi: {status: 'Error'},
+  },
+];
+
+describe('Status test', () => {
+  it('counts Results by status and by gatherer.', () => {
+    let status = summarizeStatus(tests, results, {now: now});
+    expect(status.results).toEqual({
+      total: 5,
+      byStatus: {Retrieved: 1, Submitted: 2, Error: 2},
+      byGatherer: {
+        psi: {Retrieved: 2, Error: 2},
+        webpagetest: {Submitted: 2},
+      },
+    });
+    expect(status.oldestPending).toEqual({
+      id: '2',
+      label: 'YouTube',
+      url: 'https://youtube.com',
+      gatherer: 'psi,webpagetest',
+      createdTimestamp: now - 3 * hour,
+      age: 3 * hour,
+    });
+  });
+
+  it('lists recurring Tests by next trigger time and Tests never run.', () => {
+    let status = summarizeStatus(tests, results, {now: now});
+    expect(status.recurring.map(item => [item.label, item.isDue])).toEqual([
+      ['Google', true],
+      ['YouTube', true],
+      ['web.dev', false],
+    ]);
+    expect(status.neverRun).toEqual([{label: 'New', url: 'https://new.com'}]);
+    expect(status.tests).toEqual({total: 4, recurring: 3, neverRun: 1});
+
+    status = summarizeStatus(tests, results, {now: now, limit: 1});
+    expect(status.recurring.length).toBe(1);
+  });
+
+  it('groups errors by cause, with the most recent first.', () => {
+    let status = summarizeStatus(tests, results, {now: now});
+    expect(status.errors).toEqual([
+      {
+        cause: '[psi] Request to <url> failed with status 429',
+        count: 2,
+        lastTimestamp: now - hour,
+      },
+      {
+        cause: '[psi] Quota exceeded',
+        count: 1,
+        lastTimestamp: now - 2 * hour,
+      },
+    ]);
+    expect(getErrorCause(new Error('Test 200601_AB_1f2e3d4c failed\nstack')))
+        .toEqual('Test <id> failed');
+  });
+
+  it('formats the status as text or JSON.', () => {
+    let status = summarizeStatus(tests, results, {
+      now: now,
+      continueStatus: {
+        state: 'Waiting',
+        pid: 123,
+        cycles: 4,
+        heartbeatTimestamp: now - 60 * 1000,
+      },
+    });
+    let text = formatStatus(status);
+    expect(text).toContain('Results: 5 (Error: 2, Retrieved: 1, Submitted: 2)');
+    expect(text).toContain('Oldest pending: YouTube https://youtube.com (2), ' +
+        'submitted 3h 0m ago');
+    expect(text).toContain('! not activated Google https://google.com');
+    expect(text).toContain('Continuous run: Waiting, pid 123, 4 cycle(s), ' +
+        'last heartbeat 1m ago');
+    expect(JSON.parse(formatStatus(status, 'json'))).toEqual(status);
+    expect(() => formatStatus(status, 'xml')).toThrow('Unknown format');
+    expect(formatDuration(26 * hour)).toEqual('1d 2h');
+  });
+});